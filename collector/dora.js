@@ -0,0 +1,111 @@
+// ═══════════════════════════════════════════════════════════════════════
+// DORA METRICS
+// Computed from build and release runs (run models or run-history
+// records). A production deployment is a completed release run on the
+// production branch (main; the run name says "prod").
+//
+//   deployment frequency  successful production releases per day/week
+//   lead time             source commit -> successful production release
+//   change failure rate   failed / (failed + successful) production releases
+//   time to restore       first failed production release -> next
+//                         successful one of the same app
+//
+// A release is joined to the build it ships through the build run id in
+// its run name (`version` for releases) or, failing that, the short commit.
+// The commit time is the build's head commit timestamp, else the build's
+// creation time.
+// ═══════════════════════════════════════════════════════════════════════
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const time = value => new Date(value).getTime();
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function mean(values) {
+  return values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+}
+
+// Build a release shipped: same build run id, else the latest build of
+// the app with the release's commit that started before the release
+function matchSourceBuild(release, builds) {
+  const byRunId = builds.find(build => String(build.runId) === String(release.version) && build.appName === release.appName);
+  if (byRunId) return byRunId;
+  if (!release.commitSha || release.commitSha === 'N/A') return null;
+  return builds
+    .filter(build => build.appName === release.appName
+      && build.commitSha === release.commitSha
+      && time(build.createdAt) <= time(release.createdAt))
+    .sort((a, b) => time(b.createdAt) - time(a.createdAt))[0] || null;
+}
+
+// DORA metrics for the runs given, over [from, to]. builds should reach
+// back further than `from`, so releases early in the window find theirs.
+function computeDora({ builds = [], releases = [], from, to, prodBranch = 'main' }) {
+  const start = time(from);
+  const end = time(to);
+  const days = Math.max((end - start) / DAY_MS, 1 / 24);
+
+  const prodReleases = releases
+    .filter(run => run.branch === prodBranch && run.status === 'completed')
+    .filter(run => ['success', 'failure'].includes(run.conclusion))
+    .sort((a, b) => time(a.updatedAt) - time(b.updatedAt));
+  const inWindow = prodReleases.filter(run => time(run.updatedAt) >= start && time(run.updatedAt) <= end);
+  const succeeded = inWindow.filter(run => run.conclusion === 'success');
+  const failed = inWindow.filter(run => run.conclusion === 'failure');
+
+  const leadTimes = [];
+  let unmatched = 0;
+  succeeded.forEach(release => {
+    const build = matchSourceBuild(release, builds);
+    if (!build) {
+      unmatched++;
+      return;
+    }
+    const committedAt = time(build.commitAt || build.createdAt);
+    leadTimes.push(Math.max(0, time(release.updatedAt) - committedAt));
+  });
+
+  // Failure streaks per app, restored by the next successful release
+  const restoreTimes = [];
+  let unrestored = 0;
+  const failingSince = new Map();
+  prodReleases.forEach(run => {
+    const at = time(run.updatedAt);
+    if (run.conclusion === 'failure') {
+      if (!failingSince.has(run.appName)) failingSince.set(run.appName, at);
+      return;
+    }
+    const since = failingSince.get(run.appName);
+    if (since === undefined) return;
+    failingSince.delete(run.appName);
+    if (since >= start && since <= end) restoreTimes.push(at - since);
+  });
+  failingSince.forEach(since => {
+    if (since >= start && since <= end) unrestored++;
+  });
+
+  return {
+    from: new Date(start).toISOString(),
+    to: new Date(end).toISOString(),
+    deployments: succeeded.length,
+    deploymentFrequency: {
+      perDay: Number((succeeded.length / days).toFixed(2)),
+      perWeek: Number((succeeded.length / days * 7).toFixed(2))
+    },
+    leadTime: { medianMs: median(leadTimes), meanMs: mean(leadTimes), samples: leadTimes.length, unmatched },
+    changeFailureRate: {
+      failed: failed.length,
+      total: inWindow.length,
+      rate: inWindow.length ? Number((failed.length / inWindow.length * 100).toFixed(1)) : null
+    },
+    timeToRestore: { medianMs: median(restoreTimes), meanMs: mean(restoreTimes), samples: restoreTimes.length, unrestored }
+  };
+}
+
+module.exports = { computeDora, matchSourceBuild };
@@ -0,0 +1,95 @@
+// ═══════════════════════════════════════════════════════════════════════
+// RUN DURATIONS
+// Splits a run's wall-clock time (created_at until it completed) into
+//
+//   queued     waiting for a runner: before the run started, and gaps in
+//              which no job ran and none waited for an approval
+//   waiting    an approval job (an environment with required reviewers)
+//              waiting to start; runner queue time after the approval is
+//              part of it, the jobs API has no approval timestamp
+//   executing  at least one job running
+//
+// Jobs running in parallel count once. Approval jobs are the jobs named in
+// approvalJobs (config.durations.approvalJobs) and any job GitHub reports
+// as 'waiting'. Without jobs, run_started_at splits queued from executing.
+// ═══════════════════════════════════════════════════════════════════════
+
+const time = value => (value ? new Date(value).getTime() : null);
+
+// Sorted, non-overlapping copy of [start, end] intervals
+function mergeIntervals(intervals) {
+  const merged = [];
+  intervals
+    .filter(([start, end]) => start !== null && end !== null && end > start)
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+      else merged.push([start, end]);
+    });
+  return merged;
+}
+
+const measure = intervals => intervals.reduce((sum, [start, end]) => sum + end - start, 0);
+
+// Time covered by `intervals` but not by `minus` (both merged)
+function measureOutside(intervals, minus) {
+  let overlap = 0;
+  intervals.forEach(([start, end]) => {
+    minus.forEach(([otherStart, otherEnd]) => {
+      overlap += Math.max(0, Math.min(end, otherEnd) - Math.max(start, otherStart));
+    });
+  });
+  return measure(intervals) - overlap;
+}
+
+// { totalMs, queuedMs, waitingMs, executingMs } of a GitHub run and its
+// job models (run-model.js); a run still going is measured until `now`
+function runDurations(run, jobs = [], { approvalJobs = [], now = Date.now() } = {}) {
+  const start = time(run.created_at);
+  if (start === null) return { totalMs: null, queuedMs: null, waitingMs: null, executingMs: null };
+  const end = Math.max(start, run.status === 'completed' ? time(run.updated_at) || start : now);
+  const clamp = value => Math.min(Math.max(value, start), end);
+
+  if (!jobs.length) {
+    const started = clamp(time(run.run_started_at) || start);
+    return { totalMs: end - start, queuedMs: started - start, waitingMs: 0, executingMs: end - started };
+  }
+
+  const executing = mergeIntervals(jobs
+    .filter(job => job.startedAt)
+    .map(job => [clamp(time(job.startedAt)), clamp(time(job.completedAt) || end)]));
+  const waiting = mergeIntervals(jobs
+    .filter(job => job.status === 'waiting' || approvalJobs.includes(job.name))
+    .map(job => [clamp(time(job.createdAt) || start), clamp(time(job.startedAt) || end)]));
+
+  const executingMs = measure(executing);
+  const waitingMs = measureOutside(waiting, executing);
+  return {
+    totalMs: end - start,
+    queuedMs: Math.max(0, end - start - executingMs - waitingMs),
+    waitingMs,
+    executingMs
+  };
+}
+
+// Nearest-rank percentile (p in 0-100) of a list of numbers
+function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+// { count, meanMs, p50, p90, p99 } of durations in ms (nulls ignored)
+function durationStats(values) {
+  const known = values.filter(value => value !== null && value !== undefined);
+  return {
+    count: known.length,
+    meanMs: known.length ? Math.round(known.reduce((sum, ms) => sum + ms, 0) / known.length) : null,
+    p50: percentile(known, 50),
+    p90: percentile(known, 90),
+    p99: percentile(known, 99)
+  };
+}
+
+module.exports = { runDurations, percentile, durationStats, mergeIntervals };
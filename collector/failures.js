@@ -0,0 +1,169 @@
+// ═══════════════════════════════════════════════════════════════════════
+// FAILURE CLASSIFICATION
+// Tags a failed run with the first rule (failure-rules.json) whose
+// patterns match the logs of its failed jobs, together with the matching
+// log excerpt. The failed step's lines are searched first, then the whole
+// job log. A run attempt's logs never change, so results are cached on
+// disk until the rules change.
+//
+// A rule is { id, category, label, patterns: [regex], jobConclusions? };
+// rules are tried in file order, so put the more specific ones first.
+//
+// Both dashboards classify through the collector's enrichRun hook, so every
+// run from fetchWorkflowDetails carries `failure`. getJobLog(repo, runId,
+// job) returns { lines, sections } of a job model's log: dashboard2 reads
+// it through its log service, the generator with createJobLogReader().
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseLogLines, splitSections, stripAnsi } = require('./log-parser');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'failure-rules.json');
+
+const FAILED_RUN_CONCLUSIONS = ['failure', 'timed_out', 'startup_failure'];
+const FAILED_JOB_CONCLUSIONS = ['failure', 'timed_out'];
+const UNCLASSIFIED = { category: 'unknown', label: 'Unclassified' };
+
+function loadRules(rulesFile) {
+  const { rules = [] } = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+  return rules.map(rule => {
+    if (!rule.id || !rule.category) {
+      throw new Error(`Failure rule ${JSON.stringify(rule)} needs an id and a category`);
+    }
+    return {
+      ...rule,
+      label: rule.label || rule.category,
+      jobConclusions: rule.jobConclusions || [],
+      patterns: (rule.patterns || []).map(pattern => new RegExp(pattern, 'i'))
+    };
+  });
+}
+
+function createFailureClassifier({ getJobLog, rulesFile = DEFAULT_RULES_FILE, cacheFile, contextLines = 3, maxCachedRuns = 500 }) {
+  const rules = loadRules(rulesFile);
+  const rulesVersion = crypto.createHash('sha256').update(fs.readFileSync(rulesFile)).digest('hex').slice(0, 12);
+  const inFlight = new Map();
+  let cache = null;
+
+  function loadCache() {
+    if (cache) return cache;
+    try {
+      cache = fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, 'utf8')) : {};
+    } catch (err) {
+      console.warn('Failure classification cache read failed:', err.message);
+      cache = {};
+    }
+    return cache;
+  }
+
+  function saveCache() {
+    const keys = Object.keys(cache).sort((a, b) => new Date(cache[a].classifiedAt) - new Date(cache[b].classifiedAt));
+    keys.slice(0, Math.max(keys.length - maxCachedRuns, 0)).forEach(key => delete cache[key]);
+    try {
+      const tmp = `${cacheFile}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(cache));
+      fs.renameSync(tmp, cacheFile);
+    } catch (err) {
+      console.warn('Failure classification cache save failed:', err.message);
+    }
+  }
+
+  // Plain-text lines around line number `n`
+  function excerpt(lines, n) {
+    const from = Math.max(n - 1 - contextLines, 0);
+    return lines.slice(from, n + contextLines).map(line => `${line.n}: ${stripAnsi(line.text)}`).join('\n');
+  }
+
+  // First rule matching `lines`, with the line that matched
+  function matchRules(job, lines) {
+    for (const rule of rules) {
+      if (rule.jobConclusions.includes(job.conclusion)) {
+        return { rule, line: lines[lines.length - 1] || null };
+      }
+      for (const line of lines) {
+        const text = stripAnsi(line.text);
+        if (rule.patterns.some(pattern => pattern.test(text))) return { rule, line };
+      }
+    }
+    return null;
+  }
+
+  async function classifyJob(repo, runId, job) {
+    const log = await getJobLog(repo, runId, job);
+    const failedStep = job.steps.find(step => step.conclusion === 'failure');
+    const section = failedStep && log.sections.find(s => s.number === failedStep.number);
+    const stepLines = section ? log.lines.slice(section.start - 1, section.end) : [];
+
+    const match = (stepLines.length && matchRules(job, stepLines)) || matchRules(job, log.lines);
+    if (!match) return null;
+    const step = match.line && log.sections.find(s => match.line.n >= s.start && match.line.n <= s.end);
+    return {
+      category: match.rule.category,
+      label: match.rule.label,
+      ruleId: match.rule.id,
+      jobId: job.id,
+      jobName: job.name,
+      step: step ? step.name : failedStep?.name || null,
+      line: match.line ? match.line.n : null,
+      excerpt: match.line ? excerpt(log.lines, match.line.n) : ''
+    };
+  }
+
+  // { failure, final }; not final when a log couldn't be read, so the run
+  // is classified again on the next refresh
+  async function classify(repo, runId, jobs) {
+    const failedJobs = jobs.filter(job => FAILED_JOB_CONCLUSIONS.includes(job.conclusion));
+    let final = true;
+    for (const job of failedJobs) {
+      try {
+        const failure = await classifyJob(repo, runId, job);
+        if (failure) return { failure, final };
+      } catch (err) {
+        console.warn(`Failure classification of job ${job.id} failed:`, err.message);
+        final = false;
+      }
+    }
+    const firstFailed = failedJobs[0];
+    return { failure: { ...UNCLASSIFIED, jobId: firstFailed?.id || null, jobName: firstFailed?.name || null }, final };
+  }
+
+  // Classification of a completed run attempt, or null when it didn't fail.
+  // `jobs` are the run's jobs as returned by fetchWorkflowDetails.
+  async function classifyRun(repo, run, jobs) {
+    if (run.status !== 'completed' || !FAILED_RUN_CONCLUSIONS.includes(run.conclusion)) return null;
+
+    const key = `${repo}/${run.id}/${run.run_attempt || 1}`;
+    const cached = loadCache()[key];
+    if (cached && cached.rulesVersion === rulesVersion) return cached.failure;
+
+    // Dashboard refreshes overlap; classify each run only once at a time
+    if (!inFlight.has(key)) {
+      inFlight.set(key, classify(repo, run.id, jobs)
+        .then(({ failure, final }) => {
+          if (final) {
+            cache[key] = { failure, rulesVersion, classifiedAt: new Date().toISOString() };
+            saveCache();
+          }
+          return failure;
+        })
+        .finally(() => inFlight.delete(key)));
+    }
+    return inFlight.get(key);
+  }
+
+  return { classifyRun, rules: rules.map(({ id, category, label }) => ({ id, category, label })) };
+}
+
+// getJobLog for createFailureClassifier straight from the API: the job's
+// log split by the step timings of its job model
+function createJobLogReader({ octokit, owner }) {
+  return async (repo, runId, job) => {
+    const { data } = await octokit.actions.downloadJobLogsForWorkflowRun({ owner, repo, job_id: job.id });
+    const lines = parseLogLines(typeof data === 'string' ? data : Buffer.from(data).toString('utf8'));
+    return { lines, sections: splitSections(lines, job.steps) };
+  };
+}
+
+module.exports = { createFailureClassifier, createJobLogReader, loadRules, DEFAULT_RULES_FILE };
@@ -0,0 +1,181 @@
+// ═══════════════════════════════════════════════════════════════════════
+// GITHUB AUTHENTICATION
+// Both dashboards get their API token from a token provider:
+//
+//   { getToken(owner) -> Promise<token>, invalidate(owner), kind }
+//
+// The static provider hands out config.token (a PAT). The GitHub App
+// provider signs a JWT with the app's private key, looks up the app's
+// installation on each owner (org or user) and mints installation tokens,
+// refreshing them shortly before they expire. Tests can pass any object
+// with getToken() instead.
+//
+// createGithubClient() wires a provider into an Octokit instance, so each
+// request carries the token of the owner it addresses.
+// ═══════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const GITHUB_API = 'https://api.github.com';
+
+// Installation tokens live an hour; a new one is minted this long before
+const REFRESH_BEFORE_MS = 5 * 60 * 1000;
+
+function createStaticTokenProvider(token) {
+  return {
+    kind: token ? 'token' : 'anonymous',
+    getToken: async () => token,
+    invalidate: () => {}
+  };
+}
+
+// JSON request with fetch; resolves to { status, data }
+async function fetchJson(method, url, { headers = {}, body } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: { accept: 'application/vnd.github+json', 'user-agent': 'cicd-dashboard', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, data: text ? JSON.parse(text) : null };
+}
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+// appId, privateKey (PEM). installations maps owners to installation ids
+// when they shouldn't be looked up. request(method, url, { headers, body })
+// and now() can be replaced in tests.
+function createAppTokenProvider({
+  appId,
+  privateKey,
+  installations = {},
+  baseUrl = GITHUB_API,
+  request = fetchJson,
+  now = Date.now,
+  log = console.log
+}) {
+  if (!appId || !privateKey) throw new Error('A GitHub App needs appId and privateKey');
+  const installationIds = new Map(Object.entries(installations));
+  const tokens = new Map(); // owner -> { token, expiresAt }
+  const pending = new Map(); // owner -> Promise<token>
+
+  // JWT the app authenticates as itself with (valid ten minutes at most)
+  function appJwt() {
+    const issuedAt = Math.floor(now() / 1000) - 60;
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ iat: issuedAt, exp: issuedAt + 540, iss: String(appId) }));
+    const signature = crypto.createSign('RSA-SHA256').update(`${header}.${payload}`).sign(privateKey, 'base64url');
+    return `${header}.${payload}.${signature}`;
+  }
+
+  async function appRequest(method, path) {
+    const { status, data } = await request(method, `${baseUrl}${path}`, {
+      headers: { authorization: `Bearer ${appJwt()}` }
+    });
+    if (status >= 400) {
+      const err = new Error(`GitHub App request ${method} ${path} failed (${status}): ${data?.message || 'no message'}`);
+      err.status = status;
+      throw err;
+    }
+    return data;
+  }
+
+  async function installationId(owner) {
+    if (installationIds.has(owner)) return installationIds.get(owner);
+    let installation;
+    try {
+      installation = await appRequest('GET', `/orgs/${encodeURIComponent(owner)}/installation`);
+    } catch (err) {
+      if (err.status !== 404) throw err;
+      installation = await appRequest('GET', `/users/${encodeURIComponent(owner)}/installation`);
+    }
+    installationIds.set(owner, installation.id);
+    return installation.id;
+  }
+
+  async function mint(owner) {
+    const id = await installationId(owner);
+    const data = await appRequest('POST', `/app/installations/${id}/access_tokens`);
+    const expiresAt = new Date(data.expires_at).getTime();
+    tokens.set(owner, { token: data.token, expiresAt });
+    log(`🔑 Installation token for ${owner} minted (expires ${data.expires_at})`);
+    return data.token;
+  }
+
+  function getToken(owner) {
+    const cached = tokens.get(owner);
+    if (cached && cached.expiresAt - REFRESH_BEFORE_MS > now()) return Promise.resolve(cached.token);
+
+    // Concurrent requests share one mint
+    if (!pending.has(owner)) {
+      pending.set(owner, mint(owner).finally(() => pending.delete(owner)));
+    }
+    return pending.get(owner);
+  }
+
+  // Forget the owner's token (e.g. after a 401); the next call mints anew
+  function invalidate(owner) {
+    tokens.delete(owner);
+  }
+
+  return { kind: 'github-app', getToken, invalidate };
+}
+
+// Provider for a dashboard config: the GitHub App in config.githubApp when
+// it has an appId, else config.token
+function createTokenProvider(config, options = {}) {
+  const appConfig = config.githubApp || {};
+  if (!appConfig.appId) return createStaticTokenProvider(config.token);
+
+  const privateKey = appConfig.privateKey
+    ? appConfig.privateKey.replace(/\\n/g, '\n')
+    : appConfig.privateKeyFile && fs.readFileSync(appConfig.privateKeyFile, 'utf8');
+  return createAppTokenProvider({
+    appId: appConfig.appId,
+    privateKey,
+    installations: appConfig.installations,
+    baseUrl: appConfig.baseUrl,
+    ...options
+  });
+}
+
+// Octokit (the class is passed in) whose requests are authenticated by
+// tokenProvider for the owner/org they address, defaultOwner otherwise. On
+// a 401 the token is invalidated and, if that yields a new one, the
+// request is tried once more. With a scheduler (request-scheduler.js)
+// every request is queued against its token's rate-limit budget.
+function createGithubClient(Octokit, { tokenProvider, defaultOwner, scheduler = null, ...octokitOptions }) {
+  const octokit = new Octokit(octokitOptions);
+
+  octokit.hook.wrap('request', async (request, options) => {
+    const owner = options.owner || options.org || defaultOwner;
+    const send = token => {
+      const attempt = () => {
+        if (token) options.headers.authorization = `token ${token}`;
+        return request(options);
+      };
+      return scheduler ? scheduler.schedule(attempt, { token, owner, route: options.url }) : attempt();
+    };
+
+    const token = await tokenProvider.getToken(owner);
+    try {
+      return await send(token);
+    } catch (err) {
+      if (err.status !== 401 || !token || !tokenProvider.invalidate) throw err;
+      tokenProvider.invalidate(owner);
+      const fresh = await tokenProvider.getToken(owner);
+      if (!fresh || fresh === token) throw err;
+      return send(fresh);
+    }
+  });
+
+  return octokit;
+}
+
+module.exports = {
+  createStaticTokenProvider,
+  createAppTokenProvider,
+  createTokenProvider,
+  createGithubClient
+};
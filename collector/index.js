@@ -0,0 +1,228 @@
+// ═══════════════════════════════════════════════════════════════════════
+// WORKFLOW RUN COLLECTOR
+// Shared by the static generator (dashboard/generate.js) and the live
+// server (dashboard2). Lists the recent runs of every configured build and
+// release workflow, fetches their jobs and returns them in the run model
+// from run-model.js, newest first. The Octokit client is passed in, so
+// this module has no dependencies of its own.
+//
+// A collector remembers what it fetched: run lists are requested with
+// If-None-Match (a 304 costs no rate limit), and jobs are only fetched
+// again for runs whose updated_at or attempt changed.
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const model = require('./run-model');
+const runName = require('./run-name');
+const githubAuth = require('./github-auth');
+const requestScheduler = require('./request-scheduler');
+const dora = require('./dora');
+const durations = require('./durations');
+const traceability = require('./traceability');
+const logParser = require('./log-parser');
+const failures = require('./failures');
+
+const noop = () => {};
+
+// Runs processor over items, `concurrency` at a time; returns the
+// Promise.allSettled results in input order
+async function batchProcess(items, processor, concurrency, { log = noop } = {}) {
+  const results = [];
+  for (let i = 0; i < items.length; i += concurrency) {
+    const batch = items.slice(i, i + concurrency);
+    log(`Processing batch ${Math.floor(i / concurrency) + 1}/${Math.ceil(items.length / concurrency)}...`);
+    const batchResults = await Promise.allSettled(batch.map(processor));
+    results.push(...batchResults);
+  }
+  return results;
+}
+
+// { load, save } for a JSON file holding collected data; load() returns
+// null once the data is older than ttlMs
+function createCache({ file, ttlMs, log = noop }) {
+  function load() {
+    try {
+      if (fs.existsSync(file)) {
+        const cache = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (Date.now() - cache.timestamp < ttlMs) {
+          log('✓ Using cached data (fresh)');
+          return cache.data;
+        }
+        log('⚠ Cache expired');
+      }
+    } catch (err) {
+      console.warn('Cache read failed:', err.message);
+    }
+    return null;
+  }
+
+  function save(data) {
+    try {
+      fs.writeFileSync(file, JSON.stringify({ timestamp: Date.now(), data }, null, 2));
+      log('✓ Cache updated');
+    } catch (err) {
+      console.warn('Cache save failed:', err.message);
+    }
+  }
+
+  return { load, save };
+}
+
+// includeErrors: report runs whose jobs couldn't be fetched (and workflows
+// whose runs couldn't be listed) as 'error' rows instead of dropping them.
+// enrichRun(runModel, run): optional async hook whose result is merged into
+// each run object (both dashboards attach failures.js classifications). runNameParser comes from createRunNameParser(config), so
+// the config's run-name templates apply.
+function createCollector({
+  octokit,
+  owner,
+  runNameParser = runName.createRunNameParser(),
+  maxRunsPerWorkflow = 15,
+  concurrentWorkflows = 10,
+  concurrentJobs = 20,
+  includeErrors = false,
+  enrichRun = null,
+  // Jobs waiting for an environment approval (config.durations.approvalJobs)
+  approvalJobs = [],
+  log = noop,
+  // Jobs of runs no listing has returned for this long are forgotten
+  staleAfterMs = 60 * 60 * 1000
+}) {
+  // `${repo}/${workflowId}` -> { etag, data } of the last run listing
+  const listings = new Map();
+  // run id -> { updatedAt, attempt, jobs, seenAt }
+  const jobsCache = new Map();
+
+  async function listRuns(repo, workflowId) {
+    const key = `${repo}/${workflowId}`;
+    const cached = listings.get(key);
+    try {
+      const response = await octokit.actions.listWorkflowRuns({
+        owner, repo, workflow_id: workflowId, per_page: maxRunsPerWorkflow, page: 1,
+        headers: cached ? { 'if-none-match': cached.etag } : {}
+      });
+      if (response.headers.etag) {
+        listings.set(key, { etag: response.headers.etag, data: response.data });
+      }
+      return response.data;
+    } catch (err) {
+      if (err.status === 304 && cached) return cached.data;
+      // Keep showing the last runs we saw rather than none
+      if (cached) {
+        console.warn(`⚠ Run listing failed for ${key}, using the last result:`, err.message);
+        return cached.data;
+      }
+      throw err;
+    }
+  }
+
+  async function fetchJobs(repo, run) {
+    const cached = jobsCache.get(run.id);
+    const attempt = run.run_attempt || 1;
+    if (cached && cached.updatedAt === run.updated_at && cached.attempt === attempt) {
+      cached.seenAt = Date.now();
+      return cached.jobs;
+    }
+
+    const { data: jobsData } = await octokit.actions.listJobsForWorkflowRun({
+      owner, repo, run_id: run.id, per_page: 100
+    });
+    const jobs = jobsData.jobs.map(model.toJobModel);
+    jobsCache.set(run.id, { updatedAt: run.updated_at, attempt, jobs, seenAt: Date.now() });
+    return jobs;
+  }
+
+  // Keeps a cached job list current from outside (e.g. a workflow_job
+  // webhook), so the next refresh doesn't bring back the old job
+  function recordJob(runId, jobModel) {
+    const cached = jobsCache.get(runId);
+    if (!cached) return;
+    const index = cached.jobs.findIndex(job => job.id === jobModel.id);
+    cached.jobs = index === -1
+      ? [...cached.jobs, jobModel]
+      : cached.jobs.map((job, i) => (i === index ? jobModel : job));
+  }
+
+  function pruneJobs() {
+    const cutoff = Date.now() - staleAfterMs;
+    jobsCache.forEach((entry, runId) => {
+      if (entry.seenAt < cutoff) jobsCache.delete(runId);
+    });
+  }
+
+  // Run model of one workflow run; null when its jobs couldn't be fetched
+  // (an 'error' row with includeErrors)
+  async function collectRun(repo, workflowId, run, configAppName, isRelease = false) {
+    const parsed = runNameParser.parse(run.name, { isRelease, appName: configAppName, workflow: workflowId });
+    let jobs;
+    try {
+      jobs = await fetchJobs(repo, run);
+    } catch (jobErr) {
+      console.warn(`⚠ Jobs fetch failed for run ${run.id}:`, jobErr.message);
+      return includeErrors ? model.toRunModel(run, { repo, configAppName, isRelease, jobs: null, parsed }) : null;
+    }
+
+    const runModel = model.toRunModel(run, { repo, configAppName, isRelease, jobs, parsed, approvalJobs });
+    if (enrichRun) {
+      try {
+        Object.assign(runModel, await enrichRun(runModel, run));
+      } catch (err) {
+        console.warn(`⚠ Enriching run ${run.id} failed:`, err.message);
+      }
+    }
+    return runModel;
+  }
+
+  // Recent runs of one workflow
+  async function fetchWorkflowDetails(repo, workflowId, configAppName, isRelease = false) {
+    try {
+      const runs = await listRuns(repo, workflowId);
+
+      if (!runs.workflow_runs?.length) {
+        log(`No runs found for workflow ${workflowId}`);
+        return [];
+      }
+
+      const results = await batchProcess(
+        runs.workflow_runs,
+        run => collectRun(repo, workflowId, run, configAppName, isRelease),
+        concurrentJobs,
+        { log }
+      );
+      return results.filter(r => r.status === 'fulfilled' && r.value).map(r => r.value);
+    } catch (error) {
+      console.error(`⚠ Workflow fetch error for workflow ${workflowId}:`, error.message);
+      return includeErrors ? [model.toErrorRunModel({ owner, repo, configAppName, isRelease })] : [];
+    }
+  }
+
+  async function collect(entries, label, toTask) {
+    log(`⏳ Fetching ${label} for ${entries.length} workflows...`);
+    const start = Date.now();
+
+    const results = await batchProcess(entries, toTask, concurrentWorkflows, { log });
+    const runs = results
+      .filter(r => r.status === 'fulfilled')
+      .flatMap(r => r.value)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    pruneJobs();
+    log(`✓ Fetched ${runs.length} ${label} in ${((Date.now() - start) / 1000).toFixed(2)}s`);
+    return runs;
+  }
+
+  // Build runs of every app in appRepos ({ name, repo, buildWorkflow })
+  function fetchBuildData(appRepos = []) {
+    return collect(appRepos, 'builds', app => fetchWorkflowDetails(app.repo, app.buildWorkflow, app.name, false));
+  }
+
+  // Release runs of every entry in releaseRepos ({ appName, repo, releaseWorkflow })
+  async function fetchReleaseData(releaseRepos = []) {
+    if (!releaseRepos.length) return [];
+    return collect(releaseRepos, 'releases', entry => fetchWorkflowDetails(entry.repo, entry.releaseWorkflow, entry.appName, true));
+  }
+
+  return { collectRun, recordJob, fetchWorkflowDetails, fetchBuildData, fetchReleaseData };
+}
+
+module.exports = { createCollector, createCache, batchProcess, ...model, ...runName, ...githubAuth, ...requestScheduler, ...dora, ...durations, ...traceability, ...logParser, ...failures };
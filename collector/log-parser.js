@@ -0,0 +1,106 @@
+// ═══════════════════════════════════════════════════════════════════════
+// JOB LOG PARSER
+// GitHub job logs are plain text with an ISO timestamp on every line and
+// ##[group]/##[endgroup] markers around collapsible blocks. Lines are
+// assigned to the job's steps by timestamp; without step timings, each
+// top-level group becomes its own section. ANSI colour codes are kept.
+// Used by dashboard2's log viewer and the failure classifier (failures.js).
+// ═══════════════════════════════════════════════════════════════════════
+
+const LINE = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z) ?(.*)$/;
+const GROUP_START = /^(?:\u001b\[[0-9;]*m)*##\[group\](.*)$/;
+const GROUP_END = /^(?:\u001b\[[0-9;]*m)*##\[endgroup\]/;
+const ANSI = /\u001b\[[0-9;]*[A-Za-z]/g;
+
+const stripAnsi = text => text.replace(ANSI, '');
+
+// [{ n, ts, text }] with 1-based line numbers
+function parseLogLines(raw) {
+  const text = String(raw || '').replace(/^\uFEFF/, '');
+  if (!text) return [];
+  const rows = text.split(/\r?\n/);
+  if (rows[rows.length - 1] === '') rows.pop();
+
+  let lastTs = null;
+  return rows.map((row, i) => {
+    const match = row.match(LINE);
+    if (match) lastTs = match[1];
+    return { n: i + 1, ts: match ? match[1] : lastTs, text: match ? match[2] : row };
+  });
+}
+
+function newSection(index, fields) {
+  return { index, groups: [], start: null, end: null, lineCount: 0, ...fields };
+}
+
+// Sections for `lines`, one per step (or per top-level group without steps)
+function splitSections(lines, steps = []) {
+  const timed = steps
+    .filter(step => step.startedAt || step.started_at)
+    .map(step => ({
+      number: step.number,
+      name: step.name,
+      status: step.status,
+      conclusion: step.conclusion,
+      startedAt: step.startedAt || step.started_at,
+      completedAt: step.completedAt || step.completed_at,
+      // Step times are whole seconds; log lines have sub-second precision
+      from: Math.floor(new Date(step.startedAt || step.started_at).getTime() / 1000) * 1000
+    }))
+    .sort((a, b) => a.from - b.from || a.number - b.number);
+
+  const sections = timed.map((step, i) => {
+    const { from, ...fields } = step;
+    return newSection(i, fields);
+  });
+  const fallback = () => {
+    const section = newSection(sections.length, { name: sections.length ? 'Output' : 'Log' });
+    sections.push(section);
+    return section;
+  };
+
+  let current = sections[0] || null;
+  let stepIndex = 0;
+  let depth = 0;
+  const openGroups = [];
+
+  lines.forEach(line => {
+    const groupStart = line.text.match(GROUP_START);
+    const groupEnd = GROUP_END.test(line.text);
+
+    if (timed.length) {
+      const at = line.ts ? new Date(line.ts).getTime() : null;
+      while (at !== null && stepIndex + 1 < timed.length && timed[stepIndex + 1].from <= at) {
+        stepIndex++;
+      }
+      if (sections[stepIndex] !== current) {
+        current = sections[stepIndex];
+        openGroups.length = 0;
+      }
+    } else if (groupStart && depth === 0) {
+      current = newSection(sections.length, { name: stripAnsi(groupStart[1]).trim() || 'Group' });
+      sections.push(current);
+    } else if (!current) {
+      current = fallback();
+    }
+
+    if (current.start === null) current.start = line.n;
+    current.end = line.n;
+    current.lineCount++;
+
+    if (groupStart) {
+      const group = { title: stripAnsi(groupStart[1]).trim(), start: line.n, end: null };
+      current.groups.push(group);
+      openGroups.push(group);
+      depth++;
+    } else if (groupEnd) {
+      const group = openGroups.pop();
+      if (group) group.end = line.n;
+      depth = Math.max(depth - 1, 0);
+    }
+  });
+
+  return sections.filter(section => section.lineCount || section.status === 'in_progress');
+}
+
+module.exports = { parseLogLines, splitSections, stripAnsi };
@@ -0,0 +1,213 @@
+// ═══════════════════════════════════════════════════════════════════════
+// GITHUB REQUEST SCHEDULER
+// Every GitHub API request of a client made by createGithubClient() is
+// queued here. The scheduler:
+//
+//   - tracks each token's budget from the x-ratelimit-* response headers
+//     (one budget per token and resource: core, search, graphql)
+//   - sends at most `concurrency` requests at once, interactive ones first
+//   - keeps the last `reserve` requests of a budget for interactive and
+//     normal work; background requests wait for the reset instead
+//   - backs off on secondary rate limits (retry-after, else one minute,
+//     doubling) and retries the request up to maxRetries times
+//
+// Priorities come from the async context: code run inside
+// withPriority('interactive' | 'normal' | 'background', fn) has its
+// requests queued at that priority, 'normal' otherwise. A request that
+// would wait longer than its priority's maxWaitMs is rejected with status
+// 429 instead of being sent.
+// ═══════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const PRIORITIES = ['interactive', 'normal', 'background'];
+const DEFAULT_MAX_WAIT_MS = { interactive: 30 * 1000, normal: 2 * 60 * 1000, background: 10 * 60 * 1000 };
+const SECONDARY_BACKOFF_MS = 60 * 1000;
+
+function resourceOf(route = '') {
+  if (/^(GET |POST )?\/search\//.test(route)) return 'search';
+  if (/^(POST )?\/graphql/.test(route)) return 'graphql';
+  return 'core';
+}
+
+function isSecondaryLimit(err) {
+  const headers = err.response?.headers || {};
+  if (![403, 429].includes(err.status) || headers['x-ratelimit-remaining'] === '0') return false;
+  return Boolean(headers['retry-after']) || /secondary rate limit/i.test(err.message || '');
+}
+
+function createRequestScheduler({
+  concurrency = 8,
+  reserve = 200,
+  maxRetries = 3,
+  maxWaitMs = {},
+  log = console.log,
+  now = Date.now
+} = {}) {
+  const waitLimits = { ...DEFAULT_MAX_WAIT_MS, ...maxWaitMs };
+  const context = new AsyncLocalStorage();
+  const buckets = new Map();
+  const queue = [];
+  const stats = { sent: 0, retried: 0, rejected: 0, secondaryLimits: 0 };
+  let inFlight = 0;
+  let sequence = 0;
+  let timer = null;
+
+  function withPriority(priority, fn) {
+    if (!PRIORITIES.includes(priority)) throw new Error(`Unknown request priority "${priority}"`);
+    return context.run({ priority }, fn);
+  }
+
+  function currentPriority() {
+    return context.getStore()?.priority || 'normal';
+  }
+
+  // Budget of one token for one resource
+  function bucketFor(token, owner, resource) {
+    const fingerprint = token ? crypto.createHash('sha256').update(token).digest('hex').slice(0, 8) : 'anonymous';
+    const key = `${fingerprint}:${resource}`;
+    if (!buckets.has(key)) {
+      buckets.set(key, { resource, owners: new Set(), limit: null, remaining: null, used: null, resetAt: 0, blockedUntil: 0 });
+    }
+    const bucket = buckets.get(key);
+    if (owner) bucket.owners.add(owner);
+    return bucket;
+  }
+
+  function recordHeaders(bucket, headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) return;
+    bucket.limit = Number(headers['x-ratelimit-limit']);
+    bucket.remaining = Number(headers['x-ratelimit-remaining']);
+    bucket.used = Number(headers['x-ratelimit-used']) || bucket.limit - bucket.remaining;
+    bucket.resetAt = Number(headers['x-ratelimit-reset']) * 1000;
+  }
+
+  // How long a request of this priority has to wait for the bucket (0: send now)
+  function waitFor(bucket, priority) {
+    const time = now();
+    if (bucket.blockedUntil > time) return bucket.blockedUntil - time;
+    if (bucket.remaining !== null && bucket.resetAt > time) {
+      const floor = priority === 'background' ? reserve : 0;
+      if (bucket.remaining <= floor) return bucket.resetAt - time;
+    }
+    return 0;
+  }
+
+  function reject(item, wait) {
+    stats.rejected++;
+    const err = new Error(`GitHub rate limit: ${item.priority} request not sent, budget available again at ${new Date(now() + wait).toISOString()}`);
+    err.status = 429;
+    err.rateLimited = true;
+    item.reject(err);
+  }
+
+  function pump() {
+    clearTimeout(timer);
+    timer = null;
+    queue.sort((a, b) => a.rank - b.rank || a.seq - b.seq);
+
+    let nextCheck = Infinity;
+    for (let i = 0; i < queue.length && inFlight < concurrency;) {
+      const item = queue[i];
+      const wait = waitFor(item.bucket, item.priority);
+      if (wait === 0) {
+        queue.splice(i, 1);
+        dispatch(item);
+      } else if (now() - item.queuedAt + wait > waitLimits[item.priority]) {
+        queue.splice(i, 1);
+        reject(item, wait);
+      } else {
+        nextCheck = Math.min(nextCheck, wait);
+        i++;
+      }
+    }
+
+    if (queue.length && nextCheck !== Infinity) {
+      timer = setTimeout(pump, nextCheck);
+    }
+  }
+
+  function dispatch(item) {
+    inFlight++;
+    stats.sent++;
+    if (item.bucket.remaining !== null) item.bucket.remaining--;
+
+    Promise.resolve()
+      .then(item.task)
+      .then(response => {
+        recordHeaders(item.bucket, response?.headers);
+        item.resolve(response);
+      }, err => {
+        recordHeaders(item.bucket, err.response?.headers);
+        if (!isSecondaryLimit(err)) return item.reject(err);
+
+        stats.secondaryLimits++;
+        const retryAfter = Number(err.response.headers['retry-after']);
+        const delay = retryAfter ? retryAfter * 1000 : SECONDARY_BACKOFF_MS * 2 ** item.attempt;
+        item.bucket.blockedUntil = Math.max(item.bucket.blockedUntil, now() + delay);
+        if (item.attempt >= maxRetries) return item.reject(err);
+
+        log(`⏳ GitHub secondary rate limit → retrying ${item.route} in ${Math.ceil(delay / 1000)}s`);
+        stats.retried++;
+        item.attempt++;
+        item.queuedAt = now();
+        queue.push(item);
+      })
+      .finally(() => {
+        inFlight--;
+        pump();
+      });
+  }
+
+  // Queues task() (which sends one request) against the budget of token
+  function schedule(task, { token, owner, route } = {}) {
+    const priority = currentPriority();
+    return new Promise((resolve, reject) => {
+      queue.push({
+        task, route, priority,
+        rank: PRIORITIES.indexOf(priority),
+        seq: sequence++,
+        bucket: bucketFor(token, owner, resourceOf(route)),
+        attempt: 0,
+        queuedAt: now(),
+        resolve, reject
+      });
+      pump();
+    });
+  }
+
+  // Until when requests of this priority would be held (0: not held)
+  function heldUntil(priority = 'background') {
+    let until = 0;
+    buckets.forEach(bucket => {
+      const wait = waitFor(bucket, priority);
+      if (wait > 0) until = Math.max(until, now() + wait);
+    });
+    return until;
+  }
+
+  function status() {
+    const queued = Object.fromEntries(PRIORITIES.map(p => [p, queue.filter(item => item.priority === p).length]));
+    return {
+      concurrency,
+      reserve,
+      inFlight,
+      queued,
+      stats: { ...stats },
+      budgets: [...buckets.values()].map(bucket => ({
+        resource: bucket.resource,
+        owners: [...bucket.owners],
+        limit: bucket.limit,
+        remaining: bucket.remaining,
+        used: bucket.used,
+        resetAt: bucket.resetAt ? new Date(bucket.resetAt).toISOString() : null,
+        blockedUntil: bucket.blockedUntil > now() ? new Date(bucket.blockedUntil).toISOString() : null
+      }))
+    };
+  }
+
+  return { schedule, withPriority, currentPriority, heldUntil, status };
+}
+
+module.exports = { createRequestScheduler, PRIORITIES };
@@ -0,0 +1,167 @@
+// ═══════════════════════════════════════════════════════════════════════
+// RUN MODEL
+// Turns GitHub workflow runs and jobs into the run objects shown by both
+// dashboards. App, branch, version and commit come from the run name
+// (see run-name.js); anything the name doesn't carry is taken from the
+// run itself. `duration` is the time the run's jobs were executing; the
+// split into queued, waiting and executing is in `durations` (durations.js).
+// ═══════════════════════════════════════════════════════════════════════
+
+const { parseRunName } = require('./run-name');
+const { runDurations } = require('./durations');
+
+// Build version from the commit message or run name, else the run number
+function extractVersion(run) {
+  const commitMsg = run.display_title || run.head_commit?.message || '';
+  const versionMatch = commitMsg.match(/v?(\d+\.\d+\.\d+(?:-[\w.]+)?)/i);
+  if (versionMatch) return versionMatch[1];
+
+  const runName = run.name || '';
+  const runVersionMatch = runName.match(/v?(\d+\.\d+\.\d+(?:-[\w.]+)?)/i);
+  if (runVersionMatch) return runVersionMatch[1];
+
+  return `build-${run.run_number || 'unknown'}`;
+}
+
+// Released artifact ("image: app:1.2.3", "tag 1.2.3") from the commit message
+function extractArtifactVersion(run) {
+  const commitMsg = run.display_title || run.head_commit?.message || '';
+  const artifactMatch = commitMsg.match(/(?:artifact|image|docker):\s*([^\s,]+)/i);
+  if (artifactMatch) return artifactMatch[1];
+
+  const tagMatch = commitMsg.match(/tag[:\s]+([^\s,]+)/i);
+  if (tagMatch) return tagMatch[1];
+
+  return extractVersion(run);
+}
+
+// Source commit a release was built from, else the release run's own commit
+function extractSourceCommit(run) {
+  const commitMsg = run.display_title || run.head_commit?.message || '';
+  const sourceCommitMatch = commitMsg.match(/(?:source|from|commit)[:\s]+([a-f0-9]{7,40})/i);
+  if (sourceCommitMatch) return sourceCommitMatch[1].substring(0, 7);
+
+  return run.head_sha?.substring(0, 7) || 'N/A';
+}
+
+// 83000 -> "1m 23s", 7384000 -> "2h 3m"
+function formatMs(ms) {
+  if (ms === null || ms === undefined) return 'N/A';
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+function formatDuration(startedAt, completedAt) {
+  if (!startedAt || !completedAt) return 'N/A';
+  return formatMs(new Date(completedAt) - new Date(startedAt));
+}
+
+const elapsedMs = (start, end) => (start && end ? Math.max(0, new Date(end) - new Date(start)) : null);
+
+function toJobModel(job) {
+  return {
+    id: job.id,
+    name: job.name,
+    conclusion: job.conclusion || job.status,
+    status: job.status,
+    createdAt: job.created_at || null,
+    startedAt: job.started_at,
+    completedAt: job.completed_at,
+    duration: formatDuration(job.started_at, job.completed_at),
+    durationMs: elapsedMs(job.started_at, job.completed_at),
+    queuedMs: elapsedMs(job.created_at, job.started_at),
+    htmlUrl: job.html_url,
+    steps: job.steps?.map(step => ({
+      name: step.name,
+      status: step.status,
+      conclusion: step.conclusion,
+      number: step.number,
+      // Log lines are matched to steps by these (log-parser.js)
+      startedAt: step.started_at || null,
+      completedAt: step.completed_at || null,
+      durationMs: elapsedMs(step.started_at, step.completed_at)
+    })) || []
+  };
+}
+
+// Run object for a workflow run. `jobs` is null when they couldn't be
+// fetched; the run is then reported with status 'error'. `parsed` is the
+// parsed run name, by default parsed with the default templates.
+// approvalJobs names the jobs that wait for an environment approval.
+function toRunModel(run, { repo, configAppName, isRelease = false, jobs = [], parsed = parseRunName(run.name, isRelease), approvalJobs = [] }) {
+  const failed = jobs === null;
+  const durations = runDurations(run, jobs || [], { approvalJobs });
+
+  return {
+    appName: parsed?.appName || configAppName,
+    repo,
+    type: isRelease ? 'Release' : 'Build',
+    workflow: run.path ? run.path.split('/').pop() : null,
+    version: parsed?.version || (isRelease ? extractArtifactVersion(run) : extractVersion(run)),
+    branch: parsed?.branch || run.head_branch || 'N/A',
+    status: failed ? 'error' : run.status || 'unknown',
+    conclusion: failed ? 'error' : run.conclusion || run.status,
+    createdAt: run.created_at || new Date().toISOString(),
+    startedAt: run.run_started_at || null,
+    updatedAt: run.updated_at || run.created_at,
+    duration: failed ? 'N/A' : formatMs(durations.executingMs),
+    durations,
+    triggeredBy: run.triggering_actor?.login || run.actor?.login || 'System',
+    event: run.event || 'unknown',
+    link: run.html_url,
+    commitSha: parsed?.commit || (isRelease ? extractSourceCommit(run) : run.head_sha?.substring(0, 7) || 'N/A'),
+    commitMessage: run.display_title || run.head_commit?.message || 'N/A',
+    commitAt: run.head_commit?.timestamp || null,
+    jobs: jobs || [],
+    runNumber: run.run_number || 0,
+    attempt: run.run_attempt || 1,
+    runId: run.id,
+    runName: run.name || 'N/A'
+  };
+}
+
+// Placeholder row for a workflow whose runs couldn't be listed
+function toErrorRunModel({ owner, repo, configAppName, isRelease = false }) {
+  const now = new Date().toISOString();
+  return {
+    appName: configAppName,
+    repo,
+    type: isRelease ? 'Release' : 'Build',
+    workflow: null,
+    version: 'unknown',
+    branch: 'N/A',
+    status: 'error',
+    conclusion: 'error',
+    createdAt: now,
+    startedAt: null,
+    updatedAt: now,
+    duration: 'N/A',
+    durations: { totalMs: null, queuedMs: null, waitingMs: null, executingMs: null },
+    triggeredBy: 'Unknown',
+    event: 'error',
+    link: `https://github.com/${owner}/${repo}/actions`,
+    commitSha: 'N/A',
+    commitMessage: 'Error fetching data',
+    commitAt: null,
+    jobs: [],
+    runNumber: 0,
+    attempt: 1,
+    runId: null,
+    runName: 'N/A'
+  };
+}
+
+module.exports = {
+  extractVersion,
+  extractArtifactVersion,
+  extractSourceCommit,
+  formatMs,
+  formatDuration,
+  toJobModel,
+  toRunModel,
+  toErrorRunModel
+};
@@ -0,0 +1,190 @@
+// ═══════════════════════════════════════════════════════════════════════
+// RUN-NAME GRAMMAR
+// Run names carry the app, branch, version and commit of a run, in a
+// format set by each workflow's `run-name:`. Formats are declared as
+// templates with named placeholders:
+//
+//   '{branch}-{appName}-build-{version}'
+//   '{environment}-{appName}-release-{version}-{commit}'
+//
+// A placeholder matches as little as it can unless it carries its own
+// pattern, as in '{version:[^-]+}'. {appName} prefers configured app
+// names, so hyphenated names like payment-service parse correctly.
+// {environment} is turned into a branch through config.runNames
+// environmentBranches (prod -> main by default).
+//
+// Templates are looked up on the app's appRepos/releaseRepos entry
+// (runName), then config.runNames.workflows[<workflow file>], then
+// config.runNames.build/release. Names no template matches fall back to
+// splitting on the "build"/"release" keyword.
+// ═══════════════════════════════════════════════════════════════════════
+
+const DEFAULT_TEMPLATES = {
+  build: '{branch}-{appName}-build-{version}',
+  release: '{environment}-{appName}-release-{version}-{commit}'
+};
+const DEFAULT_ENVIRONMENT_BRANCHES = { prod: 'main' };
+
+const PLACEHOLDER_PATTERNS = {
+  commit: '[a-f0-9]{7,40}',
+  appName: '[^-]+'
+};
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// [{ literal } | { name, pattern }] parts of a template. Patterns may
+// contain braces themselves ('{commit:[a-f0-9]{7,}}').
+function tokenize(template) {
+  const parts = [];
+  let i = 0;
+  while (i < template.length) {
+    const open = template.indexOf('{', i);
+    if (open === -1) {
+      parts.push({ literal: template.slice(i) });
+      break;
+    }
+    if (open > i) parts.push({ literal: template.slice(i, open) });
+
+    let depth = 0;
+    let close = open;
+    for (; close < template.length; close++) {
+      if (template[close] === '{') depth++;
+      if (template[close] === '}' && --depth === 0) break;
+    }
+    if (depth !== 0) throw new Error(`Unclosed placeholder in run-name template "${template}"`);
+
+    const body = template.slice(open + 1, close);
+    const colon = body.indexOf(':');
+    const name = colon === -1 ? body : body.slice(0, colon);
+    if (!/^[A-Za-z_]\w*$/.test(name)) {
+      throw new Error(`Invalid placeholder "{${body}}" in run-name template "${template}"`);
+    }
+    parts.push({ name, pattern: colon === -1 ? null : body.slice(colon + 1) });
+    i = close + 1;
+  }
+  return parts;
+}
+
+// RegExp for a template; {appName} is limited to `apps` when given
+function compileTemplate(template, apps = []) {
+  const seen = new Set();
+  const source = tokenize(template).map(part => {
+    if (part.literal !== undefined) return escapeRegex(part.literal);
+    if (seen.has(part.name)) throw new Error(`Placeholder {${part.name}} appears twice in "${template}"`);
+    seen.add(part.name);
+
+    let pattern = part.pattern || PLACEHOLDER_PATTERNS[part.name] || '.+?';
+    if (part.name === 'appName' && !part.pattern && apps.length) {
+      // Longest first, so "payment-service" wins over "payment"
+      pattern = [...apps].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+    }
+    return `(?<${part.name}>${pattern})`;
+  }).join('');
+
+  try {
+    return new RegExp(`^${source}$`, 'i');
+  } catch (err) {
+    throw new Error(`Invalid run-name template "${template}": ${err.message}`);
+  }
+}
+
+// Legacy parsing for names no template matches: the app is the part just
+// before the keyword, the branch everything before that
+function parseByKeyword(runName, isRelease) {
+  const keyword = isRelease ? 'release' : 'build';
+  const parts = runName.split('-');
+  const keywordIdx = parts.findIndex(p => p.toLowerCase() === keyword);
+  if (parts.length < (isRelease ? 5 : 4) || keywordIdx < 2) return null;
+
+  return {
+    branch: parts.slice(0, keywordIdx - 1).join('-') || 'N/A',
+    appName: parts[keywordIdx - 1] || 'Unknown',
+    version: isRelease
+      ? parts[keywordIdx + 1] || 'unknown'
+      : parts.slice(keywordIdx + 1).join('-') || 'unknown',
+    commit: isRelease ? parts[parts.length - 1]?.substring(0, 7) || 'N/A' : null
+  };
+}
+
+// config: { runNames, appRepos, releaseRepos } (the dashboard config)
+function createRunNameParser({ runNames = {}, appRepos = [], releaseRepos = [] } = {}) {
+  const environmentBranches = { ...DEFAULT_ENVIRONMENT_BRANCHES, ...(runNames.environmentBranches || {}) };
+  const apps = [...new Set([...appRepos.map(a => a.name), ...releaseRepos.map(r => r.appName)].filter(Boolean))];
+  const compiled = new Map();
+
+  // [known-apps RegExp, any-app RegExp] for a template, compiled once
+  function compile(template) {
+    if (!compiled.has(template)) {
+      compiled.set(template, [compileTemplate(template, apps), compileTemplate(template)]);
+    }
+    return compiled.get(template);
+  }
+
+  const asList = value => (Array.isArray(value) ? value : value ? [value] : []);
+
+  // Templates that apply to a run, most specific first
+  function templatesFor({ isRelease = false, appName, workflow } = {}) {
+    const entry = isRelease
+      ? releaseRepos.find(r => r.appName === appName && (!workflow || r.releaseWorkflow === workflow))
+      : appRepos.find(a => a.name === appName && (!workflow || a.buildWorkflow === workflow));
+    return [...new Set([
+      ...asList(entry?.runName),
+      ...asList(workflow && runNames.workflows?.[workflow]),
+      ...asList(runNames[isRelease ? 'release' : 'build'] || DEFAULT_TEMPLATES[isRelease ? 'release' : 'build'])
+    ])];
+  }
+
+  function toBranch(value) {
+    return environmentBranches[value] || environmentBranches[value.toLowerCase()] || value;
+  }
+
+  // { appName, branch, version, commit, environment, template } or null.
+  // template is null when only the keyword fallback matched.
+  function parse(runName, options = {}) {
+    if (!runName) return null;
+
+    for (const template of templatesFor(options)) {
+      for (const regex of compile(template)) {
+        const match = runName.match(regex);
+        if (!match) continue;
+
+        const { appName, branch, environment, version, commit, ...extra } = match.groups;
+        return {
+          ...extra,
+          appName: appName ? appName.trim() : null,
+          branch: toBranch((branch ?? environment ?? '').trim()) || null,
+          environment: environment ? environment.trim() : null,
+          version: version ? version.trim() : null,
+          commit: commit ? commit.trim().substring(0, 7) : null,
+          template
+        };
+      }
+    }
+
+    const parsed = parseByKeyword(runName, options.isRelease);
+    return parsed ? { ...parsed, branch: toBranch(parsed.branch), environment: null, template: null } : null;
+  }
+
+  // Throws on the first template that doesn't compile
+  function validateTemplates() {
+    const templates = new Set([
+      DEFAULT_TEMPLATES.build, DEFAULT_TEMPLATES.release,
+      ...asList(runNames.build), ...asList(runNames.release),
+      ...Object.values(runNames.workflows || {}).flatMap(asList),
+      ...appRepos.flatMap(a => asList(a.runName)),
+      ...releaseRepos.flatMap(r => asList(r.runName))
+    ]);
+    templates.forEach(compile);
+    return [...templates];
+  }
+
+  return { parse, templatesFor, validateTemplates };
+}
+
+const defaultParser = createRunNameParser();
+
+// Run name parsed with the default templates
+function parseRunName(runName, isRelease = false) {
+  return defaultParser.parse(runName, { isRelease });
+}
+
+module.exports = { createRunNameParser, compileTemplate, parseRunName, DEFAULT_TEMPLATES };
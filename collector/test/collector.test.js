@@ -0,0 +1,111 @@
+// fetchWorkflowDetails against a fake Octokit replaying recorded responses
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCollector } = require('..');
+const { fakeOctokit, fixture } = require('./fake-octokit');
+
+// listWorkflowRuns answers with `listing` (a function of the request, so a
+// test can return 304s), listJobsForWorkflowRun with the recorded jobs for
+// the first run and none for the others
+function recordedOctokit({ listing = () => ({ data: fixture('list-workflow-runs'), headers: { etag: 'W/"runs-1"' } }), jobs } = {}) {
+  return fakeOctokit({
+    'actions.listWorkflowRuns': listing,
+    'actions.listJobsForWorkflowRun': jobs || (params => ({
+      data: params.run_id === 9203344718 ? fixture('list-jobs-for-workflow-run') : { total_count: 0, jobs: [] }
+    }))
+  });
+}
+
+const notModified = () => Object.assign(new Error('Not Modified'), { status: 304 });
+
+test('returns a run model per listed run, in listing order', async () => {
+  const { octokit, calls } = recordedOctokit();
+  const collector = createCollector({ octokit, owner: 'dpdeepankar', maxRunsPerWorkflow: 3 });
+
+  const runs = await collector.fetchWorkflowDetails('githubActionsBuildRepo', 'app1-build.yml', 'app1');
+
+  assert.deepEqual(runs.map(run => run.runId), [9203344718, 9203120055, 9202981113]);
+  assert.deepEqual(runs.map(run => run.branch), ['dev01', 'feature-login', 'main']);
+  assert.equal(runs[0].jobs.length, 2);
+  assert.equal(runs[0].durations.executingMs, 245000);
+  assert.deepEqual(calls.listWorkflowRuns[0], {
+    owner: 'dpdeepankar', repo: 'githubActionsBuildRepo', workflow_id: 'app1-build.yml', per_page: 3, page: 1, headers: {}
+  });
+  assert.equal(calls.listJobsForWorkflowRun.length, 3);
+});
+
+test('parses release runs with the release templates', async () => {
+  const { octokit } = recordedOctokit({ listing: () => ({ data: fixture('list-release-runs'), headers: {} }) });
+  const collector = createCollector({ octokit, owner: 'dpdeepankar' });
+
+  const [prod, dev] = await collector.fetchWorkflowDetails('githubActionsReleaseRepo', 'app-release.yml', 'app1', true);
+
+  assert.equal(prod.type, 'Release');
+  assert.equal(prod.branch, 'main');
+  assert.equal(prod.commitSha, '4f7c2a9');
+  assert.equal(dev.branch, 'dev01');
+  assert.equal(dev.version, '9203344718');
+});
+
+test('reuses the last listing on a 304 and skips jobs of unchanged runs', async () => {
+  let calls = 0;
+  const { octokit, calls: recorded } = recordedOctokit({
+    listing: () => {
+      calls++;
+      if (calls > 1) throw notModified();
+      return { data: fixture('list-workflow-runs'), headers: { etag: 'W/"runs-1"' } };
+    }
+  });
+  const collector = createCollector({ octokit, owner: 'dpdeepankar' });
+
+  await collector.fetchWorkflowDetails('githubActionsBuildRepo', 'app1-build.yml', 'app1');
+  const runs = await collector.fetchWorkflowDetails('githubActionsBuildRepo', 'app1-build.yml', 'app1');
+
+  assert.equal(runs.length, 3);
+  assert.deepEqual(recorded.listWorkflowRuns[1].headers, { 'if-none-match': 'W/"runs-1"' });
+  assert.equal(recorded.listJobsForWorkflowRun.length, 3);
+});
+
+test('drops runs whose jobs fail, or reports them with includeErrors', async () => {
+  const jobs = params => {
+    if (params.run_id === 9203120055) throw Object.assign(new Error('Server Error'), { status: 502 });
+    return { data: { total_count: 0, jobs: [] }, headers: {} };
+  };
+
+  const dropped = await createCollector({ octokit: recordedOctokit({ jobs }).octokit, owner: 'dpdeepankar' })
+    .fetchWorkflowDetails('githubActionsBuildRepo', 'app1-build.yml', 'app1');
+  const reported = await createCollector({ octokit: recordedOctokit({ jobs }).octokit, owner: 'dpdeepankar', includeErrors: true })
+    .fetchWorkflowDetails('githubActionsBuildRepo', 'app1-build.yml', 'app1');
+
+  assert.deepEqual(dropped.map(run => run.runId), [9203344718, 9202981113]);
+  assert.deepEqual(reported.map(run => run.status), ['completed', 'error', 'in_progress']);
+});
+
+test('reports a workflow whose runs cannot be listed', async () => {
+  const listing = () => {
+    throw Object.assign(new Error('Not Found'), { status: 404 });
+  };
+
+  const silent = await createCollector({ octokit: recordedOctokit({ listing }).octokit, owner: 'dpdeepankar' })
+    .fetchWorkflowDetails('githubActionsBuildRepo', 'missing.yml', 'app1');
+  const [row] = await createCollector({ octokit: recordedOctokit({ listing }).octokit, owner: 'dpdeepankar', includeErrors: true })
+    .fetchWorkflowDetails('githubActionsBuildRepo', 'missing.yml', 'app1');
+
+  assert.deepEqual(silent, []);
+  assert.equal(row.status, 'error');
+  assert.equal(row.appName, 'app1');
+});
+
+test('merges what enrichRun returns into each run', async () => {
+  const { octokit } = recordedOctokit();
+  const collector = createCollector({
+    octokit,
+    owner: 'dpdeepankar',
+    enrichRun: async runModel => (runModel.conclusion === 'failure' ? { failure: { category: 'test' } } : {})
+  });
+
+  const runs = await collector.fetchWorkflowDetails('githubActionsBuildRepo', 'app1-build.yml', 'app1');
+
+  assert.deepEqual(runs.map(run => run.failure?.category || null), [null, 'test', null]);
+});
@@ -0,0 +1,62 @@
+// DORA metrics (dora.js) over recorded build and release run models
+// (fixtures/dora-runs.json): two weeks of production releases of three apps
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeDora, matchSourceBuild } = require('..');
+
+const { from, to, builds, releases } = require('./fixtures/dora-runs.json');
+const HOUR_MS = 60 * 60 * 1000;
+const release = runId => releases.find(run => run.runId === runId);
+
+test('joins a release to its build by run id before the commit', () => {
+  // The run id in the version wins over a commit no build has
+  assert.equal(matchSourceBuild(release(9200000002), builds).runId, 9100000001);
+  // 1.4.0 is no run id: the build of the same commit
+  assert.equal(matchSourceBuild(release(9200000003), builds).runId, 9100000002);
+  // Rebuilt commit: the latest build started before the release, not the one after
+  assert.equal(matchSourceBuild(release(9200000004), builds).runId, 9100000004);
+  // Another app's build id is no match, and neither is an unknown commit
+  assert.equal(matchSourceBuild({ ...release(9200000002), appName: 'app2' }, builds), null);
+  assert.equal(matchSourceBuild(release(9200000007), builds), null);
+});
+
+test('counts production deployments and failures in the window', () => {
+  const dora = computeDora({ builds, releases, from, to });
+
+  assert.equal(dora.from, '2026-10-01T00:00:00.000Z');
+  assert.equal(dora.deployments, 4);
+  assert.deepEqual(dora.deploymentFrequency, { perDay: 0.29, perWeek: 2 });
+  // dev01, cancelled and in-progress runs, and runs outside the window don't count
+  assert.deepEqual(dora.changeFailureRate, { failed: 4, total: 8, rate: 50 });
+});
+
+test('measures lead time from the build\'s commit, else its creation', () => {
+  const { leadTime } = computeDora({ builds, releases, from, to });
+
+  // 6h (commit time), 24h (commit time), 25h (build creation); 2.0.2 has no build
+  assert.deepEqual(leadTime, { medianMs: 24 * HOUR_MS, meanMs: Math.round(55 * HOUR_MS / 3), samples: 3, unmatched: 1 });
+});
+
+test('restores failure streaks that start in the window, even after it ends', () => {
+  const { timeToRestore } = computeDora({ builds, releases, from, to });
+
+  // app2: first of two failures 10-08 00:00, restored 10-10 00:00 (48h).
+  // app1: failed 10-14 12:00, restored after the window on 10-16 (36h).
+  // app1's streak from 09-30 started before the window; app3 is still failing.
+  assert.deepEqual(timeToRestore, { medianMs: 42 * HOUR_MS, meanMs: 42 * HOUR_MS, samples: 2, unrestored: 1 });
+
+  // A window starting inside the 09-30 streak doesn't count it either
+  const late = computeDora({ builds, releases, from: '2026-09-30T23:00:00Z', to: '2026-10-02T00:00:00Z' });
+  assert.deepEqual(late.timeToRestore, { medianMs: null, meanMs: null, samples: 0, unrestored: 0 });
+  const early = computeDora({ builds, releases, from: '2026-09-30T00:00:00Z', to: '2026-10-02T00:00:00Z' });
+  assert.deepEqual(early.timeToRestore, { medianMs: 4 * HOUR_MS, meanMs: 4 * HOUR_MS, samples: 1, unrestored: 0 });
+});
+
+test('reports empty metrics without releases', () => {
+  const dora = computeDora({ builds, releases: [], from, to });
+
+  assert.equal(dora.deployments, 0);
+  assert.equal(dora.changeFailureRate.rate, null);
+  assert.deepEqual(dora.leadTime, { medianMs: null, meanMs: null, samples: 0, unmatched: 0 });
+});
@@ -0,0 +1,67 @@
+// Run durations (durations.js) split into queued, waiting and executing time
+// for recorded runs and jobs (fixtures/list-*.json), and their percentiles
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runDurations, durationStats, percentile, mergeIntervals, toJobModel, toRunModel } = require('..');
+
+const buildRun = require('./fixtures/list-workflow-runs.json').workflow_runs.find(run => run.id === 9203344718);
+const releaseRun = require('./fixtures/list-release-runs.json').workflow_runs.find(run => run.id === 9203590021);
+const buildJobs = require('./fixtures/list-jobs-for-workflow-run.json').jobs.map(toJobModel);
+const releaseJobs = require('./fixtures/list-jobs-release-approval.json').jobs.map(toJobModel);
+
+const SECOND_MS = 1000;
+const seconds = durations => Object.fromEntries(Object.entries(durations).map(([key, ms]) => [key, ms / SECOND_MS]));
+
+test('splits a build into runner queue time and executing jobs', () => {
+  // build 09:12:14-09:14:20, push 09:14:40-09:16:39 in a run of 09:12:03-09:16:41
+  assert.deepEqual(seconds(runDurations(buildRun, buildJobs)), { totalMs: 278, queuedMs: 33, waitingMs: 0, executingMs: 245 });
+});
+
+test('counts parallel jobs once and an approval job\'s wait as waiting', () => {
+  const durations = runDurations(releaseRun, releaseJobs, { approvalJobs: ['deploy-prod'] });
+
+  // notify runs alongside deploy-dlv; deploy-prod waits 10:05:01-10:18:00 for its reviewers
+  assert.deepEqual(seconds(durations), { totalMs: 1260, queuedMs: 36, waitingMs: 779, executingMs: 445 });
+  // Not named as an approval job, the wait is runner queue time
+  assert.deepEqual(seconds(runDurations(releaseRun, releaseJobs)), { totalMs: 1260, queuedMs: 815, waitingMs: 0, executingMs: 445 });
+});
+
+test('measures a run still waiting for approval until now', () => {
+  const running = { ...releaseRun, status: 'in_progress', conclusion: null };
+  const waitingJob = { ...releaseJobs[3], status: 'waiting', conclusion: 'waiting', startedAt: null, completedAt: null };
+  const jobs = [...releaseJobs.slice(0, 3), waitingJob];
+  const now = Date.parse('2026-10-18T10:10:00Z');
+
+  // GitHub's 'waiting' status marks the approval even without approvalJobs
+  assert.deepEqual(seconds(runDurations(running, jobs, { now })), { totalMs: 600, queuedMs: 26, waitingMs: 299, executingMs: 275 });
+});
+
+test('falls back to run_started_at without jobs', () => {
+  const run = { ...releaseRun, run_started_at: '2026-10-18T10:00:30Z' };
+
+  assert.deepEqual(seconds(runDurations(run)), { totalMs: 1260, queuedMs: 30, waitingMs: 0, executingMs: 1230 });
+  assert.deepEqual(runDurations({ ...run, created_at: null }), { totalMs: null, queuedMs: null, waitingMs: null, executingMs: null });
+});
+
+test('reports executing time as the run model\'s duration', () => {
+  const model = toRunModel(releaseRun, { repo: 'githubActionsReleaseRepo', isRelease: true, jobs: releaseJobs, approvalJobs: ['deploy-prod'] });
+
+  assert.equal(model.duration, '7m 25s');
+  assert.equal(model.durations.waitingMs, 779 * SECOND_MS);
+});
+
+test('merges overlapping intervals and takes nearest-rank percentiles', () => {
+  assert.deepEqual(mergeIntervals([[5, 9], [1, 3], [2, 4], [9, 10], [7, 7], [null, 3]]), [[1, 4], [5, 10]]);
+
+  // Seconds to minutes: a run under a minute counts like any other
+  const values = [45, 62, 75, 90, 120, 130, 150, 200, 240, 600].map(s => s * SECOND_MS);
+  assert.equal(percentile(values, 50), 120 * SECOND_MS);
+  assert.equal(percentile(values, 90), 240 * SECOND_MS);
+  assert.equal(percentile(values, 99), 600 * SECOND_MS);
+  assert.equal(percentile([], 50), null);
+  assert.deepEqual(durationStats([...values, null, undefined]), {
+    count: 10, meanMs: 171200, p50: 120 * SECOND_MS, p90: 240 * SECOND_MS, p99: 600 * SECOND_MS
+  });
+  assert.deepEqual(durationStats([]), { count: 0, meanMs: null, p50: null, p90: null, p99: null });
+});
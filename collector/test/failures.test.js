@@ -0,0 +1,86 @@
+// Failure classification of recorded failed runs, through the collector's
+// enrichRun hook as both dashboards wire it
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCollector, createFailureClassifier, createJobLogReader } = require('..');
+const { fakeOctokit, fixture } = require('./fake-octokit');
+
+const PUSH_LOG = fs.readFileSync(path.join(__dirname, 'fixtures', 'push-job-failed.log'), 'utf8');
+const FAILED_RUN = 9203120055;
+
+// Recorded listing; the failed run's push job fails with PUSH_LOG
+function recordedOctokit() {
+  const { octokit, calls } = fakeOctokit({
+    'actions.listWorkflowRuns': () => ({ data: fixture('list-workflow-runs') }),
+    'actions.listJobsForWorkflowRun': params => ({
+      data: params.run_id === FAILED_RUN ? fixture('list-jobs-failed-run') : { total_count: 0, jobs: [] }
+    }),
+    'actions.downloadJobLogsForWorkflowRun': () => ({ data: PUSH_LOG })
+  });
+  return { octokit, downloads: calls.downloadJobLogsForWorkflowRun };
+}
+
+function setup() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'failures-'));
+  const { octokit, downloads } = recordedOctokit();
+  const classifier = () => createFailureClassifier({
+    getJobLog: createJobLogReader({ octokit, owner: 'dpdeepankar' }),
+    cacheFile: path.join(dir, 'classifications.json')
+  });
+  const collect = failureClassifier => createCollector({
+    octokit,
+    owner: 'dpdeepankar',
+    enrichRun: async (runModel, run) => ({
+      failure: await failureClassifier.classifyRun(runModel.repo, run, runModel.jobs)
+    })
+  }).fetchWorkflowDetails('githubActionsBuildRepo', 'app1-build.yml', 'app1');
+  return { dir, downloads, classifier, collect };
+}
+
+test('tags only the failed run, from its failed step, with the log excerpt', async t => {
+  const { dir, downloads, classifier, collect } = setup();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const runs = await collect(classifier());
+
+  assert.deepEqual(runs.map(run => run.failure?.category || null), [null, 'auth_failure', null]);
+  const { failure } = runs[1];
+  assert.equal(failure.ruleId, 'auth-failure');
+  assert.equal(failure.jobId, 25231301977);
+  assert.equal(failure.step, 'Push image');
+  assert.equal(failure.line, 8);
+  assert.match(failure.excerpt, /^5: .*\n8: unauthorized: authentication required\n.*\n10: Cleaning up/s);
+  assert.deepEqual(downloads.map(params => params.job_id), [25231301977]);
+});
+
+test('reuses a cached classification instead of downloading the log again', async t => {
+  const { dir, downloads, classifier, collect } = setup();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await collect(classifier());
+  const runs = await collect(classifier());
+
+  assert.equal(runs[1].failure.category, 'auth_failure');
+  assert.equal(downloads.length, 1);
+});
+
+test('leaves a run unclassified, and uncached, when its log cannot be read', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'failures-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const cacheFile = path.join(dir, 'classifications.json');
+  const classifier = createFailureClassifier({
+    getJobLog: async () => { throw new Error('Log expired'); },
+    cacheFile
+  });
+  const [, push] = fixture('list-jobs-failed-run').jobs;
+  const run = { id: FAILED_RUN, status: 'completed', conclusion: 'failure', run_attempt: 1 };
+
+  const failure = await classifier.classifyRun('githubActionsBuildRepo', run, [{ ...push, steps: [] }]);
+
+  assert.deepEqual(failure, { category: 'unknown', label: 'Unclassified', jobId: 25231301977, jobName: 'push' });
+  assert.equal(fs.existsSync(cacheFile), false);
+});
@@ -0,0 +1,26 @@
+// Octokit stand-in shared by the collector and dashboard2 tests. `routes`
+// maps an Octokit method ('actions.listWorkflowRuns') to a function of the
+// request params returning its response, usually a recorded fixture; the
+// params of every request are kept in calls[method].
+
+const path = require('path');
+
+// A recorded GitHub API response from fixtures/, safe to modify
+const fixture = name => structuredClone(require(path.join(__dirname, 'fixtures', `${name}.json`)));
+
+function fakeOctokit(routes) {
+  const octokit = {};
+  const calls = {};
+  Object.entries(routes).forEach(([route, respond]) => {
+    const [namespace, method] = route.split('.');
+    calls[method] = [];
+    octokit[namespace] = octokit[namespace] || {};
+    octokit[namespace][method] = async (params = {}) => {
+      calls[method].push(params);
+      return { headers: {}, ...await respond(params) };
+    };
+  });
+  return { octokit, calls };
+}
+
+module.exports = { fakeOctokit, fixture };
@@ -0,0 +1,189 @@
+// Token providers (github-auth.js): installation-token minting with a fake
+// GitHub API and clock, and createGithubClient driven by a fake provider
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createAppTokenProvider, createTokenProvider, createGithubClient } = require('..');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.parse('2026-10-18T09:00:00Z');
+
+// GitHub App endpoints: dpdeepankar is a user account, platform-org an org
+function fakeGithub(clock) {
+  const calls = [];
+  let minted = 0;
+  async function request(method, url, { headers }) {
+    const path = url.replace('https://api.github.com', '');
+    calls.push(`${method} ${path}`);
+    const jwt = headers.authorization.replace('Bearer ', '');
+    const [header, payload, signature] = jwt.split('.');
+    assert.ok(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url')));
+    assert.equal(JSON.parse(Buffer.from(payload, 'base64url')).iss, '123456');
+
+    if (path === '/orgs/platform-org/installation') return { status: 200, data: { id: 11 } };
+    if (path === '/users/dpdeepankar/installation') return { status: 200, data: { id: 22 } };
+    if (path.startsWith('/orgs/')) return { status: 404, data: { message: 'Not Found' } };
+    const match = path.match(/^\/app\/installations\/(\d+)\/access_tokens$/);
+    if (method === 'POST' && match) {
+      minted++;
+      return { status: 201, data: { token: `ghs_${match[1]}_${minted}`, expires_at: new Date(clock.now + HOUR_MS).toISOString() } };
+    }
+    return { status: 404, data: { message: 'Not Found' } };
+  }
+  return { request, calls };
+}
+
+function setup() {
+  const clock = { now: START };
+  const github = fakeGithub(clock);
+  const provider = createAppTokenProvider({
+    appId: 123456, privateKey, request: github.request, now: () => clock.now, log: () => {}
+  });
+  return { clock, github, provider };
+}
+
+test('mints an installation token per owner, finding user installations after the org lookup', async () => {
+  const { github, provider } = setup();
+
+  assert.equal(await provider.getToken('platform-org'), 'ghs_11_1');
+  assert.equal(await provider.getToken('dpdeepankar'), 'ghs_22_2');
+  assert.equal(await provider.getToken('platform-org'), 'ghs_11_1');
+
+  assert.deepEqual(github.calls, [
+    'GET /orgs/platform-org/installation',
+    'POST /app/installations/11/access_tokens',
+    'GET /orgs/dpdeepankar/installation',
+    'GET /users/dpdeepankar/installation',
+    'POST /app/installations/22/access_tokens'
+  ]);
+});
+
+test('refreshes a token five minutes before it expires, and after invalidate', async () => {
+  const { clock, github, provider } = setup();
+  const mints = () => github.calls.filter(call => call.startsWith('POST')).length;
+
+  await provider.getToken('platform-org');
+  clock.now = START + HOUR_MS - 6 * 60 * 1000;
+  assert.equal(await provider.getToken('platform-org'), 'ghs_11_1');
+  clock.now = START + HOUR_MS - 4 * 60 * 1000;
+  assert.equal(await provider.getToken('platform-org'), 'ghs_11_2');
+
+  provider.invalidate('platform-org');
+  assert.equal(await provider.getToken('platform-org'), 'ghs_11_3');
+  // The installation id is looked up once
+  assert.equal(github.calls.filter(call => call.startsWith('GET')).length, 1);
+  assert.equal(mints(), 3);
+});
+
+test('shares one mint between concurrent requests', async () => {
+  const { github, provider } = setup();
+
+  const tokens = await Promise.all([1, 2, 3].map(() => provider.getToken('platform-org')));
+
+  assert.deepEqual(tokens, ['ghs_11_1', 'ghs_11_1', 'ghs_11_1']);
+  assert.equal(github.calls.length, 2);
+});
+
+test('reports a failed mint with its status', async () => {
+  const provider = createAppTokenProvider({
+    appId: 123456, privateKey, installations: { 'platform-org': 11 }, log: () => {},
+    request: async () => ({ status: 403, data: { message: 'Resource not accessible by integration' } })
+  });
+
+  await assert.rejects(provider.getToken('platform-org'), {
+    status: 403,
+    message: 'GitHub App request POST /app/installations/11/access_tokens failed (403): Resource not accessible by integration'
+  });
+});
+
+test('picks the App provider only when config.githubApp has an appId', async () => {
+  assert.equal(createTokenProvider({ token: 'ghp_pat' }).kind, 'token');
+  assert.equal(await createTokenProvider({ token: 'ghp_pat' }).getToken('any'), 'ghp_pat');
+  assert.equal(createTokenProvider({ githubApp: {} }).kind, 'anonymous');
+  assert.equal(createTokenProvider({ githubApp: { appId: 123456, privateKey } }).kind, 'github-app');
+  assert.throws(() => createTokenProvider({ githubApp: { appId: 123456 } }), /needs appId and privateKey/);
+});
+
+// Octokit stand-in exposing the request hook the client wraps; `send`
+// answers each request after the hook has set its headers
+function fakeOctokitClass(send) {
+  return class {
+    constructor(options) {
+      this.options = options;
+      this.hook = { wrap: (name, hook) => { this.wrapped = hook; } };
+    }
+
+    request(route, params = {}) {
+      return this.wrapped(options => send(options), { ...params, url: route, headers: {} });
+    }
+  };
+}
+
+test('authenticates each request with the token of the owner it addresses', async () => {
+  const requested = [];
+  const tokenProvider = { getToken: async owner => `token-for-${owner}`, invalidate: () => {} };
+  const Octokit = fakeOctokitClass(async options => {
+    requested.push([options.url, options.headers.authorization]);
+    return { status: 200 };
+  });
+  const octokit = createGithubClient(Octokit, { tokenProvider, defaultOwner: 'dpdeepankar', userAgent: 'test' });
+
+  await octokit.request('GET /repos/{owner}/{repo}', { owner: 'platform-org', repo: 'infra' });
+  await octokit.request('GET /orgs/{org}/repos', { org: 'tools-org' });
+  await octokit.request('GET /rate_limit');
+
+  assert.equal(octokit.options.userAgent, 'test');
+  assert.deepEqual(requested, [
+    ['GET /repos/{owner}/{repo}', 'token token-for-platform-org'],
+    ['GET /orgs/{org}/repos', 'token token-for-tools-org'],
+    ['GET /rate_limit', 'token token-for-dpdeepankar']
+  ]);
+});
+
+test('retries once with a fresh token after a 401', async () => {
+  let generation = 1;
+  const invalidated = [];
+  const tokenProvider = {
+    getToken: async () => `token-${generation}`,
+    invalidate: owner => {
+      invalidated.push(owner);
+      generation++;
+    }
+  };
+  const sent = [];
+  const Octokit = fakeOctokitClass(async options => {
+    sent.push(options.headers.authorization);
+    if (options.headers.authorization === 'token token-1') throw Object.assign(new Error('Bad credentials'), { status: 401 });
+    return { status: 200 };
+  });
+  const octokit = createGithubClient(Octokit, { tokenProvider, defaultOwner: 'dpdeepankar' });
+
+  assert.deepEqual(await octokit.request('GET /rate_limit'), { status: 200 });
+  assert.deepEqual(sent, ['token token-1', 'token token-2']);
+  assert.deepEqual(invalidated, ['dpdeepankar']);
+
+  // A provider that hands out the same token again doesn't loop
+  const stuck = createGithubClient(fakeOctokitClass(async () => {
+    throw Object.assign(new Error('Bad credentials'), { status: 401 });
+  }), { tokenProvider: { getToken: async () => 'revoked', invalidate: () => {} }, defaultOwner: 'dpdeepankar' });
+  await assert.rejects(stuck.request('GET /rate_limit'), { status: 401 });
+});
+
+test('queues requests through the scheduler with their token and owner', async () => {
+  const scheduled = [];
+  const scheduler = { schedule: (attempt, meta) => { scheduled.push(meta); return attempt(); } };
+  const Octokit = fakeOctokitClass(async () => ({ status: 200 }));
+  const octokit = createGithubClient(Octokit, {
+    tokenProvider: { getToken: async () => 'pat' }, defaultOwner: 'dpdeepankar', scheduler
+  });
+
+  await octokit.request('GET /repos/{owner}/{repo}/actions/runs', { owner: 'dpdeepankar', repo: 'githubActionsBuildRepo' });
+
+  assert.deepEqual(scheduled, [{ token: 'pat', owner: 'dpdeepankar', route: 'GET /repos/{owner}/{repo}/actions/runs' }]);
+});
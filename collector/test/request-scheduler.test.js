@@ -0,0 +1,148 @@
+// Rate-limit scheduler (request-scheduler.js) over fake responses carrying
+// x-ratelimit-* headers and 403/429 secondary-limit errors, on a fake clock
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequestScheduler } = require('..');
+
+const START = Date.parse('2026-10-18T09:00:00Z');
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const rateHeaders = (remaining, resetAt, limit = 5000) => ({
+  'x-ratelimit-limit': String(limit),
+  'x-ratelimit-remaining': String(remaining),
+  'x-ratelimit-used': String(limit - remaining),
+  'x-ratelimit-reset': String(Math.floor(resetAt / 1000))
+});
+
+const rateLimitError = (status, headers, message = 'You have exceeded a secondary rate limit') =>
+  Object.assign(new Error(message), { status, response: { headers } });
+
+function setup(options = {}) {
+  const clock = { now: START };
+  const logged = [];
+  const scheduler = createRequestScheduler({ now: () => clock.now, log: line => logged.push(line), ...options });
+  return { clock, logged, scheduler };
+}
+
+// Task whose response is held until release()
+function deferred(response = { status: 200, headers: {} }) {
+  let release;
+  const started = [];
+  const gate = new Promise(resolve => { release = resolve; });
+  return { task: async () => { started.push(true); await gate; return response; }, release, started };
+}
+
+test('tracks each token\'s budget per resource from the response headers', async () => {
+  const { scheduler } = setup();
+  const resetAt = START + 30 * 60 * 1000;
+
+  await scheduler.schedule(async () => ({ headers: rateHeaders(4321, resetAt) }), { token: 'ghs_a', owner: 'dpdeepankar', route: 'GET /repos/{owner}/{repo}' });
+  await scheduler.schedule(async () => ({ headers: rateHeaders(29, resetAt, 30) }), { token: 'ghs_a', owner: 'dpdeepankar', route: 'GET /search/issues' });
+  await scheduler.schedule(async () => ({ headers: rateHeaders(4999, resetAt) }), { token: 'ghs_b', owner: 'platform-org', route: 'GET /orgs/{org}' });
+
+  assert.deepEqual(scheduler.status().budgets, [
+    { resource: 'core', owners: ['dpdeepankar'], limit: 5000, remaining: 4321, used: 679, resetAt: '2026-10-18T09:30:00.000Z', blockedUntil: null },
+    { resource: 'search', owners: ['dpdeepankar'], limit: 30, remaining: 29, used: 1, resetAt: '2026-10-18T09:30:00.000Z', blockedUntil: null },
+    { resource: 'core', owners: ['platform-org'], limit: 5000, remaining: 4999, used: 1, resetAt: '2026-10-18T09:30:00.000Z', blockedUntil: null }
+  ]);
+});
+
+test('holds background requests at the reserve and rejects those that would wait too long', async () => {
+  const { scheduler } = setup({ reserve: 200, maxWaitMs: { background: 60 * 1000 } });
+  const resetAt = START + 30 * 60 * 1000;
+  const meta = { token: 'ghs_a', route: 'GET /repos/{owner}/{repo}' };
+  await scheduler.schedule(async () => ({ headers: rateHeaders(150, resetAt) }), meta);
+
+  const interactive = await scheduler.withPriority('interactive', () => scheduler.schedule(async () => 'sent', meta));
+  const background = scheduler.withPriority('background', () => scheduler.schedule(async () => 'sent', meta));
+
+  assert.equal(interactive, 'sent');
+  await assert.rejects(background, { status: 429, rateLimited: true, message: /background request not sent, budget available again at 2026-10-18T09:30:00/ });
+  assert.equal(scheduler.heldUntil('background'), resetAt);
+  assert.equal(scheduler.heldUntil('interactive'), 0);
+  assert.equal(scheduler.status().stats.rejected, 1);
+});
+
+test('waits out an exhausted budget until its reset', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { clock, scheduler } = setup();
+  const resetAt = START + 20 * 1000;
+  const meta = { token: 'ghs_a', route: 'GET /repos/{owner}/{repo}' };
+
+  // A primary limit (remaining 0) is not retried, but the budget is recorded
+  await assert.rejects(
+    scheduler.schedule(async () => { throw rateLimitError(403, rateHeaders(0, resetAt), 'API rate limit exceeded'); }, meta),
+    { status: 403 }
+  );
+  let sent = false;
+  const next = scheduler.schedule(async () => { sent = true; return 'ok'; }, meta);
+  await flush();
+  assert.equal(sent, false);
+
+  clock.now = resetAt;
+  t.mock.timers.tick(20 * 1000);
+  assert.equal(await next, 'ok');
+});
+
+test('sends interactive requests before normal and background ones', async () => {
+  const { scheduler } = setup({ concurrency: 1 });
+  const order = [];
+  const blocker = deferred();
+  const first = scheduler.schedule(blocker.task);
+  const queued = ['background', 'normal', 'interactive'].map(priority => scheduler.withPriority(priority, () =>
+    scheduler.schedule(async () => { order.push(priority); })));
+
+  await flush();
+  assert.deepEqual(scheduler.status().queued, { interactive: 1, normal: 1, background: 1 });
+  blocker.release();
+  await Promise.all([first, ...queued]);
+
+  assert.deepEqual(order, ['interactive', 'normal', 'background']);
+  assert.throws(() => scheduler.withPriority('urgent', () => {}), /Unknown request priority "urgent"/);
+});
+
+test('backs off for retry-after on a secondary limit and retries', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { clock, logged, scheduler } = setup();
+  let attempts = 0;
+
+  const response = scheduler.schedule(async () => {
+    attempts++;
+    if (attempts === 1) throw rateLimitError(429, { 'retry-after': '2' });
+    return 'ok';
+  }, { token: 'ghs_a', route: 'POST /repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches' });
+
+  await flush();
+  assert.equal(attempts, 1);
+  assert.match(scheduler.status().budgets[0].blockedUntil, /^2026-10-18T09:00:02/);
+  clock.now += 2000;
+  t.mock.timers.tick(2000);
+
+  assert.equal(await response, 'ok');
+  assert.equal(attempts, 2);
+  assert.deepEqual(logged, ['⏳ GitHub secondary rate limit → retrying POST /repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches in 2s']);
+  assert.deepEqual(scheduler.status().stats, { sent: 2, retried: 1, rejected: 0, secondaryLimits: 1 });
+});
+
+test('doubles the backoff without retry-after and gives up after maxRetries', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { clock, logged, scheduler } = setup({ maxRetries: 2, maxWaitMs: { normal: 10 * 60 * 1000 } });
+  let attempts = 0;
+
+  const response = scheduler.schedule(async () => {
+    attempts++;
+    throw rateLimitError(403, {});
+  }, { token: 'ghs_a', route: 'GET /repos/{owner}/{repo}/actions/runs' });
+  const outcome = assert.rejects(response, { status: 403, message: /secondary rate limit/ });
+
+  for (const delay of [60 * 1000, 120 * 1000]) {
+    await flush();
+    clock.now += delay;
+    t.mock.timers.tick(delay);
+  }
+  await outcome;
+
+  assert.equal(attempts, 3);
+  assert.deepEqual(logged.map(line => line.match(/in (\d+s)$/)[1]), ['60s', '120s']);
+});
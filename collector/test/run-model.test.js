@@ -0,0 +1,97 @@
+// Run and job models built from recorded GitHub API responses
+// (fixtures/list-*.json)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toRunModel, toJobModel, toErrorRunModel } = require('..');
+
+const runs = require('./fixtures/list-workflow-runs.json').workflow_runs;
+const releaseRuns = require('./fixtures/list-release-runs.json').workflow_runs;
+const { jobs } = require('./fixtures/list-jobs-for-workflow-run.json');
+
+test('toJobModel keeps timings, queue time and step durations', () => {
+  const job = toJobModel(jobs[0]);
+
+  assert.equal(job.id, 25231190412);
+  assert.equal(job.name, 'build');
+  assert.equal(job.conclusion, 'success');
+  assert.equal(job.duration, '2m 6s');
+  assert.equal(job.durationMs, 126000);
+  assert.equal(job.queuedMs, 9000);
+  assert.deepEqual(job.steps.map(step => [step.number, step.name, step.durationMs]), [
+    [1, 'Set up job', 2000],
+    [2, 'Build image', 122000]
+  ]);
+});
+
+test('toJobModel reports the status of a job without a conclusion', () => {
+  const job = toJobModel({ ...jobs[0], status: 'in_progress', conclusion: null, completed_at: null, steps: undefined });
+
+  assert.equal(job.conclusion, 'in_progress');
+  assert.equal(job.duration, 'N/A');
+  assert.equal(job.durationMs, null);
+  assert.deepEqual(job.steps, []);
+});
+
+test('toRunModel takes app, branch and version from the run name', () => {
+  const run = toRunModel(runs[0], { repo: 'githubActionsBuildRepo', configAppName: 'app1', jobs: jobs.map(toJobModel) });
+
+  assert.equal(run.appName, 'app1');
+  assert.equal(run.type, 'Build');
+  assert.equal(run.workflow, 'app1-build.yml');
+  assert.equal(run.branch, 'dev01');
+  assert.equal(run.version, '1.4.2');
+  assert.equal(run.commitSha, '4f7c2a9');
+  assert.equal(run.triggeredBy, 'jane.smith');
+  assert.equal(run.runId, 9203344718);
+  assert.equal(run.jobs.length, 2);
+  // build 09:12:14-09:14:20 and push 09:14:40-09:16:39, 2s of queue before
+  // the run ended at 09:16:41
+  assert.deepEqual(run.durations, { totalMs: 278000, queuedMs: 33000, waitingMs: 0, executingMs: 245000 });
+  assert.equal(run.duration, '4m 5s');
+});
+
+test('toRunModel falls back to the run itself when the name does not parse', () => {
+  const run = toRunModel(runs[2], { repo: 'githubActionsBuildRepo', configAppName: 'app1' });
+
+  assert.equal(run.appName, 'app1');
+  assert.equal(run.branch, 'main');
+  assert.equal(run.version, '1.4.1');
+  assert.equal(run.commitSha, '0c9d8e7');
+  assert.equal(run.status, 'in_progress');
+  assert.equal(run.conclusion, 'in_progress');
+});
+
+test('toRunModel uses the actor when no triggering actor is recorded', () => {
+  const run = toRunModel(runs[1], { repo: 'githubActionsBuildRepo', configAppName: 'app1' });
+
+  assert.equal(run.triggeredBy, 'john.doe');
+  assert.equal(run.attempt, 2);
+});
+
+test('toRunModel reads the environment and source commit of a release', () => {
+  const run = toRunModel(releaseRuns[0], { repo: 'githubActionsReleaseRepo', configAppName: 'app1', isRelease: true });
+
+  assert.equal(run.type, 'Release');
+  assert.equal(run.branch, 'main');
+  assert.equal(run.version, '9203344718');
+  assert.equal(run.commitSha, '4f7c2a9');
+});
+
+test('toRunModel marks a run whose jobs could not be fetched as an error', () => {
+  const run = toRunModel(runs[0], { repo: 'githubActionsBuildRepo', configAppName: 'app1', jobs: null });
+
+  assert.equal(run.status, 'error');
+  assert.equal(run.conclusion, 'error');
+  assert.equal(run.duration, 'N/A');
+  assert.deepEqual(run.jobs, []);
+});
+
+test('toErrorRunModel links to the repository actions page', () => {
+  const run = toErrorRunModel({ owner: 'dpdeepankar', repo: 'githubActionsReleaseRepo', configAppName: 'app2', isRelease: true });
+
+  assert.equal(run.appName, 'app2');
+  assert.equal(run.type, 'Release');
+  assert.equal(run.status, 'error');
+  assert.equal(run.link, 'https://github.com/dpdeepankar/githubActionsReleaseRepo/actions');
+});
@@ -0,0 +1,84 @@
+// Run-name templates and the keyword fallback of run-name.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRunName, createRunNameParser } = require('..');
+
+test('parses build names with the default template', () => {
+  assert.deepEqual(parseRunName('feature-login-app1-build-86'), {
+    appName: 'app1',
+    branch: 'feature-login',
+    environment: null,
+    version: '86',
+    commit: null,
+    template: '{branch}-{appName}-build-{version}'
+  });
+});
+
+test('turns the environment of a release name into its branch', () => {
+  const parsed = parseRunName('prod-app1-release-9203344718-4f7c2a9d81b3', true);
+
+  assert.equal(parsed.environment, 'prod');
+  assert.equal(parsed.branch, 'main');
+  assert.equal(parsed.version, '9203344718');
+  assert.equal(parsed.commit, '4f7c2a9');
+});
+
+test('falls back to the release keyword when the commit is not a sha', () => {
+  assert.deepEqual(parseRunName('dev01-app1-release-9203344718-N/A', true), {
+    branch: 'dev01',
+    appName: 'app1',
+    version: '9203344718',
+    commit: 'N/A',
+    environment: null,
+    template: null
+  });
+});
+
+test('falls back to the build keyword for templates the name does not match', () => {
+  const parser = createRunNameParser({ runNames: { build: 'build-{appName}-{version}' } });
+
+  assert.deepEqual(parser.parse('dev-02-app1-build-3.1.0'), {
+    branch: 'dev-02',
+    appName: 'app1',
+    version: '3.1.0',
+    commit: null,
+    environment: null,
+    template: null
+  });
+});
+
+test('returns null for names neither a template nor the keyword match', () => {
+  assert.equal(parseRunName('Build app1'), null);
+  assert.equal(parseRunName('app1-build-7'), null);
+  assert.equal(parseRunName(''), null);
+  assert.equal(parseRunName('prod-app1-release', true), null);
+});
+
+test('prefers configured app names with hyphens', () => {
+  const parser = createRunNameParser({ appRepos: [{ name: 'payment-service', buildWorkflow: 'payment-build.yml' }] });
+
+  assert.equal(parseRunName('dev01-payment-service-build-7').appName, 'service');
+  assert.equal(parser.parse('dev01-payment-service-build-7').appName, 'payment-service');
+  assert.equal(parser.parse('dev01-payment-service-build-7').branch, 'dev01');
+});
+
+test('applies the templates of the workflow and the environment aliases', () => {
+  const parser = createRunNameParser({
+    runNames: {
+      workflows: { 'deploy.yml': 'deploy-{appName}-to-{environment}-{version:v[\\d.]+}' },
+      environmentBranches: { staging: 'dlv01' }
+    }
+  });
+  const parsed = parser.parse('deploy-app1-to-staging-v2.0.1', { isRelease: true, workflow: 'deploy.yml' });
+
+  assert.equal(parsed.branch, 'dlv01');
+  assert.equal(parsed.version, 'v2.0.1');
+  assert.equal(parsed.template, 'deploy-{appName}-to-{environment}-{version:v[\\d.]+}');
+});
+
+test('rejects templates that do not compile', () => {
+  const parser = createRunNameParser({ runNames: { build: '{branch}-{appName}-{branch}' } });
+
+  assert.throws(() => parser.validateTemplates(), /appears twice/);
+});
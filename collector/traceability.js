@@ -0,0 +1,120 @@
+// ═══════════════════════════════════════════════════════════════════════
+// BUILD-TO-RELEASE TRACEABILITY
+// app-release.yml is dispatched with the build's repository, runId,
+// commit_short and appName, and names its runs after them
+// ({environment}-{appName}-release-{runId}-{commit}). That joins every
+// release run to the build it shipped (dora.js matchSourceBuild), and the
+// release's branch gives the environment it went to.
+//
+// traceCommit() follows one app's commit from its builds to each release;
+// environmentMatrix() tells which build is deployed in which environment.
+// Both work on run models or run-history records.
+// ═══════════════════════════════════════════════════════════════════════
+
+const { matchSourceBuild } = require('./dora');
+
+const ENVIRONMENTS = ['dev', 'dlv', 'prod'];
+
+const time = value => new Date(value).getTime();
+
+// Same mapping app-release.yml uses to pick the GitHub environment
+function branchToEnvironment(branch) {
+  if (!branch) return null;
+  const value = String(branch).toLowerCase();
+  if (value === 'main' || value === 'prod') return 'prod';
+  if (value.startsWith('dlv')) return 'dlv';
+  if (value.startsWith('dev')) return 'dev';
+  return value;
+}
+
+// A full or short sha matches the 7-character commit of a run
+function sameCommit(runCommit, commit) {
+  if (!runCommit || runCommit === 'N/A' || !commit) return false;
+  const a = runCommit.toLowerCase();
+  const b = commit.toLowerCase();
+  return a.startsWith(b) || b.startsWith(a);
+}
+
+// Release fields shown in a trace or the matrix; approvalJobs are the
+// jobs gated by the environment, their start is when it was approved
+function releaseSummary(release, approvalJobs = []) {
+  const gated = (release.jobs || []).find(job => approvalJobs.includes(job.name) && job.startedAt);
+  return {
+    environment: branchToEnvironment(release.branch),
+    branch: release.branch,
+    repo: release.repo,
+    runId: release.runId,
+    version: release.version,
+    commitSha: release.commitSha,
+    status: release.status,
+    conclusion: release.conclusion,
+    triggeredBy: release.triggeredBy,
+    createdAt: release.createdAt,
+    approvedAt: gated ? gated.startedAt : null,
+    completedAt: release.status === 'completed' ? release.updatedAt : null,
+    link: release.link
+  };
+}
+
+// Builds of appName for commit (or the build with runId), newest first,
+// each with the releases that shipped it, oldest first
+function traceCommit({ appName, commit, runId, builds = [], releases = [], approvalJobs = [] }) {
+  const appBuilds = builds.filter(build => build.appName === appName);
+  const appReleases = releases.filter(release => release.appName === appName);
+
+  return appBuilds
+    .filter(build => (runId ? String(build.runId) === String(runId) : sameCommit(build.commitSha, commit)))
+    .sort((a, b) => time(b.createdAt) - time(a.createdAt))
+    .map(build => ({
+      build: {
+        repo: build.repo,
+        workflow: build.workflow,
+        runId: build.runId,
+        branch: build.branch,
+        version: build.version,
+        commitSha: build.commitSha,
+        status: build.status,
+        conclusion: build.conclusion,
+        triggeredBy: build.triggeredBy,
+        createdAt: build.createdAt,
+        completedAt: build.status === 'completed' ? build.updatedAt : null,
+        link: build.link
+      },
+      // app-release.yml deploys the image tagged with the build's run id
+      image: `${appName}:${build.runId}`,
+      releases: appReleases
+        .filter(release => matchSourceBuild(release, appBuilds) === build)
+        .sort((a, b) => time(a.createdAt) - time(b.createdAt))
+        .map(release => releaseSummary(release, approvalJobs))
+    }));
+}
+
+// Per app and environment: the release deployed last (latest successful
+// one), a newer release still running, and whether the environment runs
+// the same build as the one before it (dev -> dlv -> prod)
+function environmentMatrix({ apps, releases = [], environments = ENVIRONMENTS, approvalJobs = [] }) {
+  return apps.map(appName => {
+    const byEnvironment = {};
+    environments.forEach(environment => {
+      const ofEnvironment = releases
+        .filter(release => release.appName === appName && branchToEnvironment(release.branch) === environment)
+        .sort((a, b) => time(b.updatedAt) - time(a.updatedAt));
+      const current = ofEnvironment.find(release => release.status === 'completed' && release.conclusion === 'success');
+      const running = ofEnvironment.find(release => release.status !== 'completed'
+        && (!current || time(release.createdAt) > time(current.createdAt)));
+      byEnvironment[environment] = {
+        current: current ? releaseSummary(current, approvalJobs) : null,
+        inProgress: running ? releaseSummary(running, approvalJobs) : null
+      };
+    });
+
+    environments.forEach((environment, i) => {
+      const previous = i > 0 ? byEnvironment[environments[i - 1]].current : null;
+      const { current } = byEnvironment[environment];
+      byEnvironment[environment].sameAsPrevious = Boolean(previous && current && String(previous.version) === String(current.version));
+    });
+    return { appName, environments: byEnvironment };
+  });
+}
+
+module.exports = { ENVIRONMENTS, branchToEnvironment, traceCommit, environmentMatrix };
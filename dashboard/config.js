@@ -4,6 +4,13 @@ module.exports = {
 
   token: process.env.GITHUB_TOKEN,
 
+  // GitHub App used instead of the token when GITHUB_APP_ID is set
+  githubApp: {
+    appId: process.env.GITHUB_APP_ID,
+    privateKey: process.env.GITHUB_APP_PRIVATE_KEY,
+    privateKeyFile: process.env.GITHUB_APP_PRIVATE_KEY_FILE
+  },
+
   // Build pipelines – add new apps here when needed
   appRepos: [
     { name: 'app1', repo: 'githubActionsBuildRepo', buildWorkflow: 'app1-build.yml' },
@@ -26,4 +33,26 @@ module.exports = {
     // Example how to add a new one:
     // { appName: 'payment-service', repo: 'githubActionsReleaseRepo', releaseWorkflow: 'release-payment.yml' },
   ],
+
+  // Run-name templates – how app, branch, version and commit are read from
+  // run names (same format as dashboard2/config.js; an entry above can set
+  // its own `runName`). {environment} is mapped to a branch via environmentBranches.
+  runNames: {
+    build: '{branch}-{appName}-build-{version}',
+    release: '{environment}-{appName}-release-{version}-{commit}',
+    environmentBranches: { prod: 'main' },
+  },
+
+  // Jobs that wait for an environment approval; their time before
+  // starting counts as waiting, not queued (same as dashboard2/config.js)
+  durations: {
+    approvalJobs: ['deploy'],
+  },
+
+  // Failed runs are tagged by the first rule whose patterns match their
+  // failed jobs' logs (same rules as dashboard2, collector/failure-rules.json)
+  failureClassification: {
+    // rulesFile: './failure-rules.json',  // or FAILURE_RULES_FILE
+    contextLines: 3,
+  },
 };
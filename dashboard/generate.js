@@ -3,7 +3,15 @@ const { Octokit } = require('@octokit/rest');
 const fs = require('fs');
 const path = require('path');
 const config = require('./config');
-const octokit = new Octokit({ auth: config.token });
+const {
+  createCollector, createCache, createRunNameParser, createTokenProvider, createGithubClient, createRequestScheduler, computeDora, durationStats, environmentMatrix, ENVIRONMENTS,
+  createFailureClassifier, createJobLogReader
+} = require('../collector');
+const octokit = createGithubClient(Octokit, {
+  tokenProvider: createTokenProvider(config),
+  defaultOwner: config.owner,
+  scheduler: createRequestScheduler({ log: console.log })
+});
 
 // Configuration
 const MAX_RUNS_PER_WORKFLOW = 15;
@@ -11,395 +19,49 @@ const CACHE_FILE = path.join(__dirname, '.workflow-cache.json');
 const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes cache
 const CONCURRENT_WORKFLOWS = 10;
 const CONCURRENT_JOBS = 20;
+const FAILURE_CACHE_FILE = path.join(__dirname, '.failure-classifications.json');
+
+// Failed runs are tagged with the rules dashboard2 uses (collector/failure-rules.json)
+const failureClassifier = createFailureClassifier({
+  getJobLog: createJobLogReader({ octokit, owner: config.owner }),
+  rulesFile: process.env.FAILURE_RULES_FILE || config.failureClassification?.rulesFile,
+  cacheFile: FAILURE_CACHE_FILE,
+  contextLines: config.failureClassification?.contextLines
+});
 
-// ──────────────────────────────────────────────
-// UPDATED: Extract app name, branch, version, and commit from run name
-// Release format: branchname-appname-release-version-commit
-// Build format: branchname-appname-build-version
-function parseRunName(runName, isRelease = false) {
-  if (!runName) {
-    return null;
-  }
-
-  if (isRelease) {
-    // Pattern: branchname-appname-release-version-commit
-    // Example: main-myapp-release-v1.2.3-abc1234
-    //          develop-api-service-release-2.0.0-def5678
-    //          feature/new-ui-frontend-release-1.5.0-ghi9012
-
-    // Match pattern: everything up to -release-, then version, then commit
-    const match = runName.match(/^(.+?)-([^-]+)-release-([^-]+)-([a-f0-9]{7,})$/i);
-
-    if (match) {
-      let branch = match[1].trim();
-      const appName = match[2].trim();
-      const version = match[3].trim();
-      const commit = match[4].trim().substring(0, 7); // Ensure 7 chars
-
-      // If branch is "prod", show "main" instead
-      if (branch.toLowerCase() === 'prod') {
-        branch = 'main';
-      }
-
-      return {
-        appName: appName,
-        branch: branch,
-        version: version,
-        commit: commit
-      };
-    }
-
-    // Fallback: try alternative parsing for release
-    const parts = runName.split('-');
-    if (parts.length >= 5) {
-      // Try to find "release" keyword position
-      const releaseIdx = parts.findIndex(p => p.toLowerCase() === 'release');
-      if (releaseIdx >= 2) {
-        // Branch is everything before app name
-        // App name is the part just before "release"
-        const appName = parts[releaseIdx - 1];
-        let branch = parts.slice(0, releaseIdx - 1).join('-');
-
-        // Version is right after "release"
-        const version = parts[releaseIdx + 1] || 'unknown';
-
-        // Commit is the last part (or second to last if there's trailing data)
-        const commit = parts[parts.length - 1]?.substring(0, 7) || 'N/A';
-
-        // If branch is "prod", show "main" instead
-        if (branch.toLowerCase() === 'prod') {
-          branch = 'main';
-        }
-
-        return {
-          appName: appName || 'Unknown',
-          branch: branch || 'N/A',
-          version: version,
-          commit: commit
-        };
-      }
-    }
-  } else {
-    // Pattern: branchname-appname-build-version
-    // Example: main-myapp-build-v1.2.3
-    //          develop-api-service-build-2.0.0
-    //          feature/new-ui-frontend-build-1.5.0
-
-    // Match pattern: everything up to -build-, then version
-    const match = runName.match(/^(.+?)-([^-]+)-build-(.+)$/i);
-
-    if (match) {
-      let branch = match[1].trim();
-      const appName = match[2].trim();
-      const version = match[3].trim();
-
-      // If branch is "prod", show "main" instead
-      if (branch.toLowerCase() === 'prod') {
-        branch = 'main';
-      }
-
-      return {
-        appName: appName,
-        branch: branch,
-        version: version,
-        commit: null // No commit in build workflow names
-      };
-    }
-
-    // Fallback: try alternative parsing for build
-    const parts = runName.split('-');
-    if (parts.length >= 4) {
-      // Try to find "build" keyword position
-      const buildIdx = parts.findIndex(p => p.toLowerCase() === 'build');
-      if (buildIdx >= 2) {
-        // App name is the part just before "build"
-        const appName = parts[buildIdx - 1];
-        let branch = parts.slice(0, buildIdx - 1).join('-');
-
-        // Version is everything after "build"
-        const version = parts.slice(buildIdx + 1).join('-') || 'unknown';
-
-        // If branch is "prod", show "main" instead
-        if (branch.toLowerCase() === 'prod') {
-          branch = 'main';
-        }
-
-        return {
-          appName: appName || 'Unknown',
-          branch: branch || 'N/A',
-          version: version,
-          commit: null
-        };
-      }
-    }
-  }
-
-  // Last resort: return null to use default extraction
-  return null;
-}
-
-// ──────────────────────────────────────────────
-// UTILITY: Optimized batch processing with better error handling
-async function batchProcess(items, processor, concurrency) {
-  const results = [];
-  for (let i = 0; i < items.length; i += concurrency) {
-    const batch = items.slice(i, i + concurrency);
-    console.log(`Processing batch ${Math.floor(i/concurrency) + 1}/${Math.ceil(items.length/concurrency)}...`);
-    const batchResults = await Promise.allSettled(batch.map(processor));
-    results.push(...batchResults);
-  }
-  return results;
-}
-
-// ──────────────────────────────────────────────
-// UTILITY: Cache management
-function loadCache() {
-  try {
-    if (fs.existsSync(CACHE_FILE)) {
-      const cache = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
-      if (Date.now() - cache.timestamp < CACHE_TTL_MS) {
-        console.log('✓ Using cached data (fresh)');
-        return cache.data;
-      }
-      console.log('⚠ Cache expired');
-    }
-  } catch (err) {
-    console.warn('Cache read failed:', err.message);
-  }
-  return null;
-}
-
-function saveCache(data) {
-  try {
-    fs.writeFileSync(CACHE_FILE, JSON.stringify({
-      timestamp: Date.now(),
-      data
-    }, null, 2));
-    console.log('✓ Cache updated');
-  } catch (err) {
-    console.warn('Cache save failed:', err.message);
-  }
-}
-
-// ──────────────────────────────────────────────
-// Helper functions for BUILD workflows (fallback extraction)
-function extractVersion(run, app) {
-  const commitMsg = run.display_title || run.head_commit?.message || '';
-  const versionMatch = commitMsg.match(/v?(\d+\.\d+\.\d+(?:-[\w.]+)?)/i);
-  if (versionMatch) return versionMatch[1];
-
-  const runName = run.name || '';
-  const runVersionMatch = runName.match(/v?(\d+\.\d+\.\d+(?:-[\w.]+)?)/i);
-  if (runVersionMatch) return runVersionMatch[1];
-
-  return `build-${run.run_number || 'unknown'}`;
-}
-
-function extractArtifactVersion(run) {
-  const commitMsg = run.display_title || run.head_commit?.message || '';
-  const artifactMatch = commitMsg.match(/(?:artifact|image|docker):\s*([^\s,]+)/i);
-  if (artifactMatch) return artifactMatch[1];
-
-  const tagMatch = commitMsg.match(/tag[:\s]+([^\s,]+)/i);
-  if (tagMatch) return tagMatch[1];
-
-  return extractVersion(run, null);
-}
-
-async function extractSourceCommit(owner, repo, run) {
-  const commitMsg = run.display_title || run.head_commit?.message || '';
-  const sourceCommitMatch = commitMsg.match(/(?:source|from|commit)[:\s]+([a-f0-9]{7,40})/i);
-  if (sourceCommitMatch) return sourceCommitMatch[1].substring(0, 7);
-
-  return run.head_sha?.substring(0, 7) || 'N/A';
-}
-
-function formatDuration(createdAt, updatedAt) {
-  if (!createdAt || !updatedAt) return 'N/A';
-  const diff = new Date(updatedAt) - new Date(createdAt);
-  const minutes = Math.floor(diff / 60000);
-  const seconds = Math.floor((diff % 60000) / 1000);
-  if (minutes > 0) return `${minutes}m ${seconds}s`;
-  return `${seconds}s`;
-}
-
-// ──────────────────────────────────────────────
-// MODIFIED: Fetch single workflow run details with updated parsing logic
-async function fetchWorkflowDetails(owner, repo, workflowId, configAppName, isRelease = false) {
-  try {
-    const { data: runs } = await octokit.actions.listWorkflowRuns({
-      owner,
-      repo,
-      workflow_id: workflowId,
-      per_page: MAX_RUNS_PER_WORKFLOW,
-      page: 1,
-    });
-
-    if (!runs.workflow_runs?.length) {
-      console.log(`No runs found for workflow ${workflowId}`);
-      return [];
-    }
-
-    const jobPromises = runs.workflow_runs.map(run => async () => {
-      try {
-        const { data: jobsData } = await octokit.actions.listJobsForWorkflowRun({
-          owner,
-          repo,
-          run_id: run.id,
-          per_page: 100,
-        });
-
-        const jobs = jobsData.jobs.map(job => ({
-          id: job.id,
-          name: job.name,
-          conclusion: job.conclusion || job.status,
-          status: job.status,
-          startedAt: job.started_at,
-          completedAt: job.completed_at,
-          duration: formatDuration(job.started_at, job.completed_at),
-          htmlUrl: job.html_url,
-          steps: job.steps?.map(step => ({
-            name: step.name,
-            status: step.status,
-            conclusion: step.conclusion,
-            number: step.number
-          })) || []
-        }));
-
-        // Parse run name for BOTH release and build workflows to get all fields
-        const parsed = parseRunName(run.name, isRelease);
-
-        // Use parsed values if available, otherwise fall back to default extraction
-        const appName = parsed?.appName || configAppName;
-        const branch = parsed?.branch || run.head_branch || 'N/A';
-        const version = parsed?.version || (isRelease ? extractArtifactVersion(run) : extractVersion(run, appName));
-        const commit = parsed?.commit || (isRelease ? await extractSourceCommit(owner, repo, run) : run.head_sha?.substring(0, 7) || 'N/A');
-
-        return {
-          appName: appName,
-          repo: repo,
-          type: isRelease ? 'Release' : 'Build',
-          version: version,
-          branch: branch,
-          status: run.status || 'unknown',
-          conclusion: run.conclusion || run.status,
-          createdAt: run.created_at || new Date().toISOString(),
-          updatedAt: run.updated_at || run.created_at,
-          duration: formatDuration(run.created_at, run.updated_at),
-          triggeredBy: run.triggering_actor?.login || run.actor?.login || 'System',
-          event: run.event || 'unknown',
-          link: run.html_url,
-          commitSha: commit,
-          commitMessage: run.display_title || run.head_commit?.message || 'N/A',
-          jobs,
-          runNumber: run.run_number || 0,
-          attempt: run.run_attempt || 1,
-          runName: run.name || 'N/A' // Store original run name for reference
-        };
-      } catch (jobErr) {
-        console.warn(`⚠ Jobs fetch failed for run ${run.id}:`, jobErr.message);
-        const parsed = parseRunName(run.name, isRelease);
-
-        const appName = parsed?.appName || configAppName;
-        const branch = parsed?.branch || run.head_branch || 'N/A';
-        const version = parsed?.version || (isRelease ? extractArtifactVersion(run) : extractVersion(run, appName));
-        const commit = parsed?.commit || (isRelease ? await extractSourceCommit(owner, repo, run) : run.head_sha?.substring(0, 7) || 'N/A');
-
-        return {
-          appName: appName,
-          type: isRelease ? 'Release' : 'Build',
-          version: version,
-          branch: branch,
-          status: 'error',
-          conclusion: 'error',
-          createdAt: run.created_at || new Date().toISOString(),
-          updatedAt: run.updated_at || run.created_at,
-          duration: 'N/A',
-          triggeredBy: run.triggering_actor?.login || 'Unknown',
-          event: run.event || 'unknown',
-          link: run.html_url,
-          commitSha: commit,
-          commitMessage: run.display_title || 'N/A',
-          jobs: [],
-          runNumber: run.run_number || 0,
-          attempt: run.run_attempt || 1,
-          runName: run.name || 'N/A'
-        };
-      }
-    });
+// Runs are collected by the module shared with dashboard2; a failed
+// workflow or job fetch still shows up as an 'error' row on the page
+const collector = createCollector({
+  octokit,
+  owner: config.owner,
+  runNameParser: createRunNameParser(config),
+  maxRunsPerWorkflow: MAX_RUNS_PER_WORKFLOW,
+  concurrentWorkflows: CONCURRENT_WORKFLOWS,
+  concurrentJobs: CONCURRENT_JOBS,
+  includeErrors: true,
+  approvalJobs: config.durations?.approvalJobs,
+  enrichRun: async (runModel, run) => ({
+    failure: await failureClassifier.classifyRun(runModel.repo, run, runModel.jobs)
+  }),
+  log: console.log
+});
+const cache = createCache({ file: CACHE_FILE, ttlMs: CACHE_TTL_MS, log: console.log });
 
-    const results = await batchProcess(jobPromises, fn => fn(), CONCURRENT_JOBS);
-    return results.filter(r => r.status === 'fulfilled').map(r => r.value);
-
-  } catch (error) {
-    console.error(`⚠ Workflow fetch error for workflow ${workflowId}:`, error.message);
-    return [{
-      appName: configAppName,
-      type: isRelease ? 'Release' : 'Build',
-      version: 'unknown',
-      branch: 'N/A',
-      status: 'error',
-      conclusion: 'error',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      duration: 'N/A',
-      triggeredBy: 'Unknown',
-      event: 'error',
-      link: `https://github.com/${owner}/${repo}/actions`,
-      commitSha: 'N/A',
-      commitMessage: 'Error fetching data',
-      jobs: [],
-      runNumber: 0,
-      attempt: 1,
-      runName: 'N/A'
-    }];
-  }
-}
+const escapeHtml = text => String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
 
 // ──────────────────────────────────────────────
-// OPTIMIZED: Fetch build data with better progress tracking
-async function fetchBuildData() {
-  console.log(`⏳ Fetching builds for ${config.appRepos.length} workflows...`);
-  const start = Date.now();
-
-  const tasks = config.appRepos.map(app =>
-    () => fetchWorkflowDetails(config.owner, app.repo, app.buildWorkflow, app.name, false)
-  );
-
-  const results = await batchProcess(tasks, t => t(), CONCURRENT_WORKFLOWS);
-
-  const builds = results
-    .filter(r => r.status === 'fulfilled')
-    .flatMap(r => r.value)
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-  const elapsed = ((Date.now() - start) / 1000).toFixed(2);
-  console.log(`✓ Fetched ${builds.length} builds in ${elapsed}s`);
-  return builds;
-}
-
-// ──────────────────────────────────────────────
-// OPTIMIZED: Fetch release data
-async function fetchReleaseData() {
-  if (!config.releaseRepos?.length) return [];
-
-  console.log(`⏳ Fetching releases for ${config.releaseRepos.length} workflows...`);
-  const start = Date.now();
-
-  const tasks = config.releaseRepos.map(entry =>
-    () => fetchWorkflowDetails(config.owner, entry.repo, entry.releaseWorkflow, entry.appName, true)
-  );
-
-  const results = await batchProcess(tasks, t => t(), CONCURRENT_WORKFLOWS);
-
-  const releases = results
-    .filter(r => r.status === 'fulfilled')
-    .flatMap(r => r.value)
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-  const elapsed = ((Date.now() - start) / 1000).toFixed(2);
-  console.log(`✓ Fetched ${releases.length} releases in ${elapsed}s`);
-  return releases;
+// Failure category of a failed run; the log excerpt shows on hover and the
+// tag links to the job it was found in
+function renderFailureTag(run) {
+  if (!run.failure) return '';
+  const { failure } = run;
+  const job = run.jobs?.find(j => j.id === failure.jobId);
+  const tag = `🏷 ${escapeHtml(failure.label)}`;
+  return `
+    <div style="margin-top:4px;">
+      <span class="status-badge" data-status="failure" style="font-size:0.7rem;" title="${escapeHtml(failure.excerpt || failure.label)}">${job?.htmlUrl ? `<a href="${job.htmlUrl}" target="_blank" rel="noopener noreferrer" style="color:inherit; text-decoration:none;">${tag}</a>` : tag}</span>
+    </div>
+  `;
 }
 
 // ──────────────────────────────────────────────
@@ -555,21 +217,56 @@ function generateMetrics(builds, releases) {
   const all = [...builds, ...releases];
   const last24h = all.filter(i => new Date(i.createdAt) > new Date(Date.now() - 86400000));
   const successRate = all.length ? (all.filter(i => i.conclusion === 'success').length / all.length * 100).toFixed(1) : 0;
-  const avgMin = all.reduce((sum, i) => {
-    const m = i.duration?.match(/^(\d+)m/);
-    return sum + (m ? +m[1] : 0);
-  }, 0) / (all.length || 1);
+
+  // Durations of completed runs, split into queued, waiting and executing
+  const completed = all.filter(i => i.status === 'completed' && i.durations);
+  const stats = (runs, part) => durationStats(runs.map(i => i.durations[part]));
+  const durationsByApp = [...new Set(completed.map(i => `${i.appName}|${i.type}`))].sort().map(key => {
+    const [appName, type] = key.split('|');
+    const runs = completed.filter(i => i.appName === appName && i.type === type);
+    return { appName, type, executing: stats(runs, 'executingMs'), queued: stats(runs, 'queuedMs'), waiting: stats(runs, 'waitingMs') };
+  });
+
+  // DORA over the shown runs: from the oldest of them until now
+  const dora = appNames => computeDora({
+    builds: builds.filter(b => appNames.includes(b.appName)),
+    releases: releases.filter(r => appNames.includes(r.appName)),
+    from: all.length ? new Date(Math.min(...all.map(i => new Date(i.createdAt).getTime()))) : new Date(),
+    to: new Date(),
+    prodBranch: config.runNames?.environmentBranches?.prod || 'main'
+  });
+  const apps = [...new Set(releases.map(r => r.appName))].sort();
 
   return {
     totalRuns: all.length,
     last24h: last24h.length,
     successRate,
-    avgDuration: avgMin.toFixed(1),
+    executing: stats(completed, 'executingMs'),
+    queued: stats(completed, 'queuedMs'),
+    waiting: stats(completed, 'waitingMs'),
+    durationsByApp,
     failedBuilds: builds.filter(b => b.conclusion === 'failure').length,
-    failedReleases: releases.filter(r => r.conclusion === 'failure').length
+    failedReleases: releases.filter(r => r.conclusion === 'failure').length,
+    dora: dora(apps),
+    doraByApp: apps.map(appName => ({ appName, ...dora([appName]) }))
   };
 }
 
+// 45000 -> "45s", 5400000 -> "1h 30m", 93784000 -> "1d 2h"
+function formatMs(ms) {
+  if (ms === null) return '-';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  const hours = Math.floor(seconds / 3600);
+  return hours < 24 ? `${hours}h ${Math.floor(seconds / 60) % 60}m` : `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// Tooltip of a run's duration cell
+const durationTitle = item => (item.durations
+  ? `queued ${formatMs(item.durations.queuedMs)} • waiting ${formatMs(item.durations.waitingMs)} • executing ${formatMs(item.durations.executingMs)}`
+  : '');
+
 // ──────────────────────────────────────────────
 // NEW: Generate trigger workflows list
 function generateTriggerWorkflowsList() {
@@ -624,6 +321,12 @@ function generateTriggerWorkflowsList() {
 // HTML generation with horizontal scroll and fixed status filter
 function generateHTML(builds, releases) {
   const metrics = generateMetrics(builds, releases);
+  // Build (run id) each app last released successfully to each environment
+  const environments = environmentMatrix({
+    apps: [...new Set(config.appRepos.map(app => app.name))],
+    releases: releases.filter(r => r.runId),
+    approvalJobs: config.durations?.approvalJobs
+  });
 
   const allApps = [...new Set([...builds, ...releases].map(i => i.appName))].sort();
   const allBranches = [...new Set([...builds, ...releases].map(i => i.branch).filter(b => b && b !== 'N/A'))].sort();
@@ -642,14 +345,80 @@ function generateHTML(builds, releases) {
         <div style="color:#6b7280;">Success Rate</div>
       </div>
       <div style="background:white; padding:1.5rem; border-radius:8px; box-shadow:0 2px 4px rgba(0,0,0,0.1);">
-        <div style="font-size:2.2rem; font-weight:bold; color:#eab308;">${metrics.avgDuration}m</div>
-        <div style="color:#6b7280;">Avg Duration</div>
+        <div style="font-size:2.2rem; font-weight:bold; color:#eab308;">${formatMs(metrics.executing.meanMs)}</div>
+        <div style="color:#6b7280;">Avg Execution</div>
+        <div style="color:#9ca3af; font-size:0.8rem;">p50 ${formatMs(metrics.executing.p50)} • p90 ${formatMs(metrics.executing.p90)} • p99 ${formatMs(metrics.executing.p99)}</div>
+        <div style="color:#9ca3af; font-size:0.8rem;">queued p50 ${formatMs(metrics.queued.p50)} • waiting p50 ${formatMs(metrics.waiting.p50)}</div>
       </div>
       <div style="background:white; padding:1.5rem; border-radius:8px; box-shadow:0 2px 4px rgba(0,0,0,0.1);">
         <div style="font-size:2.2rem; font-weight:bold; color:#ef4444;">${metrics.failedBuilds + metrics.failedReleases}</div>
         <div style="color:#6b7280;">Failed (shown runs)</div>
       </div>
     </div>
+    <h3 style="margin:0 0 0.5rem;">Durations (completed runs shown)</h3>
+    <table style="width:100%; background:white; border-radius:8px; margin-bottom:2rem; font-size:0.9rem; border-collapse:collapse;">
+      <tr style="text-align:left; color:#6b7280;">
+        <th style="padding:8px;">App</th><th>Type</th><th>Runs</th><th>Executing p50 / p90 / p99</th><th>Queued p50 / p90</th><th>Waiting p50 / p90</th>
+      </tr>
+      ${metrics.durationsByApp.map(d => `
+      <tr style="border-top:1px solid #e5e7eb;">
+        <td style="padding:8px; font-weight:600;">${d.appName}</td>
+        <td>${d.type}</td>
+        <td>${d.executing.count}</td>
+        <td>${formatMs(d.executing.p50)} / ${formatMs(d.executing.p90)} / ${formatMs(d.executing.p99)}</td>
+        <td>${formatMs(d.queued.p50)} / ${formatMs(d.queued.p90)}</td>
+        <td>${formatMs(d.waiting.p50)} / ${formatMs(d.waiting.p90)}</td>
+      </tr>`).join('')}
+    </table>
+    <h3 style="margin:0 0 0.5rem;">DORA (production releases since ${new Date(metrics.dora.from).toLocaleDateString()})</h3>
+    <div style="display:grid; grid-template-columns:repeat(auto-fit, minmax(200px, 1fr)); gap:1rem; margin-bottom:1rem;">
+      <div style="background:white; padding:1.5rem; border-radius:8px; box-shadow:0 2px 4px rgba(0,0,0,0.1);">
+        <div style="font-size:2.2rem; font-weight:bold; color:#3b82f6;">${metrics.dora.deploymentFrequency.perWeek}</div>
+        <div style="color:#6b7280;">Deployments / Week</div>
+      </div>
+      <div style="background:white; padding:1.5rem; border-radius:8px; box-shadow:0 2px 4px rgba(0,0,0,0.1);">
+        <div style="font-size:2.2rem; font-weight:bold; color:#8b5cf6;">${formatMs(metrics.dora.leadTime.medianMs)}</div>
+        <div style="color:#6b7280;">Lead Time (median)</div>
+      </div>
+      <div style="background:white; padding:1.5rem; border-radius:8px; box-shadow:0 2px 4px rgba(0,0,0,0.1);">
+        <div style="font-size:2.2rem; font-weight:bold; color:#ef4444;">${metrics.dora.changeFailureRate.rate === null ? '-' : `${metrics.dora.changeFailureRate.rate}%`}</div>
+        <div style="color:#6b7280;">Change Failure Rate</div>
+      </div>
+      <div style="background:white; padding:1.5rem; border-radius:8px; box-shadow:0 2px 4px rgba(0,0,0,0.1);">
+        <div style="font-size:2.2rem; font-weight:bold; color:#eab308;">${formatMs(metrics.dora.timeToRestore.medianMs)}</div>
+        <div style="color:#6b7280;">Time to Restore (median)</div>
+      </div>
+    </div>
+    <table style="width:100%; background:white; border-radius:8px; margin-bottom:2rem; font-size:0.9rem; border-collapse:collapse;">
+      <tr style="text-align:left; color:#6b7280;">
+        <th style="padding:8px;">App</th><th>Deployments</th><th>Lead Time</th><th>Change Failure Rate</th><th>Time to Restore</th>
+      </tr>
+      ${metrics.doraByApp.map(d => `
+      <tr style="border-top:1px solid #e5e7eb;">
+        <td style="padding:8px; font-weight:600;">${d.appName}</td>
+        <td>${d.deployments}</td>
+        <td>${formatMs(d.leadTime.medianMs)}</td>
+        <td>${d.changeFailureRate.rate === null ? '-' : `${d.changeFailureRate.rate}% (${d.changeFailureRate.failed}/${d.changeFailureRate.total})`}</td>
+        <td>${formatMs(d.timeToRestore.medianMs)}</td>
+      </tr>`).join('')}
+    </table>
+    <h3 style="margin:0 0 0.5rem;">Environments (build run id deployed, from the releases shown)</h3>
+    <table style="width:100%; background:white; border-radius:8px; margin-bottom:2rem; font-size:0.9rem; border-collapse:collapse;">
+      <tr style="text-align:left; color:#6b7280;">
+        <th style="padding:8px;">App</th>${ENVIRONMENTS.map(env => `<th>${env}</th>`).join('')}
+      </tr>
+      ${environments.map(row => `
+      <tr style="border-top:1px solid #e5e7eb;">
+        <td style="padding:8px; font-weight:600;">${row.appName}</td>
+        ${ENVIRONMENTS.map(env => {
+          const { current, inProgress } = row.environments[env];
+          const running = inProgress ? ` <a href="${inProgress.link}" target="_blank" style="color:#eab308;" title="${inProgress.status}">⟳ ${inProgress.version}</a>` : '';
+          return current
+            ? `<td><a href="${current.link}" target="_blank" style="color:#3b82f6;"><code>${current.version}</code></a> <small style="color:#6b7280;">${current.commitSha} • ${new Date(current.completedAt).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' })}</small>${running}</td>`
+            : `<td style="color:#9ca3af;">-${running}</td>`;
+        }).join('')}
+      </tr>`).join('')}
+    </table>
   `;
 
   // Helper function to determine the display status
@@ -675,8 +444,8 @@ function generateHTML(builds, releases) {
       <td><code style="background:#f3f4f6;padding:2px 5px;border-radius:4px;">${b.version}</code></td>
       <td>${b.branch}</td>
       <td><code style="background:#f3f4f6;padding:2px 5px;border-radius:4px;">${b.repo}</code></td>
-      <td><span class="status-badge" data-status="${displayStatus}">${displayStatus === 'failure' ? 'failed' : b.status}</span></td>
-      <td>${b.duration}</td>
+      <td><span class="status-badge" data-status="${displayStatus}">${displayStatus === 'failure' ? 'failed' : b.status}</span>${renderFailureTag(b)}</td>
+      <td title="${durationTitle(b)}">${b.duration}</td>
       <td title="${b.commitMessage?.replace(/"/g,'&quot;')}"><code>${b.commitSha}</code></td>
       <td>${b.triggeredBy}</td>
       <td>${new Date(b.createdAt).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' })}</td>
@@ -694,8 +463,8 @@ function generateHTML(builds, releases) {
       <td><strong>${r.appName}</strong></td>
       <td><code style="background:#f3f4f6;padding:2px 5px;border-radius:4px;">${r.version}</code></td>
       <td>${r.branch}</td>
-      <td><span class="status-badge" data-status="${displayStatus}">${displayStatus === 'failure' ? 'failed' : r.status}</span></td>
-      <td>${r.duration}</td>
+      <td><span class="status-badge" data-status="${displayStatus}">${displayStatus === 'failure' ? 'failed' : r.status}</span>${renderFailureTag(r)}</td>
+      <td title="${durationTitle(r)}">${r.duration}</td>
       <td title="${r.commitMessage?.replace(/"/g,'&quot;')}"><code>${r.commitSha}</code></td>
       <td>${r.triggeredBy}</td>
       <td>${new Date(r.createdAt).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' })}</td>
@@ -1179,14 +948,14 @@ async function main() {
   const start = Date.now();
 
   let builds, releases;
-  const cached = loadCache();
+  const cached = cache.load();
   if (cached && process.argv.includes('--use-cache')) {
     console.log('📦 Using cached data');
     ({ builds, releases } = cached);
   } else {
-    builds = await fetchBuildData();
-    releases = await fetchReleaseData();
-    saveCache({ builds, releases });
+    builds = await collector.fetchBuildData(config.appRepos);
+    releases = await collector.fetchReleaseData(config.releaseRepos);
+    cache.save({ builds, releases });
   }
 
   console.log('📝 Generating HTML...');
@@ -0,0 +1,128 @@
+// ═══════════════════════════════════════════════════════════════════════
+// AUDIT LOG
+// Append-only JSON-lines file of every dashboard action. Each entry carries
+// the hash of the previous one, so an edited or deleted line breaks the
+// chain and shows up in verify().
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const SENSITIVE_KEY = /password|secret|token|credential/i;
+const CSV_COLUMNS = ['timestamp', 'actor', 'role', 'team', 'action', 'result', 'statusCode', 'repo', 'runId', 'workflowId', 'branch', 'apps', 'error', 'payload'];
+
+function hashEntry(entry) {
+  return crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+}
+
+// Drop credentials from request payloads before they are written anywhere
+function sanitize(value) {
+  if (Array.isArray(value)) return value.map(sanitize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => (
+      [key, SENSITIVE_KEY.test(key) ? '[redacted]' : sanitize(v)]
+    )));
+  }
+  return value;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createAuditLog({ file }) {
+  function readEntries() {
+    try {
+      if (!fs.existsSync(file)) return [];
+      return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+    } catch (err) {
+      console.error('Audit log read failed:', err.message);
+      throw err;
+    }
+  }
+
+  let lastHash = (() => {
+    const entries = readEntries();
+    return entries.length ? entries[entries.length - 1].hash : null;
+  })();
+
+  function record(fields) {
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      actor: fields.actor || null,
+      role: fields.role || null,
+      team: fields.team || null,
+      action: fields.action,
+      target: fields.target || {},
+      payload: sanitize(fields.payload || null),
+      result: fields.result || 'success',
+      statusCode: fields.statusCode || null,
+      error: fields.error || null,
+      details: fields.details || null,
+      ip: fields.ip || null,
+      prevHash: lastHash
+    };
+    entry.hash = hashEntry(entry);
+
+    try {
+      fs.appendFileSync(file, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+      lastHash = entry.hash;
+    } catch (err) {
+      console.error('Audit log write failed:', err.message, entry);
+    }
+    return entry;
+  }
+
+  // filters: actor, action, team, repo, runId, result, from, to (ISO dates)
+  function query(filters = {}, { limit = 100, offset = 0 } = {}) {
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+
+    const matches = readEntries()
+      .filter(e => !filters.actor || e.actor === filters.actor)
+      .filter(e => !filters.action || e.action === filters.action)
+      .filter(e => !filters.team || e.team === filters.team)
+      .filter(e => !filters.result || e.result === filters.result)
+      .filter(e => !filters.repo || e.target?.repo === filters.repo)
+      .filter(e => !filters.runId || String(e.target?.runId) === String(filters.runId))
+      .filter(e => !from || new Date(e.timestamp) >= from)
+      .filter(e => !to || new Date(e.timestamp) <= to)
+      .reverse();
+
+    return { total: matches.length, entries: matches.slice(offset, offset + limit) };
+  }
+
+  function toCsv(entries) {
+    const rows = entries.map(e => CSV_COLUMNS.map(column => {
+      if (['repo', 'runId', 'workflowId', 'branch', 'apps'].includes(column)) {
+        return csvCell(e.target?.[column]);
+      }
+      return csvCell(e[column]);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+
+  // Walks the hash chain; returns the first broken entry, if any
+  function verify() {
+    let prevHash = null;
+    const entries = readEntries();
+    for (const [index, entry] of entries.entries()) {
+      const { hash, ...rest } = entry;
+      if (entry.prevHash !== prevHash || hashEntry(rest) !== hash) {
+        return { valid: false, entries: entries.length, brokenAt: index, id: entry.id };
+      }
+      prevHash = hash;
+    }
+    return { valid: true, entries: entries.length };
+  }
+
+  return { record, query, toCsv, verify };
+}
+
+module.exports = { createAuditLog, sanitize };
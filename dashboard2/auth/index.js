@@ -0,0 +1,99 @@
+// ═══════════════════════════════════════════════════════════════════════
+// AUTHENTICATION LAYER
+// Builds the configured identity providers (config.auth.providers) and maps
+// external groups onto the dashboard's role/teams model.
+// ═══════════════════════════════════════════════════════════════════════
+
+const path = require('path');
+const { createUserStore } = require('./user-store');
+const { createLocalProvider } = require('./providers/local');
+
+// Lowest to highest - when several mappings match, the highest role wins
+const ROLE_RANK = ['viewer', 'developer', 'lead', 'admin'];
+
+const PROVIDER_FACTORIES = {
+  ldap: () => require('./providers/ldap').createLdapProvider,
+  oidc: () => require('./providers/oidc').createOidcProvider,
+  github: () => require('./providers/github').createGithubProvider
+};
+
+function resolveCredentialsFile(config) {
+  return process.env.CREDENTIALS_FILE ||
+    config.auth?.credentialsFile ||
+    path.join(__dirname, '..', '.users.json');
+}
+
+// "CN=ci-admins,OU=Groups,DC=corp" matches a mapping for "ci-admins" as well
+function groupMatches(group, wanted) {
+  const value = String(group).toLowerCase();
+  const target = String(wanted).toLowerCase();
+  if (value === target) return true;
+  const cn = value.match(/^cn=([^,]+)/);
+  return Boolean(cn && cn[1] === target);
+}
+
+// groupMappings: [{ group: 'ci-admins', role: 'admin', teams: ['frontend', 'backend'] }]
+// Returns { role, teams } or null when no mapping applies
+function mapGroups(groups, groupMappings = []) {
+  const matched = groupMappings.filter(m => groups.some(g => groupMatches(g, m.group)));
+  if (!matched.length) return null;
+
+  const role = matched
+    .map(m => m.role)
+    .sort((a, b) => ROLE_RANK.indexOf(b) - ROLE_RANK.indexOf(a))[0];
+  const teams = [...new Set(matched.flatMap(m => m.teams || []))];
+  return { role, teams };
+}
+
+function createAuth(config) {
+  const authConfig = config.auth || {};
+  const userStore = createUserStore({
+    file: resolveCredentialsFile(config),
+    configUsers: config.userRoles || {}
+  });
+
+  const providers = new Map();
+  (authConfig.providers || ['local']).forEach(name => {
+    if (name === 'local') {
+      providers.set(name, createLocalProvider({ userStore }));
+      return;
+    }
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown auth provider "${name}"`);
+    }
+    providers.set(name, factory()(authConfig[name] || {}, { mapGroups }));
+  });
+
+  // Try every password-based provider in configured order
+  async function authenticatePassword(username, password) {
+    for (const provider of providers.values()) {
+      if (provider.type !== 'password') continue;
+      try {
+        const profile = await provider.authenticate(username, password);
+        if (profile) return { ...profile, provider: provider.name };
+      } catch (err) {
+        console.error(`Auth provider ${provider.name} error:`, err.message);
+      }
+    }
+    return null;
+  }
+
+  // Local users are looked up live so role/team changes apply immediately;
+  // external users carry the access mapped at login time.
+  function resolveSessionUser(session) {
+    if (!session || !session.username) return null;
+    if (!session.provider || session.provider === 'local') {
+      return userStore.get(session.username);
+    }
+    return session.profile || null;
+  }
+
+  function listProviders() {
+    return [...providers.values()].map(p => ({ name: p.name, type: p.type, label: p.label }));
+  }
+
+  return { userStore, providers, authenticatePassword, resolveSessionUser, listProviders };
+}
+
+module.exports = { createAuth, mapGroups, resolveCredentialsFile, ROLE_RANK };
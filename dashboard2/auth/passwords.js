@@ -0,0 +1,63 @@
+// ═══════════════════════════════════════════════════════════════════════
+// PASSWORD HASHING
+// scrypt-based hashes stored as: scrypt$N$r$p$<salt base64>$<hash base64>
+// ═══════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 12;
+
+// Passwords that shipped as defaults at some point - never accept them
+const FORBIDDEN_PASSWORDS = ['password123', 'changeme', 'admin'];
+
+function scrypt(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, {
+      N: params.N, r: params.r, p: params.p, maxmem: 64 * 1024 * 1024
+    }, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+// Returns an error message if the password is unacceptable, otherwise null
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (FORBIDDEN_PASSWORDS.includes(password.toLowerCase())) {
+    return 'Password is a known default and cannot be used';
+  }
+  return null;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const params = { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P };
+  const key = await scrypt(password, salt, params);
+  return ['scrypt', params.N, params.r, params.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  const parts = stored.split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+  const [, N, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, 'base64');
+  try {
+    const key = await scrypt(password, Buffer.from(saltB64, 'base64'), {
+      N: Number(N), r: Number(r), p: Number(p)
+    });
+    return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+  } catch (err) {
+    console.warn('Password verification failed:', err.message);
+    return false;
+  }
+}
+
+module.exports = { hashPassword, verifyPassword, validatePassword, MIN_PASSWORD_LENGTH };
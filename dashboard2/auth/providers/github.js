@@ -0,0 +1,80 @@
+// ═══════════════════════════════════════════════════════════════════════
+// GITHUB OAUTH PROVIDER
+// Groups are the user's org logins ("my-org") and team slugs
+// ("my-org/platform-admins"), matched against groupMappings.
+// ═══════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const { Octokit } = require('@octokit/rest');
+
+function createGithubProvider(options, { mapGroups }) {
+  const {
+    clientId,
+    clientSecret,
+    redirectUri,
+    allowedOrgs = [],
+    groupMappings = []
+  } = options;
+
+  if (!clientId || !clientSecret) {
+    throw new Error('GitHub provider requires "clientId" and "clientSecret"');
+  }
+
+  return {
+    name: 'github',
+    type: 'redirect',
+    label: options.label || 'GitHub',
+
+    async getAuthorizationUrl(req) {
+      const state = crypto.randomBytes(16).toString('hex');
+      req.session.githubOAuth = { state };
+
+      const params = new URLSearchParams({ client_id: clientId, scope: 'read:org', state });
+      if (redirectUri) params.set('redirect_uri', redirectUri);
+      return `https://github.com/login/oauth/authorize?${params}`;
+    },
+
+    async handleCallback(req) {
+      const pending = req.session.githubOAuth;
+      delete req.session.githubOAuth;
+      if (!pending || req.query.state !== pending.state) {
+        throw new Error('Invalid OAuth state');
+      }
+
+      const res = await fetch('https://github.com/login/oauth/access_token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({
+          client_id: clientId,
+          client_secret: clientSecret,
+          code: req.query.code,
+          redirect_uri: redirectUri
+        })
+      });
+      const tokenData = await res.json();
+      if (!tokenData.access_token) {
+        throw new Error(`GitHub token exchange failed: ${tokenData.error || res.status}`);
+      }
+
+      const userOctokit = new Octokit({ auth: tokenData.access_token });
+      const { data: user } = await userOctokit.users.getAuthenticated();
+      const orgs = await userOctokit.paginate(userOctokit.orgs.listForAuthenticatedUser, { per_page: 100 });
+      const teams = await userOctokit.paginate(userOctokit.teams.listForAuthenticatedUser, { per_page: 100 });
+
+      const orgLogins = orgs.map(o => o.login);
+      if (allowedOrgs.length && !orgLogins.some(org => allowedOrgs.includes(org))) {
+        return null;
+      }
+
+      const groups = [
+        ...orgLogins,
+        ...teams.map(t => `${t.organization.login}/${t.slug}`)
+      ];
+      const access = mapGroups(groups, groupMappings);
+      if (!access) return null;
+      return { username: user.login, ...access };
+    }
+  };
+}
+
+module.exports = { createGithubProvider };
@@ -0,0 +1,97 @@
+// ═══════════════════════════════════════════════════════════════════════
+// LDAP PROVIDER
+// Binds with a service account, looks the user up, then re-binds as the
+// user to check the password. Group DNs come from the memberOf attribute.
+// Requires the optional 'ldapjs' package.
+// ═══════════════════════════════════════════════════════════════════════
+
+// RFC 4515 filter escaping
+function escapeFilter(value) {
+  return String(value).replace(/[\\*()\0]/g, ch => `\\${ch.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+function bind(client, dn, password) {
+  return new Promise((resolve, reject) => {
+    client.bind(dn, password, err => (err ? reject(err) : resolve()));
+  });
+}
+
+function searchOne(client, base, options) {
+  return new Promise((resolve, reject) => {
+    client.search(base, options, (err, res) => {
+      if (err) return reject(err);
+      let found = null;
+      res.on('searchEntry', entry => {
+        if (!found) found = entry.pojo;
+      });
+      res.on('error', reject);
+      res.on('end', () => resolve(found));
+    });
+  });
+}
+
+function attributeValues(entry, name) {
+  const attr = entry.attributes.find(a => a.type.toLowerCase() === name.toLowerCase());
+  return attr ? attr.values : [];
+}
+
+function createLdapProvider(options, { mapGroups }) {
+  const ldap = require('ldapjs');
+  const {
+    url,
+    bindDN,
+    bindCredentials,
+    searchBase,
+    searchFilter = '(uid={{username}})',
+    groupAttribute = 'memberOf',
+    groupMappings = [],
+    timeout = 10000
+  } = options;
+
+  if (!url || !searchBase) {
+    throw new Error('LDAP provider requires "url" and "searchBase"');
+  }
+
+  return {
+    name: 'ldap',
+    type: 'password',
+    label: options.label || 'LDAP',
+
+    async authenticate(username, password) {
+      // An empty password would be an anonymous bind and always "succeed"
+      if (!username || !password) return null;
+
+      const client = ldap.createClient({ url, timeout, connectTimeout: timeout });
+      client.on('error', err => console.warn('LDAP client error:', err.message));
+
+      try {
+        if (bindDN) await bind(client, bindDN, bindCredentials);
+
+        const entry = await searchOne(client, searchBase, {
+          scope: 'sub',
+          filter: searchFilter.replace(/\{\{username\}\}/g, escapeFilter(username)),
+          attributes: [groupAttribute]
+        });
+        if (!entry) return null;
+
+        try {
+          await bind(client, entry.objectName, password);
+        } catch (err) {
+          return null;
+        }
+
+        const groups = attributeValues(entry, groupAttribute);
+        const access = mapGroups(groups, groupMappings);
+        if (!access) {
+          console.warn(`LDAP user ${username} has no mapped groups`);
+          return null;
+        }
+        return { username, ...access };
+      } finally {
+        client.unbind(() => {});
+      }
+    }
+  };
+}
+
+module.exports = { createLdapProvider };
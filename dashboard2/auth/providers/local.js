@@ -0,0 +1,17 @@
+// Local username/password provider backed by the hashed credentials file
+
+function createLocalProvider({ userStore }) {
+  return {
+    name: 'local',
+    type: 'password',
+    label: 'Password',
+
+    async authenticate(username, password) {
+      const user = await userStore.verify(username, password);
+      if (!user) return null;
+      return { username: user.username, role: user.role, teams: user.teams };
+    }
+  };
+}
+
+module.exports = { createLocalProvider };
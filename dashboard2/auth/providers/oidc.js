@@ -0,0 +1,107 @@
+// ═══════════════════════════════════════════════════════════════════════
+// OIDC PROVIDER
+// Authorization code flow. The ID token is received directly from the
+// token endpoint over TLS, so its claims are checked (iss/aud/exp/nonce)
+// without verifying the signature (OIDC Core 3.1.3.7).
+// ═══════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+
+function decodeJwtPayload(token) {
+  const [, payload] = String(token).split('.');
+  if (!payload) throw new Error('Malformed ID token');
+  return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+}
+
+function createOidcProvider(options, { mapGroups }) {
+  const {
+    issuer,
+    clientId,
+    clientSecret,
+    redirectUri,
+    scopes = ['openid', 'profile', 'email'],
+    usernameClaim = 'preferred_username',
+    groupsClaim = 'groups',
+    groupMappings = []
+  } = options;
+
+  if (!issuer || !clientId || !redirectUri) {
+    throw new Error('OIDC provider requires "issuer", "clientId" and "redirectUri"');
+  }
+
+  let discovery = null;
+
+  async function discover() {
+    if (discovery) return discovery;
+    const res = await fetch(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+    if (!res.ok) throw new Error(`OIDC discovery failed: ${res.status}`);
+    discovery = await res.json();
+    return discovery;
+  }
+
+  return {
+    name: 'oidc',
+    type: 'redirect',
+    label: options.label || 'Single Sign-On',
+
+    async getAuthorizationUrl(req) {
+      const { authorization_endpoint } = await discover();
+      const state = crypto.randomBytes(16).toString('hex');
+      const nonce = crypto.randomBytes(16).toString('hex');
+      req.session.oidc = { state, nonce };
+
+      const url = new URL(authorization_endpoint);
+      url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes.join(' '),
+        state,
+        nonce
+      }).toString();
+      return url.toString();
+    },
+
+    async handleCallback(req) {
+      const pending = req.session.oidc;
+      delete req.session.oidc;
+      if (!pending || req.query.state !== pending.state) {
+        throw new Error('Invalid OIDC state');
+      }
+      if (req.query.error) {
+        throw new Error(`OIDC error: ${req.query.error}`);
+      }
+
+      const { token_endpoint, issuer: discoveredIssuer } = await discover();
+      const res = await fetch(token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: new URLSearchParams({
+          grant_type: 'authorization_code',
+          code: req.query.code || '',
+          redirect_uri: redirectUri,
+          client_id: clientId,
+          client_secret: clientSecret || ''
+        })
+      });
+      if (!res.ok) throw new Error(`OIDC token exchange failed: ${res.status}`);
+
+      const tokens = await res.json();
+      const claims = decodeJwtPayload(tokens.id_token);
+      const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+      if (claims.iss !== discoveredIssuer) throw new Error('ID token issuer mismatch');
+      if (!audience.includes(clientId)) throw new Error('ID token audience mismatch');
+      if (claims.nonce !== pending.nonce) throw new Error('ID token nonce mismatch');
+      if (!claims.exp || claims.exp * 1000 < Date.now()) throw new Error('ID token expired');
+
+      const username = claims[usernameClaim] || claims.email || claims.sub;
+      const groups = [].concat(claims[groupsClaim] || []);
+      const access = mapGroups(groups, groupMappings);
+      if (!access) return null;
+      return { username, ...access };
+    }
+  };
+}
+
+module.exports = { createOidcProvider };
@@ -0,0 +1,115 @@
+// ═══════════════════════════════════════════════════════════════════════
+// USER STORE
+// Merges role/team assignments from config.userRoles with the credentials
+// file managed by bin/users.js. Password hashes never live in config.js.
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const { hashPassword, verifyPassword, validatePassword } = require('./passwords');
+
+function createUserStore({ file, configUsers = {} }) {
+  let cache = { mtimeMs: -1, users: {} };
+
+  Object.entries(configUsers).forEach(([username, user]) => {
+    if (user.password) {
+      console.warn(`⚠ Ignoring plaintext password for "${username}" in config.js - use bin/users.js to set one`);
+    }
+  });
+
+  function readFile() {
+    try {
+      const { mtimeMs } = fs.statSync(file);
+      if (mtimeMs !== cache.mtimeMs) {
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        cache = { mtimeMs, users: parsed.users || {} };
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn('Credentials file read failed:', err.message);
+      }
+      cache = { mtimeMs: -1, users: {} };
+    }
+    return cache.users;
+  }
+
+  function writeFile(users) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+    cache = { mtimeMs: -1, users: {} };
+  }
+
+  // Returns the canonical (original case) username, or null
+  function resolveUsername(username) {
+    const wanted = (username || '').trim().toLowerCase();
+    if (!wanted) return null;
+    const names = new Set([...Object.keys(configUsers), ...Object.keys(readFile())]);
+    return [...names].find(name => name.toLowerCase() === wanted) || null;
+  }
+
+  function get(username) {
+    const actual = resolveUsername(username);
+    if (!actual) return null;
+
+    const fromConfig = configUsers[actual] || {};
+    const fromFile = readFile()[actual] || {};
+    const role = fromFile.role || fromConfig.role;
+    if (!role) return null;
+
+    return {
+      username: actual,
+      role,
+      teams: fromFile.teams || fromConfig.teams || [],
+      hasPassword: Boolean(fromFile.passwordHash)
+    };
+  }
+
+  function list() {
+    const names = new Set([...Object.keys(configUsers), ...Object.keys(readFile())]);
+    return [...names].map(get).filter(Boolean);
+  }
+
+  async function verify(username, password) {
+    const actual = resolveUsername(username);
+    if (!actual) return null;
+
+    const stored = readFile()[actual];
+    if (!stored || !stored.passwordHash) return null;
+    if (!(await verifyPassword(password, stored.passwordHash))) return null;
+    return get(actual);
+  }
+
+  async function setPassword(username, password, { role, teams } = {}) {
+    const problem = validatePassword(password);
+    if (problem) throw new Error(problem);
+
+    const actual = resolveUsername(username) || username.trim();
+    const users = { ...readFile() };
+    const entry = { ...(users[actual] || {}) };
+
+    if (role) entry.role = role;
+    if (teams) entry.teams = teams;
+    if (!entry.role && !configUsers[actual]) {
+      throw new Error(`User "${actual}" is not in config.userRoles - a role is required`);
+    }
+
+    entry.passwordHash = await hashPassword(password);
+    entry.updatedAt = new Date().toISOString();
+    users[actual] = entry;
+    writeFile(users);
+    return get(actual);
+  }
+
+  function remove(username) {
+    const actual = resolveUsername(username);
+    const users = { ...readFile() };
+    if (!actual || !users[actual]) return false;
+    delete users[actual];
+    writeFile(users);
+    return true;
+  }
+
+  return { get, list, verify, setPassword, remove, resolveUsername };
+}
+
+module.exports = { createUserStore };
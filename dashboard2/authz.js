@@ -0,0 +1,193 @@
+// ═══════════════════════════════════════════════════════════════════════
+// RESOURCE-BASED AUTHORIZATION
+// Works out which team owns a workflow, app or service from config.appRepos,
+// config.releaseRepos and config.teams, so routes never have to trust a
+// team name sent by the client. Permissions and branch access are then
+// checked against the owning team. Targets are { teams, branch, kind, apps,
+// error }: `teams` empty (with an `error` and optional `status`) when nothing
+// configured owns what the request acts on.
+// ═══════════════════════════════════════════════════════════════════════
+
+function createAuthorizer({ teams = {}, appRepos = [], releaseRepos = [] }) {
+  // Teams whose apps list includes `appName`
+  function teamsForApp(appName) {
+    return Object.keys(teams).filter(team => (teams[team].apps || []).includes(appName));
+  }
+
+  // { kind: 'build'|'release', apps } for a configured workflow, otherwise null.
+  // Release workflows are usually shared, so several apps may match.
+  function resolveWorkflow(repo, workflowId) {
+    const builds = appRepos.filter(a => a.repo === repo && a.buildWorkflow === workflowId);
+    if (builds.length) return { kind: 'build', apps: builds.map(a => a.name) };
+
+    const releases = releaseRepos.filter(r => r.repo === repo && r.releaseWorkflow === workflowId);
+    if (releases.length) return { kind: 'release', apps: releases.map(r => r.appName) };
+
+    return null;
+  }
+
+  // { repo, workflowId } of an app's build or release workflow, or null
+  function workflowForApp(appName, kind) {
+    if (kind === 'build') {
+      const app = appRepos.find(a => a.name === appName);
+      return app ? { repo: app.repo, workflowId: app.buildWorkflow } : null;
+    }
+    const release = releaseRepos.find(r => r.appName === appName);
+    return release ? { repo: release.repo, workflowId: release.releaseWorkflow } : null;
+  }
+
+  // Teams that own every one of `apps` (bulk actions run on behalf of one team)
+  function teamsForApps(apps) {
+    const [first, ...rest] = apps.map(teamsForApp);
+    return (first || []).filter(team => rest.every(owners => owners.includes(team)));
+  }
+
+  // Teams that own any one of `apps`
+  function teamsForAnyApp(apps) {
+    return [...new Set(apps.flatMap(teamsForApp))];
+  }
+
+  // Returns null when `user` may perform `action` for `team` (and on `branch`,
+  // when given), otherwise { status, body } describing why not. Shared by the
+  // route middleware and the scheduler, which re-checks each occurrence.
+  function authorize(user, team, action, branch) {
+    if (!team) {
+      return { status: 400, body: { error: 'Team is required for this action' } };
+    }
+
+    const teamConfig = teams[team];
+    if (!teamConfig) {
+      return { status: 404, body: { error: 'Team not found' } };
+    }
+
+    if (!user.teams.includes(team)) {
+      return { status: 403, body: { error: 'Not a member of this team' } };
+    }
+
+    const allowedRoles = teamConfig.permissions[action] || [];
+    if (!allowedRoles.includes(user.role)) {
+      return {
+        status: 403,
+        body: {
+          error: `Insufficient permissions for ${action}`,
+          required: allowedRoles,
+          yourRole: user.role
+        }
+      };
+    }
+
+    if (branch && !(teamConfig.branches || []).includes(branch)) {
+      return {
+        status: 403,
+        body: {
+          error: `Branch ${branch} is not allowed for team ${team}`,
+          allowedBranches: teamConfig.branches || []
+        }
+      };
+    }
+
+    return null;
+  }
+
+  // Any owning team that grants the action will do, trying `requestedTeam`
+  // (the client's pick) first. Returns { team } or, if none does, { denied }
+  // from a team the user belongs to, as that's the useful one.
+  function authorizeTarget(user, target, action, requestedTeam) {
+    const candidates = [...target.teams].sort((a, b) => (b === requestedTeam) - (a === requestedTeam));
+    const denials = [];
+    for (const team of candidates) {
+      const denied = authorize(user, team, action, target.branch);
+      if (!denied) return { team, denied: null };
+      denials.push(denied);
+    }
+    const denied = denials.find(d => d.status === 403 && d.body.error !== 'Not a member of this team') || denials[0];
+    return { team: null, denied };
+  }
+
+  // Target of a repo/workflowId dispatch. Workflows no app is configured with
+  // are rejected; a shared release workflow is owned by the named app's teams,
+  // or only by teams owning every app on it when no app is named. The app is
+  // named by appName or inputs.appName, which must agree as the inputs are
+  // what gets dispatched.
+  function workflowTarget({ repo, workflowId, ref, appName, inputs }) {
+    const workflow = resolveWorkflow(repo, workflowId);
+    if (!workflow) {
+      return { teams: [], error: `Workflow ${repo}/${workflowId} is not configured for any app` };
+    }
+
+    const inputApp = inputs?.appName;
+    if (appName && inputApp && appName !== inputApp) {
+      return { teams: [], status: 400, error: `appName ${appName} does not match inputs.appName ${inputApp}` };
+    }
+    const named = appName || inputApp;
+    if (named && !workflow.apps.includes(named)) {
+      return { teams: [], error: `Workflow ${repo}/${workflowId} is not configured for ${named}` };
+    }
+    const apps = named ? [named] : workflow.apps;
+    return {
+      teams: named ? teamsForAnyApp(apps) : teamsForApps(apps),
+      branch: ref,
+      kind: workflow.kind,
+      apps,
+      error: `Workflow ${repo}/${workflowId} is shared by ${apps.join(', ')}; pass appName to pick one`
+    };
+  }
+
+  // Target of a bulk or scheduled action on config apps (`kind` build/release).
+  // Every app needs that workflow configured and one team must own them all.
+  function appsTarget({ apps, branch, ref }, kind) {
+    if (!Array.isArray(apps) || !apps.length) {
+      return { teams: [], status: 400, error: 'apps is required' };
+    }
+
+    const unconfigured = apps.filter(appName => !workflowForApp(appName, kind));
+    if (unconfigured.length) {
+      return { teams: [], error: `No ${kind} workflow configured for: ${unconfigured.join(', ')}` };
+    }
+    const owners = teamsForApps(apps);
+    return {
+      teams: owners,
+      branch: branch || ref,
+      kind,
+      apps,
+      error: owners.length ? null : 'Apps must all belong to one team'
+    };
+  }
+
+  // Workflows a scheduled job dispatches when it fires, resolved from config
+  // at that time: explicit repo/workflowId, or each app's build/release
+  // workflow. Entries carry an `error` once the job's team no longer owns them.
+  function scheduleTargets(job) {
+    if (!job.apps || !job.apps.length) {
+      const workflow = resolveWorkflow(job.repo, job.workflowId);
+      // Dispatched for inputs.appName, which the team must still own
+      const named = job.inputs?.appName;
+      let owners = [];
+      if (workflow && named) {
+        owners = workflow.apps.includes(named) ? teamsForApp(named) : [];
+      } else if (workflow) {
+        owners = teamsForApps(workflow.apps);
+      }
+      const owned = owners.includes(job.team);
+      return [owned
+        ? { appName: null, repo: job.repo, workflowId: job.workflowId }
+        : { appName: null, repo: job.repo, error: `Workflow ${job.workflowId} is no longer configured for team ${job.team}` }];
+    }
+
+    const kind = job.action === 'trigger_build' ? 'build' : 'release';
+    return job.apps.map(appName => {
+      if (!teamsForApp(appName).includes(job.team)) {
+        return { appName, error: 'App not in team' };
+      }
+      const workflow = workflowForApp(appName, kind);
+      return workflow ? { appName, ...workflow } : { appName, error: `${kind} config not found` };
+    });
+  }
+
+  return {
+    teamsForApp, teamsForApps, teamsForAnyApp, resolveWorkflow, workflowForApp,
+    authorize, authorizeTarget, workflowTarget, appsTarget, scheduleTargets
+  };
+}
+
+module.exports = { createAuthorizer };
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════
+// RUN-NAME TEMPLATE CHECKS
+//
+//   node bin/run-names.js validate [--runs 30] [--config ../dashboard/config.js]
+//   node bin/run-names.js parse "<run name>" [--release] [--app app1] [--workflow app-release.yml]
+//
+// validate parses the recent run names of every configured build and
+// release workflow with config.runNames and reports the ones no template
+// matches. It exits with 1 when any name can't be parsed (or a workflow's
+// runs can't be listed), so it can run in CI after a run-name changes.
+// ═══════════════════════════════════════════════════════════════════════
+
+require('dotenv').config();
+const path = require('path');
+const { Octokit } = require('@octokit/rest');
+const { createRunNameParser, createTokenProvider, createGithubClient, createRequestScheduler } = require('../../collector');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        args[key] = true;
+      } else {
+        args[key] = next;
+        i++;
+      }
+    } else {
+      args._.push(arg);
+    }
+  }
+  return args;
+}
+
+function usage() {
+  console.log(`Usage:
+  node bin/run-names.js validate [--runs <n>] [--config <path>]
+  node bin/run-names.js parse "<run name>" [--release] [--app <name>] [--workflow <file>]`);
+}
+
+// One entry per workflow; a shared release workflow is checked once
+function workflowsToCheck(config) {
+  const workflows = new Map();
+  (config.appRepos || []).forEach(app => {
+    workflows.set(`${app.repo}/${app.buildWorkflow}`, { repo: app.repo, workflow: app.buildWorkflow, isRelease: false, apps: [app.name] });
+  });
+  (config.releaseRepos || []).forEach(entry => {
+    const key = `${entry.repo}/${entry.releaseWorkflow}`;
+    if (!workflows.has(key)) {
+      workflows.set(key, { repo: entry.repo, workflow: entry.releaseWorkflow, isRelease: true, apps: [] });
+    }
+    workflows.get(key).apps.push(entry.appName);
+  });
+  return [...workflows.values()];
+}
+
+async function validate(config, parser, runs) {
+  parser.validateTemplates();
+  const octokit = createGithubClient(Octokit, {
+    tokenProvider: createTokenProvider(config),
+    defaultOwner: config.owner,
+    scheduler: createRequestScheduler(config.rateLimits)
+  });
+
+  let checked = 0;
+  let unparsed = 0;
+  let unlisted = 0;
+  for (const target of workflowsToCheck(config)) {
+    const label = `${target.repo}/${target.workflow}`;
+    let data;
+    try {
+      ({ data } = await octokit.actions.listWorkflowRuns({
+        owner: config.owner, repo: target.repo, workflow_id: target.workflow, per_page: runs
+      }));
+    } catch (err) {
+      console.log(`✗ ${label}: could not list runs (${err.message})`);
+      unlisted++;
+      continue;
+    }
+
+    // A single-app workflow's entry may carry its own template
+    const appName = target.apps.length === 1 ? target.apps[0] : undefined;
+    const problems = [];
+    data.workflow_runs.forEach(run => {
+      checked++;
+      const parsed = parser.parse(run.name, { isRelease: target.isRelease, appName, workflow: target.workflow });
+      if (!parsed) {
+        unparsed++;
+        problems.push(`  ✗ ${run.name}  (run ${run.id})`);
+      } else if (!parsed.template) {
+        problems.push(`  ~ ${run.name}  (only the keyword fallback matched: app ${parsed.appName}, branch ${parsed.branch})`);
+      } else if (!target.apps.includes(parsed.appName)) {
+        problems.push(`  ? ${run.name}  (app "${parsed.appName}" is not configured for this workflow)`);
+      }
+    });
+
+    const templates = parser.templatesFor({ isRelease: target.isRelease, appName, workflow: target.workflow });
+    console.log(`${problems.length ? '⚠' : '✓'} ${label}: ${data.workflow_runs.length} runs, templates: ${templates.join(' | ')}`);
+    problems.forEach(line => console.log(line));
+  }
+
+  console.log(`\n${checked} run names checked, ${unparsed} could not be parsed${unlisted ? `, ${unlisted} workflows could not be listed` : ''}`);
+  if (unparsed || unlisted) process.exitCode = 1;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, runName] = args._;
+  const config = require(args.config ? path.resolve(args.config) : '../config');
+  const parser = createRunNameParser(config);
+
+  switch (command) {
+    case 'validate':
+      await validate(config, parser, Math.min(parseInt(args.runs, 10) || 30, 100));
+      break;
+
+    case 'parse': {
+      if (!runName) return usage();
+      parser.validateTemplates();
+      const parsed = parser.parse(runName, {
+        isRelease: Boolean(args.release),
+        appName: typeof args.app === 'string' ? args.app : undefined,
+        workflow: typeof args.workflow === 'string' ? args.workflow : undefined
+      });
+      if (!parsed) {
+        console.log('✗ No template matches');
+        process.exitCode = 1;
+        break;
+      }
+      console.log(JSON.stringify(parsed, null, 2));
+      break;
+    }
+
+    default:
+      usage();
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════
+// USER MANAGEMENT CLI
+//
+//   node bin/users.js list
+//   node bin/users.js add <username> --role developer --teams frontend,backend
+//   node bin/users.js passwd <username>
+//   node bin/users.js remove <username>
+//
+// Passwords are read from the terminal (or stdin with --password-stdin)
+// and stored as scrypt hashes in the credentials file, never in config.js.
+// ═══════════════════════════════════════════════════════════════════════
+
+require('dotenv').config();
+const readline = require('readline');
+const config = require('../config');
+const { createUserStore } = require('../auth/user-store');
+const { resolveCredentialsFile, ROLE_RANK } = require('../auth');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        args[key] = true;
+      } else {
+        args[key] = next;
+        i++;
+      }
+    } else {
+      args._.push(arg);
+    }
+  }
+  return args;
+}
+
+function readHidden(prompt) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = (str) => {
+      if (str.includes(prompt)) rl.output.write(str);
+    };
+    rl.question(prompt, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', () => resolve(data.replace(/\r?\n$/, '')));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function promptPassword(args) {
+  if (args['password-stdin']) return readStdin();
+
+  const password = await readHidden('New password: ');
+  const confirm = await readHidden('Confirm password: ');
+  if (password !== confirm) {
+    throw new Error('Passwords do not match');
+  }
+  return password;
+}
+
+function usage() {
+  console.log(`Usage:
+  node bin/users.js list
+  node bin/users.js add <username> [--role <${ROLE_RANK.join('|')}>] [--teams a,b] [--password-stdin]
+  node bin/users.js passwd <username> [--password-stdin]
+  node bin/users.js remove <username>`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, username] = args._;
+  const store = createUserStore({
+    file: resolveCredentialsFile(config),
+    configUsers: config.userRoles || {}
+  });
+
+  switch (command) {
+    case 'list': {
+      store.list().forEach(user => {
+        const status = user.hasPassword ? '✓ password set' : '✗ no password';
+        console.log(`${user.username.padEnd(20)} ${user.role.padEnd(10)} ${user.teams.join(',').padEnd(30)} ${status}`);
+      });
+      break;
+    }
+
+    case 'add': {
+      if (!username) return usage();
+      if (store.get(username)?.hasPassword) {
+        throw new Error(`User "${username}" already exists - use "passwd" to reset the password`);
+      }
+      if (args.role && !ROLE_RANK.includes(args.role)) {
+        throw new Error(`Unknown role "${args.role}"`);
+      }
+      const teams = typeof args.teams === 'string' ? args.teams.split(',').map(t => t.trim()).filter(Boolean) : undefined;
+      const unknownTeams = (teams || []).filter(t => !(config.teams || {})[t]);
+      if (unknownTeams.length) {
+        console.warn(`⚠ Teams not in config.js: ${unknownTeams.join(', ')}`);
+      }
+
+      const password = await promptPassword(args);
+      const user = await store.setPassword(username, password, { role: args.role, teams });
+      console.log(`✓ Added ${user.username} (${user.role}; teams: ${user.teams.join(', ') || 'none'})`);
+      break;
+    }
+
+    case 'passwd': {
+      if (!username) return usage();
+      if (!store.get(username)) {
+        throw new Error(`User "${username}" not found`);
+      }
+      const password = await promptPassword(args);
+      const user = await store.setPassword(username, password);
+      console.log(`✓ Password updated for ${user.username}`);
+      break;
+    }
+
+    case 'remove': {
+      if (!username) return usage();
+      if (!store.remove(username)) {
+        throw new Error(`No stored credentials for "${username}"`);
+      }
+      console.log(`✓ Removed credentials for ${username}`);
+      break;
+    }
+
+    default:
+      usage();
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
@@ -16,6 +16,18 @@ module.exports = {
   // Create one at: https://github.com/settings/tokens
   // Required scopes: repo, workflow
   token: process.env.GITHUB_TOKEN,
+
+  // GitHub App credentials, used instead of the token when appId is set.
+  // Installation tokens are minted per owner and refreshed before they
+  // expire, with the app's permissions (Actions, Deployments and Contents
+  // read/write, Metadata read) and its higher rate limit. Install the app
+  // on every org whose repos are configured; installations pins the ids.
+  githubApp: {
+    appId: process.env.GITHUB_APP_ID,
+    privateKey: process.env.GITHUB_APP_PRIVATE_KEY,           // PEM, \n-escaped newlines are fine
+    privateKeyFile: process.env.GITHUB_APP_PRIVATE_KEY_FILE,
+    // installations: { 'other-org': 12345678 }
+  },
   
   
   // TEAMS CONFIGURATION
@@ -29,7 +41,8 @@ module.exports = {
       name: 'Frontend Team',
       
       // Branches this team can work with
-      branches: ['main', 'dev01', 'dev02', 'dev03'],
+      // (dlv01 is where promotions from dev go, see PROMOTIONS below)
+      branches: ['main', 'dev01', 'dev02', 'dev03', 'dlv01'],
       
       // Apps/services owned by this team
       // These names must match the 'name' field in appRepos below
@@ -50,21 +63,39 @@ module.exports = {
         view_logs: ['developer', 'lead', 'admin'],
         
         // Who can restart services
-        restart_services: ['lead', 'admin']
-      }
+        restart_services: ['lead', 'admin'],
+        
+        // Who can cancel running builds/releases
+        cancel_workflow: ['developer', 'lead', 'admin'],
+        
+        // Who can cancel, pause and resume scheduled jobs
+        manage_schedules: ['developer', 'lead', 'admin'],
+        
+        // Who can promote a released build to the next environment
+        promote_release: ['lead', 'admin']
+      },
+      
+      // Promotion paths of this team; config.promotion.paths when omitted
+      // promotion: [
+      //   { from: 'dev', to: 'dlv', branch: 'dlv01' },
+      //   { from: 'dlv', to: 'prod', branch: 'main', guards: { succeededForHours: 48, mustBeCurrent: true } }
+      // ]
     },
     
     // EXAMPLE TEAM 2: Backend Team
     backend: {
       name: 'Backend Team',
-      branches: ['main', 'dev01', 'dev02', 'dev03'],
+      branches: ['main', 'dev01', 'dev02', 'dev03', 'dlv01'],
       apps: ['app3'],
       permissions: {
         trigger_build: ['developer', 'lead', 'admin'],
         trigger_release: ['lead', 'admin'],
         approve_release: ['admin'],  // Only admins can approve backend releases
         view_logs: ['developer', 'lead', 'admin'],
-        restart_services: ['admin']  // Only admins can restart backend services
+        restart_services: ['admin'],  // Only admins can restart backend services
+        cancel_workflow: ['lead', 'admin'],
+        manage_schedules: ['lead', 'admin'],
+        promote_release: ['admin']
       }
     },
     
@@ -78,7 +109,10 @@ module.exports = {
   //       trigger_release: ['admin'],
   //       approve_release: ['admin'],
   //       view_logs: ['lead', 'admin'],
-  //       restart_services: ['admin']
+  //       restart_services: ['admin'],
+  //       cancel_workflow: ['lead', 'admin'],
+  //       manage_schedules: ['lead', 'admin'],
+  //       promote_release: ['admin']
   //     }
   //   },
     
@@ -92,74 +126,342 @@ module.exports = {
   //       trigger_release: ['lead', 'admin'],
   //       approve_release: ['lead', 'admin'],
   //       view_logs: ['developer', 'lead', 'admin'],
-  //       restart_services: ['admin']
+  //       restart_services: ['admin'],
+  //       cancel_workflow: ['lead', 'admin'],
+  //       manage_schedules: ['lead', 'admin'],
+  //       promote_release: ['admin']
   //     }
   //   }
    },
   
   
+  // AUTHENTICATION
+  // Identity providers tried at login. 'local' uses the hashed credentials
+  // file managed with bin/users.js; the others map external groups onto
+  // the role/teams model below.
+
+  auth: {
+    // Any of: 'local', 'ldap', 'oidc', 'github'
+    providers: ['local'],
+
+    // Where local password hashes are stored (defaults to .users.json)
+    // credentialsFile: '/var/lib/cicd-dashboard/users.json',
+
+    // ldap: {
+    //   url: 'ldaps://ldap.example.com',
+    //   bindDN: 'cn=dashboard,ou=services,dc=example,dc=com',
+    //   bindCredentials: process.env.LDAP_BIND_PASSWORD,
+    //   searchBase: 'ou=people,dc=example,dc=com',
+    //   searchFilter: '(uid={{username}})',
+    //   groupMappings: [
+    //     { group: 'cicd-admins', role: 'admin', teams: ['frontend', 'backend'] },
+    //     { group: 'frontend-devs', role: 'developer', teams: ['frontend'] }
+    //   ]
+    // },
+
+    // oidc: {
+    //   issuer: 'https://login.example.com',
+    //   clientId: 'cicd-dashboard',
+    //   clientSecret: process.env.OIDC_CLIENT_SECRET,
+    //   redirectUri: 'http://localhost:3000/auth/oidc/callback',
+    //   groupsClaim: 'groups',
+    //   groupMappings: [
+    //     { group: 'cicd-leads', role: 'lead', teams: ['frontend'] }
+    //   ]
+    // },
+
+    // github: {
+    //   clientId: process.env.GITHUB_OAUTH_CLIENT_ID,
+    //   clientSecret: process.env.GITHUB_OAUTH_CLIENT_SECRET,
+    //   redirectUri: 'http://localhost:3000/auth/github/callback',
+    //   allowedOrgs: ['dpdeepankar'],
+    //   // Groups are org logins and "org/team-slug"
+    //   groupMappings: [
+    //     { group: 'dpdeepankar/backend', role: 'developer', teams: ['backend'] }
+    //   ]
+    // }
+  },
+
+
+  // SCHEDULER
+  // Scheduled jobs are stored on disk and reloaded at startup.
+  // catchUpPolicy decides what happens to jobs that came due while the
+  // dashboard was down: 'run' fires them, 'skip' records them as missed,
+  // 'grace' fires them only if they are less than catchUpGraceMs late.
+  // Recurring schedules take a cron expression ("0 2 * * *") or an RRULE
+  // ("FREQ=WEEKLY;BYDAY=TU;BYHOUR=18") plus an IANA timezone, and are
+  // re-checked against trigger_build/trigger_release each time they fire.
+
+  scheduler: {
+    // file: '/var/lib/cicd-dashboard/schedules.json',  // defaults to .schedules.json
+    catchUpPolicy: 'grace',
+    catchUpGraceMs: 60 * 60 * 1000  // 1 hour
+  },
+
+
+  // CHANGE FREEZE WINDOWS
+  // Releases (manual, bulk, scheduled and approvals) are blocked while a
+  // matching window is active. Environments follow app-release.yml:
+  // main -> 'prod', dev* -> 'dev', dlv* -> 'dlv'. Omit teams/environments
+  // (or use '*') to match all. Admins can override with a justification.
+
+  freezeWindows: [
+    // Fixed window
+    // {
+    //   name: 'Year-end freeze',
+    //   reason: 'Peak trading period',
+    //   teams: ['*'],
+    //   environments: ['prod'],
+    //   start: '2026-12-20T00:00:00Z',
+    //   end: '2027-01-04T08:00:00Z'
+    // },
+
+    // Recurring window: starts on the cron schedule and lasts durationMinutes
+    // {
+    //   name: 'Weekend prod freeze',
+    //   teams: ['backend'],
+    //   environments: ['prod'],
+    //   cron: '0 17 * * FRI',
+    //   timezone: 'Europe/Berlin',
+    //   durationMinutes: 63 * 60   // Friday 17:00 until Monday 08:00
+    // }
+  ],
+
+
+  // TEST RESULTS
+  // The Tests tab downloads a run's artifacts whose name matches
+  // artifactPattern and parses any JUnit XML, TAP or Jest/Vitest JSON
+  // reports inside. Results of completed runs are cached on disk.
+
+  testResults: {
+    artifactPattern: 'test|junit|report',
+    maxArtifactBytes: 100 * 1024 * 1024,
+    // cacheFile: '/var/lib/cicd-dashboard/test-results.json',  // defaults to .test-results-cache.json
+    
+    // Flaky tests: compared across the last `runs` completed build runs of
+    // each app; flagged when a test passed and failed on the same commit or
+    // flipped at least minFlips times on one branch
+    flaky: {
+      runs: 20,
+      minFlips: 2
+    }
+  },
+
+
+  // JOB LOGS
+  // Logs are split into one section per step and served in pages. While a
+  // job runs, its log is re-fetched every pollIntervalMs and new lines are
+  // streamed to everyone following it. Logs of finished jobs are kept in
+  // memory for the last maxCachedJobs jobs.
+
+  logs: {
+    pollIntervalMs: 5000,
+    maxCachedJobs: 50
+  },
+
+
+  // FAILURE CLASSIFICATION
+  // Failed runs are tagged (docker build error, missing artifact, auth/PAT
+  // failure, test failure, runner timeout...) by the first rule in
+  // collector/failure-rules.json (shared with the static dashboard) whose
+  // patterns match the failed jobs' logs. The tag and the matching log
+  // excerpt (contextLines either side) are attached to each run as
+  // `failure`. Edit the rules file to add categories.
+
+  failureClassification: {
+    // rulesFile: '/etc/cicd-dashboard/failure-rules.json',  // or FAILURE_RULES_FILE; defaults to collector/failure-rules.json
+    // cacheFile: '/var/lib/cicd-dashboard/failures.json',  // defaults to .failure-classifications.json
+    contextLines: 3
+  },
+
+
+  // WORKFLOW RUN REFRESH
+  // One background refresher collects builds and releases from GitHub and
+  // the dashboard API serves its latest result. Run lists are requested
+  // with ETags (unchanged lists don't count against the rate limit) and
+  // jobs are only re-fetched for runs that changed. While no browser is
+  // connected the slower idleIntervalMs applies.
+
+  polling: {
+    intervalMs: 30000,
+    idleIntervalMs: 300000
+  },
+
+
+  // RUN HISTORY
+  // Every build and release run is kept as JSON lines, one file per month,
+  // for the trend endpoints (/api/history/runs, /api/history/trends).
+  // Runs older than retentionDays are dropped. On first start (empty store)
+  // the last backfillDays of runs are imported from GitHub; backfillJobs
+  // also imports their jobs at one request per run. Admins can backfill
+  // again with POST /api/history/backfill.
+
+  history: {
+    // dir: '/var/lib/cicd-dashboard/history',  // or HISTORY_DIR; defaults to .history/
+    retentionDays: 400,
+    backfillDays: 90,
+    backfillJobs: false
+  },
+
+
+  // RUN DURATIONS
+  // A run's time is split into queued, waiting for approval and executing.
+  // The jobs listed here wait for an environment approval (app-release.yml
+  // gates `deploy`); their time before starting counts as waiting. See
+  // /api/history/durations for p50/p90/p99 per app, workflow, job and step.
+
+  durations: {
+    approvalJobs: ['deploy']
+  },
+
+
+  // PROMOTIONS
+  // A build released to one environment can be promoted to the next: the
+  // release's repository_dispatch is sent again with the target branch, so
+  // app-release.yml deploys the same image there. Paths apply to teams
+  // without their own `promotion` list and need promote_release; the
+  // target branch must be in the team's branches. Guards per step:
+  //   succeededForHours  the source release succeeded at least this long ago
+  //   mustBeCurrent      the build is still what the source environment runs
+  // The dispatch payload is the one seen by the repository_dispatch webhook,
+  // else rebuilt from the run name plus `payload` (e.g. acrName).
+
+  promotion: {
+    // file: '/var/lib/cicd-dashboard/promotions.jsonl',  // or PROMOTIONS_FILE; defaults to .promotions.jsonl
+    paths: [
+      { from: 'dev', to: 'dlv', branch: 'dlv01', guards: {} },
+      { from: 'dlv', to: 'prod', branch: 'main', guards: { succeededForHours: 24, mustBeCurrent: true } }
+    ],
+    payload: {
+      // acrName: 'mycompanyacr'
+    }
+  },
+
+
+  // GITHUB RATE LIMITS
+  // Every GitHub request goes through one scheduler that reads the
+  // x-ratelimit-* headers of each token. At most `concurrency` requests run
+  // at once, user actions before background polling. Once a budget is down
+  // to `reserve` requests, background work waits for the reset so user
+  // actions keep working. Secondary rate limits are retried up to
+  // maxRetries times after GitHub's retry-after. See /api/system/ratelimit.
+
+  rateLimits: {
+    concurrency: 8,
+    reserve: 200,
+    maxRetries: 3
+    // maxWaitMs: { interactive: 30000, normal: 120000, background: 600000 }
+  },
+
+
+  // GITHUB WEBHOOKS
+  // Point an organisation webhook (content type application/json) at
+  // https://<dashboard>/webhooks/github with the workflow runs, workflow
+  // jobs, deployments and deployment statuses events. Deliveries must be
+  // signed with the secret; changes are broadcast as soon as they arrive.
+  // While deliveries keep coming (within activeWithinMs) polling slows to
+  // idleIntervalMs and only catches missed ones. recordDir saves each
+  // verified delivery so it can be replayed with bin/webhooks.js.
+
+  webhooks: {
+    secret: process.env.GITHUB_WEBHOOK_SECRET,
+    // recordDir: '/var/lib/cicd-dashboard/webhooks',  // or WEBHOOK_RECORD_DIR
+    activeWithinMs: 600000
+  },
+
+
+  // SERVICE RESTARTS
+  // /api/services/restart hands restarts to a driver and reports the outcome
+  // over the WebSocket. 'github' sends a repository_dispatch (or
+  // workflow_dispatch) to the release repo, handled by service-restart.yml;
+  // 'fake' just succeeds after a delay (or set RESTART_DRIVER=fake).
+  // services maps each app and environment to its Azure Container App.
+
+  restart: {
+    driver: 'github',
+    github: {
+      repo: 'githubActionsReleaseRepo',
+      workflow: 'service-restart.yml',
+      dispatch: 'repository_dispatch',   // or 'workflow_dispatch'
+      eventType: 'service-restart'
+    },
+    fake: {
+      delayMs: 5000,
+      failServices: []
+    },
+    pollIntervalMs: 15000,
+    timeoutMs: 15 * 60 * 1000,  // 15 minutes
+    services: {
+      app1: {
+        dev: { acaName: 'aca-app1-dev', resourceGroup: 'rg-app1-dev' },
+        prod: { acaName: 'aca-app1-prod', resourceGroup: 'rg-app1-prod' }
+      }
+      // app2: { dlv: { acaName: 'aca-app2-dlv', resourceGroup: 'rg-app2-dlv' } }
+    }
+  },
+
+
+  // AUDIT LOG
+  // Every trigger, cancel, approval, schedule change, restart and login is
+  // appended here (JSON lines, hash-chained). Admins can search and export
+  // it from the Audit Log view or GET /api/audit?format=csv|json.
+
+  // auditLogFile: '/var/lib/cicd-dashboard/audit.jsonl',  // defaults to .audit-log.jsonl
+
+
   // USER ROLES & ACCESS CONTROL
   // Define users, their roles, and which teams they belong to
-  // In production, this should come from your authentication system
+  // Passwords are NOT set here - run: node bin/users.js passwd <username>
   
   userRoles: {
     
     // ADMINS - Full access to everything
     'john.doe': {
       role: 'admin',
-      teams: [ 'frontend','backend', 'devops', 'data'],  // All teams
-      password: 'password123'  // Change this in production!
+      teams: [ 'frontend','backend', 'devops', 'data']  // All teams
     },
     
     'jane.smith': {
       role: 'admin',
-      teams: ['frontend', 'devops', 'data'],
-      password: 'password123'
+      teams: ['frontend', 'devops', 'data']
     },
     
     // TEAM LEADS - Can manage their team's workflows
     'alice.frontend': {
       role: 'lead',
-      teams: ['frontend'],  // Only frontend team
-      password: 'password123'
+      teams: ['frontend']  // Only frontend team
     },
     
     'bob.backend': {
       role: 'lead',
-      teams: ['backend'],
-      password: 'password123'
+      teams: ['backend']
     },
     
     'charlie.devops': {
       role: 'lead',
-      teams: ['devops'],
-      password: 'password123'
+      teams: ['devops']
     },
     
     // DEVELOPERS - Can trigger builds and view logs
     'dev1': {
       role: 'developer',
-      teams: ['frontend'],
-      password: 'password123'
+      teams: ['frontend']
     },
     
     'dev2': {
       role: 'developer',
-      teams: ['backend'],
-      password: 'password123'
+      teams: ['backend']
     },
     
     'dev3': {
       role: 'developer',
-      teams: ['frontend', 'backend'],  // Developer on multiple teams
-      password: 'password123'
+      teams: ['frontend', 'backend']  // Developer on multiple teams
     },
     
     // VIEWERS - Read-only access (if you add this role)
     'viewer.user': {
       role: 'viewer',
-      teams: ['frontend', 'backend'],
-      password: 'password123'
+      teams: ['frontend', 'backend']
     }
   },
   
@@ -218,7 +520,30 @@ module.exports = {
       repo: 'githubActionsReleaseRepo',
       releaseWorkflow: 'app-release.yml'
     }
-  ]
+  ],
+  
+  
+  // RUN NAMES
+  // App, branch, version and commit are read from each run's name, so the
+  // templates must match the workflows' `run-name:`. Placeholders:
+  // {appName} {branch} {environment} {version} {commit}, or any other name.
+  // A placeholder takes its own pattern as {version:[^-]+}. {environment}
+  // is mapped to a branch via environmentBranches (app-release.yml names
+  // main runs "prod"). An appRepos/releaseRepos entry can set its own
+  // `runName` (a template or a list), which wins over workflows[<file>],
+  // which wins over build/release.
+  // Check the templates against real runs: node bin/run-names.js validate
+  
+  runNames: {
+    build: '{branch}-{appName}-build-{version}',
+    release: '{environment}-{appName}-release-{version}-{commit}',
+    environmentBranches: {
+      prod: 'main'
+    },
+    workflows: {
+      // 'app-release.yml': '{environment}-{appName}-release-{version}-{commit}'
+    }
+  }
 
 };
 
@@ -371,6 +696,8 @@ module.exports = {
     'admin': { role: 'admin', teams: ['myteam'] }
   },
   
+  // then: node bin/users.js passwd admin
+  
   appRepos: [
     {
       name: 'my-app',
@@ -0,0 +1,186 @@
+// ═══════════════════════════════════════════════════════════════════════
+// CHANGE FREEZE WINDOWS
+// Freeze windows come from config.freezeWindows and block releases for the
+// matching teams/environments. A window is either fixed (start/end) or
+// recurring (cron + durationMinutes in a timezone). Admin overrides are
+// appended to a JSON-lines file with their justification.
+// createFreezeGuard applies the calendar to one release: manual and bulk
+// releases by branch, approvals by each pending environment, scheduled
+// releases with the override stored on the job.
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const { nextCronOccurrence, parseCron, assertTimeZone } = require('./scheduler/cron');
+const { branchToEnvironment } = require('../collector');
+
+// Safety cap when expanding recurring windows into occurrences
+const MAX_OCCURRENCES = 200;
+
+function validateWindow(window, index) {
+  const label = window.name || `freezeWindows[${index}]`;
+  if (window.cron) {
+    parseCron(window.cron);
+    assertTimeZone(window.timezone || 'UTC');
+    if (!(window.durationMinutes > 0)) {
+      throw new Error(`${label}: recurring freeze windows need durationMinutes`);
+    }
+  } else {
+    const start = new Date(window.start);
+    const end = new Date(window.end);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+      throw new Error(`${label}: freeze windows need a valid start before end`);
+    }
+  }
+}
+
+function createFreezeCalendar({ windows = [], overridesFile }) {
+  windows.forEach(validateWindow);
+
+  function applies(window, team, environment) {
+    const teams = window.teams || ['*'];
+    const environments = window.environments || ['*'];
+    const teamMatch = !team || teams.includes('*') || teams.includes(team);
+    const envMatch = !environment || environments.includes('*') || environments.includes(environment);
+    return teamMatch && envMatch;
+  }
+
+  function describe(window, start, end) {
+    return {
+      name: window.name || 'Change freeze',
+      reason: window.reason || null,
+      teams: window.teams || ['*'],
+      environments: window.environments || ['*'],
+      recurring: Boolean(window.cron),
+      start: start.toISOString(),
+      end: end.toISOString()
+    };
+  }
+
+  // Occurrences of one window that overlap [from, to)
+  function occurrencesBetween(window, from, to) {
+    if (!window.cron) {
+      const start = new Date(window.start);
+      const end = new Date(window.end);
+      return start < to && end > from ? [describe(window, start, end)] : [];
+    }
+
+    const durationMs = window.durationMinutes * 60000;
+    const result = [];
+    // Start looking one duration back so a freeze already in progress is included
+    let cursor = new Date(from.getTime() - durationMs - 1);
+    for (let i = 0; i < MAX_OCCURRENCES; i++) {
+      const start = nextCronOccurrence(window.cron, cursor, window.timezone || 'UTC');
+      if (!start || start >= to) break;
+      const end = new Date(start.getTime() + durationMs);
+      if (end > from) result.push(describe(window, start, end));
+      cursor = start;
+    }
+    return result;
+  }
+
+  function activeFreezes({ team, environment, at = new Date() }) {
+    const from = new Date(at);
+    const to = new Date(from.getTime() + 1);
+    return windows
+      .filter(window => applies(window, team, environment))
+      .flatMap(window => occurrencesBetween(window, from, to));
+  }
+
+  // Upcoming (and in-progress) freezes for any of `teams`, soonest first
+  function upcoming({ teams = [], from = new Date(), days = 30 }) {
+    const to = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+    return windows
+      .filter(window => !teams.length || teams.some(team => applies(window, team, null)))
+      .flatMap(window => occurrencesBetween(window, from, to))
+      .sort((a, b) => new Date(a.start) - new Date(b.start));
+  }
+
+  function recordOverride(entry) {
+    const record = { ...entry, at: new Date().toISOString() };
+    try {
+      fs.appendFileSync(overridesFile, `${JSON.stringify(record)}\n`);
+    } catch (err) {
+      // An override we can't record must not go through
+      throw new Error(`Failed to record freeze override: ${err.message}`);
+    }
+    return record;
+  }
+
+  function listOverrides(limit = 100) {
+    try {
+      if (!fs.existsSync(overridesFile)) return [];
+      return fs.readFileSync(overridesFile, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line))
+        .reverse()
+        .slice(0, limit);
+    } catch (err) {
+      console.warn('Freeze override log read failed:', err.message);
+      return [];
+    }
+  }
+
+  return { activeFreezes, upcoming, recordOverride, listOverrides };
+}
+
+// check() returns null when a release to `environment` (or `branch`) may go
+// ahead, otherwise { status, body }. Admins may override an active freeze
+// with a justification, which is recorded and passed to onOverride before
+// the release proceeds.
+function createFreezeGuard({ calendar, onOverride = () => {} }) {
+  function check({ user, username, team, environment, branch, override, justification, target, at }) {
+    const env = environment || branchToEnvironment(branch);
+    const freezes = calendar.activeFreezes({ team, environment: env, at });
+    if (!freezes.length) return null;
+
+    if (override) {
+      if (user.role !== 'admin') {
+        return { status: 403, body: { error: 'Only admins can override a change freeze', freezes } };
+      }
+      if (!justification || justification.trim().length < 10) {
+        return { status: 400, body: { error: 'A justification (at least 10 characters) is required to override a change freeze', freezes } };
+      }
+      const record = calendar.recordOverride({
+        user: username, role: user.role, team, environment: env, branch,
+        justification: justification.trim(), target, freezes: freezes.map(f => f.name)
+      });
+      onOverride(record, { user, username, team, environment: env, target });
+      return null;
+    }
+
+    return {
+      status: 423,
+      body: {
+        error: `Release to ${env} blocked by change freeze: ${freezes.map(f => f.name).join(', ')}`,
+        environment: env,
+        freezes,
+        canOverride: user.role === 'admin'
+      }
+    };
+  }
+
+  // Approving a run releases to every environment it is waiting on
+  function checkEnvironments({ environments, ...release }) {
+    for (const environment of new Set(environments)) {
+      const frozen = check({ ...release, environment });
+      if (frozen) return frozen;
+    }
+    return null;
+  }
+
+  // Only scheduled releases are frozen. The override stored with the job
+  // holds only while its owner (`user`) is still an admin.
+  function checkScheduledJob(job, user, at) {
+    if (job.action !== 'trigger_release') return null;
+    return check({
+      user, username: job.createdBy, team: job.team, branch: job.ref, at,
+      override: Boolean(job.freezeOverride), justification: job.freezeOverride?.justification,
+      target: { jobId: job.id, apps: job.apps, repo: job.repo, ref: job.ref }
+    });
+  }
+
+  return { check, checkEnvironments, checkScheduledJob };
+}
+
+module.exports = { createFreezeCalendar, createFreezeGuard, branchToEnvironment };
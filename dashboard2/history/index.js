@@ -0,0 +1,363 @@
+// ═══════════════════════════════════════════════════════════════════════
+// RUN HISTORY
+// Keeps every build and release run the refresher sees in the history
+// store (store.js), so trends can be looked at over months instead of the
+// last MAX_RUNS_PER_WORKFLOW runs. backfill() pages through
+// listWorkflowRuns to import runs from before the dashboard ran, in
+// date windows small enough for GitHub to list every run of each.
+//
+// Records are the run model minus the display fields, with durations in
+// milliseconds and jobs reduced to name, conclusion, durations and steps.
+// durationMs is the wall-clock time; queuedMs, waitingMs and executingMs
+// split it (collector/durations.js). Records from before the split only
+// have durationMs, which then stands in for executingMs.
+// ═══════════════════════════════════════════════════════════════════════
+
+const { toRunModel, toJobModel, durationStats } = require('../../collector');
+const { createHistoryStore } = require('./store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week', 'month'];
+const GROUPS = ['app', 'workflow', 'job', 'step'];
+// A period regresses when its p50 exceeds the median p50 of the periods
+// before it (up to REGRESSION_BASELINE of them) by REGRESSION_THRESHOLD
+const REGRESSION_BASELINE = 4;
+const REGRESSION_THRESHOLD = 1.2;
+// GitHub stops paging a filtered run listing after 1000 runs
+const MAX_BACKFILL_PAGES = 10;
+const MAX_WINDOW_RUNS = MAX_BACKFILL_PAGES * 100;
+// Backfill windows holding more runs are split until they are this short
+const MIN_WINDOW_MS = 60 * 60 * 1000;
+
+// 2026-10-18T09:12:03Z, as the created filter of a run listing takes it
+const isoSecond = ms => new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+const durationMs = (start, end) => (start && end ? Math.max(0, new Date(end) - new Date(start)) : null);
+
+function toRecord(run) {
+  const jobs = (run.jobs || []).map(job => ({
+    name: job.name,
+    conclusion: job.conclusion,
+    startedAt: job.startedAt || null,
+    durationMs: durationMs(job.startedAt, job.completedAt),
+    queuedMs: job.queuedMs ?? null,
+    steps: (job.steps || []).map(step => ({ name: step.name, conclusion: step.conclusion, durationMs: step.durationMs ?? null }))
+  }));
+  const completed = run.status === 'completed';
+  return {
+    repo: run.repo,
+    workflow: run.workflow,
+    appName: run.appName,
+    type: run.type,
+    branch: run.branch,
+    version: run.version,
+    status: run.status,
+    conclusion: run.conclusion,
+    event: run.event,
+    runId: run.runId,
+    runNumber: run.runNumber,
+    attempt: run.attempt,
+    createdAt: run.createdAt,
+    startedAt: run.startedAt || null,
+    updatedAt: run.updatedAt,
+    durationMs: completed ? durationMs(run.createdAt, run.updatedAt) : null,
+    queuedMs: completed ? run.durations?.queuedMs ?? null : null,
+    waitingMs: completed ? run.durations?.waitingMs ?? null : null,
+    executingMs: completed ? run.durations?.executingMs ?? null : null,
+    triggeredBy: run.triggeredBy,
+    commitSha: run.commitSha,
+    commitAt: run.commitAt || null,
+    link: run.link,
+    failure: run.failure?.category || null,
+    jobs,
+    // Jobs can finish without the run's updated_at moving
+    signature: `${run.status}:${run.conclusion}:${jobs.map(job => job.conclusion).join(',')}`
+  };
+}
+
+// Start of the interval a date falls in: 2026-03-14, 2026-03-09 (Monday), 2026-03
+function periodOf(date, interval) {
+  const day = new Date(date).toISOString().slice(0, 10);
+  if (interval === 'month') return day.slice(0, 7);
+  if (interval === 'week') {
+    const d = new Date(`${day}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    return d.toISOString().slice(0, 10);
+  }
+  return day;
+}
+
+const executingMsOf = record => record.executingMs ?? record.durationMs;
+
+// options: { dir, retentionDays } (config.history)
+function createRunHistory(options, { octokit, owner, appRepos = [], releaseRepos = [], runNameParser, approvalJobs = [], log = console.log }) {
+  const store = createHistoryStore({ dir: options.dir, retentionDays: options.retentionDays });
+  let backfillState = { running: false };
+
+  function load() {
+    const runs = store.load();
+    log(`📚 Run history: ${runs} runs in ${options.dir}`);
+    return runs;
+  }
+
+  // Stores the runs (run models) that are new or changed
+  function record(runs) {
+    const records = runs.filter(run => run.runId && run.status !== 'error').map(toRecord);
+    return store.upsert(records);
+  }
+
+  function matcher({ apps, type, branch, conclusion, workflow }) {
+    return record => (!apps || apps.includes(record.appName))
+      && (!type || record.type.toLowerCase() === type.toLowerCase())
+      && (!branch || record.branch === branch)
+      && (!conclusion || record.conclusion === conclusion)
+      && (!workflow || record.workflow === workflow);
+  }
+
+  function range({ from, to, days = 30 }) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - days * DAY_MS);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      const err = new Error('from and to must be dates (YYYY-MM-DD or ISO)');
+      err.status = 400;
+      throw err;
+    }
+    return { from: start.toISOString(), to: end.toISOString() };
+  }
+
+  // Matching runs, newest first. filters: { apps, type, branch,
+  // conclusion, workflow, from, to, days }
+  function query(filters = {}, { limit = 100, offset = 0 } = {}) {
+    const window = range(filters);
+    const runs = store.scan({ ...window, match: matcher(filters) })
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return { ...window, total: runs.length, runs: runs.slice(offset, offset + limit) };
+  }
+
+  // Completed runs per interval (day, week or month), per app with byApp
+  function trends(filters = {}, { interval = 'week', byApp = false } = {}) {
+    if (!INTERVALS.includes(interval)) {
+      const err = new Error(`interval must be one of ${INTERVALS.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+    const window = range({ days: 90, ...filters });
+    const runs = store.scan({ ...window, match: matcher(filters) }).filter(run => run.status === 'completed');
+
+    const buckets = new Map();
+    runs.forEach(run => {
+      const key = `${periodOf(run.createdAt, interval)}|${byApp ? run.appName : ''}`;
+      if (!buckets.has(key)) buckets.set(key, { durations: [], counts: {} });
+      const bucket = buckets.get(key);
+      bucket.counts[run.conclusion] = (bucket.counts[run.conclusion] || 0) + 1;
+      if (executingMsOf(run) !== null) bucket.durations.push(executingMsOf(run));
+    });
+
+    const series = [...buckets.entries()].map(([key, bucket]) => {
+      const [period, appName] = key.split('|');
+      const total = Object.values(bucket.counts).reduce((sum, n) => sum + n, 0);
+      const succeeded = bucket.counts.success || 0;
+      const stats = durationStats(bucket.durations);
+      return {
+        period,
+        ...(byApp ? { appName } : {}),
+        runs: total,
+        succeeded,
+        failed: bucket.counts.failure || 0,
+        cancelled: bucket.counts.cancelled || 0,
+        successRate: total ? Number((succeeded / total * 100).toFixed(1)) : null,
+        avgDurationMs: stats.meanMs,
+        p50DurationMs: stats.p50,
+        p90DurationMs: stats.p90,
+        p99DurationMs: stats.p99
+      };
+    }).sort((a, b) => a.period.localeCompare(b.period) || (a.appName || '').localeCompare(b.appName || ''));
+
+    markRegressions(series);
+    return { ...window, interval, series };
+  }
+
+  // Flags each period whose p50 is REGRESSION_THRESHOLD times the median
+  // p50 of the periods before it (per app with byApp)
+  function markRegressions(series) {
+    const previous = new Map();
+    series.forEach(point => {
+      const key = point.appName || '';
+      const baseline = durationStats(previous.get(key) || []).p50;
+      point.baselineDurationMs = baseline;
+      point.regression = baseline !== null && point.p50DurationMs !== null && point.p50DurationMs > baseline * REGRESSION_THRESHOLD;
+      if (point.p50DurationMs !== null) {
+        previous.set(key, [...(previous.get(key) || []), point.p50DurationMs].slice(-REGRESSION_BASELINE));
+      }
+    });
+  }
+
+  // p50/p90/p99 of completed runs grouped by app or workflow (queued,
+  // waiting, executing), or by job or step (their own duration)
+  function durations(filters = {}, { groupBy = 'app' } = {}) {
+    if (!GROUPS.includes(groupBy)) {
+      const err = new Error(`groupBy must be one of ${GROUPS.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+    const window = range(filters);
+    const runs = store.scan({ ...window, match: matcher(filters) }).filter(run => run.status === 'completed');
+
+    const groups = new Map();
+    const add = (key, fields, values) => {
+      if (!groups.has(key)) groups.set(key, { ...fields, values: {} });
+      const group = groups.get(key);
+      Object.entries(values).forEach(([name, ms]) => {
+        (group.values[name] = group.values[name] || []).push(ms);
+      });
+    };
+
+    runs.forEach(run => {
+      if (groupBy === 'app' || groupBy === 'workflow') {
+        const fields = groupBy === 'app' ? { appName: run.appName, type: run.type } : { repo: run.repo, workflow: run.workflow };
+        add(Object.values(fields).join('/'), fields, {
+          total: run.durationMs, queued: run.queuedMs, waiting: run.waitingMs, executing: executingMsOf(run)
+        });
+        return;
+      }
+      (run.jobs || []).forEach(job => {
+        if (job.conclusion === 'skipped') return;
+        if (groupBy === 'job') {
+          add(`${run.appName}/${run.workflow}/${job.name}`, { appName: run.appName, workflow: run.workflow, job: job.name }, {
+            executing: job.durationMs, queued: job.queuedMs
+          });
+          return;
+        }
+        (job.steps || []).filter(step => step.conclusion !== 'skipped').forEach(step => {
+          add(`${run.appName}/${run.workflow}/${job.name}/${step.name}`, { appName: run.appName, workflow: run.workflow, job: job.name, step: step.name }, {
+            executing: step.durationMs
+          });
+        });
+      });
+    });
+
+    const result = [...groups.values()].map(({ values, ...fields }) => ({
+      ...fields,
+      ...Object.fromEntries(Object.entries(values).map(([name, list]) => [name, durationStats(list)]))
+    })).sort((a, b) => (b.executing.p50 || 0) - (a.executing.p50 || 0));
+
+    return { ...window, groupBy, runs: runs.length, groups: result };
+  }
+
+  // One entry per workflow; a shared release workflow is listed once
+  function workflowsToImport() {
+    const workflows = new Map();
+    appRepos.forEach(app => {
+      workflows.set(`${app.repo}/${app.buildWorkflow}`, { repo: app.repo, workflow: app.buildWorkflow, isRelease: false, apps: [app.name] });
+    });
+    releaseRepos.forEach(entry => {
+      const key = `${entry.repo}/${entry.releaseWorkflow}`;
+      if (!workflows.has(key)) workflows.set(key, { repo: entry.repo, workflow: entry.releaseWorkflow, isRelease: true, apps: [] });
+      workflows.get(key).apps.push(entry.appName);
+    });
+    return [...workflows.values()];
+  }
+
+  // Stores the listed runs not stored yet; returns how many were new or changed
+  async function importRuns(target, runs, includeJobs) {
+    const models = [];
+    for (const run of runs) {
+      const appName = target.apps.length === 1 ? target.apps[0] : undefined;
+      const parsed = runNameParser.parse(run.name, { isRelease: target.isRelease, appName, workflow: target.workflow });
+      const configAppName = target.apps.includes(parsed?.appName) ? parsed.appName : target.apps[0];
+      const candidate = { repo: target.repo, runId: run.id, attempt: run.run_attempt || 1, updatedAt: run.updated_at };
+      if (store.has(candidate)) continue;
+
+      let jobs = [];
+      if (includeJobs && run.status === 'completed') {
+        const { data: jobsData } = await octokit.actions.listJobsForWorkflowRun({ owner, repo: target.repo, run_id: run.id, per_page: 100 });
+        jobs = jobsData.jobs.map(toJobModel);
+      }
+      models.push(toRunModel(run, { repo: target.repo, configAppName, isRelease: target.isRelease, jobs, parsed, approvalJobs }));
+    }
+    const stored = record(models);
+    backfillState.runs += runs.length;
+    backfillState.stored += stored;
+    return stored;
+  }
+
+  // Imports the runs created in [fromMs, toMs]. A window holding more runs
+  // than GitHub lists is split in two (newer half first); one that can't be
+  // split any more is imported as far as it lists and reported in
+  // backfillState.truncated.
+  async function importWindow(target, fromMs, toMs, includeJobs) {
+    const created = `${isoSecond(fromMs)}..${isoSecond(toMs)}`;
+    let imported = 0;
+    for (let page = 1; page <= MAX_BACKFILL_PAGES; page++) {
+      const { data } = await octokit.actions.listWorkflowRuns({
+        owner, repo: target.repo, workflow_id: target.workflow, per_page: 100, page, created
+      });
+
+      if (page === 1 && data.total_count > MAX_WINDOW_RUNS) {
+        if (toMs - fromMs > MIN_WINDOW_MS) {
+          const middle = fromMs + Math.floor((toMs - fromMs) / 2000) * 1000;
+          return await importWindow(target, middle + 1000, toMs, includeJobs)
+            + await importWindow(target, fromMs, middle, includeJobs);
+        }
+        const workflow = `${target.repo}/${target.workflow}`;
+        console.warn(`⚠ History backfill of ${workflow} keeps only ${MAX_WINDOW_RUNS} of the ${data.total_count} runs created ${created}`);
+        backfillState.truncated.push({ workflow, created, runs: data.total_count, listed: MAX_WINDOW_RUNS });
+      }
+
+      imported += await importRuns(target, data.workflow_runs, includeJobs);
+      if (data.workflow_runs.length < 100) break;
+    }
+    return imported;
+  }
+
+  // Imports the runs of the last `days` days of every configured workflow.
+  // Runs already stored unchanged are skipped; includeJobs also fetches
+  // each run's jobs (one request per run).
+  async function backfill({ days = 90, includeJobs = false } = {}) {
+    if (backfillState.running) {
+      const err = new Error('A backfill is already running');
+      err.status = 409;
+      throw err;
+    }
+
+    const now = Date.now();
+    const since = new Date(now - days * DAY_MS).toISOString().slice(0, 10);
+    const workflows = workflowsToImport();
+    backfillState = {
+      running: true, since, includeJobs, startedAt: new Date(now).toISOString(), workflows: workflows.length, done: 0, runs: 0, stored: 0, errors: [], truncated: []
+    };
+    log(`📚 Backfilling run history since ${since} for ${workflows.length} workflows...`);
+
+    for (const target of workflows) {
+      try {
+        const imported = await importWindow(target, Date.parse(since), now, includeJobs);
+        log(`   ✓ ${target.repo}/${target.workflow}: ${imported} runs stored`);
+      } catch (err) {
+        console.error(`History backfill failed for ${target.repo}/${target.workflow}:`, err.message);
+        backfillState.errors.push({ workflow: `${target.repo}/${target.workflow}`, error: err.message });
+      }
+      backfillState.done++;
+    }
+
+    backfillState = { ...backfillState, running: false, finishedAt: new Date().toISOString() };
+    const truncated = backfillState.truncated.length ? `, ${backfillState.truncated.length} windows truncated` : '';
+    log(`📚 Backfill done: ${backfillState.runs} runs read, ${backfillState.stored} stored, ${backfillState.errors.length} workflows failed${truncated}`);
+    return backfillState;
+  }
+
+  function prune() {
+    const result = store.prune();
+    if (result.removedRuns || result.compacted) {
+      log(`📚 History pruned: ${result.removedRuns} runs past retention, ${result.compacted} files compacted`);
+    }
+    return result;
+  }
+
+  function status() {
+    return { ...store.stats(), backfill: backfillState };
+  }
+
+  return { load, record, query, trends, durations, backfill, prune, status, scan: store.scan };
+}
+
+module.exports = { createRunHistory, toRecord, periodOf };
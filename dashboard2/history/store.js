@@ -0,0 +1,176 @@
+// ═══════════════════════════════════════════════════════════════════════
+// RUN HISTORY STORE
+// Every build and release run ever collected, as JSON lines in one file
+// per month of run creation (runs-2026-03.jsonl). A changed run is
+// appended again; the last line of a run wins. Only the run keys are kept
+// in memory, queries read the month files they cover.
+//
+// Retention drops whole months past retentionDays and trims the oldest
+// month kept. Files with mostly superseded lines are rewritten (tmp +
+// rename) when pruning.
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+
+const FILE_PATTERN = /^runs-(\d{4}-\d{2})\.jsonl$/;
+
+const monthOf = date => new Date(date).toISOString().slice(0, 7);
+const runKey = record => `${record.repo}/${record.runId}/${record.attempt}`;
+
+// Months from `from` to `to` (inclusive), as YYYY-MM
+function monthsBetween(from, to) {
+  const months = [];
+  const cursor = new Date(`${monthOf(from)}-01T00:00:00Z`);
+  const last = monthOf(to);
+  while (monthOf(cursor) <= last) {
+    months.push(monthOf(cursor));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+function createHistoryStore({ dir, retentionDays = 400 }) {
+  // run key -> { updatedAt, signature, month }
+  const index = new Map();
+  // month -> lines in its file (superseded ones included)
+  const lineCounts = new Map();
+
+  const fileFor = month => path.join(dir, `runs-${month}.jsonl`);
+
+  function listMonths() {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .map(name => FILE_PATTERN.exec(name)?.[1])
+      .filter(Boolean)
+      .sort();
+  }
+
+  // Latest record per run in one month file
+  function readMonth(month) {
+    const file = fileFor(month);
+    if (!fs.existsSync(file)) return [];
+    const latest = new Map();
+    fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+      if (!line) return;
+      try {
+        const record = JSON.parse(line);
+        latest.set(runKey(record), record);
+      } catch (err) {
+        console.warn(`Skipping a corrupt line in ${file}:`, err.message);
+      }
+    });
+    return [...latest.values()];
+  }
+
+  function load() {
+    index.clear();
+    lineCounts.clear();
+    fs.mkdirSync(dir, { recursive: true });
+    listMonths().forEach(month => {
+      const content = fs.readFileSync(fileFor(month), 'utf8');
+      lineCounts.set(month, content.split('\n').filter(Boolean).length);
+      readMonth(month).forEach(record => {
+        index.set(runKey(record), { updatedAt: record.updatedAt, signature: record.signature, month });
+      });
+    });
+    return index.size;
+  }
+
+  // Appends the records that are new or changed; returns how many were
+  function upsert(records) {
+    const byMonth = new Map();
+    records.forEach(record => {
+      const key = runKey(record);
+      const known = index.get(key);
+      if (known && known.updatedAt === record.updatedAt && known.signature === record.signature) return;
+
+      const month = monthOf(record.createdAt);
+      index.set(key, { updatedAt: record.updatedAt, signature: record.signature, month });
+      if (!byMonth.has(month)) byMonth.set(month, []);
+      byMonth.get(month).push(JSON.stringify(record));
+    });
+
+    byMonth.forEach((lines, month) => {
+      fs.appendFileSync(fileFor(month), `${lines.join('\n')}\n`);
+      lineCounts.set(month, (lineCounts.get(month) || 0) + lines.length);
+    });
+    return [...byMonth.values()].reduce((sum, lines) => sum + lines.length, 0);
+  }
+
+  function has(record) {
+    const known = index.get(runKey(record));
+    return Boolean(known && known.updatedAt === record.updatedAt);
+  }
+
+  // Latest records created between from and to that match(record)
+  function scan({ from, to, match = () => true }) {
+    const fromTime = new Date(from).getTime();
+    const toTime = new Date(to).getTime();
+    const available = new Set(listMonths());
+    return monthsBetween(from, to)
+      .filter(month => available.has(month))
+      .flatMap(readMonth)
+      .filter(record => {
+        const created = new Date(record.createdAt).getTime();
+        return created >= fromTime && created <= toTime && match(record);
+      });
+  }
+
+  function writeMonth(month, records) {
+    const file = fileFor(month);
+    if (!records.length) {
+      fs.rmSync(file, { force: true });
+      lineCounts.delete(month);
+      return;
+    }
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, `${records.map(record => JSON.stringify(record)).join('\n')}\n`);
+    fs.renameSync(tmp, file);
+    lineCounts.set(month, records.length);
+  }
+
+  // Applies retention and compacts files; returns { removedRuns, compacted }
+  function prune(now = Date.now()) {
+    const cutoff = now - retentionDays * 24 * 60 * 60 * 1000;
+    const cutoffMonth = monthOf(cutoff);
+    let removedRuns = 0;
+    let compacted = 0;
+
+    listMonths().forEach(month => {
+      if (month > cutoffMonth) {
+        const lines = lineCounts.get(month) || 0;
+        const live = [...index.values()].filter(entry => entry.month === month).length;
+        if (lines > 2 * live + 100) {
+          writeMonth(month, readMonth(month));
+          compacted++;
+        }
+        return;
+      }
+
+      const records = readMonth(month);
+      const kept = month === cutoffMonth ? records.filter(r => new Date(r.createdAt).getTime() >= cutoff) : [];
+      removedRuns += records.length - kept.length;
+      records.filter(r => !kept.includes(r)).forEach(r => index.delete(runKey(r)));
+      writeMonth(month, kept);
+    });
+
+    return { removedRuns, compacted };
+  }
+
+  function stats() {
+    const months = listMonths();
+    return {
+      runs: index.size,
+      months: months.length,
+      oldestMonth: months[0] || null,
+      newestMonth: months[months.length - 1] || null,
+      bytes: months.reduce((sum, month) => sum + fs.statSync(fileFor(month)).size, 0),
+      retentionDays
+    };
+  }
+
+  return { load, upsert, has, scan, prune, stats };
+}
+
+module.exports = { createHistoryStore, monthsBetween };
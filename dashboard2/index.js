@@ -10,6 +10,24 @@ const express = require('express');
 const WebSocket = require('ws');
 const session = require('express-session');
 const cookieParser = require('cookie-parser');
+const { createAuth } = require('./auth');
+const { createScheduler } = require('./scheduler');
+const { createFreezeCalendar, createFreezeGuard, branchToEnvironment } = require('./freeze');
+const { createAuditLog } = require('./audit');
+const { createAuthorizer } = require('./authz');
+const { createRestartManager, restartEventType, FINAL_STATUSES } = require('./restart');
+const { createTestResults } = require('./test-results');
+const { detectFlakyTests } = require('./test-results/flaky');
+const { createLogService } = require('./logs');
+const {
+  createCollector, createRunNameParser, createTokenProvider, createGithubClient, createRequestScheduler, computeDora, ENVIRONMENTS, batchProcess,
+  createFailureClassifier
+} = require('../collector');
+const { createRefresher } = require('./refresher');
+const { createWebhookReceiver } = require('./webhooks');
+const { createRunHistory } = require('./history');
+const { createTraceability } = require('./traceability');
+const { createPromotions } = require('./promotion');
 let config;
 try {
   config = require('./config');
@@ -20,33 +38,171 @@ try {
 
 const app = express();
 const server = require('http').createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ noServer: true });
 
-const octokit = new Octokit({ auth: config.token });
+// PAT (config.token) or GitHub App installation tokens (config.githubApp);
+// every request is queued by the rate-limit aware scheduler (config.rateLimits)
+const tokenProvider = createTokenProvider(config);
+const requestScheduler = createRequestScheduler(config.rateLimits);
+const octokit = createGithubClient(Octokit, { tokenProvider, defaultOwner: config.owner, scheduler: requestScheduler });
+
+// Run-name templates (config.runNames); a template that doesn't compile stops startup
+const runNameParser = createRunNameParser(config);
+try {
+  runNameParser.validateTemplates();
+} catch (err) {
+  console.error('Invalid run-name template:', err.message);
+  process.exit(1);
+}
 
 // Configuration
 const MAX_RUNS_PER_WORKFLOW = 15;
-const CACHE_FILE = path.join(__dirname, '.workflow-cache.json');
 const CACHE_TTL_MS = 5 * 60 * 1000;
 const CONCURRENT_WORKFLOWS = 10;
 const CONCURRENT_JOBS = 20;
-const REAL_TIME_POLL_INTERVAL = 120000;
+const WS_HEARTBEAT_INTERVAL = 30000;
 const SESSION_SECRET = process.env.SESSION_SECRET || 'your-secret-key-change-this';
 
 // Teams and user configuration
 const TEAMS_CONFIG = config.teams || {};
-const USER_ROLES = config.userRoles || {};
+const auth = createAuth(config);
+const authz = createAuthorizer(config);
+const userStore = auth.userStore;
+
 
+// Append-only audit log of every dashboard action
+const auditLog = createAuditLog({
+  file: process.env.AUDIT_LOG_FILE || config.auditLogFile || path.join(__dirname, '.audit-log.jsonl')
+});
 
-// Scheduled jobs storage
-const scheduledJobs = new Map();
+// Change freeze windows (config.freezeWindows)
+const freezeCalendar = createFreezeCalendar({
+  windows: config.freezeWindows || [],
+  overridesFile: process.env.FREEZE_OVERRIDES_FILE || path.join(__dirname, '.freeze-overrides.jsonl')
+});
+const freezeGuard = createFreezeGuard({
+  calendar: freezeCalendar,
+  onOverride: (record, { user, username, team, environment, target }) => {
+    console.warn(`Change freeze overridden by ${username} for ${team}/${environment}: ${record.justification}`);
+    auditLog.record({
+      actor: username, role: user.role, team, action: 'freeze_override',
+      target: { ...target, environment }, payload: { justification: record.justification },
+      details: { freezes: record.freezes }
+    });
+    broadcastUpdate('freeze_overridden', { team, environment, user: username, justification: record.justification, freezes: record.freezes });
+  }
+});
+
+// Scheduled jobs - persisted so they survive restarts
+const SCHEDULER_CONFIG = config.scheduler || {};
+const scheduler = createScheduler({
+  file: process.env.SCHEDULE_FILE || SCHEDULER_CONFIG.file || path.join(__dirname, '.schedules.json'),
+  catchUpPolicy: SCHEDULER_CONFIG.catchUpPolicy,
+  catchUpGraceMs: SCHEDULER_CONFIG.catchUpGraceMs,
+  execute: (job) => runScheduledJob(job),
+  onEvent: (status, job, entry) => {
+    if (['success', 'failed', 'missed', 'interrupted'].includes(status)) {
+      auditLog.record({
+        actor: job.createdBy, team: job.team, action: `scheduled_${job.action || 'workflow'}`,
+        target: { repo: job.repo, workflowId: job.workflowId, jobId: job.id, apps: job.apps, branch: job.ref },
+        result: status === 'success' ? 'success' : 'failure',
+        error: entry.error, details: { status, scheduledFor: entry.scheduledFor, results: entry.result }
+      });
+    }
+    const data = { jobId: job.id, repo: job.repo, workflowId: job.workflowId, apps: job.apps, ref: job.ref, team: job.team };
+    if (status === 'success') {
+      broadcastUpdate('scheduled_workflow_triggered', data);
+      refreshSoon();
+    } else if (status === 'failed' || status === 'missed' || status === 'interrupted') {
+      console.error(`Scheduled job ${job.id} ${status}:`, entry.error || '');
+      broadcastUpdate('scheduled_workflow_failed', { ...data, status, error: entry.error || status });
+    }
+  }
+});
+
+// Parsed test reports from run artifacts (config.testResults)
+const TEST_RESULTS_CONFIG = config.testResults || {};
+const testResults = createTestResults({
+  octokit,
+  owner: config.owner,
+  cacheFile: process.env.TEST_RESULTS_CACHE_FILE || TEST_RESULTS_CONFIG.cacheFile || path.join(__dirname, '.test-results-cache.json'),
+  artifactPattern: TEST_RESULTS_CONFIG.artifactPattern,
+  maxArtifactBytes: TEST_RESULTS_CONFIG.maxArtifactBytes
+});
+
+const FLAKY_CONFIG = TEST_RESULTS_CONFIG.flaky || {};
+
+// Job logs split into steps, with paging, search and live following (config.logs)
+const LOGS_CONFIG = config.logs || {};
+const logService = createLogService({
+  octokit,
+  owner: config.owner,
+  pollIntervalMs: LOGS_CONFIG.pollIntervalMs,
+  maxCachedJobs: LOGS_CONFIG.maxCachedJobs
+});
+
+const MAX_LOG_PAGE_LINES = 5000;
+// Live log updates are split so one message never carries a whole log
+const LOG_LINES_PER_MESSAGE = 1000;
+
+// Failed runs are tagged using the rules in collector/failure-rules.json (config.failureClassification)
+const FAILURE_CONFIG = config.failureClassification || {};
+const failureClassifier = createFailureClassifier({
+  getJobLog: (repo, runId, job) => logService.getJobLog(repo, runId, job.id),
+  rulesFile: process.env.FAILURE_RULES_FILE || FAILURE_CONFIG.rulesFile,
+  cacheFile: FAILURE_CONFIG.cacheFile || path.join(__dirname, '.failure-classifications.json'),
+  contextLines: FAILURE_CONFIG.contextLines
+});
+
+// Service restarts (config.restart) - RESTART_DRIVER=fake for local testing
+const RESTART_CONFIG = config.restart || {};
+const restartManager = createRestartManager(
+  { ...RESTART_CONFIG, driver: process.env.RESTART_DRIVER || RESTART_CONFIG.driver || 'github' },
+  {
+    octokit,
+    owner: config.owner,
+    onUpdate: (request) => {
+      const eventType = restartEventType(request);
+      if (eventType === 'service_restart_failed') {
+        console.error(`Restart ${request.id} ${request.status}:`, request.error || '');
+      }
+      broadcastUpdate(eventType, { ...request, user: request.requestedBy });
+
+      if (FINAL_STATUSES.includes(request.status)) {
+        auditLog.record({
+          actor: request.requestedBy, action: 'restart_service_result',
+          target: { service: request.service, environment: request.environment },
+          result: request.status === 'success' ? 'success' : 'failure',
+          error: request.error, details: { id: request.id, acaName: request.acaName, url: request.url, status: request.status }
+        });
+      }
+    }
+  }
+);
 
 // ══════════════════════════════════════════════
 // MIDDLEWARE & SETUP
 // ══════════════════════════════════════════════
+
+// Ahead of express.json: the signature is checked against the raw body
+app.post('/webhooks/github', express.raw({ type: () => true, limit: '25mb' }), (req, res) => {
+  const result = webhooks.receive({
+    event: req.get('X-GitHub-Event'),
+    deliveryId: req.get('X-GitHub-Delivery'),
+    signature: req.get('X-Hub-Signature-256'),
+    body: req.body
+  });
+  res.status(result.status).json(result.body);
+});
+
+// GitHub requests made while handling a user's request go first
+app.use((req, res, next) => requestScheduler.withPriority('interactive', next));
+
 app.use(express.json());
 app.use(cookieParser());
-app.use(session({
+
+// Shared with the WebSocket upgrade handler so sockets use the same session store
+const sessionMiddleware = session({
   secret: SESSION_SECRET,
   resave: false,
   saveUninitialized: false,
@@ -55,7 +211,8 @@ app.use(session({
     httpOnly: true,
     maxAge: 24 * 60 * 60 * 1000 // 24 hours
   }
-}));
+});
+app.use(sessionMiddleware);
 
 // Serve static files from 'public' directory
 app.use(express.static('public'));
@@ -66,50 +223,167 @@ app.use(express.static('public'));
 
 // Check if user is authenticated
 function requireAuth(req, res, next) {
-  if (req.session && req.session.username) {
-    const userConfig = USER_ROLES[req.session.username];
-    if (userConfig) {
-      req.user = userConfig;
-      req.username = req.session.username;
-      return next();
-    }
+  const userConfig = auth.resolveSessionUser(req.session);
+  if (userConfig) {
+    req.user = { ...userConfig, username: req.session.username };
+    req.username = req.session.username;
+    return next();
   }
   
   res.status(401).json({ error: 'Unauthorized', message: 'Please log in' });
 }
 
-// Check specific permission
-function checkPermission(action) {
-  return (req, res, next) => {
-    // For GET requests (like logs), skip team check or get from query/headers
-    if (req.method === 'GET') {
-      return next(); // or add custom logic if needed
+// Replace the session (prevents fixation) and record the signed-in user
+function establishSession(req, profile, callback) {
+  req.session.regenerate((err) => {
+    if (err) return callback(err);
+    req.session.username = profile.username;
+    req.session.role = profile.role;
+    req.session.provider = profile.provider;
+    if (profile.provider !== 'local') {
+      req.session.profile = { username: profile.username, role: profile.role, teams: profile.teams };
     }
+    callback(null);
+  });
+}
 
-    // For POST/PUT etc. (which have body)
-    const { team } = req.body;
-    if (!team) {
-      return res.status(400).json({ error: 'Team is required for this action' });
-    }
+// Apps owned by any of the given teams
+function getAppsForTeams(teams = []) {
+  return teams.flatMap(teamName => TEAMS_CONFIG[teamName]?.apps || []);
+}
 
-    const teamConfig = TEAMS_CONFIG[team];
-    if (!teamConfig) {
-      return res.status(404).json({ error: 'Team not found' });
+// Check specific permission; `action` may be a function of (req, target).
+// `resolveTarget(req)` works out who owns what the request acts on and
+// returns { teams, branch }: `teams` empty (with an `error` and optional
+// `status`) when nothing configured owns it, or null when it doesn't exist. Without a resolver the
+// team comes from the body or query string.
+function checkPermission(action, resolveTarget) {
+  return async (req, res, next) => {
+    let target;
+    try {
+      target = resolveTarget
+        ? await resolveTarget(req)
+        : { teams: [req.method === 'GET' ? req.query.team : req.body.team] };
+    } catch (err) {
+      console.error(`Owner lookup failed for ${req.path}:`, err.message);
+      return res.status(err.status === 404 ? 404 : 502).json({ error: `Could not resolve the owning team: ${err.message}` });
     }
 
-    if (!req.user.teams.includes(team)) {
-      return res.status(403).json({ error: 'Not a member of this team' });
+    if (!target) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    if (resolveTarget && !target.teams.length) {
+      return res.status(target.status || 403).json({ error: target.error || 'Resource is not owned by any configured team' });
     }
 
-    const allowedRoles = teamConfig.permissions[action] || [];
-    if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({
-        error: `Insufficient permissions for ${action}`,
-        required: allowedRoles,
-        yourRole: req.user.role
-      });
+    const resolvedAction = typeof action === 'function' ? action(req, target) : action;
+    const requested = req.method === 'GET' ? req.query.team : req.body.team;
+    const { team, denied } = authz.authorizeTarget(req.user, target, resolvedAction, requested);
+    if (team) {
+      req.owningTeam = team;
+      req.target = target;
+      return next();
     }
+    res.status(denied.status).json(denied.body);
+  };
+}
+
+// Targets of dispatches and bulk actions, from the request body
+const resolveWorkflowTarget = req => authz.workflowTarget(req.body);
+const resolveAppsTarget = (req, kind) => authz.appsTarget(req.body, kind);
+
+// Apps a workflow run belongs to. Build workflows are per app; release
+// workflows are shared, so the app comes from the run name.
+async function resolveRunApps(repo, runId) {
+  const { data: run } = await octokit.actions.getWorkflowRun({
+    owner: config.owner,
+    repo,
+    run_id: runId
+  });
+  const workflowFile = path.basename(run.path || '');
+  const workflow = authz.resolveWorkflow(repo, workflowFile);
+  if (!workflow) return [];
+  if (workflow.apps.length === 1) return workflow.apps;
+
+  const parsed = runNameParser.parse(run.name || run.display_title, { isRelease: workflow.kind === 'release', workflow: workflowFile });
+  return parsed && workflow.apps.includes(parsed.appName) ? [parsed.appName] : [];
+}
+
+// Owning teams of the run in req.params/req.body (repo + runId)
+async function resolveRunTarget(req) {
+  const { repo, runId } = req.method === 'GET' ? req.params : req.body;
+  if (!repo || !runId) {
+    const err = new Error('repo and runId are required');
+    err.status = 404;
+    throw err;
+  }
+  const apps = await resolveRunApps(repo, runId);
+  return { teams: authz.teamsForAnyApp(apps), apps, error: `Run ${runId} does not belong to a configured app` };
+}
+
+// Owning teams of the app a promotion is for
+function resolvePromotionTarget(req) {
+  const { appName } = req.method === 'GET' ? req.query : req.body;
+  if (!appName) return { teams: [], status: 400, error: 'appName is required' };
+  return { teams: authz.teamsForApp(appName), apps: [appName], error: `Unknown app ${appName}` };
+}
 
+// Owning team of the scheduled job in req.params.jobId
+function resolveScheduleTarget(req) {
+  const job = scheduler.get(req.params.jobId);
+  return job ? { teams: [job.team] } : null;
+}
+
+// Owning teams of the service being restarted
+function resolveServiceTarget(req) {
+  return { teams: authz.teamsForApp(req.body.service), error: `Unknown service ${req.body.service}` };
+}
+
+// Owning teams of the service a tracked restart is for
+function resolveRestartTarget(req) {
+  const restart = restartManager.get(req.params.id);
+  return restart ? { teams: authz.teamsForApp(restart.service), restart } : null;
+}
+
+// Record the request and its outcome in the audit log once the response is sent.
+// Mount after requireAuth (so the actor is known) and before checkPermission
+// (so denied attempts are recorded too).
+function audit(action) {
+  return (req, res, next) => {
+    const actorAtStart = req.username || req.session?.username;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.auditBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', () => {
+      const body = res.locals.auditBody || {};
+      const params = { ...req.query, ...req.body, ...req.params };
+      const status = res.statusCode;
+      auditLog.record({
+        actor: actorAtStart || req.session?.username || req.body?.username,
+        role: req.user?.role || req.session?.role,
+        team: req.owningTeam || params.team,
+        action,
+        target: {
+          repo: params.repo,
+          runId: params.runId,
+          workflowId: params.workflowId,
+          jobId: params.jobId,
+          apps: params.apps,
+          branch: params.branch || params.ref,
+          service: params.service,
+          environment: params.environment
+        },
+        payload: req.method === 'GET' ? req.query : req.body,
+        result: status < 400 ? 'success' : [401, 403, 423].includes(status) ? 'denied' : 'failure',
+        statusCode: status,
+        error: status >= 400 ? body.error || body.message : null,
+        details: body.results || body.environments || null,
+        ip: req.ip
+      });
+    });
     next();
   };
 }
@@ -136,58 +410,95 @@ app.get('/dashboard', (req, res) => {
   }
 });
 
-// Login endpoint
-// Login endpoint (replace the existing one)
-app.post('/api/auth/login', (req, res) => {
-  let { username, password } = req.body;
-
-  // Normalize username: trim + lowercase
-  username = (username || '').trim().toLowerCase();
+// List configured identity providers (used by the login page)
+app.get('/api/auth/providers', (req, res) => {
+  res.json({ providers: auth.listProviders() });
+});
 
-  // Check if user exists (case-insensitive lookup)
-  const userConfig = USER_ROLES[username] || 
-                     Object.values(USER_ROLES).find(u => 
-                       u.username?.toLowerCase() === username || 
-                       Object.keys(USER_ROLES).some(key => key.toLowerCase() === username)
-                     );
+// Login endpoint (password-based providers: local, ldap)
+app.post('/api/auth/login', audit('login'), async (req, res) => {
+  const { username, password } = req.body;
 
-  if (!userConfig) {
-    return res.status(401).json({
+  if (!username || !password) {
+    return res.status(400).json({
       error: 'Invalid credentials',
-      message: 'Username not found'
+      message: 'Username and password are required'
     });
   }
 
-  // Get the correct (original case) username key
-  const actualUsername = Object.keys(USER_ROLES).find(key => 
-    key.toLowerCase() === username
-  ) || username;
-
-  const expectedPassword = userConfig.password || 'password123';
+  try {
+    const profile = await auth.authenticatePassword(username, password);
+    if (!profile) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'Invalid username or password'
+      });
+    }
 
-  if (password !== expectedPassword) {
-    return res.status(401).json({
-      error: 'Invalid credentials',
-      message: 'Incorrect password'
+    establishSession(req, profile, (err) => {
+      if (err) {
+        return res.status(500).json({ error: 'Failed to create session' });
+      }
+      res.json({
+        success: true,
+        user: {
+          username: profile.username,
+          role: profile.role,
+          teams: profile.teams
+        }
+      });
     });
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ error: 'Login failed' });
   }
+});
 
-  // Set session with the ORIGINAL case username
-  req.session.username = actualUsername;
-  req.session.role = userConfig.role;
+// Redirect-based providers (oidc, github)
+app.get('/auth/:provider/login', async (req, res) => {
+  const provider = auth.providers.get(req.params.provider);
+  if (!provider || provider.type !== 'redirect') {
+    return res.status(404).json({ error: 'Unknown identity provider' });
+  }
 
-  res.json({
-    success: true,
-    user: {
-      username: actualUsername,
-      role: userConfig.role,
-      teams: userConfig.teams
+  try {
+    res.redirect(await provider.getAuthorizationUrl(req));
+  } catch (err) {
+    console.error(`${provider.name} login error:`, err);
+    res.redirect('/?error=provider_unavailable');
+  }
+});
+
+app.get('/auth/:provider/callback', async (req, res) => {
+  const provider = auth.providers.get(req.params.provider);
+  if (!provider || provider.type !== 'redirect') {
+    return res.status(404).json({ error: 'Unknown identity provider' });
+  }
+
+  try {
+    const profile = await provider.handleCallback(req);
+    if (!profile) {
+      auditLog.record({ action: 'login', result: 'denied', details: { provider: provider.name }, ip: req.ip });
+      return res.redirect('/?error=access_denied');
     }
-  });
+    auditLog.record({
+      actor: profile.username, role: profile.role, action: 'login',
+      details: { provider: provider.name, teams: profile.teams }, ip: req.ip
+    });
+
+    establishSession(req, { ...profile, provider: provider.name }, (err) => {
+      if (err) return res.redirect('/?error=session_failed');
+      res.redirect('/dashboard');
+    });
+  } catch (err) {
+    console.error(`${provider.name} callback error:`, err);
+    res.redirect('/?error=login_failed');
+  }
 });
 
 // Logout endpoint
-app.post('/api/auth/logout', (req, res) => {
+app.post('/api/auth/logout', audit('logout'), (req, res) => {
+  closeSessionSockets(req.sessionID);
   req.session.destroy((err) => {
     if (err) {
       return res.status(500).json({ error: 'Failed to logout' });
@@ -212,35 +523,39 @@ app.get('/api/auth/users', requireAuth, (req, res) => {
     return res.status(403).json({ error: 'Admin access required' });
   }
   
-  const users = Object.keys(USER_ROLES).map(username => ({
-    username,
-    role: USER_ROLES[username].role,
-    teams: USER_ROLES[username].teams
+  const users = userStore.list().map(user => ({
+    username: user.username,
+    role: user.role,
+    teams: user.teams
   }));
   
   res.json({ users });
 });
 
 // Switch user (for admins - useful for testing)
-app.post('/api/auth/switch-user', requireAuth, (req, res) => {
+app.post('/api/auth/switch-user', requireAuth, audit('switch_user'), (req, res) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json({ error: 'Admin access required' });
   }
   
-  const { username } = req.body;
-  const targetUser = USER_ROLES[username];
+  const targetUser = userStore.get(req.body.username);
   
   if (!targetUser) {
     return res.status(404).json({ error: 'User not found' });
   }
   
-  req.session.username = username;
+  req.session.username = targetUser.username;
   req.session.role = targetUser.role;
+  req.session.provider = 'local';
+  delete req.session.profile;
+  
+  // Sockets are bound to the user they authenticated as; make them reconnect
+  closeSessionSockets(req.sessionID);
   
   res.json({
     success: true,
     user: {
-      username,
+      username: targetUser.username,
       role: targetUser.role,
       teams: targetUser.teams
     }
@@ -250,26 +565,186 @@ app.post('/api/auth/switch-user', requireAuth, (req, res) => {
 // ══════════════════════════════════════════════
 // WEBSOCKET - REAL-TIME UPDATES
 // ══════════════════════════════════════════════
-const activeConnections = new Map(); // Map of username -> WebSocket
+const activeConnections = new Map(); // Map of username -> Set of WebSockets
+
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+// Browsers always send Origin on WebSocket upgrades; refuse cross-site pages
+function isSameOrigin(req) {
+  const { origin, host } = req.headers;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === host;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Authenticate the upgrade against the express-session cookie before accepting it
+server.on('upgrade', (req, socket, head) => {
+  if (!isSameOrigin(req)) {
+    return rejectUpgrade(socket, 403, 'Forbidden');
+  }
+
+  sessionMiddleware(req, {}, () => {
+    const user = auth.resolveSessionUser(req.session);
+    if (!user) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, req);
+    });
+  });
+});
+
+// Normalise a client subscription; empty lists mean "everything I can see"
+function parseSubscription(data = {}) {
+  const list = value => (Array.isArray(value) ? value : value ? [value] : [])
+    .filter(v => typeof v === 'string' && v);
+  return {
+    teams: list(data.teams || data.team),
+    apps: list(data.apps || data.app),
+    branches: list(data.branches || data.branch)
+  };
+}
+
+function forEachSocket(callback) {
+  activeConnections.forEach((sockets, username) => {
+    sockets.forEach(ws => callback(ws, username));
+  });
+}
+
+function countSockets() {
+  let total = 0;
+  activeConnections.forEach(sockets => { total += sockets.size; });
+  return total;
+}
+
+function removeSocket(ws) {
+  const sockets = activeConnections.get(ws.username);
+  if (!sockets) return;
+  sockets.delete(ws);
+  if (sockets.size === 0) {
+    activeConnections.delete(ws.username);
+  }
+}
+
+const logWatchKey = ({ repo, runId, jobId }) => `${repo}/${runId}/${jobId}`;
+
+function sendLogError(ws, request, error) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(JSON.stringify({
+    type: 'logs_error',
+    data: { repo: request.repo, runId: request.runId, jobId: request.jobId, error },
+    timestamp: new Date().toISOString()
+  }));
+}
+
+// Follow a running job's log over this socket; same view_logs check as the
+// REST endpoints, against the teams owning the run
+async function subscribeToLogs(ws, data) {
+  const request = { repo: data.repo, runId: String(data.runId || ''), jobId: String(data.jobId || '') };
+  if (!request.repo || !request.runId || !request.jobId) {
+    return sendLogError(ws, request, 'repo, runId and jobId are required');
+  }
+
+  const user = auth.resolveSessionUser(ws.session);
+  if (!user) return sendLogError(ws, request, 'Session ended');
+
+  let apps;
+  try {
+    apps = await resolveRunApps(request.repo, request.runId);
+  } catch (err) {
+    return sendLogError(ws, request, `Could not resolve the owning team: ${err.message}`);
+  }
+  if (!authz.teamsForAnyApp(apps).some(team => !authz.authorize(user, team, 'view_logs'))) {
+    return sendLogError(ws, request, 'Insufficient permissions for view_logs');
+  }
+
+  const key = logWatchKey(request);
+  ws.logWatches.get(key)?.();
+  // Following a log polls until the job ends; that polling is background work
+  const unsubscribe = requestScheduler.withPriority('background', () => logService.watch(request.repo, request.runId, request.jobId, {
+    fromLine: Number(data.fromLine) || 1,
+    onUpdate: ({ fromLine, lines, sections, job, complete }) => {
+      if (ws.readyState !== WebSocket.OPEN) return;
+      for (let i = 0; i < lines.length || i === 0; i += LOG_LINES_PER_MESSAGE) {
+        const last = i + LOG_LINES_PER_MESSAGE >= lines.length;
+        ws.send(JSON.stringify({
+          type: 'log_lines',
+          data: {
+            ...request,
+            fromLine: fromLine + i,
+            lines: lines.slice(i, i + LOG_LINES_PER_MESSAGE),
+            sections: last ? sections : undefined,
+            status: job.status,
+            conclusion: job.conclusion,
+            complete: last && complete
+          },
+          timestamp: new Date().toISOString()
+        }));
+      }
+      if (complete) ws.logWatches.delete(key);
+    },
+    onError: (err) => {
+      ws.logWatches.delete(key);
+      sendLogError(ws, request, err.message);
+    }
+  }));
+  ws.logWatches.set(key, unsubscribe);
+}
+
+function unsubscribeFromLogs(ws, data) {
+  const key = logWatchKey({ repo: data.repo, runId: String(data.runId || ''), jobId: String(data.jobId || '') });
+  ws.logWatches.get(key)?.();
+  ws.logWatches.delete(key);
+}
 
 wss.on('connection', (ws, req) => {
   const clientIp = req.socket.remoteAddress;
-  console.log(`WebSocket client connected from ${clientIp} (Total connections: ${wss.clients.size})`);
+  ws.username = req.session.username;
+  ws.sessionID = req.sessionID;
+  ws.session = req.session;
+  ws.subscription = parseSubscription();
+  ws.logWatches = new Map();
+  ws.isAlive = true;
   
-  // Get session from cookie
-  const cookies = req.headers.cookie?.split(';').reduce((acc, cookie) => {
-    const [key, value] = cookie.trim().split('=');
-    acc[key] = value;
-    return acc;
-  }, {});
+  if (!activeConnections.has(ws.username)) {
+    activeConnections.set(ws.username, new Set());
+  }
+  activeConnections.get(ws.username).add(ws);
+  console.log(`WebSocket authenticated for user: ${ws.username} from ${clientIp} (Users: ${activeConnections.size}, sockets: ${countSockets()})`);
+  
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
   
   ws.on('message', (message) => {
     try {
       const data = JSON.parse(message);
-      if (data.type === 'auth' && data.username) {
-        // Store username with WebSocket connection
-        activeConnections.set(data.username, ws);
-        console.log(`WebSocket authenticated for user: ${data.username} (Active users: ${activeConnections.size})`);
+      switch (data.type) {
+        case 'auth':
+          // Identity comes from the session cookie; client-supplied usernames are ignored
+          ws.send(JSON.stringify({ type: 'auth_ok', data: { username: ws.username }, timestamp: new Date().toISOString() }));
+          break;
+        case 'subscribe':
+          ws.subscription = parseSubscription(data);
+          ws.send(JSON.stringify({ type: 'subscribed', data: ws.subscription, timestamp: new Date().toISOString() }));
+          break;
+        case 'ping':
+          ws.isAlive = true;
+          ws.send(JSON.stringify({ type: 'pong', timestamp: new Date().toISOString() }));
+          break;
+        case 'logs_subscribe':
+          subscribeToLogs(ws, data);
+          break;
+        case 'logs_unsubscribe':
+          unsubscribeFromLogs(ws, data);
+          break;
       }
     } catch (err) {
       console.error('WebSocket message error:', err);
@@ -277,14 +752,10 @@ wss.on('connection', (ws, req) => {
   });
   
   ws.on('close', () => {
-    // Remove from active connections
-    for (const [username, socket] of activeConnections.entries()) {
-      if (socket === ws) {
-        activeConnections.delete(username);
-        console.log(`WebSocket disconnected for user: ${username} (Active users: ${activeConnections.size})`);
-        break;
-      }
-    }
+    removeSocket(ws);
+    ws.logWatches.forEach(unsubscribe => unsubscribe());
+    ws.logWatches.clear();
+    console.log(`WebSocket disconnected for user: ${ws.username} (Users: ${activeConnections.size}, sockets: ${countSockets()})`);
   });
   
   ws.on('error', (err) => {
@@ -292,229 +763,230 @@ wss.on('connection', (ws, req) => {
   });
 });
 
-function broadcastUpdate(type, data, targetUsername = null) {
-  const message = JSON.stringify({ type, data, timestamp: new Date().toISOString() });
-  
-  if (targetUsername) {
-    // Send to specific user
-    const ws = activeConnections.get(targetUsername);
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(message);
+// Terminate sockets that didn't answer the previous ping (closed laptops, dropped networks)
+const wsHeartbeat = setInterval(() => {
+  forEachSocket((ws) => {
+    if (!ws.isAlive) {
+      console.log(`WebSocket heartbeat missed for user: ${ws.username}, terminating`);
+      removeSocket(ws);
+      ws.terminate();
+      return;
     }
-  } else {
-    // Broadcast to all
-    activeConnections.forEach((ws, username) => {
-      if (ws.readyState === WebSocket.OPEN) {
-        ws.send(message);
-      }
-    });
-  }
-}
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, WS_HEARTBEAT_INTERVAL);
 
-// Real-time polling for active workflows
-let realtimePolling = null;
+wss.on('close', () => clearInterval(wsHeartbeat));
 
-function startRealtimePolling() {
-  if (realtimePolling) return;
-  
-  realtimePolling = setInterval(async () => {
-    // Only poll if there are active WebSocket connections
-    if (activeConnections.size === 0) {
-      console.log('No active WebSocket connections, skipping real-time poll');
-      return;
-    }
-    
-    try {
-      const builds = await fetchBuildData();
-      const releases = await fetchReleaseData();
-      
-      const activeBuilds = builds.filter(b => 
-        b.status === 'in_progress' || 
-        b.status === 'queued' ||
-        new Date() - new Date(b.createdAt) < 300000
-      );
-      
-      const activeReleases = releases.filter(r => 
-        r.status === 'in_progress' || 
-        r.status === 'queued' ||
-        new Date() - new Date(r.createdAt) < 300000
-      );
-      
-      // Only broadcast if there are active workflows
-      if (activeBuilds.length > 0 || activeReleases.length > 0) {
-        broadcastUpdate('workflow_update', { builds: activeBuilds, releases: activeReleases });
-      }
-    } catch (err) {
-      console.error('Real-time polling error:', err);
-      if (err.status === 403 && err.message.includes('rate limit')) {
-        console.warn('GitHub rate limit hit → pausing real-time polling for 5 minutes');
-        // Pause polling for 5 minutes on rate limit
-        clearInterval(realtimePolling);
-        realtimePolling = null;
-        setTimeout(() => {
-          startRealtimePolling();
-        }, 300000);
-      }
+function closeSessionSockets(sessionID) {
+  forEachSocket((ws) => {
+    if (ws.sessionID === sessionID) {
+      ws.close(4001, 'Session ended');
     }
-  }, REAL_TIME_POLL_INTERVAL);
+  });
 }
 
-startRealtimePolling();
-
-// ══════════════════════════════════════════════
-// UTILITY FUNCTIONS (from original code)
-// ══════════════════════════════════════════════
-function parseRunName(runName, isRelease = false) {
-  if (!runName) return null;
-
-  if (isRelease) {
-    const match = runName.match(/^(.+?)-([^-]+)-release-([^-]+)-([a-f0-9]{7,})$/i);
-    if (match) {
-      let branch = match[1].trim();
-      const appName = match[2].trim();
-      const version = match[3].trim();
-      const commit = match[4].trim().substring(0, 7);
-      if (branch.toLowerCase() === 'prod') branch = 'main';
-      return { appName, branch, version, commit };
-    }
-  } else {
-    const match = runName.match(/^(.+?)-([^-]+)-build-(.+)$/i);
-    if (match) {
-      let branch = match[1].trim();
-      const appName = match[2].trim();
-      const version = match[3].trim();
-      if (branch.toLowerCase() === 'prod') branch = 'main';
-      return { appName, branch, version, commit: null };
-    }
+// Apps an event is about, or null when the event can't be tied to any app
+function getEventApps(data = {}) {
+  if (Array.isArray(data.apps)) return data.apps;
+  if (data.appName) return [data.appName];
+  if (data.service) return [data.service];
+  if (data.repo) {
+    const matches = [
+      ...config.appRepos
+        .filter(a => a.repo === data.repo && (!data.workflowId || a.buildWorkflow === data.workflowId))
+        .map(a => a.name),
+      ...(config.releaseRepos || [])
+        .filter(r => r.repo === data.repo && (!data.workflowId || r.releaseWorkflow === data.workflowId))
+        .map(r => r.appName)
+    ];
+    return matches.length ? matches : null;
   }
   return null;
 }
 
-async function batchProcess(items, processor, concurrency) {
-  const results = [];
-  for (let i = 0; i < items.length; i += concurrency) {
-    const batch = items.slice(i, i + concurrency);
-    const batchResults = await Promise.allSettled(batch.map(processor));
-    results.push(...batchResults);
-  }
-  return results;
-}
+// Trim an event down to what the recipient may see; null means don't send it
+function scopeEventForUser(data, user) {
+  const userApps = getAppsForTeams(user.teams);
 
-function loadCache() {
-  try {
-    if (fs.existsSync(CACHE_FILE)) {
-      const cache = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
-      if (Date.now() - cache.timestamp < CACHE_TTL_MS) {
-        return cache.data;
-      }
-    }
-  } catch (err) {
-    console.warn('Cache read failed:', err.message);
+  if (data && (Array.isArray(data.builds) || Array.isArray(data.releases))) {
+    const builds = (data.builds || []).filter(b => userApps.includes(b.appName));
+    const releases = (data.releases || []).filter(r => userApps.includes(r.appName));
+    if (!builds.length && !releases.length) return null;
+    return { ...data, builds, releases };
   }
-  return null;
+
+  if (data?.team && !user.teams.includes(data.team)) return null;
+
+  const apps = getEventApps(data);
+  if (!apps || !apps.some(appName => userApps.includes(appName))) return null;
+  return data;
 }
 
-function saveCache(data) {
-  try {
-    fs.writeFileSync(CACHE_FILE, JSON.stringify({ timestamp: Date.now(), data }, null, 2));
-  } catch (err) {
-    console.warn('Cache save failed:', err.message);
+// Narrow an already-scoped event to one socket's subscription
+function applySubscription(data, subscription) {
+  const { teams, apps, branches } = subscription;
+  if (!teams.length && !apps.length && !branches.length) return data;
+
+  const wantedApps = [...apps, ...getAppsForTeams(teams)];
+  const appMatches = appName => !wantedApps.length || wantedApps.includes(appName);
+  const branchMatches = branch => !branches.length || !branch || branches.includes(branch);
+
+  if (Array.isArray(data.builds) || Array.isArray(data.releases)) {
+    const builds = (data.builds || []).filter(b => appMatches(b.appName) && branchMatches(b.branch));
+    const releases = (data.releases || []).filter(r => appMatches(r.appName) && branchMatches(r.branch));
+    if (!builds.length && !releases.length) return null;
+    return { ...data, builds, releases };
   }
-}
 
-function formatDuration(createdAt, updatedAt) {
-  if (!createdAt || !updatedAt) return 'N/A';
-  const diff = new Date(updatedAt) - new Date(createdAt);
-  const minutes = Math.floor(diff / 60000);
-  const seconds = Math.floor((diff % 60000) / 1000);
-  if (minutes > 0) return `${minutes}m ${seconds}s`;
-  return `${seconds}s`;
+  if (data.team && teams.length && !teams.includes(data.team)) return null;
+  if (!branchMatches(data.branch || data.ref)) return null;
+
+  const eventApps = getEventApps(data) || [];
+  if (wantedApps.length && !eventApps.some(appMatches)) return null;
+  return data;
 }
 
-async function fetchWorkflowDetails(owner, repo, workflowId, configAppName, isRelease = false) {
-  try {
-    const { data: runs } = await octokit.actions.listWorkflowRuns({
-      owner, repo, workflow_id: workflowId, per_page: MAX_RUNS_PER_WORKFLOW, page: 1
-    });
+function broadcastUpdate(type, data, targetUsername = null) {
+  forEachSocket((ws, username) => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    if (targetUsername && username !== targetUsername) return;
+
+    const expires = ws.session.cookie?.expires;
+    const user = expires && new Date(expires) < new Date() ? null : auth.resolveSessionUser(ws.session);
+    if (!user) {
+      ws.close(4001, 'Session ended');
+      return;
+    }
 
-    if (!runs.workflow_runs?.length) return [];
+    const scoped = scopeEventForUser(data, user);
+    const subscribed = scoped && applySubscription(scoped, ws.subscription);
+    if (subscribed) {
+      ws.send(JSON.stringify({ type, data: subscribed, timestamp: new Date().toISOString() }));
+    }
+  });
+}
 
-    const jobPromises = runs.workflow_runs.map(run => async () => {
-      try {
-        const { data: jobsData } = await octokit.actions.listJobsForWorkflowRun({
-          owner, repo, run_id: run.id, per_page: 100
-        });
+// ══════════════════════════════════════════════
+// WORKFLOW RUN COLLECTION (shared with dashboard/generate.js)
+// ══════════════════════════════════════════════
+const pollingConfig = config.polling || {};
+const REFRESH_INTERVAL_MS = pollingConfig.intervalMs || 30000;
+const IDLE_REFRESH_INTERVAL_MS = pollingConfig.idleIntervalMs || 5 * 60 * 1000;
+
+const collector = createCollector({
+  octokit,
+  owner: config.owner,
+  runNameParser,
+  maxRunsPerWorkflow: MAX_RUNS_PER_WORKFLOW,
+  concurrentWorkflows: CONCURRENT_WORKFLOWS,
+  concurrentJobs: CONCURRENT_JOBS,
+  approvalJobs: config.durations?.approvalJobs,
+  enrichRun: async (runModel, run) => ({
+    failure: await failureClassifier.classifyRun(runModel.repo, run, runModel.jobs)
+  })
+});
 
-        const jobs = jobsData.jobs.map(job => ({
-          id: job.id,
-          name: job.name,
-          conclusion: job.conclusion || job.status,
-          status: job.status,
-          startedAt: job.started_at,
-          completedAt: job.completed_at,
-          duration: formatDuration(job.started_at, job.completed_at),
-          htmlUrl: job.html_url,
-          steps: job.steps?.map(step => ({
-            name: step.name,
-            status: step.status,
-            conclusion: step.conclusion,
-            number: step.number
-          })) || []
-        }));
+// A run changed when it is new or its status or updated_at moved
+const runKey = run => `${run.type}:${run.appName}:${run.runId}`;
+function changedRuns(runs, previousRuns = []) {
+  const before = new Map(previousRuns.map(run => [runKey(run), run]));
+  return runs.filter(run => {
+    const old = before.get(runKey(run));
+    return !old || old.updatedAt !== run.updatedAt || old.status !== run.status || old.conclusion !== run.conclusion;
+  });
+}
 
-        const parsed = parseRunName(run.name, isRelease);
-        const appName = parsed?.appName || configAppName;
-        const branch = parsed?.branch || run.head_branch || 'N/A';
-        const version = parsed?.version || `build-${run.run_number}`;
-        const commit = parsed?.commit || run.head_sha?.substring(0, 7) || 'N/A';
-
-        return {
-          appName, repo, type: isRelease ? 'Release' : 'Build', version, branch,
-          status: run.status || 'unknown',
-          conclusion: run.conclusion || run.status,
-          createdAt: run.created_at || new Date().toISOString(),
-          updatedAt: run.updated_at || run.created_at,
-          duration: formatDuration(run.created_at, run.updated_at),
-          triggeredBy: run.triggering_actor?.login || run.actor?.login || 'System',
-          event: run.event || 'unknown',
-          link: run.html_url,
-          commitSha: commit,
-          commitMessage: run.display_title || run.head_commit?.message || 'N/A',
-          jobs, runNumber: run.run_number || 0, attempt: run.run_attempt || 1,
-          runId: run.id,
-          runName: run.name || 'N/A'
-        };
-      } catch (jobErr) {
-        console.warn(`Jobs fetch failed for run ${run.id}:`, jobErr.message);
-        return null;
-      }
-    });
+// Every run the refresher sees is kept in the run history (config.history)
+const HISTORY_CONFIG = config.history || {};
+const history = createRunHistory(
+  {
+    dir: process.env.HISTORY_DIR || HISTORY_CONFIG.dir || path.join(__dirname, '.history'),
+    retentionDays: HISTORY_CONFIG.retentionDays || 400
+  },
+  {
+    octokit,
+    owner: config.owner,
+    appRepos: config.appRepos,
+    releaseRepos: config.releaseRepos || [],
+    runNameParser,
+    approvalJobs: config.durations?.approvalJobs
+  }
+);
+history.load();
+history.prune();
+const historyPruning = setInterval(() => history.prune(), 24 * 60 * 60 * 1000);
+
+const traceability = createTraceability({
+  octokit,
+  owner: config.owner,
+  history,
+  getRuns,
+  approvalJobs: config.durations?.approvalJobs
+});
+
+// Promotions resend a release's dispatch to the next environment (config.promotion)
+const PROMOTION_CONFIG = config.promotion || {};
+const promotions = createPromotions(
+  {
+    file: process.env.PROMOTIONS_FILE || PROMOTION_CONFIG.file || path.join(__dirname, '.promotions.jsonl'),
+    paths: PROMOTION_CONFIG.paths,
+    payload: PROMOTION_CONFIG.payload
+  },
+  { octokit, owner: config.owner, teams: TEAMS_CONFIG, appRepos: config.appRepos, traceability }
+);
+promotions.load();
+
+const refresher = createRefresher({
+  refresh: () => requestScheduler.withPriority('background', async () => ({
+    builds: await collector.fetchBuildData(config.appRepos),
+    releases: await collector.fetchReleaseData(config.releaseRepos)
+  })),
+  intervalMs: REFRESH_INTERVAL_MS,
+  idleIntervalMs: IDLE_REFRESH_INTERVAL_MS,
+  // Webhooks deliver changes as they happen; polling then only catches missed ones
+  isIdle: () => activeConnections.size === 0 || webhooks.isReceiving(WEBHOOK_ACTIVE_WITHIN_MS),
+  // No point starting a refresh while the budget is held for user actions
+  pausedUntil: () => requestScheduler.heldUntil('background'),
+  onRefresh: (data, previous) => {
+    history.record([...data.builds, ...data.releases]);
+    if (!previous) return;
+    const builds = changedRuns(data.builds, previous.builds);
+    const releases = changedRuns(data.releases, previous.releases);
+    if (builds.length > 0 || releases.length > 0) {
+      broadcastUpdate('workflow_update', { builds, releases });
+    }
+  }
+});
 
-    const results = await batchProcess(jobPromises, fn => fn(), CONCURRENT_JOBS);
-    return results.filter(r => r.status === 'fulfilled' && r.value).map(r => r.value);
-  } catch (error) {
-    console.error(`Workflow fetch error for workflow ${workflowId}:`, error.message);
-    return [];
+// Push updates from GitHub (see webhooks/index.js)
+const WEBHOOK_CONFIG = config.webhooks || {};
+const WEBHOOK_ACTIVE_WITHIN_MS = WEBHOOK_CONFIG.activeWithinMs || 10 * 60 * 1000;
+const webhooks = createWebhookReceiver(
+  { secret: process.env.GITHUB_WEBHOOK_SECRET || WEBHOOK_CONFIG.secret, recordDir: process.env.WEBHOOK_RECORD_DIR || WEBHOOK_CONFIG.recordDir },
+  {
+    owner: config.owner,
+    appRepos: config.appRepos,
+    releaseRepos: config.releaseRepos || [],
+    collector,
+    refresher,
+    resolveApps: getEventApps,
+    onChange: (type, data) => broadcastUpdate(type, data),
+    onDispatch: dispatch => promotions.recordDispatch(dispatch)
   }
-}
+);
 
-async function fetchBuildData() {
-  const tasks = config.appRepos.map(app =>
-    () => fetchWorkflowDetails(config.owner, app.repo, app.buildWorkflow, app.name, false)
-  );
-  const results = await batchProcess(tasks, t => t(), CONCURRENT_WORKFLOWS);
-  return results.filter(r => r.status === 'fulfilled').flatMap(r => r.value)
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+// After a dispatch, cancel or approval: GitHub needs a few seconds before
+// the run shows up (or changes) in its listing
+function refreshSoon() {
+  setTimeout(() => refresher.refreshNow(), 5000);
 }
 
-async function fetchReleaseData() {
-  if (!config.releaseRepos?.length) return [];
-  const tasks = config.releaseRepos.map(entry =>
-    () => fetchWorkflowDetails(config.owner, entry.repo, entry.releaseWorkflow, entry.appName, true)
-  );
-  const results = await batchProcess(tasks, t => t(), CONCURRENT_WORKFLOWS);
-  return results.filter(r => r.status === 'fulfilled').flatMap(r => r.value)
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+// Builds and releases from the last refresh
+async function getRuns() {
+  const { data, refreshedAt } = await refresher.current();
+  return { builds: data?.builds || [], releases: data?.releases || [], refreshedAt };
 }
 
 // ══════════════════════════════════════════════
@@ -524,8 +996,8 @@ async function fetchReleaseData() {
 app.get('/api/dashboard', requireAuth, async (req, res) => {
   try {
     const { team, branch } = req.query;
-    let builds = await fetchBuildData();
-    let releases = await fetchReleaseData();
+    let { builds, releases, refreshedAt } = await getRuns();
+    let deployments = webhooks.listDeployments();
     
     // Get user's teams from the authenticated user
     const userTeams = req.user.teams || [];
@@ -540,24 +1012,21 @@ app.get('/api/dashboard', requireAuth, async (req, res) => {
     });
     
     // Get all apps from user's teams
-    const userTeamApps = userTeams.reduce((apps, teamName) => {
-      if (TEAMS_CONFIG[teamName] && TEAMS_CONFIG[teamName].apps) {
-        return [...apps, ...TEAMS_CONFIG[teamName].apps];
-      }
-      return apps;
-    }, []);
+    const userTeamApps = getAppsForTeams(userTeams);
     
     console.log(`User can access apps:`, userTeamApps);
     
     // Filter builds and releases to only include apps from user's teams
     builds = builds.filter(b => userTeamApps.includes(b.appName));
     releases = releases.filter(r => userTeamApps.includes(r.appName));
+    deployments = deployments.filter(d => d.apps.some(appName => userTeamApps.includes(appName)));
     
     // Further filter by specific team if requested
     if (team && userTeamsConfig[team]) {
       const teamApps = TEAMS_CONFIG[team].apps;
       builds = builds.filter(b => teamApps.includes(b.appName));
       releases = releases.filter(r => teamApps.includes(r.appName));
+      deployments = deployments.filter(d => d.apps.some(appName => teamApps.includes(appName)));
     }
     
     // Filter by branch if requested
@@ -571,13 +1040,17 @@ app.get('/api/dashboard', requireAuth, async (req, res) => {
       totalRuns: all.length,
       successRate: all.length ? (all.filter(i => i.conclusion === 'success').length / all.length * 100).toFixed(1) : 0,
       activeRuns: all.filter(i => i.status === 'in_progress' || i.status === 'queued').length,
-      failedRuns: all.filter(i => i.conclusion === 'failure').length
+      failedRuns: all.filter(i => i.conclusion === 'failure').length,
+      // Over the runs in memory only; /api/metrics/dora reads the run history
+      dora: computeDora({ builds, releases, from: new Date(Date.now() - DORA_WINDOW_MS), to: new Date(), prodBranch: PROD_BRANCH })
     };
     
     res.json({ 
       builds, 
       releases, 
       metrics, 
+      refreshedAt,
+      deployments,
       teams: userTeamsConfig,  // Only send teams the user belongs to
       userPermissions: { ...req.user, owner: config.owner }
     });
@@ -587,9 +1060,32 @@ app.get('/api/dashboard', requireAuth, async (req, res) => {
   }
 });
 
-app.post('/api/trigger/workflow', requireAuth, checkPermission('trigger_build'), async (req, res) => {
+// Builds need trigger_build, releases trigger_release
+const triggerAction = (req, target) => (target.kind === 'build' ? 'trigger_build' : 'trigger_release');
+
+// App in the dispatch inputs that permission wasn't checked for, if any
+function unauthorizedInputApp(req) {
+  const inputApp = req.body.inputs?.appName;
+  return inputApp && !req.target.apps.includes(inputApp) ? inputApp : null;
+}
+
+app.post('/api/trigger/workflow', requireAuth, audit('trigger_workflow'), checkPermission(triggerAction, resolveWorkflowTarget), async (req, res) => {
   try {
-    const { repo, workflowId, ref, inputs } = req.body;
+    const { repo, workflowId, ref, inputs, overrideFreeze, justification } = req.body;
+    const inputApp = unauthorizedInputApp(req);
+    if (inputApp) {
+      return res.status(403).json({ error: `Not allowed to trigger ${inputApp}` });
+    }
+    
+    if (req.target.kind === 'release') {
+      const frozen = freezeGuard.check({
+        user: req.user, username: req.username, team: req.owningTeam, branch: ref,
+        override: overrideFreeze, justification, target: { repo, workflowId, ref }
+      });
+      if (frozen) {
+        return res.status(frozen.status).json(frozen.body);
+      }
+    }
     
     await octokit.actions.createWorkflowDispatch({
       owner: config.owner,
@@ -599,7 +1095,8 @@ app.post('/api/trigger/workflow', requireAuth, checkPermission('trigger_build'),
       inputs: inputs || {}
     });
     
-    broadcastUpdate('workflow_triggered', { repo, workflowId, ref, user: req.username });
+    broadcastUpdate('workflow_triggered', { repo, workflowId, ref, apps: req.target.apps, team: req.owningTeam, user: req.username });
+    refreshSoon();
     res.json({ success: true, message: 'Workflow triggered successfully' });
   } catch (err) {
     console.error('Trigger workflow error:', err);
@@ -607,28 +1104,19 @@ app.post('/api/trigger/workflow', requireAuth, checkPermission('trigger_build'),
   }
 });
 
-app.post('/api/trigger/bulk-builds', requireAuth, checkPermission('trigger_build'), async (req, res) => {
+app.post('/api/trigger/bulk-builds', requireAuth, audit('trigger_bulk_builds'), checkPermission('trigger_build', req => resolveAppsTarget(req, 'build')), async (req, res) => {
   try {
-    const { apps, branch, team } = req.body;
-    const teamConfig = TEAMS_CONFIG[team];
-    
-    if (!teamConfig) {
-      return res.status(404).json({ error: 'Team not found' });
-    }
+    const { apps, branch } = req.body;
+    const team = req.owningTeam;
     
     const results = [];
     for (const appName of apps) {
-      const appConfig = config.appRepos.find(a => a.name === appName);
-      if (!appConfig || !teamConfig.apps.includes(appName)) {
-        results.push({ app: appName, success: false, error: 'App not found or not in team' });
-        continue;
-      }
-      
+      const workflow = authz.workflowForApp(appName, 'build');
       try {
         await octokit.actions.createWorkflowDispatch({
           owner: config.owner,
-          repo: appConfig.repo,
-          workflow_id: appConfig.buildWorkflow,
+          repo: workflow.repo,
+          workflow_id: workflow.workflowId,
           ref: branch
         });
         results.push({ app: appName, success: true });
@@ -638,6 +1126,7 @@ app.post('/api/trigger/bulk-builds', requireAuth, checkPermission('trigger_build
     }
     
     broadcastUpdate('bulk_builds_triggered', { apps, branch, team, user: req.username });
+    refreshSoon();
     res.json({ results });
   } catch (err) {
     console.error('Bulk build trigger error:', err);
@@ -645,28 +1134,27 @@ app.post('/api/trigger/bulk-builds', requireAuth, checkPermission('trigger_build
   }
 });
 
-app.post('/api/trigger/bulk-releases', requireAuth, checkPermission('trigger_release'), async (req, res) => {
+app.post('/api/trigger/bulk-releases', requireAuth, audit('trigger_bulk_releases'), checkPermission('trigger_release', req => resolveAppsTarget(req, 'release')), async (req, res) => {
   try {
-    const { apps, branch, team, version } = req.body;
-    const teamConfig = TEAMS_CONFIG[team];
+    const { apps, branch, version, overrideFreeze, justification } = req.body;
+    const team = req.owningTeam;
     
-    if (!teamConfig) {
-      return res.status(404).json({ error: 'Team not found' });
+    const frozen = freezeGuard.check({
+      user: req.user, username: req.username, team, branch,
+      override: overrideFreeze, justification, target: { apps, branch }
+    });
+    if (frozen) {
+      return res.status(frozen.status).json(frozen.body);
     }
     
     const results = [];
     for (const appName of apps) {
-      const releaseConfig = config.releaseRepos?.find(r => r.appName === appName);
-      if (!releaseConfig || !teamConfig.apps.includes(appName)) {
-        results.push({ app: appName, success: false, error: 'Release config not found or not in team' });
-        continue;
-      }
-      
+      const workflow = authz.workflowForApp(appName, 'release');
       try {
         await octokit.actions.createWorkflowDispatch({
           owner: config.owner,
-          repo: releaseConfig.repo,
-          workflow_id: releaseConfig.releaseWorkflow,
+          repo: workflow.repo,
+          workflow_id: workflow.workflowId,
           ref: branch,
           inputs: { version: version || 'latest' }
         });
@@ -677,6 +1165,7 @@ app.post('/api/trigger/bulk-releases', requireAuth, checkPermission('trigger_rel
     }
     
     broadcastUpdate('bulk_releases_triggered', { apps, branch, team, user: req.username });
+    refreshSoon();
     res.json({ results });
   } catch (err) {
     console.error('Bulk release trigger error:', err);
@@ -684,7 +1173,7 @@ app.post('/api/trigger/bulk-releases', requireAuth, checkPermission('trigger_rel
   }
 });
 
-app.post('/api/cancel/workflow', requireAuth, async (req, res) => {
+app.post('/api/cancel/workflow', requireAuth, audit('cancel_workflow'), checkPermission('cancel_workflow', resolveRunTarget), async (req, res) => {
   try {
     const { repo, runId } = req.body;
     
@@ -694,14 +1183,15 @@ app.post('/api/cancel/workflow', requireAuth, async (req, res) => {
       run_id: runId
     });
     
-    broadcastUpdate('workflow_cancelled', { repo, runId, user: req.username });
+    broadcastUpdate('workflow_cancelled', { repo, runId, team: req.owningTeam, user: req.username });
+    refreshSoon();
     res.json({ success: true, message: 'Workflow cancelled successfully' });
   } catch (err) {
     console.error('Cancel workflow error:', err);
     res.status(500).json({ error: err.message });
   }
 });
-app.post('/api/workflow/approve', requireAuth, checkPermission('approve_release'), async (req, res) => {
+app.post('/api/workflow/approve', requireAuth, audit('approve_release'), checkPermission('approve_release', resolveRunTarget), async (req, res) => {
   try {
     const { repo, runId } = req.body;
     
@@ -716,6 +1206,17 @@ app.post('/api/workflow/approve', requireAuth, checkPermission('approve_release'
       return res.status(404).json({ error: 'No pending deployments found for this workflow run' });
     }
     
+    // Pending deployment environments are the GitHub environments (dev/dlv/prod)
+    const { overrideFreeze, justification } = req.body;
+    const frozen = freezeGuard.checkEnvironments({
+      user: req.user, username: req.username, team: req.owningTeam,
+      environments: pendingDeployments.map(dep => dep.environment.name),
+      override: overrideFreeze, justification, target: { repo, runId }
+    });
+    if (frozen) {
+      return res.status(frozen.status).json(frozen.body);
+    }
+    
     // Approve all pending deployments
     const environmentIds = pendingDeployments.map(dep => dep.environment.id);
     
@@ -730,88 +1231,192 @@ app.post('/api/workflow/approve', requireAuth, checkPermission('approve_release'
     
     console.log(`Approved deployment for run ${runId} by ${req.user.username}`);
     broadcastUpdate('deployment_approved', { repo, runId, user: req.username });
+    refreshSoon();
     res.json({ success: true, message: 'Deployment approved successfully', environments: pendingDeployments.map(d => d.environment.name) });
   } catch (err) {
     console.error('Approve deployment error:', err);
     res.status(500).json({ error: err.message || 'Failed to approve deployment' });
   }
 });
-app.get('/api/logs/:repo/:runId', requireAuth, checkPermission('view_logs'), async (req, res) => {
+app.get('/api/logs/:repo/:runId', requireAuth, checkPermission('view_logs', resolveRunTarget), async (req, res) => {
   try {
     const { repo, runId } = req.params;
-    
-    const { data: jobs } = await octokit.actions.listJobsForWorkflowRun({
-      owner: config.owner,
-      repo,
-      run_id: runId
+    res.json({ jobs: await logService.listJobs(repo, runId) });
+  } catch (err) {
+    console.error('Get logs error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Matches across the run's jobs: ?q=...&regex=1&case=1&jobId=...
+app.get('/api/logs/:repo/:runId/search', requireAuth, checkPermission('view_logs', resolveRunTarget), async (req, res) => {
+  try {
+    const { repo, runId } = req.params;
+    const { q, regex, jobId } = req.query;
+    const result = await logService.search(repo, runId, {
+      query: q,
+      regex: regex === '1' || regex === 'true',
+      caseSensitive: req.query.case === '1' || req.query.case === 'true',
+      jobId
     });
-    
-    const logsPromises = jobs.jobs.map(async job => {
-      try {
-        const { data: logs } = await octokit.actions.downloadJobLogsForWorkflowRun({
-          owner: config.owner,
-          repo,
-          job_id: job.id
-        });
-        return { jobId: job.id, jobName: job.name, logs };
-      } catch (err) {
-        return { jobId: job.id, jobName: job.name, error: err.message };
+    res.json(result);
+  } catch (err) {
+    if (!err.status) console.error('Search logs error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// One job's log lines with its step sections. Paged with ?offset=&limit=
+// (or a "Range: lines=first-last" header, 1-based), optionally within ?step=
+app.get('/api/logs/:repo/:runId/jobs/:jobId', requireAuth, checkPermission('view_logs', resolveRunTarget), async (req, res) => {
+  try {
+    const { repo, runId, jobId } = req.params;
+    let offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    let limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), MAX_LOG_PAGE_LINES);
+
+    const range = /^lines=(\d+)-(\d*)$/.exec(req.headers.range || '');
+    if (range) {
+      offset = Math.max(Number(range[1]) - 1, 0);
+      if (range[2]) limit = Math.min(Math.max(Number(range[2]) - offset, 1), MAX_LOG_PAGE_LINES);
+    }
+
+    const page = await logService.getJobLogPage(repo, runId, jobId, { offset, limit, step: req.query.step });
+    if (range) {
+      if (offset >= page.totalLines && page.totalLines > 0) {
+        res.set('Content-Range', `lines */${page.totalLines}`);
+        return res.status(416).json({ error: 'Requested range is past the end of the log' });
       }
-    });
-    
-    const allLogs = await Promise.all(logsPromises);
-    res.json({ jobs: allLogs });
+      const last = offset + page.lines.length;
+      res.status(206).set('Content-Range', `lines ${offset + 1}-${last}/${page.totalLines}`);
+    }
+    res.set('Accept-Ranges', 'lines');
+    res.json(page);
   } catch (err) {
-    console.error('Get logs error:', err);
-    res.status(500).json({ error: err.message });
+    if (!err.status) console.error('Get job log error:', err);
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.post('/api/schedule/workflow', requireAuth, checkPermission('trigger_release'), async (req, res) => {
+// The scheduling user's current access - live for local users, the access
+// mapped at scheduling time for users from external identity providers
+function resolveScheduleOwner(job) {
+  if (!job.createdByProvider || job.createdByProvider === 'local') {
+    return userStore.get(job.createdBy);
+  }
+  return job.createdByAccess || null;
+}
+
+async function runScheduledJob(job) {
+  const owner = resolveScheduleOwner(job);
+  if (!owner) {
+    throw new Error(`Schedule owner ${job.createdBy} no longer exists`);
+  }
+  const denied = authz.authorize(owner, job.team, job.action, job.ref);
+  if (denied) {
+    throw new Error(`${job.createdBy}: ${denied.body.error}`);
+  }
+
+  const frozen = freezeGuard.checkScheduledJob(job, owner);
+  if (frozen) {
+    throw new Error(frozen.body.error);
+  }
+
+  const results = [];
+  for (const target of authz.scheduleTargets(job)) {
+    if (target.error) {
+      results.push({ app: target.appName, success: false, error: target.error });
+      continue;
+    }
+    try {
+      await octokit.actions.createWorkflowDispatch({
+        owner: config.owner,
+        repo: target.repo,
+        workflow_id: target.workflowId,
+        ref: job.ref,
+        inputs: job.inputs || {}
+      });
+      results.push({ app: target.appName, repo: target.repo, workflowId: target.workflowId, success: true });
+    } catch (err) {
+      results.push({ app: target.appName, repo: target.repo, workflowId: target.workflowId, success: false, error: err.message });
+    }
+  }
+
+  const failed = results.filter(r => !r.success);
+  if (failed.length) {
+    throw new Error(failed.map(r => `${r.app || r.repo}: ${r.error}`).join('; '));
+  }
+  return results;
+}
+
+// Schedules target either config apps (build or release per `type`) or a repo/workflowId
+function resolveScheduleRequestTarget(req) {
+  if (Array.isArray(req.body.apps) && req.body.apps.length) {
+    return resolveAppsTarget(req, req.body.type === 'build' ? 'build' : 'release');
+  }
+  if (!req.body.repo || !req.body.workflowId) {
+    return { teams: [], status: 400, error: 'Either repo/workflowId or apps is required' };
+  }
+  return resolveWorkflowTarget(req);
+}
+
+app.post('/api/schedule/workflow', requireAuth, audit('schedule_create'), checkPermission(triggerAction, resolveScheduleRequestTarget), async (req, res) => {
   try {
-    const { repo, workflowId, ref, scheduledTime, inputs } = req.body;
-    const scheduleDate = new Date(scheduledTime);
+    const { repo, workflowId, ref, scheduledTime, inputs, catchUpPolicy, apps } = req.body;
+    const team = req.owningTeam;
+    const { cron, rrule, timezone, count, until, windowMinutes } = req.body;
+    const { overrideFreeze, justification } = req.body;
+    const recurring = Boolean(cron || rrule);
     
-    if (scheduleDate <= new Date()) {
-      return res.status(400).json({ error: 'Scheduled time must be in the future' });
+    if (!ref) {
+      return res.status(400).json({ error: 'ref (branch) is required' });
+    }
+    const inputApp = unauthorizedInputApp(req);
+    if (inputApp) {
+      return res.status(403).json({ error: `Not allowed to schedule ${inputApp}` });
     }
     
-    const jobId = `${repo}-${workflowId}-${Date.now()}`;
-    const delay = scheduleDate - new Date();
-    
-    const timeoutId = setTimeout(async () => {
-      try {
-        await octokit.actions.createWorkflowDispatch({
-          owner: config.owner, repo, workflow_id: workflowId, ref, inputs: inputs || {}
-        });
-        broadcastUpdate('scheduled_workflow_triggered', { repo, workflowId, ref });
-        scheduledJobs.delete(jobId);
-      } catch (err) {
-        console.error('Scheduled workflow error:', err);
-        broadcastUpdate('scheduled_workflow_failed', { repo, workflowId, error: err.message });
+    let runAt = null;
+    if (scheduledTime) {
+      runAt = new Date(scheduledTime);
+      if (Number.isNaN(runAt.getTime()) || (!recurring && runAt <= new Date())) {
+        return res.status(400).json({ error: 'Scheduled time must be in the future' });
       }
-    }, delay);
+    } else if (!recurring) {
+      return res.status(400).json({ error: 'scheduledTime, cron or rrule is required' });
+    }
     
-    scheduledJobs.set(jobId, { timeoutId, repo, workflowId, ref, scheduledTime, user: req.username });
-    res.json({ success: true, jobId, scheduledTime });
+    let job;
+    try {
+      job = scheduler.add({
+        repo, workflowId, apps, ref, inputs, team, catchUpPolicy, runAt,
+        recurrence: recurring ? { cron, rrule, timezone, count, until, windowMinutes } : null,
+        action: triggerAction(req, req.target),
+        createdBy: req.username,
+        createdByProvider: req.session.provider || 'local',
+        createdByAccess: { role: req.user.role, teams: req.user.teams },
+        // Only honoured at fire time if the owner is still an admin
+        freezeOverride: overrideFreeze && req.user.role === 'admin' && justification
+          ? { by: req.username, justification }
+          : undefined
+      });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.json({ success: true, jobId: job.id, scheduledTime: job.nextRunAt, recurrence: job.recurrence });
   } catch (err) {
     console.error('Schedule workflow error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/schedule/cancel/:jobId', requireAuth, async (req, res) => {
+app.post('/api/schedule/cancel/:jobId', requireAuth, audit('schedule_cancel'), checkPermission('manage_schedules', resolveScheduleTarget), async (req, res) => {
   try {
     const { jobId } = req.params;
-    const job = scheduledJobs.get(jobId);
     
-    if (!job) {
+    if (!scheduler.cancel(jobId, req.username)) {
       return res.status(404).json({ error: 'Scheduled job not found' });
     }
     
-    clearTimeout(job.timeoutId);
-    scheduledJobs.delete(jobId);
-    
     res.json({ success: true, message: 'Scheduled workflow cancelled' });
   } catch (err) {
     console.error('Cancel scheduled workflow error:', err);
@@ -819,47 +1424,462 @@ app.post('/api/schedule/cancel/:jobId', requireAuth, async (req, res) => {
   }
 });
 
+app.post('/api/schedule/:jobId/pause', requireAuth, audit('schedule_pause'), checkPermission('manage_schedules', resolveScheduleTarget), async (req, res) => {
+  try {
+    const job = scheduler.pause(req.params.jobId, req.username);
+    if (!job) {
+      return res.status(404).json({ error: 'No active schedule with that id' });
+    }
+    broadcastUpdate('schedule_paused', { jobId: job.id, team: job.team, apps: job.apps, repo: job.repo, user: req.username });
+    res.json({ success: true, job });
+  } catch (err) {
+    console.error('Pause schedule error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/schedule/:jobId/resume', requireAuth, audit('schedule_resume'), checkPermission('manage_schedules', resolveScheduleTarget), async (req, res) => {
+  try {
+    const existing = scheduler.get(req.params.jobId);
+    if (!existing || existing.status !== 'paused') {
+      return res.status(404).json({ error: 'No paused schedule with that id' });
+    }
+    
+    const job = scheduler.resume(existing.id, req.username);
+    if (!job) {
+      return res.json({ success: true, message: 'Schedule has no further occurrences and was completed' });
+    }
+    broadcastUpdate('schedule_resumed', { jobId: job.id, team: job.team, apps: job.apps, repo: job.repo, user: req.username });
+    res.json({ success: true, job });
+  } catch (err) {
+    console.error('Resume schedule error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.get('/api/schedule/list', requireAuth, async (req, res) => {
   try {
-    const jobs = Array.from(scheduledJobs.entries()).map(([id, job]) => ({
-      id, ...job, timeoutId: undefined
+    const limit = Math.min(parseInt(req.query.historyLimit, 10) || 50, 500);
+    const visible = job => req.user.teams.includes(job.team);
+    const jobs = scheduler.listPending().filter(visible).map(job => ({
+      ...job, scheduledTime: job.nextRunAt
     }));
-    res.json({ scheduledJobs: jobs });
+    res.json({ scheduledJobs: jobs, history: scheduler.listHistory(limit).filter(visible) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/services/restart', requireAuth, checkPermission('restart_services'), async (req, res) => {
+// ══════════════════════════════════════════════
+// RUN HISTORY
+// ══════════════════════════════════════════════
+
+// Apps the user may look at, narrowed by ?team and ?app
+function appsInScope(req) {
+  const teams = req.query.team ? req.user.teams.filter(team => team === req.query.team) : req.user.teams;
+  const apps = [...new Set(getAppsForTeams(teams))];
+  return req.query.app ? apps.filter(appName => appName === req.query.app) : apps;
+}
+
+function historyFilters(req) {
+  const { type, branch, conclusion, workflow, from, to } = req.query;
+  return { apps: appsInScope(req), type, branch, conclusion, workflow, from, to, days: parseInt(req.query.days, 10) || undefined };
+}
+
+app.get('/api/history/runs', requireAuth, (req, res) => {
   try {
-    const { service, environment } = req.body;
-    
-    broadcastUpdate('service_restart_initiated', { service, environment, user: req.username });
-    res.json({ success: true, message: `Service restart initiated for ${service} in ${environment}` });
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    res.json({ limit, offset, ...history.query(historyFilters(req), { limit, offset }) });
   } catch (err) {
-    console.error('Service restart error:', err);
+    console.error('History query error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/history/trends', requireAuth, (req, res) => {
+  try {
+    res.json(history.trends(historyFilters(req), { interval: req.query.interval || 'week', byApp: req.query.byApp === '1' }));
+  } catch (err) {
+    console.error('History trends error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// p50/p90/p99 durations grouped by ?groupBy=app|workflow|job|step
+app.get('/api/history/durations', requireAuth, (req, res) => {
+  try {
+    res.json(history.durations(historyFilters(req), { groupBy: req.query.groupBy || 'app' }));
+  } catch (err) {
+    console.error('History durations error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/history/status', requireAuth, (req, res) => {
+  res.json(history.status());
+});
+
+app.post('/api/history/backfill', requireAuth, audit('history_backfill'), (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  const days = Math.min(parseInt(req.body.days, 10) || HISTORY_CONFIG.backfillDays || 90, HISTORY_CONFIG.retentionDays || 400);
+  if (history.status().backfill.running) {
+    return res.status(409).json({ error: 'A backfill is already running' });
+  }
+
+  requestScheduler.withPriority('background', () => history.backfill({ days, includeJobs: Boolean(req.body.includeJobs) }))
+    .catch(err => console.error('History backfill error:', err));
+  res.status(202).json({ started: true, days });
+});
+
+// ══════════════════════════════════════════════
+// DORA METRICS
+// ══════════════════════════════════════════════
+
+// Production releases are release runs on the branch "prod" maps to
+const PROD_BRANCH = config.runNames?.environmentBranches?.prod || 'main';
+const DORA_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+// Builds are read this far before the window, for releases of older builds
+const DORA_BUILD_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+
+// DORA metrics over ?days (default 30) or ?from/?to, overall, per app
+// and per team, for the apps in scope (?team, ?app)
+app.get('/api/metrics/dora', requireAuth, (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days, 10) || 30, HISTORY_CONFIG.retentionDays || 400);
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD or ISO), from before to' });
+    }
+
+    const apps = appsInScope(req);
+    const releases = history.scan({ from, to, match: run => run.type === 'Release' && apps.includes(run.appName) });
+    const builds = history.scan({
+      from: new Date(from.getTime() - DORA_BUILD_LOOKBACK_MS),
+      to,
+      match: run => run.type === 'Build' && apps.includes(run.appName)
+    });
+    const dora = appNames => computeDora({
+      builds: builds.filter(run => appNames.includes(run.appName)),
+      releases: releases.filter(run => appNames.includes(run.appName)),
+      from, to, prodBranch: PROD_BRANCH
+    });
+
+    const teams = req.user.teams.filter(team => TEAMS_CONFIG[team] && (!req.query.team || team === req.query.team));
+    res.json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      prodBranch: PROD_BRANCH,
+      overall: dora(apps),
+      apps: Object.fromEntries(apps.map(appName => [appName, dora([appName])])),
+      teams: Object.fromEntries(teams.map(team => [team, dora(TEAMS_CONFIG[team].apps.filter(appName => apps.includes(appName)))]))
+    });
+  } catch (err) {
+    console.error('DORA metrics error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/tests/:repo/:runId', requireAuth, async (req, res) => {
+// ══════════════════════════════════════════════
+// TRACEABILITY
+// ══════════════════════════════════════════════
+
+// Builds of ?app for ?commit (full or short sha) or ?runId (build run),
+// each with its artifacts and the releases that shipped it
+app.get('/api/trace', requireAuth, async (req, res) => {
+  const { app: appName, commit, runId } = req.query;
+  if (!appName || (!commit && !runId)) {
+    return res.status(400).json({ error: 'app and commit (or runId) are required' });
+  }
+  if (!getAppsForTeams(req.user.teams).includes(appName)) {
+    return res.status(403).json({ error: `Not allowed to trace ${appName}` });
+  }
+
   try {
-    const { repo, runId } = req.params;
+    const days = Math.min(parseInt(req.query.days, 10) || 90, HISTORY_CONFIG.retentionDays || 400);
+    res.json({ appName, commit: commit || null, runId: runId || null, builds: await traceability.trace({ appName, commit, runId, days }) });
+  } catch (err) {
+    console.error('Trace error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Which build of each app in scope (?team, ?app) is deployed in each environment
+app.get('/api/environments', requireAuth, async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days, 10) || 180, HISTORY_CONFIG.retentionDays || 400);
+    res.json({ environments: ENVIRONMENTS, apps: await traceability.matrix({ apps: appsInScope(req), days }) });
+  } catch (err) {
+    console.error('Environments error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ══════════════════════════════════════════════
+// PROMOTIONS
+// ══════════════════════════════════════════════
+
+// Promotion paths of the user's teams
+app.get('/api/promotions/paths', requireAuth, (req, res) => {
+  res.json({
+    teams: Object.fromEntries(req.user.teams.filter(team => TEAMS_CONFIG[team]).map(team => [team, promotions.pathsFor(team)]))
+  });
+});
+
+// What promoting ?appName build ?runId from ?from (to ?to) would do; sends nothing
+app.get('/api/promotions/check', requireAuth, checkPermission('promote_release', resolvePromotionTarget), async (req, res) => {
+  try {
+    const { appName, runId, from, to } = req.query;
+    if (!runId || !from) {
+      return res.status(400).json({ error: 'runId and from are required' });
+    }
+    res.json(await promotions.evaluate({ team: req.owningTeam, appName, runId, from, to }));
+  } catch (err) {
+    console.error('Promotion check error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/promotions', requireAuth, audit('promote_release'), checkPermission('promote_release', resolvePromotionTarget), async (req, res) => {
+  try {
+    const { appName, runId, from, to, overrideFreeze, justification } = req.body;
+    if (!runId || !from) {
+      return res.status(400).json({ error: 'runId and from are required' });
+    }
+
+    const evaluation = await promotions.evaluate({ team: req.owningTeam, appName, runId, from, to });
+    const { step } = evaluation;
+    // The target environment's branch must be one the team may release to
+    const denied = authz.authorize(req.user, req.owningTeam, 'promote_release', step.branch);
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
+    }
+    if (!evaluation.allowed) {
+      return res.status(409).json({ error: `Promotion of ${appName} build ${runId} to ${step.to} blocked by its guards`, guards: evaluation.guards });
+    }
+
+    const frozen = freezeGuard.check({
+      user: req.user, username: req.username, team: req.owningTeam, environment: step.to, branch: step.branch,
+      override: overrideFreeze, justification, target: { apps: [appName], runId, branch: step.branch }
+    });
+    if (frozen) {
+      return res.status(frozen.status).json(frozen.body);
+    }
+
+    const workflow = authz.workflowForApp(appName, 'release');
+    if (!workflow) {
+      return res.status(400).json({ error: `No release workflow configured for ${appName}` });
+    }
+
+    const promotion = await promotions.promote(evaluation, { user: req.username, repo: workflow.repo });
+    broadcastUpdate('release_promoted', {
+      apps: [appName], runId: promotion.runId, from: promotion.from, to: promotion.to, team: req.owningTeam, user: req.username
+    });
+    refreshSoon();
+    res.json({ success: true, message: `${appName} build ${runId} promoted to ${step.to}`, promotion, guards: evaluation.guards });
+  } catch (err) {
+    console.error('Promotion error:', err);
+    // A GitHub error's status (e.g. 401) isn't this request's
+    res.status(err.response ? 500 : err.status || 500).json({ error: err.message });
+  }
+});
+
+// Promotions of the apps in scope (?team, ?app), newest first
+app.get('/api/promotions', requireAuth, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  res.json({ promotions: promotions.list({ apps: appsInScope(req), limit }) });
+});
+
+// ══════════════════════════════════════════════
+// SYSTEM STATUS
+// ══════════════════════════════════════════════
+
+// GitHub rate-limit budgets as last reported by GitHub, plus the request queue
+app.get('/api/system/ratelimit', requireAuth, (req, res) => {
+  const status = requestScheduler.status();
+  const heldUntil = requestScheduler.heldUntil('background');
+  res.json({
+    ...status,
+    auth: tokenProvider.kind,
+    backgroundHeldUntil: heldUntil ? new Date(heldUntil).toISOString() : null
+  });
+});
+
+// ══════════════════════════════════════════════
+// AUDIT LOG
+// ══════════════════════════════════════════════
+
+app.get('/api/audit', requireAuth, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  
+  try {
+    const { actor, action, team, repo, runId, result, from, to, format } = req.query;
+    const filters = { actor, action, team, repo, runId, result, from, to };
+    const exporting = format === 'csv' || format === 'json';
+    const limit = Math.min(parseInt(req.query.limit, 10) || (exporting ? 10000 : 100), 10000);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const { total, entries } = auditLog.query(filters, { limit, offset });
     
-    res.json({ 
-      testResults: {
-        total: 0,
-        passed: 0,
-        failed: 0,
-        skipped: 0,
-        suites: []
+    if (exporting) {
+      auditLog.record({ actor: req.username, role: req.user.role, action: 'audit_export', payload: req.query, ip: req.ip });
+      const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      if (format === 'csv') {
+        return res.type('text/csv').send(auditLog.toCsv(entries));
       }
+      return res.type('application/json').send(JSON.stringify(entries, null, 2));
+    }
+    
+    res.json({ total, limit, offset, entries });
+  } catch (err) {
+    console.error('Audit query error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/audit/verify', requireAuth, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  res.json(auditLog.verify());
+});
+
+// ══════════════════════════════════════════════
+// CHANGE FREEZE CALENDAR
+// ══════════════════════════════════════════════
+
+app.get('/api/freeze/calendar', requireAuth, (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days, 10) || 30, 365);
+    const teams = req.query.team && req.user.teams.includes(req.query.team) ? [req.query.team] : req.user.teams;
+    res.json({
+      active: teams.flatMap(team => freezeCalendar.activeFreezes({ team }))
+        .filter((f, i, all) => all.findIndex(o => o.name === f.name && o.start === f.start) === i),
+      upcoming: freezeCalendar.upcoming({ teams, days }),
+      days
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/freeze/overrides', requireAuth, (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  res.json({ overrides: freezeCalendar.listOverrides(parseInt(req.query.limit, 10) || 100) });
+});
+
+app.post('/api/services/restart', requireAuth, audit('restart_service'), checkPermission('restart_services', resolveServiceTarget), async (req, res) => {
+  try {
+    const { service } = req.body;
+    // Accepts an environment (dev/dlv/prod) or a branch that deploys to one
+    const environment = branchToEnvironment(req.body.environment);
+    if (!environment) {
+      return res.status(400).json({ error: 'environment is required' });
+    }
+    
+    const restart = await restartManager.restart({ service, environment, requestedBy: req.username });
+    res.status(202).json({ success: true, message: `Service restart initiated for ${service} in ${environment}`, restart });
+  } catch (err) {
+    console.error('Service restart error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/services/restart/:id', requireAuth, checkPermission('view_logs', resolveRestartTarget), (req, res) => {
+  res.json({ restart: req.target.restart });
+});
+
+// Flaky-test report for one app from the last `limit` completed runs of its
+// build workflow. Reports are kept for CACHE_TTL_MS; run results are cached
+// by the test results store.
+const flakyReports = new Map();
+
+async function getFlakyReport(appName, limit) {
+  const cacheKey = `${appName}:${limit}`;
+  const cached = flakyReports.get(cacheKey);
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.report;
+
+  const workflow = authz.workflowForApp(appName, 'build');
+  const { data } = await octokit.actions.listWorkflowRuns({
+    owner: config.owner,
+    repo: workflow.repo,
+    workflow_id: workflow.workflowId,
+    status: 'completed',
+    per_page: limit
+  });
+
+  const settled = await batchProcess(data.workflow_runs || [], async run => {
+    const parsed = runNameParser.parse(run.name, { appName, workflow: workflow.workflowId });
+    return {
+      runId: run.id,
+      attempt: run.run_attempt || 1,
+      branch: parsed?.branch || run.head_branch,
+      commitSha: run.head_sha,
+      createdAt: run.created_at,
+      url: run.html_url,
+      results: await testResults.getRunResults(workflow.repo, run.id, { run })
+    };
+  }, CONCURRENT_WORKFLOWS);
+  const runs = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+
+  const report = {
+    appName,
+    repo: workflow.repo,
+    workflow: workflow.workflowId,
+    runsAnalysed: runs.length,
+    runsWithResults: runs.filter(r => r.results.total > 0).length,
+    tests: detectFlakyTests(runs, { minFlips: FLAKY_CONFIG.minFlips }),
+    generatedAt: new Date().toISOString()
+  };
+  flakyReports.set(cacheKey, { at: Date.now(), report });
+  return report;
+}
+
+app.get('/api/tests/flaky', requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.runs, 10) || FLAKY_CONFIG.runs || 20, 100);
+    const candidates = req.query.app
+      ? [req.query.app]
+      : [...new Set(getAppsForTeams(req.query.team ? [req.query.team] : req.user.teams))];
+    const apps = candidates
+      .filter(appName => authz.workflowForApp(appName, 'build'))
+      .filter(appName => authz.teamsForApp(appName).some(team => !authz.authorize(req.user, team, 'view_logs')));
+    
+    if (req.query.app && !apps.length) {
+      return res.status(403).json({ error: `Not allowed to view test results for ${req.query.app}` });
+    }
+    
+    const settled = await batchProcess(apps, appName => getFlakyReport(appName, limit), CONCURRENT_WORKFLOWS);
+    res.json({
+      runs: limit,
+      apps: settled.map((result, i) => (result.status === 'fulfilled'
+        ? result.value
+        : { appName: apps[i], error: result.reason.message, tests: [] }))
     });
   } catch (err) {
+    console.error('Flaky test report error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+app.get('/api/tests/:repo/:runId', requireAuth, checkPermission('view_logs', resolveRunTarget), async (req, res) => {
+  try {
+    const { repo, runId } = req.params;
+    const results = await testResults.getRunResults(repo, runId, { refresh: req.query.refresh === '1' });
+    res.json({ testResults: results });
+  } catch (err) {
+    console.error('Get test results error:', err);
+    res.status(err.status === 404 ? 404 : 500).json({ error: err.message });
+  }
+});
+
 // ══════════════════════════════════════════════
 // START SERVER
 // ══════════════════════════════════════════════
@@ -867,19 +1887,35 @@ const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`🚀 Enhanced CI/CD Dashboard running on http://localhost:${PORT}`);
   console.log(`📡 WebSocket server active for real-time updates`);
+  scheduler.start().catch(err => console.error('Scheduler start failed:', err));
+  refresher.start();
 
-console.log('Raw config object:', config);
-console.log('userRoles exists?', !!config?.userRoles);
+  // A new history store starts with the last backfillDays of runs
+  if (!history.status().runs && HISTORY_CONFIG.backfillDays) {
+    requestScheduler.withPriority('background', () => history.backfill({ days: HISTORY_CONFIG.backfillDays, includeJobs: HISTORY_CONFIG.backfillJobs }))
+      .catch(err => console.error('History backfill error:', err));
+  }
 
-// Output: All usernames: ["john.doe", "jane.smith", "dev1", "dev2", ...]
-  Object.keys(USER_ROLES).forEach(username => {
-    console.log(`   - ${username} (${USER_ROLES[username].role})`);
+  console.log(`🔐 Identity providers: ${auth.listProviders().map(p => p.name).join(', ')}`);
+  console.log(`🔁 Restart driver: ${restartManager.driver}`);
+  console.log(`🔑 GitHub authentication: ${tokenProvider.kind}`);
+  console.log(`🪝 GitHub webhooks: ${webhooks.enabled ? 'POST /webhooks/github' : 'disabled (no GITHUB_WEBHOOK_SECRET)'}`);
+  console.log(`🔄 Refreshing workflow runs every ${REFRESH_INTERVAL_MS / 1000}s (idle: ${IDLE_REFRESH_INTERVAL_MS / 1000}s)`);
+  userStore.list().forEach(user => {
+    const note = user.hasPassword ? '' : ' - no password set (node bin/users.js passwd)';
+    console.log(`   - ${user.username} (${user.role})${note}`);
   });
-  console.log(`\n🔐 Default password: password123 (configure in config.js)`);
 });
 
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  clearInterval(wsHeartbeat);
+  scheduler.stop();
+  refresher.stop();
+  clearInterval(historyPruning);
+  restartManager.stop();
+  logService.stop();
+  forEachSocket(ws => ws.close(1001, 'Server shutting down'));
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
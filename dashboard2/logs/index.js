@@ -0,0 +1,235 @@
+// ═══════════════════════════════════════════════════════════════════════
+// JOB LOGS
+// Fetches and parses job logs one job at a time, serves them in pages,
+// searches them and follows running jobs. Logs of finished jobs never
+// change and are kept in a small in-memory cache; a running job is polled
+// by a single watcher shared by everyone following it. Regex searches
+// run in a worker thread with a time limit (search.js).
+// ═══════════════════════════════════════════════════════════════════════
+
+const { parseLogLines, splitSections, stripAnsi } = require('../../collector');
+const { findMatches, findMatchesIsolated } = require('./search');
+
+const MAX_PATTERN_LENGTH = 200;
+// Only the start of very long lines is searched
+const MAX_SEARCH_LINE_LENGTH = 10000;
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// RegExp for a search query: literal text unless `regex` is set
+function compileSearch(query, { regex = false, caseSensitive = false } = {}) {
+  if (!query) throw httpError(400, 'q is required');
+  if (query.length > MAX_PATTERN_LENGTH) {
+    throw httpError(400, `Search pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  try {
+    return new RegExp(source, caseSensitive ? '' : 'i');
+  } catch (err) {
+    throw httpError(400, `Invalid regex: ${err.message}`);
+  }
+}
+
+function summarizeJob(job) {
+  return {
+    jobId: job.id,
+    jobName: job.name,
+    runId: job.run_id,
+    status: job.status,
+    conclusion: job.conclusion,
+    startedAt: job.started_at,
+    completedAt: job.completed_at,
+    htmlUrl: job.html_url,
+    steps: (job.steps || []).map(step => ({
+      number: step.number,
+      name: step.name,
+      status: step.status,
+      conclusion: step.conclusion,
+      startedAt: step.started_at,
+      completedAt: step.completed_at
+    }))
+  };
+}
+
+function createLogService({ octokit, owner, pollIntervalMs = 5000, maxCachedJobs = 50 }) {
+  const cache = new Map();
+  const watchers = new Map();
+
+  async function listJobs(repo, runId) {
+    const jobs = [];
+    for (let page = 1; ; page++) {
+      const { data } = await octokit.actions.listJobsForWorkflowRun({
+        owner, repo, run_id: runId, per_page: 100, page
+      });
+      jobs.push(...data.jobs);
+      if (jobs.length >= data.total_count || !data.jobs.length) break;
+    }
+    return jobs.map(summarizeJob);
+  }
+
+  async function fetchRawLog(repo, jobId) {
+    try {
+      const { data } = await octokit.actions.downloadJobLogsForWorkflowRun({ owner, repo, job_id: jobId });
+      return typeof data === 'string' ? data : Buffer.from(data).toString('utf8');
+    } catch (err) {
+      // Logs of queued jobs (and sometimes running ones) aren't available yet
+      if (err.status === 404) return '';
+      throw err;
+    }
+  }
+
+  // { job, lines, sections, complete } for one job, which must belong to runId
+  async function getJobLog(repo, runId, jobId) {
+    const key = `${repo}/${jobId}`;
+    const cached = cache.get(key);
+    if (cached) {
+      // Refresh LRU position
+      cache.delete(key);
+      cache.set(key, cached);
+    }
+    if (cached && String(cached.job.runId) === String(runId)) return cached;
+
+    const { data } = await octokit.actions.getJobForWorkflowRun({ owner, repo, job_id: jobId });
+    if (String(data.run_id) !== String(runId)) {
+      throw httpError(404, `Job ${jobId} is not part of run ${runId}`);
+    }
+
+    const job = summarizeJob(data);
+    const lines = parseLogLines(await fetchRawLog(repo, jobId));
+    const log = { job, lines, sections: splitSections(lines, job.steps), complete: job.status === 'completed' };
+
+    if (log.complete) {
+      cache.set(key, log);
+      if (cache.size > maxCachedJobs) cache.delete(cache.keys().next().value);
+    }
+    return log;
+  }
+
+  // Lines [offset, offset + limit) of a job, optionally within one step section
+  async function getJobLogPage(repo, runId, jobId, { offset = 0, limit = 500, step } = {}) {
+    const log = await getJobLog(repo, runId, jobId);
+
+    let lines = log.lines;
+    if (step !== undefined && step !== null && step !== '') {
+      const section = log.sections.find(s => String(s.number ?? s.index) === String(step));
+      if (!section) throw httpError(404, `No log section for step ${step}`);
+      lines = log.lines.slice(section.start - 1, section.end);
+    }
+
+    return {
+      job: log.job,
+      sections: log.sections,
+      complete: log.complete,
+      totalLines: lines.length,
+      offset,
+      lines: lines.slice(offset, offset + limit)
+    };
+  }
+
+  // Matches across a run's jobs (or one job), searching text without ANSI codes
+  async function search(repo, runId, { query, regex, caseSensitive, jobId, limit = 500 }) {
+    const pattern = compileSearch(query, { regex, caseSensitive });
+    const jobs = jobId ? [{ jobId }] : await listJobs(repo, runId);
+
+    const logs = [];
+    for (const { jobId: id } of jobs) {
+      logs.push(await getJobLog(repo, runId, id));
+    }
+    const texts = logs.map(log => log.lines.map(line => stripAnsi(line.text).slice(0, MAX_SEARCH_LINE_LENGTH)));
+    // One hit past the limit tells that there are more
+    const hits = regex
+      ? await findMatchesIsolated(pattern, texts, limit + 1)
+      : findMatches(pattern, texts, limit + 1);
+
+    const matches = hits.slice(0, limit).map(([i, j]) => {
+      const log = logs[i];
+      const line = log.lines[j];
+      const section = log.sections.find(s => line.n >= s.start && line.n <= s.end);
+      return {
+        jobId: log.job.jobId,
+        jobName: log.job.jobName,
+        step: section ? section.number ?? section.index : null,
+        stepName: section ? section.name : null,
+        line: line.n,
+        ts: line.ts,
+        text: line.text
+      };
+    });
+    return { matches, truncated: hits.length > limit };
+  }
+
+  async function pollWatcher(watcher) {
+    watcher.timer = null;
+    watcher.polling = true;
+    try {
+      const log = await getJobLog(watcher.repo, watcher.runId, watcher.jobId);
+      watcher.polling = false;
+      // Everyone unsubscribed while the log was downloading
+      if (watchers.get(watcher.key) !== watcher) return;
+      watcher.subscribers.forEach(subscriber => {
+        const fresh = log.lines.slice(subscriber.sent);
+        const changed = fresh.length || log.complete || watcher.lastStatus !== log.job.status;
+        if (!changed) return;
+        subscriber.sent = log.lines.length;
+        subscriber.onUpdate({ fromLine: log.lines.length - fresh.length + 1, lines: fresh, sections: log.sections, job: log.job, complete: log.complete });
+      });
+      watcher.lastStatus = log.job.status;
+      if (log.complete) {
+        watchers.delete(watcher.key);
+        return;
+      }
+    } catch (err) {
+      watcher.polling = false;
+      console.warn(`Log watch for job ${watcher.jobId} failed:`, err.message);
+      watcher.subscribers.forEach(subscriber => subscriber.onError(err));
+      watchers.delete(watcher.key);
+      return;
+    }
+    if (watcher.subscribers.size) {
+      watcher.timer = setTimeout(() => pollWatcher(watcher), pollIntervalMs);
+    } else {
+      watchers.delete(watcher.key);
+    }
+  }
+
+  // Follow a job's log from line `fromLine` (1-based); onUpdate receives new
+  // lines until the job completes. Returns an unsubscribe function.
+  // Watchers are per run as well as job: each one checks its job against its
+  // own runId, which is what the subscriber was authorized for.
+  function watch(repo, runId, jobId, { fromLine = 1, onUpdate, onError = () => {} }) {
+    const key = `${repo}/${runId}/${jobId}`;
+    let watcher = watchers.get(key);
+    if (!watcher) {
+      watcher = { key, repo, runId, jobId, subscribers: new Set(), timer: null, polling: false, lastStatus: null };
+      watchers.set(key, watcher);
+    }
+
+    const subscriber = { sent: Math.max(fromLine - 1, 0), onUpdate, onError };
+    watcher.subscribers.add(subscriber);
+    // Poll straight away so the new subscriber gets its backlog; a poll
+    // already in flight will include it
+    if (!watcher.polling) {
+      clearTimeout(watcher.timer);
+      pollWatcher(watcher);
+    }
+
+    return () => {
+      watcher.subscribers.delete(subscriber);
+      if (!watcher.subscribers.size) {
+        clearTimeout(watcher.timer);
+        watchers.delete(key);
+      }
+    };
+  }
+
+  function stop() {
+    watchers.forEach(watcher => clearTimeout(watcher.timer));
+    watchers.clear();
+  }
+
+  return { listJobs, getJobLog, getJobLogPage, search, watch, stop };
+}
+
+module.exports = { createLogService, compileSearch };
@@ -0,0 +1,8 @@
+// Worker thread of search.js findMatchesIsolated(): matches workerData.logs
+// against the regex and posts the hits back
+
+const { parentPort, workerData } = require('worker_threads');
+const { findMatches } = require('./search');
+
+const { source, flags, logs, max } = workerData;
+parentPort.postMessage(findMatches(new RegExp(source, flags), logs, max));
@@ -0,0 +1,54 @@
+// ═══════════════════════════════════════════════════════════════════════
+// LOG SEARCH
+// Finds the lines of one or more job logs that match a search pattern.
+// A user-supplied regex can backtrack for minutes on a single line
+// ((a|a)*b, (a+)+ and friends) and no check of its source can rule that
+// out, so regexes run in a worker thread that is terminated once it takes
+// longer than SEARCH_TIMEOUT_MS. Literal searches are escaped into a
+// pattern that can't backtrack and run in place.
+// ═══════════════════════════════════════════════════════════════════════
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const SEARCH_TIMEOUT_MS = 2000;
+
+// [logIndex, lineIndex] of the first `max` lines of `logs` (arrays of
+// strings) that match pattern
+function findMatches(pattern, logs, max) {
+  const hits = [];
+  for (let i = 0; i < logs.length; i++) {
+    for (let j = 0; j < logs[i].length; j++) {
+      if (!pattern.test(logs[i][j])) continue;
+      hits.push([i, j]);
+      if (hits.length >= max) return hits;
+    }
+  }
+  return hits;
+}
+
+// findMatches() in a worker thread; rejects with a 400 once it runs for
+// longer than timeoutMs
+function findMatchesIsolated(pattern, logs, max, { timeoutMs = SEARCH_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'search-worker.js'), {
+      workerData: { source: pattern.source, flags: pattern.flags, logs, max }
+    });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(Object.assign(new Error(`Regex search took longer than ${timeoutMs / 1000}s; try a simpler pattern`), { status: 400 }));
+    }, timeoutMs);
+
+    worker.once('message', hits => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(hits);
+    });
+    worker.once('error', err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+module.exports = { findMatches, findMatchesIsolated, SEARCH_TIMEOUT_MS };
@@ -0,0 +1,225 @@
+// ═══════════════════════════════════════════════════════════════════════
+// ENVIRONMENT PROMOTION
+// Promotes a build already released to one environment to the next one
+// (dev -> dlv -> prod by default) by sending app-release.yml the same
+// repository_dispatch that released it, with `branch` set to the target
+// environment's branch. The workflow picks the environment from that
+// branch, so the same image (the build's run id) is deployed again.
+//
+// Paths come from the team's `promotion` list, else config.promotion.paths:
+//
+//   { from: 'dlv', to: 'prod', branch: 'main', guards: { succeededForHours: 24 } }
+//
+// Guards checked before every promotion:
+//   released           the build was released to `from` successfully
+//   succeededForHours  ... at least this long ago
+//   mustBeCurrent      ... and is still what `from` runs
+//   notDeployed        `to` doesn't run (or isn't getting) the build yet
+//
+// The original payload is the repository_dispatch webhook seen for the
+// release; without one it is rebuilt from the run name (appName, runId,
+// commit_short), the build's repository and config.promotion.payload.
+// Dispatches seen and promotions sent are appended to a JSON-lines file.
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Entries kept in memory (and in the file, which is trimmed on load)
+const MAX_ENTRIES = 5000;
+
+const DEFAULT_PATHS = [
+  { from: 'dev', to: 'dlv', branch: 'dlv01', guards: {} },
+  { from: 'dlv', to: 'prod', branch: 'main', guards: { succeededForHours: 24, mustBeCurrent: true } }
+];
+
+// options: { file, paths, payload } (config.promotion)
+function createPromotions(options, { octokit, owner, teams = {}, appRepos = [], traceability, log = console.log }) {
+  const { file, payload: payloadDefaults = {} } = options;
+  const defaultPaths = options.paths || DEFAULT_PATHS;
+  let entries = [];
+
+  function load() {
+    if (!fs.existsSync(file)) return 0;
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    entries = lines.flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (err) {
+        console.warn(`Skipping a corrupt line in ${file}:`, err.message);
+        return [];
+      }
+    }).slice(-MAX_ENTRIES);
+
+    if (lines.length > MAX_ENTRIES) {
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, `${entries.map(entry => JSON.stringify(entry)).join('\n')}\n`);
+      fs.renameSync(tmp, file);
+    }
+    return entries.length;
+  }
+
+  function append(entry) {
+    entries.push(entry);
+    if (entries.length > MAX_ENTRIES) entries.shift();
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+  }
+
+  // A repository_dispatch that reached a release repo (webhook or our own)
+  function recordDispatch({ repo, eventType, payload }) {
+    if (!payload?.appName || !payload.runId) return false;
+    append({ type: 'dispatch', at: new Date().toISOString(), repo, eventType, payload });
+    return true;
+  }
+
+  function pathsFor(team) {
+    return teams[team]?.promotion || defaultPaths;
+  }
+
+  // The step from `from` (to `to`, else the first one configured)
+  function stepFor(team, from, to) {
+    return pathsFor(team).find(step => step.from === from && (!to || step.to === to)) || null;
+  }
+
+  // Latest dispatch of this build, preferring one that released to `from`
+  function recordedDispatch(appName, runId, fromBranch) {
+    const dispatches = entries.filter(entry => entry.type === 'dispatch'
+      && entry.payload.appName === appName && String(entry.payload.runId) === String(runId));
+    return dispatches.reverse().find(entry => entry.payload.branch === fromBranch) || dispatches[0] || null;
+  }
+
+  function originalPayload(appName, build, source) {
+    const recorded = recordedDispatch(appName, build.runId, source?.branch);
+    if (recorded) return { eventType: recorded.eventType, payload: recorded.payload, payloadSource: 'recorded' };
+
+    const buildRepo = build.repo || appRepos.find(app => app.name === appName)?.repo;
+    return {
+      eventType: appName,
+      payload: {
+        ...payloadDefaults,
+        appName,
+        branch: source?.branch || build.branch,
+        repository: `${owner}/${buildRepo}`,
+        runId: String(build.runId),
+        commit_short: build.commitSha
+      },
+      payloadSource: 'reconstructed'
+    };
+  }
+
+  // Everything a promotion of build runId of appName from `from` (to `to`)
+  // would do, with the guard results; nothing is sent
+  async function evaluate({ team, appName, runId, from, to }) {
+    const step = stepFor(team, from, to);
+    if (!step) {
+      const err = new Error(`No promotion path from ${from}${to ? ` to ${to}` : ''} for team ${team}`);
+      err.status = 400;
+      throw err;
+    }
+
+    const [entry] = await traceability.lookup({ appName, runId });
+    if (!entry) {
+      const err = new Error(`Build ${runId} of ${appName} not found in the run history`);
+      err.status = 404;
+      throw err;
+    }
+
+    const succeeded = entry.releases
+      .filter(release => release.environment === step.from && release.conclusion === 'success')
+      .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+    const source = succeeded[0] || null;
+    const [matrix] = await traceability.matrix({ apps: [appName] });
+    const inFrom = matrix.environments[step.from] || {};
+    const inTo = matrix.environments[step.to] || {};
+    const same = release => Boolean(release && String(release.version) === String(runId));
+
+    const guards = [{
+      guard: 'released',
+      ok: Boolean(source),
+      message: source
+        ? `Released to ${step.from} by run ${source.runId}`
+        : `Build ${runId} has no successful release to ${step.from}`
+    }];
+    const { succeededForHours, mustBeCurrent } = step.guards || {};
+    if (succeededForHours) {
+      const hours = source ? (Date.now() - new Date(source.completedAt).getTime()) / HOUR_MS : 0;
+      guards.push({
+        guard: 'succeededForHours',
+        ok: Boolean(source) && hours >= succeededForHours,
+        message: source
+          ? `Succeeded in ${step.from} ${hours.toFixed(1)}h ago (at least ${succeededForHours}h required)`
+          : `Needs a successful ${step.from} release at least ${succeededForHours}h old`
+      });
+    }
+    if (mustBeCurrent) {
+      guards.push({
+        guard: 'mustBeCurrent',
+        ok: same(inFrom.current),
+        message: same(inFrom.current)
+          ? `${step.from} still runs build ${runId}`
+          : `${step.from} runs build ${inFrom.current?.version || 'none'} now`
+      });
+    }
+    const deployed = same(inTo.current) || same(inTo.inProgress);
+    guards.push({
+      guard: 'notDeployed',
+      ok: !deployed,
+      message: deployed ? `${step.to} already runs (or is getting) build ${runId}` : `${step.to} runs build ${inTo.current?.version || 'none'}`
+    });
+
+    const original = originalPayload(appName, entry.build, source);
+    return {
+      appName,
+      runId: String(runId),
+      team,
+      step,
+      source,
+      guards,
+      allowed: guards.every(guard => guard.ok),
+      eventType: original.eventType,
+      payloadSource: original.payloadSource,
+      payload: { ...original.payload, branch: step.branch }
+    };
+  }
+
+  // Sends the dispatch of an evaluation that passed its guards
+  async function promote(evaluation, { user, repo }) {
+    await octokit.repos.createDispatchEvent({
+      owner, repo, event_type: evaluation.eventType, client_payload: evaluation.payload
+    });
+
+    const promotion = {
+      type: 'promotion',
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      appName: evaluation.appName,
+      runId: evaluation.runId,
+      from: evaluation.step.from,
+      to: evaluation.step.to,
+      branch: evaluation.step.branch,
+      team: evaluation.team,
+      user,
+      repo,
+      eventType: evaluation.eventType,
+      payloadSource: evaluation.payloadSource,
+      payload: evaluation.payload
+    };
+    append(promotion);
+    recordDispatch({ repo, eventType: evaluation.eventType, payload: evaluation.payload });
+    log(`⏩ ${user} promoted ${evaluation.appName} build ${evaluation.runId} from ${promotion.from} to ${promotion.to}`);
+    return promotion;
+  }
+
+  // Promotions of `apps`, newest first
+  function list({ apps, limit = 50 }) {
+    return entries
+      .filter(entry => entry.type === 'promotion' && apps.includes(entry.appName))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  return { load, recordDispatch, pathsFor, stepFor, evaluate, promote, list };
+}
+
+module.exports = { createPromotions, DEFAULT_PATHS };
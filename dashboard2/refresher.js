@@ -0,0 +1,119 @@
+// ═══════════════════════════════════════════════════════════════════════
+// BACKGROUND REFRESHER
+// The one place that collects workflow runs from GitHub. It refreshes on
+// a timer (slower while nobody is connected), never runs two refreshes at
+// once and keeps the latest result in memory, so API handlers answer from
+// the snapshot instead of calling GitHub per request.
+//
+// refresh() resolves to the new data; onRefresh(data, previous) is called
+// after every successful refresh. pausedUntil() may return a timestamp
+// (e.g. a rate-limit reset) before which no refresh starts. update()
+// changes the snapshot between refreshes (webhooks); it doesn't call
+// onRefresh, the caller broadcasts what it changed. A change made while a
+// refresh is in flight is applied again to that refresh's result, whose
+// data may predate it; changes must therefore keep newer state they find
+// (the webhook receiver's do).
+// ═══════════════════════════════════════════════════════════════════════
+
+function createRefresher({
+  refresh,
+  intervalMs = 30000,
+  idleIntervalMs = intervalMs,
+  isIdle = () => false,
+  pausedUntil = () => 0,
+  onRefresh = () => {}
+}) {
+  let snapshot = null;
+  let refreshedAt = null;
+  let lastError = null;
+  let inFlight = null;
+  let timer = null;
+  let running = false;
+  // update() changes since the in-flight refresh started, replayed onto its result
+  let pendingChanges = null;
+
+  // Resolves once the first refresh has finished, whatever its outcome
+  let markReady;
+  const readyPromise = new Promise(resolve => { markReady = resolve; });
+
+  async function runRefresh() {
+    const start = Date.now();
+    pendingChanges = [];
+    try {
+      const polled = await refresh();
+      const data = pendingChanges.reduce((current, change) => change(current), polled);
+      const previous = snapshot;
+      snapshot = data;
+      refreshedAt = new Date().toISOString();
+      lastError = null;
+      console.log(`🔄 Refreshed workflow runs in ${((Date.now() - start) / 1000).toFixed(2)}s`);
+      try {
+        onRefresh(data, previous);
+      } catch (err) {
+        console.error('Refresh listener error:', err);
+      }
+    } catch (err) {
+      lastError = err;
+      console.error('Workflow refresh failed:', err.message);
+    } finally {
+      pendingChanges = null;
+      markReady();
+    }
+  }
+
+  // Starts a refresh unless one is already running; either way resolves
+  // when the running one is done
+  function refreshNow() {
+    if (!inFlight) {
+      inFlight = runRefresh().finally(() => {
+        inFlight = null;
+        schedule();
+      });
+    }
+    return inFlight;
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (!running) return;
+
+    let delay = isIdle() ? idleIntervalMs : intervalMs;
+    const pauseLeft = pausedUntil() - Date.now();
+    if (pauseLeft > delay) {
+      console.warn(`⏸ Pausing workflow refresh for ${Math.ceil(pauseLeft / 1000)}s`);
+      delay = pauseLeft;
+    }
+    timer = setTimeout(refreshNow, delay);
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    refreshNow();
+  }
+
+  function stop() {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  // Replaces the snapshot with change(snapshot); ignored before the first refresh
+  function update(change) {
+    if (!snapshot) return false;
+    snapshot = change(snapshot);
+    if (pendingChanges) pendingChanges.push(change);
+    return true;
+  }
+
+  // Latest data; waits for the first refresh after startup
+  async function current() {
+    if (!snapshot) await readyPromise;
+    return { data: snapshot, refreshedAt, error: lastError ? lastError.message : null };
+  }
+
+  return { start, stop, refreshNow, update, current };
+}
+
+module.exports = { createRefresher };
@@ -0,0 +1,28 @@
+// ═══════════════════════════════════════════════════════════════════════
+// FAKE RESTART DRIVER
+// For local development and testing: restarts "run" for delayMs and then
+// succeed, except for services listed in failServices.
+// ═══════════════════════════════════════════════════════════════════════
+
+function createFakeRestartDriver(options = {}) {
+  const { delayMs = 5000, failServices = [] } = options;
+
+  return {
+    name: 'fake',
+
+    async start(request) {
+      console.log(`🧪 Fake restart of ${request.acaName} (${request.resourceGroup}) for ${request.service}/${request.environment}`);
+    },
+
+    async poll(request) {
+      if (Date.now() - new Date(request.startedAt).getTime() < delayMs) {
+        return { status: 'running' };
+      }
+      return failServices.includes(request.service)
+        ? { status: 'failure', error: 'Fake driver configured to fail this service' }
+        : { status: 'success' };
+    }
+  };
+}
+
+module.exports = { createFakeRestartDriver };
@@ -0,0 +1,68 @@
+// ═══════════════════════════════════════════════════════════════════════
+// GITHUB ACTIONS RESTART DRIVER
+// Sends a repository_dispatch event (or a workflow_dispatch) to the release
+// repo carrying the Container App name and resource group, then finds the
+// resulting run by the request id embedded in its run-name.
+// ═══════════════════════════════════════════════════════════════════════
+
+const DISPATCH_MODES = ['repository_dispatch', 'workflow_dispatch'];
+
+function createGithubRestartDriver(options, { octokit, owner }) {
+  const {
+    repo,
+    workflow = 'service-restart.yml',
+    dispatch = 'repository_dispatch',
+    eventType = 'service-restart',
+    ref = 'main'
+  } = options;
+
+  if (!repo) {
+    throw new Error('GitHub restart driver requires "repo"');
+  }
+  if (!DISPATCH_MODES.includes(dispatch)) {
+    throw new Error(`Unknown restart dispatch mode "${dispatch}"`);
+  }
+
+  return {
+    name: 'github',
+
+    async start(request) {
+      const payload = {
+        requestId: request.id,
+        appName: request.service,
+        environment: request.environment,
+        acaName: request.acaName,
+        acaResourceGroup: request.resourceGroup,
+        requestedBy: request.requestedBy
+      };
+
+      if (dispatch === 'repository_dispatch') {
+        await octokit.repos.createDispatchEvent({
+          owner, repo, event_type: eventType, client_payload: payload
+        });
+      } else {
+        await octokit.actions.createWorkflowDispatch({
+          owner, repo, workflow_id: workflow, ref, inputs: payload
+        });
+      }
+    },
+
+    // { status: 'pending'|'running'|'success'|'failure', url?, error? }
+    async poll(request) {
+      const since = new Date(new Date(request.startedAt).getTime() - 60000).toISOString();
+      const { data } = await octokit.actions.listWorkflowRuns({
+        owner, repo, workflow_id: workflow, event: dispatch, created: `>=${since}`, per_page: 50
+      });
+
+      const run = (data.workflow_runs || []).find(r => (r.name || r.display_title || '').includes(request.id));
+      if (!run) return { status: 'pending' };
+      if (run.status !== 'completed') return { status: 'running', url: run.html_url, runId: run.id };
+
+      return run.conclusion === 'success'
+        ? { status: 'success', url: run.html_url, runId: run.id }
+        : { status: 'failure', url: run.html_url, runId: run.id, error: `Restart workflow ${run.conclusion}` };
+    }
+  };
+}
+
+module.exports = { createGithubRestartDriver };
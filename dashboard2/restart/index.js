@@ -0,0 +1,142 @@
+// ═══════════════════════════════════════════════════════════════════════
+// SERVICE RESTARTS
+// Looks up a service's Container App for an environment (config.restart.
+// services), hands the restart to the configured driver and polls the
+// driver until it reports success or failure, or the restart times out.
+//
+// A driver is { name, start(request), poll(request) }; poll resolves to
+// { status: 'pending'|'running'|'success'|'failure', url?, error? }.
+// Every change goes to onUpdate; restartEventType() names the WebSocket
+// message that announces it.
+// ═══════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+
+const DRIVER_FACTORIES = {
+  github: () => require('./drivers/github').createGithubRestartDriver,
+  fake: () => require('./drivers/fake').createFakeRestartDriver
+};
+
+// Finished restarts kept in memory for the status endpoint
+const MAX_FINISHED = 100;
+const FINAL_STATUSES = ['success', 'failure', 'timeout'];
+
+// WebSocket message type for a restart's current status
+function restartEventType(request) {
+  if (request.status === 'dispatched') return 'service_restart_initiated';
+  if (request.status === 'success') return 'service_restart_completed';
+  if (FINAL_STATUSES.includes(request.status)) return 'service_restart_failed';
+  return 'service_restart_updated';
+}
+
+function createRestartManager(options, { octokit, owner, onUpdate = () => {} }) {
+  const {
+    driver: driverName = 'github',
+    services = {},
+    pollIntervalMs = 15000,
+    timeoutMs = 15 * 60 * 1000
+  } = options;
+
+  const factory = DRIVER_FACTORIES[driverName];
+  if (!factory) {
+    throw new Error(`Unknown restart driver "${driverName}"`);
+  }
+  const driver = factory()(options[driverName] || {}, { octokit, owner });
+
+  const restarts = new Map();
+  const timers = new Map();
+
+  function update(request, changes) {
+    Object.assign(request, changes, { updatedAt: new Date().toISOString() });
+    onUpdate(request);
+  }
+
+  function prune() {
+    const finished = [...restarts.values()].filter(r => FINAL_STATUSES.includes(r.status));
+    finished.slice(0, Math.max(finished.length - MAX_FINISHED, 0)).forEach(r => restarts.delete(r.id));
+  }
+
+  function schedulePoll(request) {
+    timers.set(request.id, setTimeout(() => pollOnce(request), pollIntervalMs));
+  }
+
+  async function pollOnce(request) {
+    timers.delete(request.id);
+    try {
+      const result = await driver.poll(request);
+      if (FINAL_STATUSES.includes(result.status)) {
+        update(request, { ...result, finishedAt: new Date().toISOString() });
+        prune();
+        return;
+      }
+      if (result.status !== request.status || result.url !== request.url) {
+        update(request, result);
+      }
+    } catch (err) {
+      // Transient API errors shouldn't fail the restart; keep polling until the timeout
+      console.warn(`Restart ${request.id} poll failed:`, err.message);
+    }
+
+    if (Date.now() - new Date(request.startedAt).getTime() > timeoutMs) {
+      update(request, { status: 'timeout', error: `No result after ${Math.round(timeoutMs / 60000)} minutes`, finishedAt: new Date().toISOString() });
+      prune();
+      return;
+    }
+    schedulePoll(request);
+  }
+
+  // Container App for a service in an environment, or null if none is configured
+  function resolveTarget(service, environment) {
+    const target = services[service]?.[environment];
+    return target?.acaName && target?.resourceGroup ? target : null;
+  }
+
+  async function restart({ service, environment, requestedBy }) {
+    const target = resolveTarget(service, environment);
+    if (!target) {
+      throw Object.assign(new Error(`No Container App configured for ${service} in ${environment}`), { status: 404 });
+    }
+
+    const request = {
+      id: `restart-${service}-${environment}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      service,
+      environment,
+      acaName: target.acaName,
+      resourceGroup: target.resourceGroup,
+      requestedBy,
+      driver: driver.name,
+      status: 'pending',
+      startedAt: new Date().toISOString()
+    };
+    restarts.set(request.id, request);
+
+    try {
+      await driver.start(request);
+    } catch (err) {
+      update(request, { status: 'failure', error: err.message, finishedAt: new Date().toISOString() });
+      throw err;
+    }
+
+    update(request, { status: 'dispatched' });
+    schedulePoll(request);
+    return request;
+  }
+
+  function get(id) {
+    return restarts.get(id) || null;
+  }
+
+  // Most recent first
+  function list() {
+    return [...restarts.values()].sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+  }
+
+  function stop() {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  }
+
+  return { restart, get, list, stop, resolveTarget, driver: driver.name };
+}
+
+module.exports = { createRestartManager, restartEventType, FINAL_STATUSES };
@@ -0,0 +1,273 @@
+// ═══════════════════════════════════════════════════════════════════════
+// CRON & RECURRENCE RULES
+// 5-field cron expressions (minute hour day-of-month month day-of-week)
+// evaluated in an IANA timezone, plus a subset of iCalendar RRULEs that is
+// translated to cron. Supports *, lists, ranges, steps and JAN-DEC/SUN-SAT.
+//
+// Across DST changes a wall-clock time the clocks fall back over fires
+// once, at its first occurrence, and one they spring forward over fires
+// at the end of the gap (02:30 becomes 03:00 in Europe/Berlin).
+// ═══════════════════════════════════════════════════════════════════════
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+// Give up looking for an occurrence after this many candidate minutes
+const MAX_ITERATIONS = 100000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function parseValue(value, field) {
+  const upper = value.toUpperCase();
+  const nameIndex = field.names ? field.names.indexOf(upper) : -1;
+  if (nameIndex !== -1) return nameIndex + (field.name === 'month' ? 1 : 0);
+
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+  const number = Number(value);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${number} out of range ${field.min}-${field.max}`);
+  }
+  return number;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name} "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+    if (start > end) {
+      throw new Error(`Invalid range in ${field.name} "${part}"`);
+    }
+
+    for (let v = start; v <= end; v += step) {
+      // Day-of-week 7 is Sunday, same as 0
+      values.add(field.name === 'dayOfWeek' && v === 7 ? 0 : v);
+    }
+  });
+
+  return { values, wildcard: text === '*' };
+}
+
+function parseCron(expression) {
+  const text = MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}: "${expression}"`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field);
+  });
+  return parsed;
+}
+
+function assertTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (err) {
+    throw new Error(`Unknown timezone "${timeZone}"`);
+  }
+}
+
+const formatters = new Map();
+
+// Wall-clock time of an instant in a timezone, expressed as a UTC timestamp
+function wallClockMs(instantMs, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  const parts = {};
+  formatters.get(timeZone).formatToParts(new Date(instantMs)).forEach(p => {
+    parts[p.type] = Number(p.value);
+  });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+const utcOffsetMs = (instantMs, timeZone) => wallClockMs(instantMs, timeZone) - instantMs;
+
+// Instant at which the wall clock in timeZone shows wallMs: the earlier
+// one when it shows it twice (clocks falling back), the end of the gap
+// when it never does (clocks springing forward)
+function wallClockToInstant(wallMs, timeZone) {
+  // The offsets a day either side differ when a DST change is near
+  const offsetBefore = utcOffsetMs(wallMs - DAY_MS, timeZone);
+  const offsetAfter = utcOffsetMs(wallMs + DAY_MS, timeZone);
+  const candidates = [wallMs - offsetBefore, wallMs - offsetAfter].sort((a, b) => a - b);
+  const instant = candidates.find(candidate => wallClockMs(candidate, timeZone) === wallMs);
+  if (instant !== undefined) return instant;
+
+  // In a gap: find the first minute on the new offset between the candidates
+  let [early, late] = candidates;
+  while (late - early > MINUTE_MS) {
+    const middle = early + Math.max(1, Math.floor((late - early) / (2 * MINUTE_MS))) * MINUTE_MS;
+    if (utcOffsetMs(middle, timeZone) === offsetAfter) late = middle;
+    else early = middle;
+  }
+  return late;
+}
+
+function dayMatches(cron, date) {
+  const domMatch = cron.dayOfMonth.values.has(date.getUTCDate());
+  const dowMatch = cron.dayOfWeek.values.has(date.getUTCDay());
+  // Classic cron: when both day fields are restricted, either may match
+  if (!cron.dayOfMonth.wildcard && !cron.dayOfWeek.wildcard) return domMatch || dowMatch;
+  if (!cron.dayOfMonth.wildcard) return domMatch;
+  if (!cron.dayOfWeek.wildcard) return dowMatch;
+  return true;
+}
+
+// Next time the expression fires strictly after `after`, or null
+function nextCronOccurrence(expression, after, timeZone = 'UTC') {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const afterMs = new Date(after).getTime();
+
+  // Walk candidate wall-clock minutes, jumping whole days/hours where possible
+  const startWall = wallClockMs(afterMs, timeZone);
+  const wall = new Date(startWall - (startWall % 60000) + 60000);
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (!cron.month.values.has(wall.getUTCMonth() + 1)) {
+      wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+      wall.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, wall)) {
+      wall.setUTCDate(wall.getUTCDate() + 1);
+      wall.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.values.has(wall.getUTCHours())) {
+      wall.setUTCHours(wall.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.values.has(wall.getUTCMinutes())) {
+      wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    // Wall times in a DST gap map to its end, so several can share an
+    // instant; it fires once as later ones are no longer after it
+    const instant = wallClockToInstant(wall.getTime(), timeZone);
+    if (instant > afterMs) {
+      return new Date(instant);
+    }
+    wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+  }
+  return null;
+}
+
+const RRULE_DAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// "FREQ=WEEKLY;BYDAY=TU;BYHOUR=18;BYMINUTE=0;COUNT=10" -> { cron, count, until }
+function rruleToCron(rule) {
+  const props = {};
+  String(rule).replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(pair => {
+    const [key, value] = pair.split('=');
+    props[key.toUpperCase()] = (value || '').toUpperCase();
+  });
+
+  const freq = props.FREQ;
+  const interval = Number(props.INTERVAL || 1);
+  const minute = props.BYMINUTE || '0';
+  let hour = props.BYHOUR || '0';
+  let dayOfMonth = props.BYMONTHDAY || '*';
+  let dayOfWeek = '*';
+
+  if (props.BYDAY) {
+    dayOfWeek = props.BYDAY.split(',').map(day => {
+      if (!(day in RRULE_DAYS)) throw new Error(`Unsupported BYDAY value "${day}"`);
+      return RRULE_DAYS[day];
+    }).join(',');
+  }
+
+  switch (freq) {
+    case 'HOURLY':
+      hour = props.BYHOUR || (interval > 1 ? `*/${interval}` : '*');
+      break;
+    case 'DAILY':
+    case 'WEEKLY':
+    case 'MONTHLY':
+      if (interval !== 1) {
+        throw new Error(`INTERVAL is only supported with FREQ=HOURLY`);
+      }
+      if (freq === 'MONTHLY' && dayOfMonth === '*' && dayOfWeek === '*') dayOfMonth = '1';
+      if (freq === 'WEEKLY' && dayOfWeek === '*') {
+        throw new Error('FREQ=WEEKLY requires BYDAY');
+      }
+      break;
+    default:
+      throw new Error(`Unsupported FREQ "${freq || ''}"`);
+  }
+
+  let until = null;
+  if (props.UNTIL) {
+    const m = props.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+    if (!m) throw new Error(`Invalid UNTIL "${props.UNTIL}"`);
+    until = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 23), +(m[5] || 59), +(m[6] || 59))).toISOString();
+  }
+
+  const cron = `${minute} ${hour} ${dayOfMonth} * ${dayOfWeek}`;
+  parseCron(cron);
+  return { cron, count: props.COUNT ? Number(props.COUNT) : null, until };
+}
+
+// Normalise a recurrence spec from the API into { cron, timezone, count, until, windowMinutes }
+function normaliseRecurrence({ cron, rrule, timezone = 'UTC', count, until, windowMinutes }) {
+  assertTimeZone(timezone);
+
+  const fromRule = rrule ? rruleToCron(rrule) : {};
+  const expression = cron || fromRule.cron;
+  if (!expression) throw new Error('A cron expression or RRULE is required');
+  parseCron(expression);
+
+  const recurrence = {
+    cron: expression,
+    timezone,
+    count: count != null ? Number(count) : fromRule.count || null,
+    until: until ? new Date(until).toISOString() : fromRule.until || null,
+    windowMinutes: windowMinutes != null ? Number(windowMinutes) : null
+  };
+  if (rrule) recurrence.rrule = rrule;
+  return recurrence;
+}
+
+module.exports = { parseCron, nextCronOccurrence, rruleToCron, normaliseRecurrence, assertTimeZone };
@@ -0,0 +1,270 @@
+// ═══════════════════════════════════════════════════════════════════════
+// DURABLE SCHEDULER
+// Jobs are persisted through the schedule store and re-armed at startup.
+// A single timer points at the next due job; its delay is capped so long
+// schedules never hit setTimeout's 24.8-day overflow.
+//
+// Catch-up policy for jobs that were due while the process was down:
+//   'run'   - fire them as soon as the scheduler starts
+//   'skip'  - record them as missed
+//   'grace' - fire if no later than catchUpGraceMs, otherwise missed
+//
+// Recurring jobs carry a `recurrence` ({ cron, timezone, count, until,
+// windowMinutes }) and are re-armed for their next occurrence after each
+// run. An occurrence that starts later than windowMinutes is always missed.
+//
+// `store` defaults to the JSON file store on `file`; tests pass one with
+// the same interface that keeps jobs in memory.
+// ═══════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const { createScheduleStore } = require('./store');
+const { nextCronOccurrence, normaliseRecurrence } = require('./cron');
+
+const MAX_TIMER_DELAY_MS = 60 * 60 * 1000;
+const LATE_TOLERANCE_MS = 60 * 1000;
+const CATCH_UP_POLICIES = ['run', 'skip', 'grace'];
+
+function createScheduler({ file, store = createScheduleStore(file), execute, onEvent = () => {}, catchUpPolicy = 'grace', catchUpGraceMs = 60 * 60 * 1000 }) {
+  if (!CATCH_UP_POLICIES.includes(catchUpPolicy)) {
+    throw new Error(`Unknown catch-up policy "${catchUpPolicy}"`);
+  }
+
+  let timer = null;
+  let ticking = false;
+
+  function record(job, status, details = {}) {
+    const entry = store.addHistory({
+      jobId: job.id,
+      repo: job.repo,
+      workflowId: job.workflowId,
+      apps: job.apps,
+      action: job.action,
+      ref: job.ref,
+      team: job.team,
+      recurring: Boolean(job.recurrence),
+      createdBy: job.createdBy,
+      scheduledFor: job.nextRunAt,
+      status,
+      at: new Date().toISOString(),
+      ...details
+    });
+    onEvent(status, job, entry);
+    return entry;
+  }
+
+  // Decide what to do with a job that is past due by more than the tolerance
+  function shouldCatchUp(job, lateByMs) {
+    const windowMinutes = job.recurrence?.windowMinutes;
+    if (windowMinutes != null && lateByMs > windowMinutes * 60000) return false;
+
+    const policy = job.catchUpPolicy || catchUpPolicy;
+    if (policy === 'run') return true;
+    if (policy === 'skip') return false;
+    return lateByMs <= catchUpGraceMs;
+  }
+
+  // Next occurrence strictly after `after`, or null once count/until are exhausted
+  function nextOccurrence(job, after) {
+    const { recurrence } = job;
+    if (!recurrence) return null;
+    if (recurrence.count && (job.occurrences || 0) >= recurrence.count) return null;
+
+    const next = nextCronOccurrence(recurrence.cron, after, recurrence.timezone);
+    if (!next || (recurrence.until && next > new Date(recurrence.until))) return null;
+    return next.toISOString();
+  }
+
+  // One-shot jobs are removed after running; recurring ones move to their next occurrence
+  function finishOccurrence(job, counted) {
+    const occurrences = (job.occurrences || 0) + (counted ? 1 : 0);
+    const nextRunAt = nextOccurrence({ ...job, occurrences }, new Date(Math.max(Date.now(), new Date(job.nextRunAt).getTime())));
+
+    if (!nextRunAt) {
+      store.deleteJob(job.id);
+      return;
+    }
+    const { startedAt, ...rest } = job;
+    store.putJob({ ...rest, status: 'pending', occurrences, nextRunAt, lastRunAt: new Date().toISOString() });
+  }
+
+  async function runJob(job) {
+    const lateByMs = Date.now() - new Date(job.nextRunAt).getTime();
+
+    if (lateByMs > LATE_TOLERANCE_MS && !shouldCatchUp(job, lateByMs)) {
+      record(job, 'missed', { lateByMs });
+      finishOccurrence(job, false);
+      return;
+    }
+
+    store.putJob({ ...job, status: 'running', startedAt: new Date().toISOString() });
+    try {
+      const result = await execute(job);
+      record(job, 'success', { lateByMs: Math.max(lateByMs, 0), result: result || null });
+    } catch (err) {
+      record(job, 'failed', { lateByMs: Math.max(lateByMs, 0), error: err.message });
+    }
+    finishOccurrence(job, true);
+  }
+
+  function pendingJobs() {
+    return store.listJobs()
+      .filter(job => job.status === 'pending')
+      .sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt));
+  }
+
+  function arm() {
+    clearTimeout(timer);
+    timer = null;
+
+    const [next] = pendingJobs();
+    if (!next) return;
+
+    const delay = Math.min(Math.max(new Date(next.nextRunAt) - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    timer = setTimeout(tick, delay);
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const now = Date.now();
+      const due = pendingJobs().filter(job => new Date(job.nextRunAt).getTime() <= now);
+      for (const { id } of due) {
+        // Earlier jobs ran in between: one cancelled, paused or rescheduled
+        // meanwhile must not fire from the list's stale copy
+        const job = store.getJob(id);
+        if (!job || job.status !== 'pending' || new Date(job.nextRunAt).getTime() > now) continue;
+        await runJob(job);
+      }
+    } catch (err) {
+      console.error('Scheduler tick error:', err);
+    } finally {
+      ticking = false;
+      arm();
+    }
+  }
+
+  function start() {
+    store.load();
+
+    // A job still marked running was interrupted mid-dispatch; we can't know
+    // whether GitHub received it, so record it rather than firing it twice.
+    store.listJobs()
+      .filter(job => job.status === 'running')
+      .forEach(job => {
+        record(job, 'interrupted', { error: 'Process restarted while the job was running' });
+        finishOccurrence(job, true);
+      });
+
+    const pending = pendingJobs();
+    console.log(`⏰ Scheduler loaded ${pending.length} pending job(s)`);
+    return tick();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  function add(spec) {
+    if (spec.catchUpPolicy && !CATCH_UP_POLICIES.includes(spec.catchUpPolicy)) {
+      throw new Error(`Unknown catch-up policy "${spec.catchUpPolicy}"`);
+    }
+
+    const recurrence = spec.recurrence ? normaliseRecurrence(spec.recurrence) : null;
+    const job = {
+      id: `${spec.repo || spec.team}-${spec.workflowId || spec.action}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+      repo: spec.repo,
+      workflowId: spec.workflowId,
+      apps: spec.apps,
+      ref: spec.ref,
+      inputs: spec.inputs || {},
+      team: spec.team,
+      action: spec.action,
+      createdBy: spec.createdBy,
+      createdByProvider: spec.createdByProvider,
+      createdByAccess: spec.createdByAccess,
+      createdAt: new Date().toISOString(),
+      catchUpPolicy: spec.catchUpPolicy,
+      freezeOverride: spec.freezeOverride,
+      recurrence,
+      occurrences: 0,
+      status: 'pending'
+    };
+
+    if (recurrence) {
+      job.nextRunAt = nextOccurrence(job, spec.runAt ? new Date(new Date(spec.runAt).getTime() - 1) : new Date());
+      if (!job.nextRunAt) throw new Error('Recurrence never fires');
+    } else {
+      const runAt = new Date(spec.runAt);
+      if (Number.isNaN(runAt.getTime())) {
+        throw new Error('Invalid schedule time');
+      }
+      job.nextRunAt = runAt.toISOString();
+    }
+
+    store.putJob(job);
+    arm();
+    return job;
+  }
+
+  function cancel(id, cancelledBy) {
+    const job = store.getJob(id);
+    if (!job || (job.status !== 'pending' && job.status !== 'paused')) return false;
+
+    store.deleteJob(id);
+    record(job, 'cancelled', { cancelledBy });
+    arm();
+    return true;
+  }
+
+  function pause(id, pausedBy) {
+    const job = store.getJob(id);
+    if (!job || job.status !== 'pending') return null;
+
+    const paused = store.putJob({ ...job, status: 'paused', pausedBy, pausedAt: new Date().toISOString() });
+    record(job, 'paused', { pausedBy });
+    arm();
+    return paused;
+  }
+
+  // Recurring jobs resume at their next occurrence from now; one-shot jobs keep
+  // their time and go through the catch-up policy if it has already passed
+  function resume(id, resumedBy) {
+    const job = store.getJob(id);
+    if (!job || job.status !== 'paused') return null;
+
+    const { pausedBy, pausedAt, ...rest } = job;
+    const nextRunAt = job.recurrence ? nextOccurrence(job, new Date()) : job.nextRunAt;
+    if (!nextRunAt) {
+      store.deleteJob(id);
+      record(job, 'completed', { resumedBy });
+      return null;
+    }
+
+    const resumed = store.putJob({ ...rest, status: 'pending', nextRunAt });
+    record(resumed, 'resumed', { resumedBy });
+    arm();
+    return resumed;
+  }
+
+  function get(id) {
+    return store.getJob(id);
+  }
+
+  // Pending and paused jobs, soonest first
+  function listPending() {
+    return store.listJobs()
+      .filter(job => job.status === 'pending' || job.status === 'paused')
+      .sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt));
+  }
+
+  function listHistory(limit) {
+    return store.listHistory(limit);
+  }
+
+  return { start, stop, add, cancel, pause, resume, get, listPending, listHistory };
+}
+
+module.exports = { createScheduler, CATCH_UP_POLICIES };
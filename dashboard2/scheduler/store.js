@@ -0,0 +1,69 @@
+// ═══════════════════════════════════════════════════════════════════════
+// SCHEDULE STORE
+// JSON file holding scheduled jobs and their run history. Writes go to a
+// temp file first and are renamed into place so a crash never leaves a
+// half-written store behind.
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+
+const MAX_HISTORY_ENTRIES = 500;
+
+function createScheduleStore(file) {
+  let state = { jobs: {}, history: [] };
+
+  function load() {
+    try {
+      if (fs.existsSync(file)) {
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        state = { jobs: parsed.jobs || {}, history: parsed.history || [] };
+      }
+    } catch (err) {
+      console.error(`Schedule store read failed (${file}):`, err.message);
+      throw err;
+    }
+    return state;
+  }
+
+  function save() {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function getJob(id) {
+    return state.jobs[id] || null;
+  }
+
+  function listJobs() {
+    return Object.values(state.jobs);
+  }
+
+  function putJob(job) {
+    state.jobs[job.id] = job;
+    save();
+    return job;
+  }
+
+  function deleteJob(id) {
+    delete state.jobs[id];
+    save();
+  }
+
+  function addHistory(entry) {
+    state.history.unshift(entry);
+    if (state.history.length > MAX_HISTORY_ENTRIES) {
+      state.history.length = MAX_HISTORY_ENTRIES;
+    }
+    save();
+    return entry;
+  }
+
+  function listHistory(limit = 100) {
+    return state.history.slice(0, limit);
+  }
+
+  return { load, save, getJob, listJobs, putJob, deleteJob, addHistory, listHistory };
+}
+
+module.exports = { createScheduleStore };
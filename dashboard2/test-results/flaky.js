@@ -0,0 +1,88 @@
+// ═══════════════════════════════════════════════════════════════════════
+// FLAKY TEST DETECTION
+// Compares parsed test results across recent runs of one build workflow.
+// A test is flaky when it both passed and failed on the same commit, or
+// flipped between pass and fail at least `minFlips` times on one branch.
+// ═══════════════════════════════════════════════════════════════════════
+
+const testKey = (suite, testCase) => [suite.name, testCase.classname || '', testCase.name].join('\u0000');
+
+// Number of pass<->fail changes in a chronological list of outcomes
+function countFlips(outcomes) {
+  let flips = 0;
+  for (let i = 1; i < outcomes.length; i++) {
+    if (outcomes[i].status !== outcomes[i - 1].status) flips++;
+  }
+  return flips;
+}
+
+// runs: [{ runId, attempt, branch, commitSha, createdAt, url, results }]
+// where results is the output of getRunResults(). Returns flaky tests,
+// highest failure rate first.
+function detectFlakyTests(runs, { minFlips = 2 } = {}) {
+  const tests = new Map();
+
+  [...runs]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .forEach(run => {
+      (run.results?.suites || []).forEach(suite => {
+        suite.cases.forEach(testCase => {
+          // Skipped tests say nothing about flakiness
+          if (testCase.status !== 'passed' && testCase.status !== 'failed') return;
+
+          const key = testKey(suite, testCase);
+          if (!tests.has(key)) {
+            tests.set(key, { suite: suite.name, classname: testCase.classname, name: testCase.name, outcomes: [] });
+          }
+          tests.get(key).outcomes.push({
+            runId: run.runId,
+            attempt: run.attempt,
+            branch: run.branch,
+            commitSha: run.commitSha,
+            createdAt: run.createdAt,
+            url: run.url,
+            status: testCase.status,
+            message: testCase.message
+          });
+        });
+      });
+    });
+
+  const flaky = [];
+  tests.forEach(test => {
+    const failures = test.outcomes.filter(o => o.status === 'failed');
+    if (!failures.length || failures.length === test.outcomes.length) return;
+
+    const group = field => test.outcomes.reduce((groups, outcome) => {
+      (groups[outcome[field]] = groups[outcome[field]] || []).push(outcome);
+      return groups;
+    }, {});
+
+    const commits = Object.entries(group('commitSha'))
+      .filter(([, outcomes]) => new Set(outcomes.map(o => o.status)).size > 1)
+      .map(([commitSha]) => commitSha);
+    const branches = Object.entries(group('branch'))
+      .map(([branch, outcomes]) => ({ branch, flips: countFlips(outcomes) }))
+      .filter(b => b.flips >= minFlips);
+
+    if (!commits.length && !branches.length) return;
+
+    flaky.push({
+      suite: test.suite,
+      classname: test.classname,
+      name: test.name,
+      runs: test.outcomes.length,
+      failures: failures.length,
+      failureRate: Math.round((failures.length / test.outcomes.length) * 1000) / 10,
+      lastSeen: failures[failures.length - 1].createdAt,
+      lastMessage: failures[failures.length - 1].message,
+      commits,
+      branches,
+      outcomes: test.outcomes.slice().reverse()
+    });
+  });
+
+  return flaky.sort((a, b) => b.failureRate - a.failureRate || new Date(b.lastSeen) - new Date(a.lastSeen));
+}
+
+module.exports = { detectFlakyTests };
@@ -0,0 +1,169 @@
+// ═══════════════════════════════════════════════════════════════════════
+// TEST RESULTS
+// Downloads a run's test-report artifacts, parses every JUnit XML, TAP and
+// Jest/Vitest JSON file inside them and returns totals with per-suite and
+// per-case results. Results of completed runs never change, so they are
+// cached on disk by repo and run ID.
+// ═══════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const { readZipEntries } = require('./zip');
+const { parseJunit } = require('./parsers/junit');
+const { parseTap } = require('./parsers/tap');
+const { parseJest } = require('./parsers/jest');
+
+const DEFAULT_ARTIFACT_PATTERN = /test|junit|report/i;
+
+// Format of a report file, from its extension and (when ambiguous) content
+function detectFormat(name, text) {
+  const ext = path.extname(name).toLowerCase();
+  const start = text.trimStart().slice(0, 200);
+  if (ext === '.xml') return /<testsuites?\b|<testcase\b/.test(text) ? 'junit' : null;
+  if (ext === '.tap' || /^TAP version \d+/.test(start)) return 'tap';
+  if (ext === '.json') {
+    try {
+      const report = JSON.parse(text);
+      return Array.isArray(report.testResults) ? 'jest' : null;
+    } catch (err) {
+      // A Jest report cut off mid-write, rather than some other JSON file
+      if (/"testResults"\s*:/.test(text)) throw new Error(`Malformed Jest report: ${err.message}`);
+      return null;
+    }
+  }
+  if (ext === '.txt' || ext === '.log' || !ext) {
+    return /^\s*(?:1\.\.\d+|(?:not )?ok \d+)/m.test(start) ? 'tap' : null;
+  }
+  return null;
+}
+
+// Parsed suites of one report file, or null when it isn't a test report
+function parseReport(name, text) {
+  const format = detectFormat(name, text);
+  if (format === 'junit') return { format, suites: parseJunit(text, name) };
+  if (format === 'tap') return { format, suites: parseTap(text, name) };
+  if (format === 'jest') return { format, suites: parseJest(JSON.parse(text), name) };
+  return null;
+}
+
+function countCases(cases) {
+  return {
+    total: cases.length,
+    passed: cases.filter(c => c.status === 'passed').length,
+    failed: cases.filter(c => c.status === 'failed').length,
+    skipped: cases.filter(c => c.status === 'skipped').length
+  };
+}
+
+function summarize(suites) {
+  const withCounts = suites.map(suite => ({ ...countCases(suite.cases), ...suite }));
+  return {
+    ...countCases(withCounts.flatMap(s => s.cases)),
+    duration: withCounts.reduce((sum, s) => sum + (s.duration || 0), 0),
+    suites: withCounts
+  };
+}
+
+function createTestResults({ octokit, owner, cacheFile, artifactPattern, maxArtifactBytes = 100 * 1024 * 1024, maxCachedRuns = 200 }) {
+  const pattern = artifactPattern ? new RegExp(artifactPattern, 'i') : DEFAULT_ARTIFACT_PATTERN;
+  let cache = null;
+
+  function loadCache() {
+    if (cache) return cache;
+    try {
+      cache = fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, 'utf8')) : {};
+    } catch (err) {
+      console.warn('Test results cache read failed:', err.message);
+      cache = {};
+    }
+    return cache;
+  }
+
+  function saveCache() {
+    // Oldest entries go first once the cache is full
+    const keys = Object.keys(cache).sort((a, b) => new Date(cache[a].parsedAt) - new Date(cache[b].parsedAt));
+    keys.slice(0, Math.max(keys.length - maxCachedRuns, 0)).forEach(key => delete cache[key]);
+    try {
+      const tmp = `${cacheFile}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(cache));
+      fs.renameSync(tmp, cacheFile);
+    } catch (err) {
+      console.warn('Test results cache save failed:', err.message);
+    }
+  }
+
+  async function parseArtifact(repo, artifact) {
+    const { data } = await octokit.actions.downloadArtifact({
+      owner, repo, artifact_id: artifact.id, archive_format: 'zip'
+    });
+
+    const suites = [];
+    const formats = new Set();
+    const errors = [];
+    for (const entry of readZipEntries(Buffer.from(data))) {
+      if (!/\.(xml|json|tap|txt|log)$/i.test(entry.name) && path.extname(entry.name)) continue;
+      try {
+        const parsed = parseReport(entry.name, entry.read().toString('utf8'));
+        if (!parsed) continue;
+        formats.add(parsed.format);
+        suites.push(...parsed.suites);
+      } catch (err) {
+        errors.push(`${artifact.name}/${entry.name}: ${err.message}`);
+      }
+    }
+    return { suites, formats: [...formats], errors };
+  }
+
+  async function fetchResults(repo, runId) {
+    const { data } = await octokit.actions.listWorkflowRunArtifacts({
+      owner, repo, run_id: runId, per_page: 100
+    });
+
+    const artifacts = (data.artifacts || []).filter(a => !a.expired && pattern.test(a.name));
+    const suites = [];
+    const formats = new Set();
+    const errors = [];
+    for (const artifact of artifacts) {
+      if (artifact.size_in_bytes > maxArtifactBytes) {
+        errors.push(`${artifact.name}: skipped, larger than ${maxArtifactBytes} bytes`);
+        continue;
+      }
+      try {
+        const result = await parseArtifact(repo, artifact);
+        suites.push(...result.suites);
+        result.formats.forEach(f => formats.add(f));
+        errors.push(...result.errors);
+      } catch (err) {
+        errors.push(`${artifact.name}: ${err.message}`);
+      }
+    }
+
+    return {
+      ...summarize(suites),
+      artifacts: artifacts.map(a => a.name),
+      formats: [...formats],
+      errors,
+      parsedAt: new Date().toISOString()
+    };
+  }
+
+  // Results for a run; only completed runs are cached, as in-progress runs
+  // may still upload reports. Pass `run` when the caller already has it.
+  async function getRunResults(repo, runId, { refresh = false, run: knownRun } = {}) {
+    const key = `${repo}/${runId}`;
+    const cached = loadCache()[key];
+    if (cached && !refresh) return { ...cached, cached: true };
+
+    const run = knownRun || (await octokit.actions.getWorkflowRun({ owner, repo, run_id: runId })).data;
+    const results = { ...(await fetchResults(repo, runId)), runStatus: run.status };
+    if (run.status === 'completed') {
+      cache[key] = results;
+      saveCache();
+    }
+    return { ...results, cached: false };
+  }
+
+  return { getRunResults };
+}
+
+module.exports = { createTestResults, parseReport, summarize };
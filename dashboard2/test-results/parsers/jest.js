@@ -0,0 +1,54 @@
+// ═══════════════════════════════════════════════════════════════════════
+// JEST / VITEST JSON PARSER
+// Output of `jest --json` and Vitest's json reporter, which share the
+// testResults[].assertionResults[] layout. A report whose entries aren't
+// objects, or whose assertion results aren't a list, throws.
+// ═══════════════════════════════════════════════════════════════════════
+
+const STATUS = { passed: 'passed', failed: 'failed', pending: 'skipped', skipped: 'skipped', todo: 'skipped', disabled: 'skipped' };
+
+// Failure messages carry ANSI colours from the terminal reporter
+const stripAnsi = text => String(text).replace(/\u001b\[[0-9;]*m/g, '');
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function parseJest(report, fileName) {
+  return (report.testResults || []).map((file, i) => {
+    if (!isObject(file)) throw new Error(`Malformed Jest report: testResults[${i}] is not an object`);
+    const assertions = file.assertionResults || [];
+    if (!Array.isArray(assertions)) throw new Error(`Malformed Jest report: testResults[${i}].assertionResults is not a list`);
+
+    const cases = assertions.filter(isObject).map(test => {
+      const failures = [].concat(test.failureMessages || []).map(stripAnsi);
+      return {
+        name: String(test.title || test.fullName || '(unnamed)'),
+        classname: [].concat(test.ancestorTitles || []).join(' › ') || null,
+        status: STATUS[test.status] || 'failed',
+        duration: Math.round(Number(test.duration) || 0),
+        message: failures.length ? failures[0].split('\n')[0] : null,
+        details: failures.length ? failures.join('\n\n') : null
+      };
+    });
+
+    // A file that failed to run (syntax error, missing module) has no assertions
+    if (!cases.length && file.status === 'failed') {
+      cases.push({
+        name: 'Test file failed to run',
+        classname: null,
+        status: 'failed',
+        duration: 0,
+        message: stripAnsi(file.message || 'Test suite failed to run').split('\n')[0],
+        details: file.message ? stripAnsi(file.message) : null
+      });
+    }
+
+    return {
+      name: file.name || fileName,
+      file: file.name || fileName,
+      duration: file.endTime && file.startTime ? file.endTime - file.startTime : 0,
+      cases
+    };
+  }).filter(suite => suite.cases.length);
+}
+
+module.exports = { parseJest };
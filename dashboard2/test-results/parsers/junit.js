@@ -0,0 +1,120 @@
+// ═══════════════════════════════════════════════════════════════════════
+// JUNIT XML PARSER
+// Handles the common JUnit dialects (Surefire, pytest, jest-junit, Go's
+// gotestsum): <testsuites>/<testsuite>/<testcase> with <failure>, <error>
+// and <skipped> children. A small tag scanner is enough for this schema.
+//
+// A report whose suite, case or outcome elements don't nest or aren't
+// closed (typically a file cut off by a crashed runner) throws, naming the
+// element and line, so the error shows on the run instead of partial counts.
+// ═══════════════════════════════════════════════════════════════════════
+
+const TOKEN = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, name, double, single] of text.matchAll(ATTRIBUTE)) {
+    attributes[name] = decode(double ?? single);
+  }
+  return attributes;
+}
+
+const STRUCTURE = ['testsuites', 'testsuite', 'testcase', 'failure', 'error', 'skipped'];
+
+const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+// Seconds (JUnit's unit) to milliseconds
+const toMs = seconds => (seconds ? Math.round(parseFloat(seconds) * 1000) || 0 : 0);
+
+function parseJunit(xml, fileName) {
+  const suites = [];
+  const suiteStack = [];
+  // Open STRUCTURE elements, innermost last
+  const open = [];
+  let testCase = null;
+  let outcome = null;
+  let lastIndex = 0;
+
+  for (const match of xml.matchAll(TOKEN)) {
+    const text = xml.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+    if (outcome) outcome.text += decode(text) + (match[1] ?? '');
+
+    const [, , closing, tag, attributeText = '', selfClosing] = match;
+    if (!tag) continue;
+    const name = tag.toLowerCase();
+
+    if (STRUCTURE.includes(name) && !selfClosing) {
+      if (!closing) {
+        open.push({ name, index: match.index });
+      } else if (open.pop()?.name !== name) {
+        throw new Error(`Malformed JUnit report: unexpected </${tag}> on line ${lineAt(xml, match.index)}`);
+      }
+    }
+
+    if (closing) {
+      if (name === 'testsuite') suiteStack.pop();
+      if (name === 'testcase') testCase = null;
+      if (['failure', 'error', 'skipped'].includes(name) && outcome) {
+        testCase.details = outcome.text.trim() || null;
+        outcome = null;
+      }
+      continue;
+    }
+
+    const attributes = parseAttributes(attributeText);
+    if (name === 'testsuite') {
+      const suite = {
+        name: attributes.name || fileName,
+        file: attributes.file || fileName,
+        duration: toMs(attributes.time),
+        cases: []
+      };
+      suites.push(suite);
+      if (!selfClosing) suiteStack.push(suite);
+    } else if (name === 'testcase') {
+      let suite = suiteStack[suiteStack.length - 1];
+      if (!suite) {
+        // Bare <testcase> elements without an enclosing suite
+        suite = { name: fileName, file: fileName, duration: 0, cases: [] };
+        suites.push(suite);
+        suiteStack.push(suite);
+      }
+      const current = {
+        name: attributes.name || '(unnamed)',
+        classname: attributes.classname || null,
+        status: 'passed',
+        duration: toMs(attributes.time),
+        message: null,
+        details: null
+      };
+      suite.cases.push(current);
+      testCase = selfClosing ? null : current;
+    } else if (['failure', 'error', 'skipped'].includes(name) && testCase) {
+      testCase.status = name === 'skipped' ? 'skipped' : 'failed';
+      testCase.message = attributes.message || attributes.type || null;
+      if (!selfClosing) outcome = { text: '' };
+    }
+  }
+
+  if (open.length) {
+    const unclosed = open[open.length - 1];
+    throw new Error(`Truncated JUnit report: <${unclosed.name}> on line ${lineAt(xml, unclosed.index)} is never closed`);
+  }
+
+  return suites.filter(suite => suite.cases.length);
+}
+
+module.exports = { parseJunit };
@@ -0,0 +1,107 @@
+// ═══════════════════════════════════════════════════════════════════════
+// TAP PARSER
+// TAP 12/13/14 test points ("ok 1 - name", "not ok 2 - name # SKIP") with
+// YAML diagnostic blocks. Indented "# Subtest:" blocks (node:test, tap)
+// become suites; the point that closes a subtest isn't counted as a case.
+//
+// Output that stops early still shows as a failure: "Bail out!" and a plan
+// ("1..N") with fewer top-level points than N each add a failed case. A
+// YAML block that is never closed with "..." throws.
+// ═══════════════════════════════════════════════════════════════════════
+
+const TEST_POINT = /^(\s*)(not ok|ok)\b\s*(\d+)?\s*(?:-\s*)?([^#]*?)\s*(?:#\s*(SKIP|TODO)\b\s*(.*))?$/i;
+const SUBTEST = /^(\s*)#\s*Subtest:\s*(.+)$/i;
+const PLAN = /^1\.\.(\d+)\b/;
+const BAIL_OUT = /^\s*Bail out!\s*(.*)$/i;
+
+const failedCase = (name, message) => ({ name, classname: null, status: 'failed', duration: 0, message, details: null });
+
+function parseTap(text, fileName) {
+  const lines = text.split(/\r?\n/);
+  const suites = new Map();
+  const stack = [];
+  let lastCase = null;
+  let planned = null;
+  let topLevelPoints = 0;
+  let bailedOut = false;
+
+  const suiteFor = name => {
+    if (!suites.has(name)) suites.set(name, { name, file: fileName, duration: 0, cases: [] });
+    return suites.get(name);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const plan = line.match(PLAN);
+    if (plan) {
+      planned = parseInt(plan[1], 10);
+      continue;
+    }
+
+    const bailOut = line.match(BAIL_OUT);
+    if (bailOut) {
+      suiteFor(fileName).cases.push(failedCase('Bail out!', bailOut[1] || 'Test run aborted'));
+      bailedOut = true;
+      break;
+    }
+
+    const subtest = line.match(SUBTEST);
+    if (subtest) {
+      stack.push({ name: subtest[2].trim(), indent: subtest[1].length, children: 0 });
+      continue;
+    }
+
+    // YAML diagnostics for the previous test point
+    if (/^\s*---\s*$/.test(line) && lastCase) {
+      const yaml = [];
+      const start = i + 1;
+      for (i++; i < lines.length && !/^\s*\.\.\.\s*$/.test(lines[i]); i++) yaml.push(lines[i]);
+      if (i === lines.length) throw new Error(`Malformed TAP report: YAML block on line ${start} is never closed`);
+      const block = yaml.join('\n');
+      const message = block.match(/^\s*(?:message|error):\s*['"]?(.*?)['"]?\s*$/m);
+      const duration = block.match(/^\s*duration_ms:\s*([\d.]+)/m);
+      if (message && lastCase.status === 'failed') lastCase.message = message[1];
+      if (lastCase.status === 'failed') lastCase.details = block.replace(/^\s{2,}/gm, '') || null;
+      if (duration) lastCase.duration = Math.round(parseFloat(duration[1]));
+      continue;
+    }
+
+    const point = line.match(TEST_POINT);
+    if (!point) continue;
+
+    const indent = point[1].length;
+    if (!indent) topLevelPoints++;
+    const name = point[4] || `test ${point[3] || ''}`.trim();
+    const top = stack[stack.length - 1];
+    // The point that closes a subtest block reports on the subtest itself
+    if (top && top.indent === indent && top.name === name) {
+      stack.pop();
+      if (top.children) {
+        lastCase = null;
+        continue;
+      }
+    }
+
+    const parent = stack[stack.length - 1];
+    if (parent) parent.children++;
+    const directive = (point[5] || '').toUpperCase();
+    lastCase = {
+      name,
+      classname: null,
+      status: directive ? 'skipped' : point[2].toLowerCase() === 'ok' ? 'passed' : 'failed',
+      duration: 0,
+      message: directive ? point[6] || directive : null,
+      details: null
+    };
+    suiteFor(stack.length ? stack[0].name : fileName).cases.push(lastCase);
+  }
+
+  if (!bailedOut && planned !== null && topLevelPoints < planned) {
+    suiteFor(fileName).cases.push(failedCase('Missing test points', `Planned ${planned} tests, ${topLevelPoints} reported`));
+  }
+
+  return [...suites.values()].filter(suite => suite.cases.length);
+}
+
+module.exports = { parseTap };
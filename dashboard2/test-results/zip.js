@@ -0,0 +1,142 @@
+// ═══════════════════════════════════════════════════════════════════════
+// ZIP READER
+// Just enough of the zip format to read GitHub Actions artifacts: walks the
+// central directory and inflates stored/deflated entries. Entry sizes are
+// capped so a hostile archive can't exhaust memory.
+//
+// ZIP64 archives (over 65535 entries or 4GB, or written by streaming
+// zippers that always emit ZIP64 records) are read through the ZIP64 end
+// record and each entry's ZIP64 extra field. Every offset is bounds-checked,
+// so a truncated or corrupt archive throws an Error naming the problem
+// rather than a RangeError.
+// ═══════════════════════════════════════════════════════════════════════
+
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const ZIP64_EXTRA_ID = 0x0001;
+const FLAG_ENCRYPTED = 0x0001;
+// 16/32-bit fields holding these defer to the ZIP64 records
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+
+function assertInBounds(buffer, offset, length, what) {
+  if (offset < 0 || offset + length > buffer.length) {
+    throw new Error(`Corrupt zip: ${what} is outside the archive`);
+  }
+}
+
+function readUInt64(buffer, offset) {
+  const value = buffer.readBigUInt64LE(offset);
+  if (value > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('Corrupt zip: ZIP64 value out of range');
+  return Number(value);
+}
+
+function findEndOfCentralDirectory(buffer) {
+  // The record is 22 bytes plus a comment of up to 64KB
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  throw new Error('Not a zip archive');
+}
+
+// { count, offset } of the central directory, from the ZIP64 end record
+// when the classic one has its fields saturated
+function readCentralDirectoryLocation(buffer) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(eocd + 10);
+  const offset = buffer.readUInt32LE(eocd + 16);
+  if (count !== MAX_UINT16 && offset !== MAX_UINT32) return { count, offset };
+
+  const locator = eocd - 20;
+  if (locator < 0 || buffer.readUInt32LE(locator) !== ZIP64_LOCATOR_SIGNATURE) {
+    throw new Error('Corrupt zip: ZIP64 end of central directory locator is missing');
+  }
+  const zip64Eocd = readUInt64(buffer, locator + 8);
+  assertInBounds(buffer, zip64Eocd, 56, 'ZIP64 end of central directory');
+  if (buffer.readUInt32LE(zip64Eocd) !== ZIP64_EOCD_SIGNATURE) {
+    throw new Error('Corrupt zip: bad ZIP64 end of central directory');
+  }
+  return { count: readUInt64(buffer, zip64Eocd + 32), offset: readUInt64(buffer, zip64Eocd + 48) };
+}
+
+// Sizes and local header offset of a central directory entry; the ZIP64
+// extra field holds, in this order, only those whose fields are saturated
+function readZip64Fields(buffer, extraStart, extraLength, fields) {
+  const saturated = ['size', 'compressedSize', 'localOffset'].filter(key => fields[key] === MAX_UINT32);
+  if (!saturated.length) return fields;
+
+  for (let offset = extraStart; offset + 4 <= extraStart + extraLength;) {
+    const id = buffer.readUInt16LE(offset);
+    const length = buffer.readUInt16LE(offset + 2);
+    if (id === ZIP64_EXTRA_ID) {
+      if (length < saturated.length * 8) break;
+      const resolved = { ...fields };
+      saturated.forEach((key, i) => { resolved[key] = readUInt64(buffer, offset + 4 + i * 8); });
+      return resolved;
+    }
+    offset += 4 + length;
+  }
+  throw new Error(`Corrupt zip: ${fields.name} has no ZIP64 extra field`);
+}
+
+// [{ name, size, read() -> Buffer }] for every file in the archive
+function readZipEntries(buffer, { maxEntryBytes = 50 * 1024 * 1024 } = {}) {
+  const directory = readCentralDirectoryLocation(buffer);
+  let offset = directory.offset;
+
+  const entries = [];
+  for (let i = 0; i < directory.count; i++) {
+    assertInBounds(buffer, offset, 46, 'central directory');
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    assertInBounds(buffer, offset + 46, nameLength + extraLength + commentLength, 'central directory');
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const { size, compressedSize, localOffset } = readZip64Fields(buffer, offset + 46 + nameLength, extraLength, {
+      name,
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    entries.push({
+      name,
+      size,
+      read() {
+        if (size > maxEntryBytes) {
+          throw new Error(`${name} is larger than ${maxEntryBytes} bytes`);
+        }
+        if (flags & FLAG_ENCRYPTED) {
+          throw new Error(`${name} is encrypted`);
+        }
+        assertInBounds(buffer, localOffset, 30, `local header of ${name}`);
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+          throw new Error(`Corrupt zip entry ${name}`);
+        }
+        const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        assertInBounds(buffer, start, compressedSize, `data of ${name}`);
+        const data = buffer.subarray(start, start + compressedSize);
+        if (method === 0) return data;
+        if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: maxEntryBytes });
+        throw new Error(`Unsupported compression method ${method} for ${name}`);
+      }
+    });
+  }
+  return entries;
+}
+
+module.exports = { readZipEntries };
@@ -0,0 +1,113 @@
+// Audit log (audit.js): the hash chain across reopen and after a line is
+// edited or deleted, credential redaction, queries and the CSV export
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuditLog, sanitize } = require('../audit');
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'audit.jsonl');
+  return { file, log: createAuditLog({ file }) };
+}
+
+function recordSome(log) {
+  log.record({ actor: 'alice', role: 'admin', team: 'backend', action: 'trigger_workflow', target: { repo: 'githubActionsBuildRepo', workflowId: 'build.yml', branch: 'main' } });
+  log.record({ actor: 'bob.backend', role: 'developer', team: 'backend', action: 'approve_deployment', target: { repo: 'githubActionsReleaseRepo', runId: 9300 } });
+  log.record({ actor: 'dana', role: 'developer', team: 'frontend', action: 'cancel_run', target: { repo: 'githubActionsReleaseRepo', runId: 9301 }, result: 'failure', statusCode: 403, error: 'Not allowed' });
+}
+
+const lines = file => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+
+test('chains each entry to the previous one, also after reopening the file', t => {
+  const { file, log } = setup(t);
+  recordSome(log);
+
+  const reopened = createAuditLog({ file });
+  const fourth = reopened.record({ actor: 'alice', action: 'bulk_trigger' });
+  const entries = lines(file).map(line => JSON.parse(line));
+
+  assert.equal(entries[0].prevHash, null);
+  assert.equal(entries[1].prevHash, entries[0].hash);
+  assert.equal(fourth.prevHash, entries[2].hash);
+  assert.deepEqual(reopened.verify(), { valid: true, entries: 4 });
+});
+
+test('reports the first entry whose content or link no longer matches', t => {
+  const { file, log } = setup(t);
+  recordSome(log);
+  const original = lines(file);
+
+  // Edited: bob's approval rewritten as someone else's
+  const edited = [...original];
+  edited[1] = edited[1].replace('"actor":"bob.backend"', '"actor":"mallory"');
+  fs.writeFileSync(file, `${edited.join('\n')}\n`);
+  assert.deepEqual(log.verify(), { valid: false, entries: 3, brokenAt: 1, id: JSON.parse(original[1]).id });
+
+  // Deleted: the next entry still points at the removed one
+  fs.writeFileSync(file, `${[original[0], original[2]].join('\n')}\n`);
+  assert.deepEqual(log.verify(), { valid: false, entries: 2, brokenAt: 1, id: JSON.parse(original[2]).id });
+
+  // Re-hashed after editing: the following entry's prevHash gives it away
+  const forged = JSON.parse(original[1]);
+  forged.actor = 'mallory';
+  delete forged.hash;
+  forged.hash = crypto.createHash('sha256').update(JSON.stringify(forged)).digest('hex');
+  fs.writeFileSync(file, `${[original[0], JSON.stringify(forged), original[2]].join('\n')}\n`);
+  assert.equal(log.verify().brokenAt, 2);
+});
+
+test('redacts password, secret, token and credential keys at any depth', t => {
+  assert.deepEqual(sanitize({
+    ref: 'main',
+    password: 'hunter2',
+    inputs: { appName: 'app1', apiToken: 'ghp_abc', nested: [{ clientSecret: 's3cr3t', name: 'keep' }] },
+    GITHUB_TOKEN: 'ghs_abc',
+    Credentials: { user: 'x' }
+  }), {
+    ref: 'main',
+    password: '[redacted]',
+    inputs: { appName: 'app1', apiToken: '[redacted]', nested: [{ clientSecret: '[redacted]', name: 'keep' }] },
+    GITHUB_TOKEN: '[redacted]',
+    Credentials: '[redacted]'
+  });
+  assert.equal(sanitize(null), null);
+  assert.deepEqual(sanitize(['token', 'password']), ['token', 'password']);
+
+  const { log } = setup(t);
+  const entry = log.record({ actor: 'alice', action: 'login', payload: { username: 'alice', password: 'hunter2' } });
+  assert.deepEqual(entry.payload, { username: 'alice', password: '[redacted]' });
+});
+
+test('filters queries newest first', t => {
+  const { log } = setup(t);
+  recordSome(log);
+
+  assert.deepEqual(log.query().entries.map(e => e.actor), ['dana', 'bob.backend', 'alice']);
+  assert.deepEqual(log.query({ repo: 'githubActionsReleaseRepo', runId: '9300' }).entries.map(e => e.action), ['approve_deployment']);
+  assert.equal(log.query({ team: 'backend' }, { limit: 1 }).total, 2);
+  assert.deepEqual(log.query({ result: 'failure' }).entries.map(e => e.statusCode), [403]);
+  assert.equal(log.query({ from: '2100-01-01T00:00:00Z' }).total, 0);
+});
+
+test('escapes commas, quotes and newlines in the CSV export', t => {
+  const { log } = setup(t);
+  const entry = log.record({
+    actor: 'alice', role: 'admin', team: 'backend', action: 'trigger_bulk_releases',
+    target: { apps: ['app1', 'app2'], branch: 'main' },
+    payload: { version: '1.2.3', note: 'say "hi"' },
+    error: 'app2 failed,\nsee run'
+  });
+
+  const [header, row] = log.toCsv([entry]).split(/\n(?=\d{4}-)/);
+  assert.equal(header, 'timestamp,actor,role,team,action,result,statusCode,repo,runId,workflowId,branch,apps,error,payload');
+  assert.equal(row, [
+    entry.timestamp, 'alice', 'admin', 'backend', 'trigger_bulk_releases', 'success', '', '', '', '', 'main',
+    '"[""app1"",""app2""]"', '"app2 failed,\nsee run"', '"{""version"":""1.2.3"",""note"":""say \\""hi\\""""}"'
+  ].join(','));
+});
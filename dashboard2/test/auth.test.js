@@ -0,0 +1,171 @@
+// Authentication (auth/): scrypt hashes, the credentials file behind the user
+// store, config.js plaintext passwords replaced by hashed ones, group
+// mapping, and the local and OIDC providers with a fake token endpoint
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hashPassword, verifyPassword, validatePassword } = require('../auth/passwords');
+const { createUserStore } = require('../auth/user-store');
+const { createAuth, mapGroups } = require('../auth');
+const { createOidcProvider } = require('../auth/providers/oidc');
+
+const PASSWORD = 'correct horse battery';
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'users.json');
+}
+
+test('hashes with a fresh salt and verifies only the same password', async () => {
+  const hash = await hashPassword(PASSWORD);
+  const again = await hashPassword(PASSWORD);
+
+  assert.match(hash, /^scrypt\$16384\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+  assert.notEqual(hash, again);
+  assert.equal(await verifyPassword(PASSWORD, hash), true);
+  assert.equal(await verifyPassword(PASSWORD, again), true);
+  assert.equal(await verifyPassword('correct horse battery!', hash), false);
+});
+
+test('rejects malformed hashes, plaintext and short or default passwords', async () => {
+  assert.equal(await verifyPassword(PASSWORD, PASSWORD), false);
+  assert.equal(await verifyPassword(PASSWORD, 'bcrypt$10$abc'), false);
+  assert.equal(await verifyPassword(PASSWORD, undefined), false);
+  assert.equal(await verifyPassword(undefined, await hashPassword(PASSWORD)), false);
+
+  assert.equal(validatePassword(PASSWORD), null);
+  assert.equal(validatePassword('short'), 'Password must be at least 12 characters');
+  assert.equal(validatePassword('PASSWORD123'), 'Password must be at least 12 characters');
+  assert.equal(validatePassword(12345678901234), 'Password must be at least 12 characters');
+});
+
+test('round-trips users through the credentials file', async t => {
+  const file = tempFile(t);
+  const store = createUserStore({ file, configUsers: { alice: { role: 'admin', teams: ['frontend', 'backend'] } } });
+
+  const bob = await store.setPassword('bob.backend', PASSWORD, { role: 'developer', teams: ['backend'] });
+  assert.deepEqual(bob, { username: 'bob.backend', role: 'developer', teams: ['backend'], hasPassword: true });
+  await assert.rejects(store.setPassword('carol', PASSWORD), /User "carol" is not in config.userRoles - a role is required/);
+  await assert.rejects(store.setPassword('bob.backend', 'changeme'), /at least 12 characters/);
+
+  // A second store (another process, say bin/users.js) sees the same users
+  const reopened = createUserStore({ file, configUsers: { alice: { role: 'admin', teams: ['frontend', 'backend'] } } });
+  assert.deepEqual(await reopened.verify('Bob.Backend', PASSWORD), bob);
+  assert.equal(await reopened.verify('bob.backend', 'wrong password!'), null);
+  assert.deepEqual(reopened.list().map(u => [u.username, u.hasPassword]), [['alice', false], ['bob.backend', true]]);
+
+  const { users } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.match(users['bob.backend'].passwordHash, /^scrypt\$/);
+  assert.equal(JSON.stringify(users).includes(PASSWORD), false);
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+  assert.equal(reopened.remove('BOB.BACKEND'), true);
+  assert.equal(reopened.get('bob.backend'), null);
+  assert.equal(reopened.remove('bob.backend'), false);
+});
+
+test('ignores a plaintext password left in config.js until one is set with bin/users.js', async t => {
+  const file = tempFile(t);
+  const warnings = [];
+  t.mock.method(console, 'warn', message => warnings.push(message));
+  const configUsers = { alice: { role: 'admin', teams: ['frontend'], password: 'password123' } };
+
+  const store = createUserStore({ file, configUsers });
+  assert.deepEqual(warnings, ['⚠ Ignoring plaintext password for "alice" in config.js - use bin/users.js to set one']);
+  assert.equal(await store.verify('alice', 'password123'), null);
+  assert.deepEqual(store.get('alice'), { username: 'alice', role: 'admin', teams: ['frontend'], hasPassword: false });
+
+  // Setting a password keeps the role and teams from config.js
+  await store.setPassword('alice', PASSWORD);
+  assert.deepEqual(await store.verify('alice', PASSWORD), { username: 'alice', role: 'admin', teams: ['frontend'], hasPassword: true });
+  assert.equal(await store.verify('alice', 'password123'), null);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')).users.alice).sort(), ['passwordHash', 'updatedAt']);
+});
+
+test('maps groups to the highest matching role and all matching teams', () => {
+  const mappings = [
+    { group: 'cicd-admins', role: 'admin', teams: ['frontend', 'backend'] },
+    { group: 'frontend-devs', role: 'developer', teams: ['frontend'] },
+    { group: 'dpdeepankar/backend', role: 'lead', teams: ['backend'] }
+  ];
+  const cases = [
+    [['frontend-devs'], { role: 'developer', teams: ['frontend'] }],
+    [['CN=Frontend-Devs,OU=Groups,DC=corp', 'dpdeepankar/backend'], { role: 'lead', teams: ['frontend', 'backend'] }],
+    [['frontend-devs', 'cicd-admins'], { role: 'admin', teams: ['frontend', 'backend'] }],
+    [['cn=other,ou=frontend-devs'], null],
+    [[], null]
+  ];
+  for (const [groups, expected] of cases) {
+    assert.deepEqual(mapGroups(groups, mappings), expected, groups.join(' '));
+  }
+});
+
+test('signs local users in through the password providers', async t => {
+  const file = tempFile(t);
+  t.mock.method(console, 'warn', () => {});
+  process.env.CREDENTIALS_FILE = file;
+  t.after(() => { delete process.env.CREDENTIALS_FILE; });
+
+  const auth = createAuth({ userRoles: { alice: { role: 'admin', teams: ['frontend'] } } });
+  await auth.userStore.setPassword('alice', PASSWORD);
+
+  assert.deepEqual(await auth.authenticatePassword('alice', PASSWORD), { username: 'alice', role: 'admin', teams: ['frontend'], provider: 'local' });
+  assert.equal(await auth.authenticatePassword('alice', 'not the password'), null);
+  assert.deepEqual(auth.listProviders(), [{ name: 'local', type: 'password', label: 'Password' }]);
+  assert.equal(auth.resolveSessionUser({ username: 'alice', provider: 'local' }).role, 'admin');
+  assert.deepEqual(auth.resolveSessionUser({ username: 'dana', provider: 'oidc', profile: { username: 'dana', role: 'developer', teams: [] } }),
+    { username: 'dana', role: 'developer', teams: [] });
+  assert.throws(() => createAuth({ auth: { providers: ['saml'] } }), /Unknown auth provider "saml"/);
+});
+
+// OIDC issuer whose discovery and token endpoints answer through a fake
+// fetch; the ID token carries claims() at the time it is requested
+function fakeIssuer(t, claims) {
+  const issuer = 'https://login.example.com';
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    requests.push([String(url), init?.body && String(init.body)]);
+    const body = String(url).endsWith('/.well-known/openid-configuration')
+      ? { issuer, authorization_endpoint: `${issuer}/authorize`, token_endpoint: `${issuer}/token` }
+      : { id_token: ['header', Buffer.from(JSON.stringify(claims())).toString('base64url'), 'signature'].join('.') };
+    return { ok: true, status: 200, json: async () => body };
+  });
+  return { issuer, requests };
+}
+
+test('signs OIDC users in after checking state, nonce, audience and expiry', async t => {
+  let claims = {};
+  const { issuer, requests } = fakeIssuer(t, () => claims);
+  const provider = createOidcProvider({
+    issuer, clientId: 'dashboard', clientSecret: 'oidc-secret', redirectUri: 'https://dashboard.example.com/auth/oidc/callback',
+    groupMappings: [{ group: 'frontend-devs', role: 'developer', teams: ['frontend'] }]
+  }, { mapGroups });
+
+  const session = {};
+  const url = new URL(await provider.getAuthorizationUrl({ session }));
+  assert.equal(url.origin + url.pathname, `${issuer}/authorize`);
+  assert.equal(url.searchParams.get('state'), session.oidc.state);
+  assert.equal(url.searchParams.get('nonce'), session.oidc.nonce);
+
+  const valid = {
+    iss: issuer, aud: 'dashboard', nonce: session.oidc.nonce, exp: Math.floor(Date.now() / 1000) + 300,
+    preferred_username: 'dana', groups: ['frontend-devs']
+  };
+  const signIn = (overrides, query = {}) => {
+    claims = { ...valid, ...overrides };
+    return provider.handleCallback({ session: { oidc: { ...session.oidc } }, query: { state: session.oidc.state, code: 'abc', ...query } });
+  };
+
+  assert.deepEqual(await signIn({}), { username: 'dana', role: 'developer', teams: ['frontend'] });
+  assert.deepEqual(requests.at(-1), [`${issuer}/token`, 'grant_type=authorization_code&code=abc&redirect_uri=https%3A%2F%2Fdashboard.example.com%2Fauth%2Foidc%2Fcallback&client_id=dashboard&client_secret=oidc-secret']);
+  await assert.rejects(signIn({}, { state: 'forged' }), /Invalid OIDC state/);
+  await assert.rejects(signIn({ nonce: 'replayed' }), /ID token nonce mismatch/);
+  await assert.rejects(signIn({ aud: ['someone-else'] }), /ID token audience mismatch/);
+  await assert.rejects(signIn({ iss: 'https://evil.example.com' }), /ID token issuer mismatch/);
+  await assert.rejects(signIn({ exp: Math.floor(Date.now() / 1000) - 60 }), /ID token expired/);
+  assert.equal(await signIn({ groups: ['marketing'] }), null);
+});
@@ -0,0 +1,192 @@
+// Resource-based authorization (authz.js) over a small teams config: owning
+// teams, role and branch checks, picking the team a request runs as, and
+// dispatches authorized by the app in their inputs
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAuthorizer } = require('../authz');
+
+const BUILD_REPO = 'githubActionsBuildRepo';
+const RELEASE_REPO = 'githubActionsReleaseRepo';
+
+// app2 is owned by both teams; app4 has a build workflow but no release one
+const authz = createAuthorizer({
+  teams: {
+    frontend: {
+      branches: ['main', 'dev01', 'dlv01'],
+      apps: ['app1', 'app2'],
+      permissions: {
+        trigger_build: ['developer', 'lead', 'admin'],
+        trigger_release: ['lead', 'admin'],
+        view_logs: ['developer', 'lead', 'admin']
+      }
+    },
+    backend: {
+      branches: ['main', 'dev01'],
+      apps: ['app2', 'app3', 'app4'],
+      permissions: {
+        trigger_build: ['developer', 'lead', 'admin'],
+        trigger_release: ['developer', 'lead', 'admin'],
+        view_logs: ['developer', 'lead', 'admin']
+      }
+    }
+  },
+  appRepos: ['app1', 'app2', 'app3', 'app4'].map(name => ({ name, repo: BUILD_REPO, buildWorkflow: `${name}-build.yml` })),
+  releaseRepos: ['app1', 'app2', 'app3'].map(appName => ({ appName, repo: RELEASE_REPO, releaseWorkflow: 'app-release.yml' }))
+});
+
+const USERS = {
+  frank: { role: 'developer', teams: ['frontend'] },
+  lena: { role: 'lead', teams: ['frontend'] },
+  bob: { role: 'developer', teams: ['backend'] },
+  max: { role: 'developer', teams: ['frontend', 'backend'] }
+};
+
+// [user, team, action, branch] → null (allowed) or [status, error]
+const AUTHORIZE_CASES = [
+  [['lena', 'frontend', 'trigger_release', 'main'], null],
+  [['frank', 'frontend', 'trigger_build', 'dev01'], null],
+  [['frank', 'frontend', 'view_logs', undefined], null],
+  [['frank', 'frontend', 'trigger_release', 'main'], [403, 'Insufficient permissions for trigger_release']],
+  [['frank', 'frontend', 'restart_services', undefined], [403, 'Insufficient permissions for restart_services']],
+  [['frank', 'frontend', 'trigger_build', 'feature/login'], [403, 'Branch feature/login is not allowed for team frontend']],
+  [['bob', 'backend', 'trigger_release', 'dlv01'], [403, 'Branch dlv01 is not allowed for team backend']],
+  [['bob', 'frontend', 'view_logs', undefined], [403, 'Not a member of this team']],
+  [['lena', 'ops', 'view_logs', undefined], [404, 'Team not found']],
+  [['lena', undefined, 'view_logs', undefined], [400, 'Team is required for this action']]
+];
+
+test('authorizes by team membership, role and branch', () => {
+  for (const [[user, team, action, branch], expected] of AUTHORIZE_CASES) {
+    const denied = authz.authorize(USERS[user], team, action, branch);
+    const label = `${user} ${action} for ${team} on ${branch}`;
+    assert.deepEqual(denied && [denied.status, denied.body.error], expected, label);
+  }
+
+  const denied = authz.authorize(USERS.frank, 'frontend', 'trigger_release');
+  assert.deepEqual(denied.body, { error: 'Insufficient permissions for trigger_release', required: ['lead', 'admin'], yourRole: 'developer' });
+});
+
+test('finds the teams owning one, all or any of several apps', () => {
+  const cases = [
+    [authz.teamsForApp('app1'), ['frontend']],
+    [authz.teamsForApp('app2'), ['frontend', 'backend']],
+    [authz.teamsForApp('app9'), []],
+    [authz.teamsForApps(['app1', 'app2']), ['frontend']],
+    [authz.teamsForApps(['app2', 'app3']), ['backend']],
+    [authz.teamsForApps(['app1', 'app3']), []],
+    [authz.teamsForAnyApp(['app1', 'app2', 'app3']), ['frontend', 'backend']]
+  ];
+  for (const [actual, expected] of cases) {
+    assert.deepEqual(actual, expected);
+  }
+});
+
+test('resolves configured workflows to their kind and apps', () => {
+  const cases = [
+    [[BUILD_REPO, 'app1-build.yml'], { kind: 'build', apps: ['app1'] }],
+    [[RELEASE_REPO, 'app-release.yml'], { kind: 'release', apps: ['app1', 'app2', 'app3'] }],
+    [[BUILD_REPO, 'app-release.yml'], null],
+    [[RELEASE_REPO, 'hotfix.yml'], null]
+  ];
+  for (const [[repo, workflowId], expected] of cases) {
+    assert.deepEqual(authz.resolveWorkflow(repo, workflowId), expected, `${repo}/${workflowId}`);
+  }
+  assert.deepEqual(authz.workflowForApp('app4', 'build'), { repo: BUILD_REPO, workflowId: 'app4-build.yml' });
+  assert.equal(authz.workflowForApp('app4', 'release'), null);
+});
+
+// What checkPermission does once the target is resolved:
+// [user, owning teams, action, branch, team the client picked] → team or [status, error]
+const TARGET_CASES = [
+  [['lena', ['frontend'], 'trigger_release', 'main'], 'frontend'],
+  [['frank', ['frontend'], 'trigger_release', 'main'], [403, 'Insufficient permissions for trigger_release']],
+  // app2's release: frontend needs a lead, backend lets developers release
+  [['max', ['frontend', 'backend'], 'trigger_release', 'main'], 'backend'],
+  [['max', ['frontend', 'backend'], 'trigger_build', 'main'], 'frontend'],
+  [['max', ['frontend', 'backend'], 'trigger_build', 'main', 'backend'], 'backend'],
+  [['bob', ['frontend', 'backend'], 'trigger_release', 'dlv01'], [403, 'Branch dlv01 is not allowed for team backend']],
+  // The denial worth reporting comes from a team the user belongs to
+  [['frank', ['backend', 'frontend'], 'trigger_release', 'main'], [403, 'Insufficient permissions for trigger_release']],
+  [['lena', ['backend'], 'trigger_release', 'main'], [403, 'Not a member of this team']]
+];
+
+test('runs a request as the first owning team that allows it', () => {
+  for (const [[user, teams, action, branch, requested], expected] of TARGET_CASES) {
+    const { team, denied } = authz.authorizeTarget(USERS[user], { teams, branch }, action, requested);
+    const label = `${user} ${action} for ${teams.join('/')} on ${branch}`;
+    assert.deepEqual(team || [denied.status, denied.body.error], expected, label);
+  }
+});
+
+test('requires one team to own every app of a bulk action', () => {
+  const cases = [
+    [[{ apps: [] }, 'release'], { teams: [], status: 400, error: 'apps is required' }],
+    [[{ apps: ['app4'] }, 'release'], { teams: [], error: 'No release workflow configured for: app4' }],
+    [[{ apps: ['app1', 'app3'], branch: 'main' }, 'build'], { teams: [], branch: 'main', kind: 'build', apps: ['app1', 'app3'], error: 'Apps must all belong to one team' }],
+    [[{ apps: ['app1', 'app2'], ref: 'dev01' }, 'release'], { teams: ['frontend'], branch: 'dev01', kind: 'release', apps: ['app1', 'app2'], error: null }]
+  ];
+  for (const [[body, kind], expected] of cases) {
+    assert.deepEqual(authz.appsTarget(body, kind), expected);
+  }
+});
+
+const releaseDispatch = body => ({ repo: RELEASE_REPO, workflowId: 'app-release.yml', ref: 'main', ...body });
+
+// Dispatches of the shared release workflow are owned by the app in the
+// inputs, as that is the app the workflow deploys
+const DISPATCH_CASES = [
+  [releaseDispatch({ inputs: { appName: 'app3' } }), { teams: ['backend'], apps: ['app3'] }],
+  [releaseDispatch({ appName: 'app1', inputs: { appName: 'app1' } }), { teams: ['frontend'], apps: ['app1'] }],
+  [releaseDispatch({ inputs: { appName: 'app2' } }), { teams: ['frontend', 'backend'], apps: ['app2'] }],
+  [releaseDispatch({ appName: 'app3', inputs: { appName: 'app1' } }), { status: 400, error: 'appName app3 does not match inputs.appName app1' }],
+  [releaseDispatch({ inputs: { appName: 'app4' } }), { error: `Workflow ${RELEASE_REPO}/app-release.yml is not configured for app4` }],
+  [releaseDispatch({}), { teams: [], apps: ['app1', 'app2', 'app3'], error: `Workflow ${RELEASE_REPO}/app-release.yml is shared by app1, app2, app3; pass appName to pick one` }],
+  [{ repo: BUILD_REPO, workflowId: 'app3-build.yml', ref: 'dev01' }, { teams: ['backend'], apps: ['app3'], kind: 'build', branch: 'dev01' }],
+  [releaseDispatch({ workflowId: 'hotfix.yml' }), { teams: [], error: `Workflow ${RELEASE_REPO}/hotfix.yml is not configured for any app` }]
+];
+
+test('resolves a workflow dispatch to the teams owning inputs.appName', () => {
+  for (const [body, expected] of DISPATCH_CASES) {
+    const target = authz.workflowTarget(body);
+    const picked = Object.fromEntries(Object.keys(expected).map(key => [key, target[key]]));
+    assert.deepEqual(picked, expected, JSON.stringify(body));
+  }
+});
+
+test('only lets a team dispatch the shared release workflow for its own app', () => {
+  const dispatch = (user, body) => {
+    const target = authz.workflowTarget(releaseDispatch(body));
+    if (!target.teams.length) return target.error;
+    const { team, denied } = authz.authorizeTarget(USERS[user], target, 'trigger_release', body.team);
+    return team || denied.body.error;
+  };
+
+  assert.equal(dispatch('bob', { inputs: { appName: 'app3' } }), 'backend');
+  // bob may release app3, but not app1 by naming app3 and dispatching app1
+  assert.equal(dispatch('bob', { inputs: { appName: 'app1' } }), 'Not a member of this team');
+  assert.equal(dispatch('bob', { appName: 'app3', inputs: { appName: 'app1' } }), 'appName app3 does not match inputs.appName app1');
+  assert.equal(dispatch('bob', { team: 'backend' }), `Workflow ${RELEASE_REPO}/app-release.yml is shared by app1, app2, app3; pass appName to pick one`);
+  assert.equal(dispatch('lena', { inputs: { appName: 'app1' } }), 'frontend');
+  assert.equal(dispatch('max', { inputs: { appName: 'app2' }, team: 'frontend' }), 'backend');
+});
+
+test('re-checks what a scheduled job dispatches against the current config', () => {
+  const scheduled = { action: 'trigger_release', repo: RELEASE_REPO, workflowId: 'app-release.yml', ref: 'main' };
+  const cases = [
+    [{ ...scheduled, team: 'backend', inputs: { appName: 'app3' } }, [{ appName: null, repo: RELEASE_REPO, workflowId: 'app-release.yml' }]],
+    [{ ...scheduled, team: 'backend', inputs: { appName: 'app1' } }, [{ appName: null, repo: RELEASE_REPO, error: 'Workflow app-release.yml is no longer configured for team backend' }]],
+    [{ ...scheduled, team: 'backend', inputs: { appName: 'app4' } }, [{ appName: null, repo: RELEASE_REPO, error: 'Workflow app-release.yml is no longer configured for team backend' }]],
+    // Without inputs.appName the team must own every app on the workflow
+    [{ ...scheduled, team: 'backend' }, [{ appName: null, repo: RELEASE_REPO, error: 'Workflow app-release.yml is no longer configured for team backend' }]],
+    [{ action: 'trigger_release', team: 'backend', apps: ['app3', 'app1', 'app4'] }, [
+      { appName: 'app3', repo: RELEASE_REPO, workflowId: 'app-release.yml' },
+      { appName: 'app1', error: 'App not in team' },
+      { appName: 'app4', error: 'release config not found' }
+    ]],
+    [{ action: 'trigger_build', team: 'backend', apps: ['app4'] }, [{ appName: 'app4', repo: BUILD_REPO, workflowId: 'app4-build.yml' }]]
+  ];
+  for (const [job, expected] of cases) {
+    assert.deepEqual(authz.scheduleTargets(job), expected, JSON.stringify(job));
+  }
+});
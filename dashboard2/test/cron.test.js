@@ -0,0 +1,68 @@
+// Cron evaluation of scheduler/cron.js, including both DST transitions
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextCronOccurrence, rruleToCron, normaliseRecurrence } = require('../scheduler/cron');
+
+const next = (expression, after, timeZone) => nextCronOccurrence(expression, after, timeZone)?.toISOString() ?? null;
+
+test('finds the next occurrence in UTC', () => {
+  assert.equal(next('0 9 * * 1-5', '2026-10-17T10:00:00Z'), '2026-10-19T09:00:00.000Z');
+  assert.equal(next('*/15 * * * *', '2026-10-19T10:07:12Z'), '2026-10-19T10:15:00.000Z');
+  assert.equal(next('@yearly', '2026-10-19T00:00:00Z'), '2027-01-01T00:00:00.000Z');
+  assert.equal(next('0 0 31 FEB *', '2026-10-19T00:00:00Z'), null);
+});
+
+test('matches either day field when both are restricted', () => {
+  // The 1st of the month or a Monday
+  assert.equal(next('0 6 1 * MON', '2026-10-27T00:00:00Z'), '2026-11-01T06:00:00.000Z');
+  assert.equal(next('0 6 1 * MON', '2026-11-01T07:00:00Z'), '2026-11-02T06:00:00.000Z');
+});
+
+test('evaluates wall-clock times in the timezone', () => {
+  assert.equal(next('0 9 * * *', '2026-07-01T00:00:00Z', 'Europe/Berlin'), '2026-07-01T07:00:00.000Z');
+  assert.equal(next('0 9 * * *', '2026-12-01T00:00:00Z', 'Europe/Berlin'), '2026-12-01T08:00:00.000Z');
+  assert.equal(next('0 9 * * *', '2026-12-01T00:00:00Z', 'Asia/Kolkata'), '2026-12-01T03:30:00.000Z');
+});
+
+test('fires once, at the first occurrence, when the clocks fall back', () => {
+  // 2026-10-25 in Berlin: 03:00 CEST becomes 02:00 CET, so 02:30 happens
+  // at 00:30Z and again at 01:30Z
+  assert.equal(next('30 2 * * *', '2026-10-24T12:00:00Z', 'Europe/Berlin'), '2026-10-25T00:30:00.000Z');
+  assert.equal(next('30 2 * * *', '2026-10-25T00:30:00Z', 'Europe/Berlin'), '2026-10-26T01:30:00.000Z');
+  assert.equal(next('0 * * * *', '2026-10-25T00:00:00Z', 'Europe/Berlin'), '2026-10-25T02:00:00.000Z');
+  // 2026-11-01 in New York: 02:00 EDT becomes 01:00 EST
+  assert.equal(next('30 1 * * *', '2026-10-31T12:00:00Z', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+});
+
+test('moves times the clocks spring forward over to the end of the gap', () => {
+  // 2026-03-29 in Berlin: 02:00 CET becomes 03:00 CEST, so 02:30 doesn't exist
+  assert.equal(next('30 2 * * *', '2026-03-28T12:00:00Z', 'Europe/Berlin'), '2026-03-29T01:00:00.000Z');
+  assert.equal(next('30 2 * * *', '2026-03-29T01:00:00Z', 'Europe/Berlin'), '2026-03-30T00:30:00.000Z');
+  // Every time in the gap maps to 03:00 CEST, which fires once
+  assert.equal(next('*/15 2 * * *', '2026-03-29T00:00:00Z', 'Europe/Berlin'), '2026-03-29T01:00:00.000Z');
+  assert.equal(next('*/15 2-3 * * *', '2026-03-29T01:00:00Z', 'Europe/Berlin'), '2026-03-29T01:15:00.000Z');
+  // 2026-03-08 in New York: 02:00 EST becomes 03:00 EDT
+  assert.equal(next('30 2 * * *', '2026-03-07T12:00:00Z', 'America/New_York'), '2026-03-08T07:00:00.000Z');
+});
+
+test('rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /out of range/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid step/);
+  assert.throws(() => parseCron('5-1 * * * *'), /Invalid range/);
+});
+
+test('translates RRULEs to cron', () => {
+  assert.deepEqual(rruleToCron('RRULE:FREQ=WEEKLY;BYDAY=TU,TH;BYHOUR=18;BYMINUTE=30;COUNT=10'), { cron: '30 18 * * 2,4', count: 10, until: null });
+  assert.deepEqual(rruleToCron('FREQ=HOURLY;INTERVAL=6;UNTIL=20261231'), { cron: '0 */6 * * *', count: null, until: '2026-12-31T23:59:59.000Z' });
+  assert.throws(() => rruleToCron('FREQ=WEEKLY'), /requires BYDAY/);
+  assert.throws(() => rruleToCron('FREQ=DAILY;INTERVAL=2'), /INTERVAL/);
+});
+
+test('normalises a recurrence and checks its timezone', () => {
+  assert.deepEqual(normaliseRecurrence({ rrule: 'FREQ=DAILY;BYHOUR=2;BYMINUTE=30', timezone: 'Europe/Berlin' }), {
+    cron: '30 2 * * *', timezone: 'Europe/Berlin', count: null, until: null, windowMinutes: null, rrule: 'FREQ=DAILY;BYHOUR=2;BYMINUTE=30'
+  });
+  assert.throws(() => normaliseRecurrence({ cron: '0 0 * * *', timezone: 'Mars/Olympus' }), /Unknown timezone/);
+});
@@ -0,0 +1,144 @@
+// Change freezes (freeze.js): which windows apply to a team and environment,
+// branches mapped to environments, the admin override with its justification,
+// and the guard on manual/bulk, approve and scheduled releases
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFreezeCalendar, createFreezeGuard } = require('../freeze');
+
+const WINDOWS = [
+  {
+    name: 'Year-end freeze', teams: ['*'], environments: ['prod'],
+    start: '2026-12-20T00:00:00Z', end: '2027-01-04T08:00:00Z'
+  },
+  {
+    // Friday 17:00 until Monday 08:00 Berlin time
+    name: 'Weekend prod freeze', teams: ['backend'], environments: ['prod'],
+    cron: '0 17 * * FRI', timezone: 'Europe/Berlin', durationMinutes: 63 * 60
+  },
+  {
+    name: 'Frontend migration', teams: ['frontend'], environments: ['dev', 'dlv'],
+    start: '2026-11-02T00:00:00Z', end: '2026-11-03T00:00:00Z'
+  }
+];
+
+const YEAR_END = new Date('2026-12-22T10:00:00Z');
+const WEEKEND = new Date('2026-10-17T12:00:00Z');
+const MIGRATION = new Date('2026-11-02T10:00:00Z');
+
+const ADMIN = { role: 'admin' };
+const DEVELOPER = { role: 'developer' };
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'freeze-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const calendar = createFreezeCalendar({ windows: WINDOWS, overridesFile: path.join(dir, 'overrides.jsonl') });
+  const overridden = [];
+  const guard = createFreezeGuard({ calendar, onOverride: (record, release) => overridden.push([record, release]) });
+  return { calendar, guard, overridden };
+}
+
+const names = freezes => freezes.map(f => f.name);
+
+test('applies a window to its teams and environments only', t => {
+  const { calendar } = setup(t);
+
+  assert.deepEqual(names(calendar.activeFreezes({ team: 'frontend', environment: 'prod', at: YEAR_END })), ['Year-end freeze']);
+  assert.deepEqual(names(calendar.activeFreezes({ team: 'frontend', environment: 'dev', at: YEAR_END })), []);
+  assert.deepEqual(names(calendar.activeFreezes({ team: 'backend', environment: 'prod', at: WEEKEND })), ['Weekend prod freeze']);
+  assert.deepEqual(names(calendar.activeFreezes({ team: 'frontend', environment: 'prod', at: WEEKEND })), []);
+  assert.deepEqual(names(calendar.activeFreezes({ team: 'frontend', environment: 'dlv', at: MIGRATION })), ['Frontend migration']);
+  assert.deepEqual(names(calendar.activeFreezes({ team: 'backend', environment: 'dlv', at: MIGRATION })), []);
+});
+
+test('expands a recurring window in its timezone', t => {
+  const { calendar } = setup(t);
+
+  const [weekend] = calendar.activeFreezes({ team: 'backend', environment: 'prod', at: WEEKEND });
+  assert.equal(weekend.start, '2026-10-16T15:00:00.000Z');
+  assert.equal(weekend.end, '2026-10-19T06:00:00.000Z');
+  assert.equal(weekend.recurring, true);
+  assert.deepEqual(calendar.activeFreezes({ team: 'backend', environment: 'prod', at: new Date('2026-10-19T06:00:00Z') }), []);
+
+  const upcoming = calendar.upcoming({ teams: ['backend'], from: new Date('2026-10-19T07:00:00Z'), days: 14 });
+  assert.deepEqual(upcoming.map(f => f.start), ['2026-10-23T15:00:00.000Z', '2026-10-30T16:00:00.000Z']);
+});
+
+test('maps release branches to environments: main to prod, dev* and dlv*', t => {
+  const { guard } = setup(t);
+  const release = (branch, team, at) => guard.check({ user: DEVELOPER, username: 'dana', team, branch, at });
+
+  assert.equal(release('main', 'backend', YEAR_END).body.environment, 'prod');
+  assert.equal(release('dev01', 'frontend', MIGRATION).body.environment, 'dev');
+  assert.equal(release('dlv02', 'frontend', MIGRATION).body.environment, 'dlv');
+  assert.equal(release('dev01', 'frontend', YEAR_END), null);
+  assert.equal(release('main', 'frontend', MIGRATION), null);
+});
+
+test('blocks a release with 423 and says whether it can be overridden', t => {
+  const { guard } = setup(t);
+  const release = { username: 'dana', team: 'backend', branch: 'main', at: YEAR_END };
+
+  const frozen = guard.check({ ...release, user: DEVELOPER });
+  assert.equal(frozen.status, 423);
+  assert.equal(frozen.body.error, 'Release to prod blocked by change freeze: Year-end freeze');
+  assert.equal(frozen.body.canOverride, false);
+  assert.equal(guard.check({ ...release, user: ADMIN }).body.canOverride, true);
+});
+
+test('lets only an admin with a justification override, and records it', t => {
+  const { calendar, guard, overridden } = setup(t);
+  const release = { team: 'backend', branch: 'main', override: true, at: WEEKEND, target: { apps: ['app1'], branch: 'main' } };
+
+  assert.equal(guard.check({ ...release, user: DEVELOPER, username: 'dana', justification: 'Customer outage hotfix' }).status, 403);
+  assert.equal(guard.check({ ...release, user: ADMIN, username: 'alice' }).status, 400);
+  assert.equal(guard.check({ ...release, user: ADMIN, username: 'alice', justification: '  hotfix  ' }).status, 400);
+  assert.deepEqual(calendar.listOverrides(), []);
+
+  assert.equal(guard.check({ ...release, user: ADMIN, username: 'alice', justification: ' Customer outage hotfix ' }), null);
+  const [recorded] = calendar.listOverrides();
+  assert.equal(recorded.user, 'alice');
+  assert.equal(recorded.environment, 'prod');
+  assert.equal(recorded.justification, 'Customer outage hotfix');
+  assert.deepEqual(recorded.freezes, ['Weekend prod freeze']);
+  assert.deepEqual(overridden, [[recorded, { user: ADMIN, username: 'alice', team: 'backend', environment: 'prod', target: release.target }]]);
+
+  // No active freeze: nothing to override, nothing recorded
+  assert.equal(guard.check({ ...release, user: ADMIN, username: 'alice', justification: 'Customer outage hotfix', at: MIGRATION }), null);
+  assert.equal(calendar.listOverrides().length, 1);
+});
+
+test('checks every environment a run waits on before approving it', t => {
+  const { guard } = setup(t);
+  const approval = { user: DEVELOPER, username: 'dana', team: 'backend', target: { repo: 'githubActionsReleaseRepo', runId: 9300 }, at: YEAR_END };
+
+  assert.equal(guard.checkEnvironments({ ...approval, environments: ['dev', 'dev'] }), null);
+  const frozen = guard.checkEnvironments({ ...approval, environments: ['dev', 'prod'] });
+  assert.equal(frozen.status, 423);
+  assert.equal(frozen.body.environment, 'prod');
+});
+
+test('freezes scheduled releases, honouring the stored override only for admins', t => {
+  const { calendar, guard } = setup(t);
+  const job = {
+    id: 'job-1', action: 'trigger_release', team: 'backend', ref: 'main', apps: ['app1'], createdBy: 'alice'
+  };
+
+  assert.equal(guard.checkScheduledJob({ ...job, action: 'trigger_build' }, ADMIN, YEAR_END), null);
+  assert.equal(guard.checkScheduledJob(job, ADMIN, YEAR_END).status, 423);
+  assert.equal(guard.checkScheduledJob({ ...job, ref: 'dev01' }, ADMIN, YEAR_END), null);
+
+  const overriding = { ...job, freezeOverride: { justification: 'Planned year-end release' } };
+  // The owner has since lost the admin role
+  assert.equal(guard.checkScheduledJob(overriding, DEVELOPER, YEAR_END).status, 403);
+  assert.equal(guard.checkScheduledJob(overriding, ADMIN, YEAR_END), null);
+  assert.deepEqual(calendar.listOverrides()[0].target, { jobId: 'job-1', apps: ['app1'], ref: 'main' });
+});
+
+test('rejects windows without a valid range or duration', () => {
+  assert.throws(() => createFreezeCalendar({ windows: [{ name: 'Bad', start: '2026-12-20', end: '2026-12-19' }] }), /Bad: freeze windows need a valid start before end/);
+  assert.throws(() => createFreezeCalendar({ windows: [{ cron: '0 17 * * FRI' }] }), /freezeWindows\[0\]: recurring freeze windows need durationMinutes/);
+});
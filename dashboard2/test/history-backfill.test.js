@@ -0,0 +1,103 @@
+// History backfill against a fake listWorkflowRuns that, like GitHub, lists
+// at most 1000 runs of a created filter
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRunHistory } = require('../history');
+const { createRunNameParser } = require('../../collector');
+const { fakeOctokit } = require('../../collector/test/fake-octokit');
+
+const APP_REPOS = [{ name: 'app1', repo: 'githubActionsBuildRepo', buildWorkflow: 'app1-build.yml' }];
+
+// `count` completed runs, created `spacingMs` apart going back from now
+function fakeRuns(count, spacingMs) {
+  const now = Date.now();
+  return Array.from({ length: count }, (_, i) => {
+    const createdAt = new Date(now - 60000 - i * spacingMs).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    return {
+      id: 9300000000 - i,
+      name: `dev01-app1-build-${count - i}`,
+      head_branch: 'dev01',
+      head_sha: 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6e7f8a9b0',
+      path: '.github/workflows/app1-build.yml',
+      run_number: count - i,
+      status: 'completed',
+      conclusion: 'success',
+      created_at: createdAt,
+      updated_at: createdAt,
+      run_attempt: 1
+    };
+  });
+}
+
+function listingOctokit(runs) {
+  const { octokit, calls } = fakeOctokit({
+    'actions.listWorkflowRuns': ({ per_page: perPage, page, created }) => {
+      const [from, to] = created.split('..').map(Date.parse);
+      const matching = runs.filter(run => Date.parse(run.created_at) >= from && Date.parse(run.created_at) <= to);
+      const listed = matching.slice(0, 1000);
+      return { data: { total_count: matching.length, workflow_runs: listed.slice((page - 1) * perPage, page * perPage) } };
+    }
+  });
+  return { octokit, requests: calls.listWorkflowRuns };
+}
+
+function createHistory(octokit) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-history-'));
+  const history = createRunHistory({ dir, retentionDays: 400 }, {
+    octokit,
+    owner: 'dpdeepankar',
+    appRepos: APP_REPOS,
+    runNameParser: createRunNameParser({ appRepos: APP_REPOS }),
+    log: () => {}
+  });
+  return { history, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('imports every run of a workflow with more runs than GitHub lists at once', async t => {
+  const { octokit, requests } = listingOctokit(fakeRuns(2500, 15 * 60 * 1000));
+  const { history, cleanup } = createHistory(octokit);
+  t.after(cleanup);
+
+  const state = await history.backfill({ days: 30 });
+
+  assert.equal(state.runs, 2500);
+  assert.equal(state.stored, 2500);
+  assert.deepEqual(state.truncated, []);
+  assert.deepEqual(state.errors, []);
+  assert.equal(history.status().runs, 2500);
+  assert.ok(requests.length > 1);
+});
+
+test('reports a window too dense to split as truncated', async t => {
+  const { octokit } = listingOctokit(fakeRuns(1200, 1000));
+  const { history, cleanup } = createHistory(octokit);
+  t.after(cleanup);
+
+  const warn = t.mock.method(console, 'warn', () => {});
+  const state = await history.backfill({ days: 1 });
+
+  assert.equal(state.runs, 1000);
+  assert.equal(state.truncated.length, 1);
+  assert.equal(state.truncated[0].workflow, 'githubActionsBuildRepo/app1-build.yml');
+  assert.equal(state.truncated[0].runs, 1200);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('skips runs already stored unchanged', async t => {
+  const { octokit } = listingOctokit(fakeRuns(150, 60 * 60 * 1000));
+  const { history, cleanup } = createHistory(octokit);
+  t.after(cleanup);
+
+  await history.backfill({ days: 10 });
+  const state = await history.backfill({ days: 10 });
+
+  // Read again, but none stored
+  assert.equal(state.runs, 150);
+  assert.equal(state.stored, 0);
+  assert.equal(history.status().runs, 150);
+  assert.equal(history.status().backfill.runs, 150);
+});
@@ -0,0 +1,90 @@
+// Log search of logs/index.js over a fake Octokit serving one job's log
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogService, compileSearch } = require('../logs');
+const { fakeOctokit } = require('../../collector/test/fake-octokit');
+
+const JOB = {
+  id: 501,
+  run_id: 77,
+  name: 'build',
+  status: 'completed',
+  conclusion: 'failure',
+  started_at: '2026-10-18T09:00:00Z',
+  completed_at: '2026-10-18T09:01:00Z',
+  steps: [
+    { number: 1, name: 'Install', status: 'completed', conclusion: 'success', started_at: '2026-10-18T09:00:00Z', completed_at: '2026-10-18T09:00:30Z' },
+    { number: 2, name: 'Test', status: 'completed', conclusion: 'failure', started_at: '2026-10-18T09:00:30Z', completed_at: '2026-10-18T09:01:00Z' }
+  ]
+};
+
+function logService(lines) {
+  const { octokit } = fakeOctokit({
+    'actions.getJobForWorkflowRun': () => ({ data: JOB }),
+    'actions.downloadJobLogsForWorkflowRun': () => ({ data: `${lines.join('\n')}\n` }),
+    'actions.listJobsForWorkflowRun': () => ({ data: { total_count: 1, jobs: [JOB] } })
+  });
+  return createLogService({ octokit, owner: 'dpdeepankar' });
+}
+
+const LOG = [
+  '2026-10-18T09:00:01.000Z npm ci',
+  '2026-10-18T09:00:40.000Z \u001b[31mFAIL\u001b[0m src/cart.test.js',
+  '2026-10-18T09:00:41.000Z Error: expected 3 (got 2)',
+  '2026-10-18T09:00:42.000Z Tests: 1 failed, 41 passed'
+];
+
+test('literal searches escape the query', async () => {
+  const { matches, truncated } = await logService(LOG).search('repo', 77, { query: '3 (got', jobId: 501 });
+
+  assert.equal(truncated, false);
+  assert.deepEqual(matches.map(match => [match.line, match.step, match.stepName]), [[3, 2, 'Test']]);
+});
+
+test('regex searches match text without ANSI codes', async () => {
+  const { matches } = await logService(LOG).search('repo', 77, { query: '^FAIL\\s+\\S+\\.test\\.js$', regex: true });
+
+  assert.deepEqual(matches.map(match => match.line), [2]);
+  assert.equal(matches[0].text, '\u001b[31mFAIL\u001b[0m src/cart.test.js');
+});
+
+test('reports truncation past the limit', async () => {
+  const { matches, truncated } = await logService(LOG).search('repo', 77, { query: 'e', limit: 2 });
+
+  assert.deepEqual(matches.map(match => match.line), [2, 3]);
+  assert.equal(truncated, true);
+});
+
+test('stops a catastrophically backtracking regex', async () => {
+  const service = logService([`2026-10-18T09:00:01.000Z ${'a'.repeat(28)}`, ...LOG]);
+  const started = Date.now();
+
+  await assert.rejects(
+    service.search('repo', 77, { query: '(a|a)*b', regex: true, jobId: 501 }),
+    err => err.status === 400 && /longer than/.test(err.message)
+  );
+  assert.ok(Date.now() - started < 10000);
+});
+
+test('rejects invalid and overlong patterns', () => {
+  assert.throws(() => compileSearch('(', { regex: true }), err => err.status === 400 && /Invalid regex/.test(err.message));
+  assert.throws(() => compileSearch('x'.repeat(201)), err => err.status === 400);
+  assert.throws(() => compileSearch(''), err => err.status === 400);
+});
+
+test('checks a followed job against each subscriber\'s own run', async t => {
+  const service = logService(LOG);
+  t.after(() => service.stop());
+
+  const follow = runId => new Promise(resolve => {
+    service.watch('repo', runId, 501, {
+      onUpdate: update => resolve({ lines: update.lines.length }),
+      onError: err => resolve({ status: err.status })
+    });
+  });
+  const [owner, other] = await Promise.all([follow(77), follow(78)]);
+
+  assert.deepEqual(owner, { lines: 4 });
+  assert.deepEqual(other, { status: 404 });
+});
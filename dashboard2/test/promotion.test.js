@@ -0,0 +1,138 @@
+// Environment promotion (promotion.js): evaluate()'s guards for recorded
+// releases of three app1 builds (fixtures/promotion/runs.json) traced by
+// traceability.js, the payload it would send, and promote()
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPromotions } = require('../promotion');
+const { createTraceability } = require('../traceability');
+const { fakeOctokit } = require('../../collector/test/fake-octokit');
+
+const runs = require('./fixtures/promotion/runs.json');
+
+// The current build in dlv (released 2026-10-18 09:00), the one before it
+// (in dlv and prod since 2026-10-16) and the newest (being released to dlv)
+const CURRENT = 9204000001;
+const IN_PROD = 9203344718;
+const NEWEST = 9204000002;
+
+function setup(t, { now = '2026-10-19T10:00:00Z', teams = {} } = {}) {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse(now) });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'promotions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const { octokit, calls } = fakeOctokit({ 'repos.createDispatchEvent': () => ({}) });
+  const traceability = createTraceability({
+    octokit,
+    owner: 'dpdeepankar',
+    history: { scan: ({ match }) => structuredClone(runs).filter(match) },
+    getRuns: async () => ({ builds: [], releases: [] })
+  });
+  const promotions = createPromotions(
+    { file: path.join(dir, 'promotions.jsonl'), payload: { environmentUrl: 'https://app1.example.com' } },
+    { octokit, owner: 'dpdeepankar', teams, appRepos: [{ name: 'app1', repo: 'githubActionsBuildRepo' }], traceability, log: () => {} }
+  );
+  return { promotions, dispatches: calls.createDispatchEvent };
+}
+
+const guards = evaluation => Object.fromEntries(evaluation.guards.map(({ guard, ok }) => [guard, ok]));
+const message = (evaluation, name) => evaluation.guards.find(({ guard }) => guard === name).message;
+
+test('allows promoting the build dlv runs to prod after 24 hours there', async t => {
+  const { promotions } = setup(t);
+
+  const evaluation = await promotions.evaluate({ team: 'frontend', appName: 'app1', runId: CURRENT, from: 'dlv' });
+
+  assert.deepEqual(guards(evaluation), { released: true, succeededForHours: true, mustBeCurrent: true, notDeployed: true });
+  assert.equal(evaluation.allowed, true);
+  assert.equal(evaluation.source.runId, 9204020001);
+  assert.equal(message(evaluation, 'succeededForHours'), 'Succeeded in dlv 25.0h ago (at least 24h required)');
+  assert.equal(message(evaluation, 'notDeployed'), `prod runs build ${IN_PROD}`);
+  assert.deepEqual(evaluation.step, { from: 'dlv', to: 'prod', branch: 'main', guards: { succeededForHours: 24, mustBeCurrent: true } });
+});
+
+test('holds a dlv build back until it succeeded there long enough', async t => {
+  const { promotions } = setup(t, { now: '2026-10-19T08:30:00Z' });
+
+  const evaluation = await promotions.evaluate({ team: 'frontend', appName: 'app1', runId: CURRENT, from: 'dlv', to: 'prod' });
+
+  assert.equal(evaluation.allowed, false);
+  assert.deepEqual(guards(evaluation), { released: true, succeededForHours: false, mustBeCurrent: true, notDeployed: true });
+  assert.equal(message(evaluation, 'succeededForHours'), 'Succeeded in dlv 23.5h ago (at least 24h required)');
+});
+
+test('refuses a build dlv has moved on from and that prod already runs', async t => {
+  const { promotions } = setup(t);
+
+  const evaluation = await promotions.evaluate({ team: 'frontend', appName: 'app1', runId: IN_PROD, from: 'dlv' });
+
+  assert.deepEqual(guards(evaluation), { released: true, succeededForHours: true, mustBeCurrent: false, notDeployed: false });
+  assert.equal(message(evaluation, 'mustBeCurrent'), `dlv runs build ${CURRENT} now`);
+  assert.equal(message(evaluation, 'notDeployed'), `prod already runs (or is getting) build ${IN_PROD}`);
+});
+
+test('refuses a build not yet released to the source environment', async t => {
+  const { promotions } = setup(t);
+
+  const toProd = await promotions.evaluate({ team: 'frontend', appName: 'app1', runId: NEWEST, from: 'dlv' });
+  assert.deepEqual(guards(toProd), { released: false, succeededForHours: false, mustBeCurrent: false, notDeployed: true });
+  assert.equal(message(toProd, 'released'), `Build ${NEWEST} has no successful release to dlv`);
+  assert.equal(message(toProd, 'succeededForHours'), 'Needs a successful dlv release at least 24h old');
+
+  // Its dev release succeeded, but the dlv release is already running
+  const toDlv = await promotions.evaluate({ team: 'frontend', appName: 'app1', runId: NEWEST, from: 'dev' });
+  assert.deepEqual(guards(toDlv), { released: true, notDeployed: false });
+
+  // A failed release doesn't count
+  const failed = await promotions.evaluate({ team: 'frontend', appName: 'app2', runId: 9204100001, from: 'dev' });
+  assert.deepEqual(guards(failed), { released: false, notDeployed: true });
+});
+
+test('uses the team\'s own promotion paths', async t => {
+  const { promotions } = setup(t, {
+    teams: { backend: { promotion: [{ from: 'dev', to: 'prod', branch: 'main', guards: { succeededForHours: 1, mustBeCurrent: true } }] } }
+  });
+
+  const evaluation = await promotions.evaluate({ team: 'backend', appName: 'app1', runId: NEWEST, from: 'dev' });
+
+  assert.equal(evaluation.allowed, true);
+  assert.equal(evaluation.payload.branch, 'main');
+  await assert.rejects(promotions.evaluate({ team: 'backend', appName: 'app1', runId: NEWEST, from: 'dlv' }), {
+    status: 400, message: 'No promotion path from dlv for team backend'
+  });
+  await assert.rejects(promotions.evaluate({ team: 'frontend', appName: 'app1', runId: CURRENT, from: 'prod', to: 'dev' }), {
+    status: 400, message: 'No promotion path from prod to dev for team frontend'
+  });
+  await assert.rejects(promotions.evaluate({ team: 'frontend', appName: 'app1', runId: 9209999999, from: 'dev' }), {
+    status: 404, message: 'Build 9209999999 of app1 not found in the run history'
+  });
+});
+
+test('sends the original dispatch payload with the target branch', async t => {
+  const { promotions, dispatches } = setup(t);
+
+  // Without a recorded dispatch the payload is rebuilt from the runs
+  const rebuilt = await promotions.evaluate({ team: 'frontend', appName: 'app1', runId: CURRENT, from: 'dlv' });
+  assert.equal(rebuilt.payloadSource, 'reconstructed');
+  assert.deepEqual(rebuilt.payload, {
+    environmentUrl: 'https://app1.example.com', appName: 'app1', branch: 'main',
+    repository: 'dpdeepankar/githubActionsBuildRepo', runId: String(CURRENT), commit_short: '7a6b5c4'
+  });
+
+  const original = { appName: 'app1', branch: 'dlv01', repository: 'dpdeepankar/githubActionsBuildRepo', runId: String(CURRENT), commit_short: '7a6b5c4', replicas: 3 };
+  assert.equal(promotions.recordDispatch({ repo: 'githubActionsReleaseRepo', eventType: 'app1', payload: original }), true);
+  assert.equal(promotions.recordDispatch({ repo: 'githubActionsReleaseRepo', eventType: 'app1', payload: { branch: 'dlv01' } }), false);
+  const evaluation = await promotions.evaluate({ team: 'frontend', appName: 'app1', runId: CURRENT, from: 'dlv' });
+  assert.equal(evaluation.payloadSource, 'recorded');
+  assert.deepEqual(evaluation.payload, { ...original, branch: 'main' });
+
+  const promotion = await promotions.promote(evaluation, { user: 'lena.lead', repo: 'githubActionsReleaseRepo' });
+  assert.deepEqual(dispatches, [{
+    owner: 'dpdeepankar', repo: 'githubActionsReleaseRepo', event_type: 'app1', client_payload: { ...original, branch: 'main' }
+  }]);
+  assert.deepEqual(promotions.list({ apps: ['app1'] }), [promotion]);
+  assert.equal(promotions.list({ apps: ['app2'] }).length, 0);
+});
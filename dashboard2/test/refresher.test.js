@@ -0,0 +1,73 @@
+// Background refresher (refresher.js): webhook changes that land while a
+// poll is in flight survive that poll's older data
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRefresher } = require('../refresher');
+
+const run = (runId, status, updatedAt) => ({ runId, status, updatedAt });
+
+// Webhook-style change: a run's new state, unless the snapshot's is newer
+const applyRun = model => data => {
+  const current = data.builds.find(r => r.runId === model.runId);
+  if (current && new Date(current.updatedAt) > new Date(model.updatedAt)) return data;
+  return { ...data, builds: [...data.builds.filter(r => r.runId !== model.runId), model] };
+};
+
+function setup() {
+  const polls = [];
+  const refresher = createRefresher({
+    refresh: () => new Promise(resolve => polls.push(resolve)),
+    onRefresh: (data, previous) => refreshed.push([data, previous])
+  });
+  const refreshed = [];
+  return { refresher, polls, refreshed };
+}
+
+test('replays changes made during a refresh onto its result', async () => {
+  const { refresher, polls, refreshed } = setup();
+  const first = refresher.refreshNow();
+  polls.shift()({ builds: [run(1, 'queued', '2026-10-18T09:00:00Z')] });
+  await first;
+
+  // Poll starts, then a webhook reports the run completed before the poll returns
+  const second = refresher.refreshNow();
+  assert.equal(refresher.update(applyRun(run(1, 'completed', '2026-10-18T09:05:00Z'))), true);
+  assert.equal((await refresher.current()).data.builds[0].status, 'completed');
+  polls.shift()({ builds: [run(1, 'in_progress', '2026-10-18T09:04:00Z'), run(2, 'queued', '2026-10-18T09:04:30Z')] });
+  await second;
+
+  const { data } = await refresher.current();
+  assert.deepEqual(data.builds.map(r => [r.runId, r.status]), [[2, 'queued'], [1, 'completed']]);
+  assert.deepEqual(refreshed[1][0], data);
+});
+
+test('keeps a polled state newer than the replayed change', async () => {
+  const { refresher, polls } = setup();
+  const first = refresher.refreshNow();
+  polls.shift()({ builds: [run(1, 'queued', '2026-10-18T09:00:00Z')] });
+  await first;
+
+  const second = refresher.refreshNow();
+  refresher.update(applyRun(run(1, 'in_progress', '2026-10-18T09:01:00Z')));
+  polls.shift()({ builds: [run(1, 'completed', '2026-10-18T09:06:00Z')] });
+  await second;
+
+  assert.deepEqual((await refresher.current()).data.builds, [run(1, 'completed', '2026-10-18T09:06:00Z')]);
+});
+
+test('does not replay changes from before the refresh started', async () => {
+  const { refresher, polls } = setup();
+  const first = refresher.refreshNow();
+  polls.shift()({ builds: [] });
+  await first;
+  let applied = 0;
+  refresher.update(data => { applied++; return data; });
+
+  const second = refresher.refreshNow();
+  polls.shift()({ builds: [] });
+  await second;
+
+  assert.equal(applied, 1);
+  assert.equal(setup().refresher.update(() => { throw new Error('not before the first refresh'); }), false);
+});
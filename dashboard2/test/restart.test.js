@@ -0,0 +1,131 @@
+// Service restarts (restart/): completion tracking with the fake driver, the
+// WebSocket message for each update, and the github driver finding its run
+// by the request id in the run-name
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRestartManager, restartEventType } = require('../restart');
+const { createGithubRestartDriver } = require('../restart/drivers/github');
+const { fakeOctokit } = require('../../collector/test/fake-octokit');
+
+const SERVICES = {
+  app1: {
+    dev: { acaName: 'aca-app1-dev', resourceGroup: 'rg-app1-dev' },
+    prod: { acaName: 'aca-app1-prod', resourceGroup: 'rg-app1-prod' }
+  },
+  app2: { dev: { acaName: 'aca-app2-dev', resourceGroup: 'rg-app2-dev' } }
+};
+
+// Restart through the fake driver; resolves with the WebSocket messages
+// sent for it once it reaches a final status
+function runRestart(fake, target, { timeoutMs = 60 * 1000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    const manager = createRestartManager(
+      { driver: 'fake', fake, services: SERVICES, pollIntervalMs: 5, timeoutMs },
+      {
+        onUpdate: request => {
+          messages.push([restartEventType(request), request.status]);
+          if (request.finishedAt) {
+            manager.stop();
+            resolve({ messages, request, manager });
+          }
+        }
+      }
+    );
+    manager.restart({ ...target, requestedBy: 'bob.backend' }).catch(reject);
+  });
+}
+
+test('tracks a restart to success and announces each step', async () => {
+  const { messages, request, manager } = await runRestart({ delayMs: 20 }, { service: 'app1', environment: 'prod' });
+
+  assert.equal(messages[0][0], 'service_restart_initiated');
+  assert.deepEqual(messages.at(-1), ['service_restart_completed', 'success']);
+  assert.ok(messages.slice(1, -1).every(([type, status]) => type === 'service_restart_updated' && status === 'running'));
+  assert.equal(request.acaName, 'aca-app1-prod');
+  assert.equal(request.driver, 'fake');
+  assert.equal(manager.get(request.id), request);
+});
+
+test('reports a failed restart and one that times out', async () => {
+  const failed = await runRestart({ delayMs: 0, failServices: ['app2'] }, { service: 'app2', environment: 'dev' });
+  const timedOut = await runRestart({ delayMs: 60 * 1000 }, { service: 'app1', environment: 'dev' }, { timeoutMs: 0 });
+
+  assert.deepEqual(failed.messages.at(-1), ['service_restart_failed', 'failure']);
+  assert.equal(failed.request.error, 'Fake driver configured to fail this service');
+  assert.deepEqual(timedOut.messages.at(-1), ['service_restart_failed', 'timeout']);
+  assert.equal(timedOut.request.error, 'No result after 0 minutes');
+});
+
+test('rejects services without a Container App and unknown drivers', async () => {
+  const manager = createRestartManager({ driver: 'fake', services: SERVICES }, {});
+
+  await assert.rejects(manager.restart({ service: 'app2', environment: 'prod' }), {
+    status: 404, message: 'No Container App configured for app2 in prod'
+  });
+  assert.throws(() => createRestartManager({ driver: 'ssh' }, {}), /Unknown restart driver "ssh"/);
+});
+
+// Restart runs as listWorkflowRuns returns them, newest first
+const REQUEST_ID = 'restart-app1-prod-1760778000000-a1b2c3';
+const runs = ({ status = 'in_progress', conclusion = null } = {}) => [
+  { id: 9301, name: 'restart-app1-dev-restart-app1-dev-1760778003000-ffffff', status: 'queued', conclusion: null, html_url: 'https://github.com/dpdeepankar/githubActionsReleaseRepo/actions/runs/9301' },
+  { id: 9300, name: `restart-app1-prod-${REQUEST_ID}`, status, conclusion, html_url: 'https://github.com/dpdeepankar/githubActionsReleaseRepo/actions/runs/9300' }
+];
+
+function restartOctokit(listed) {
+  return fakeOctokit({
+    'repos.createDispatchEvent': () => ({}),
+    'actions.createWorkflowDispatch': () => ({}),
+    'actions.listWorkflowRuns': () => ({ data: { workflow_runs: listed() } })
+  });
+}
+
+const REQUEST = {
+  id: REQUEST_ID, service: 'app1', environment: 'prod', acaName: 'aca-app1-prod', resourceGroup: 'rg-app1-prod',
+  requestedBy: 'bob.backend', startedAt: '2026-10-18T09:00:00.000Z'
+};
+
+test('github driver dispatches the request and finds its run by request id', async () => {
+  let listed = [];
+  const { octokit, calls } = restartOctokit(() => listed);
+  const driver = createGithubRestartDriver({ repo: 'githubActionsReleaseRepo' }, { octokit, owner: 'dpdeepankar' });
+
+  await driver.start(REQUEST);
+  assert.deepEqual(calls.createDispatchEvent, [{
+    owner: 'dpdeepankar', repo: 'githubActionsReleaseRepo', event_type: 'service-restart',
+    client_payload: {
+      requestId: REQUEST_ID, appName: 'app1', environment: 'prod', acaName: 'aca-app1-prod', acaResourceGroup: 'rg-app1-prod', requestedBy: 'bob.backend'
+    }
+  }]);
+
+  assert.deepEqual(await driver.poll(REQUEST), { status: 'pending' });
+  listed = runs();
+  assert.deepEqual(await driver.poll(REQUEST), { status: 'running', url: 'https://github.com/dpdeepankar/githubActionsReleaseRepo/actions/runs/9300', runId: 9300 });
+  listed = runs({ status: 'completed', conclusion: 'success' });
+  assert.equal((await driver.poll(REQUEST)).status, 'success');
+  listed = runs({ status: 'completed', conclusion: 'cancelled' });
+  assert.deepEqual(await driver.poll(REQUEST), {
+    status: 'failure', url: 'https://github.com/dpdeepankar/githubActionsReleaseRepo/actions/runs/9300', runId: 9300, error: 'Restart workflow cancelled'
+  });
+
+  assert.deepEqual(calls.listWorkflowRuns[0], {
+    owner: 'dpdeepankar', repo: 'githubActionsReleaseRepo', workflow_id: 'service-restart.yml',
+    event: 'repository_dispatch', created: '>=2026-10-18T08:59:00.000Z', per_page: 50
+  });
+});
+
+test('github driver can use workflow_dispatch instead', async () => {
+  const { octokit, calls } = restartOctokit(() => runs());
+  const driver = createGithubRestartDriver({ repo: 'githubActionsReleaseRepo', dispatch: 'workflow_dispatch' }, { octokit, owner: 'dpdeepankar' });
+
+  await driver.start(REQUEST);
+  await driver.poll(REQUEST);
+
+  assert.equal(calls.createWorkflowDispatch[0].workflow_id, 'service-restart.yml');
+  assert.equal(calls.createWorkflowDispatch[0].inputs.requestId, REQUEST_ID);
+  assert.equal(calls.listWorkflowRuns[0].event, 'workflow_dispatch');
+  assert.throws(() => createGithubRestartDriver({}, { octokit }), /requires "repo"/);
+  assert.throws(() => createGithubRestartDriver({ repo: 'r', dispatch: 'push' }, { octokit }), /Unknown restart dispatch mode "push"/);
+});
@@ -0,0 +1,147 @@
+// Durable scheduler (scheduler/index.js) over an in-memory store and a fake
+// execute: reload at startup, catch-up, one-shot removal and recurrence, and
+// jobs cancelled or paused while an earlier job is still running
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler } = require('../scheduler');
+
+const MINUTE_MS = 60 * 1000;
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+// Same interface as scheduler/store.js, without the file
+function memoryStore(jobs = []) {
+  const state = { jobs: Object.fromEntries(jobs.map(job => [job.id, job])), history: [] };
+  return {
+    load: () => state,
+    save() {},
+    getJob: id => state.jobs[id] || null,
+    listJobs: () => Object.values(state.jobs),
+    putJob(job) {
+      state.jobs[job.id] = job;
+      return job;
+    },
+    deleteJob(id) {
+      delete state.jobs[id];
+    },
+    addHistory(entry) {
+      state.history.unshift(entry);
+      return entry;
+    },
+    listHistory: (limit = 100) => state.history.slice(0, limit)
+  };
+}
+
+const job = (id, fields = {}) => ({
+  id, repo: 'githubActionsReleaseRepo', workflowId: 'app-release.yml', apps: ['app1'], ref: 'main', inputs: {},
+  team: 'backend', createdBy: 'bob.backend', occurrences: 0, status: 'pending', nextRunAt: ago(0), ...fields
+});
+
+function setup(jobs, options = {}) {
+  const store = memoryStore(jobs);
+  const executed = [];
+  const scheduler = createScheduler({
+    store,
+    execute: options.execute || (async ({ id }) => { executed.push(id); }),
+    catchUpPolicy: options.catchUpPolicy,
+    catchUpGraceMs: options.catchUpGraceMs
+  });
+  const statuses = () => store.listHistory().reverse().map(entry => [entry.jobId, entry.status]);
+  return { store, scheduler, executed, statuses };
+}
+
+test('fires jobs that came due while the process was down, and removes one-shots', async t => {
+  const { store, scheduler, executed, statuses } = setup([
+    job('due', { nextRunAt: ago(5 * MINUTE_MS) }),
+    job('later', { nextRunAt: new Date(Date.now() + 60 * MINUTE_MS).toISOString() })
+  ]);
+  t.after(() => scheduler.stop());
+
+  await scheduler.start();
+
+  assert.deepEqual(executed, ['due']);
+  assert.deepEqual(statuses(), [['due', 'success']]);
+  assert.equal(store.getJob('due'), null);
+  assert.deepEqual(scheduler.listPending().map(pending => pending.id), ['later']);
+});
+
+test('records a job interrupted mid-dispatch instead of firing it again', async t => {
+  const { store, scheduler, executed, statuses } = setup([job('cut', { status: 'running', startedAt: ago(MINUTE_MS) })]);
+  t.after(() => scheduler.stop());
+
+  await scheduler.start();
+
+  assert.deepEqual(executed, []);
+  assert.deepEqual(statuses(), [['cut', 'interrupted']]);
+  assert.equal(store.getJob('cut'), null);
+});
+
+test('applies the catch-up policy to late jobs', async t => {
+  const late = [
+    job('grace-ok', { nextRunAt: ago(30 * MINUTE_MS) }),
+    job('grace-missed', { nextRunAt: ago(90 * MINUTE_MS) }),
+    job('skip', { nextRunAt: ago(5 * MINUTE_MS), catchUpPolicy: 'skip' }),
+    job('run', { nextRunAt: ago(24 * 60 * MINUTE_MS), catchUpPolicy: 'run' }),
+    job('on-time', { nextRunAt: ago(30 * 1000), catchUpPolicy: 'skip' })
+  ];
+  const { store, scheduler, executed, statuses } = setup(late);
+  t.after(() => scheduler.stop());
+
+  await scheduler.start();
+
+  assert.deepEqual(executed.sort(), ['grace-ok', 'on-time', 'run']);
+  assert.deepEqual(statuses().filter(([, status]) => status === 'missed').map(([id]) => id).sort(), ['grace-missed', 'skip']);
+  assert.deepEqual(store.listJobs(), []);
+  assert.throws(() => setup([], { catchUpPolicy: 'later' }), /Unknown catch-up policy "later"/);
+});
+
+test('re-arms a recurring job for its next occurrence, or misses it outside its window', async t => {
+  const recurrence = { cron: '0 6 * * *', timezone: 'UTC' };
+  const { store, scheduler, executed, statuses } = setup([
+    job('nightly', { recurrence, nextRunAt: ago(2 * MINUTE_MS) }),
+    job('windowed', { recurrence: { ...recurrence, windowMinutes: 10 }, nextRunAt: ago(20 * MINUTE_MS) })
+  ]);
+  t.after(() => scheduler.stop());
+
+  await scheduler.start();
+
+  assert.deepEqual(executed, ['nightly']);
+  assert.deepEqual(statuses().sort(), [['nightly', 'success'], ['windowed', 'missed']]);
+  const nightly = store.getJob('nightly');
+  assert.equal(nightly.status, 'pending');
+  assert.equal(nightly.occurrences, 1);
+  assert.ok(new Date(nightly.nextRunAt) > new Date());
+  assert.equal(new Date(nightly.nextRunAt).getUTCHours(), 6);
+  assert.equal(store.getJob('windowed').occurrences, 0);
+});
+
+test('does not fire jobs cancelled or paused while an earlier job runs', async t => {
+  let release;
+  const blocked = new Promise(resolve => { release = resolve; });
+  const recurrence = { cron: '0 6 * * *', timezone: 'UTC' };
+  const executed = [];
+  const { store, scheduler, statuses } = setup([
+    job('first', { nextRunAt: ago(3 * MINUTE_MS) }),
+    job('cancelled', { nextRunAt: ago(2 * MINUTE_MS), recurrence }),
+    job('paused', { nextRunAt: ago(MINUTE_MS), recurrence })
+  ], {
+    execute: async ({ id }) => {
+      executed.push(id);
+      if (id === 'first') await blocked;
+    }
+  });
+  t.after(() => scheduler.stop());
+
+  const started = scheduler.start();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(store.getJob('first').status, 'running');
+  assert.equal(scheduler.cancel('cancelled', 'jane.smith'), true);
+  assert.equal(scheduler.pause('paused', 'jane.smith').status, 'paused');
+  release();
+  await started;
+
+  assert.deepEqual(executed, ['first']);
+  assert.equal(store.getJob('cancelled'), null);
+  assert.equal(store.getJob('paused').status, 'paused');
+  assert.deepEqual(statuses(), [['cancelled', 'cancelled'], ['paused', 'paused'], ['first', 'success']]);
+});
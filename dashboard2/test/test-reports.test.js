@@ -0,0 +1,78 @@
+// JUnit, TAP and Jest report parsing (test-results/) over recorded reports,
+// including truncated and malformed ones
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseReport, summarize } = require('../test-results');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'test-results');
+const parseFixture = name => parseReport(name, fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+const counts = ({ total, passed, failed, skipped }) => ({ total, passed, failed, skipped });
+
+test('parses a Surefire JUnit report', () => {
+  const { format, suites } = parseFixture('surefire.xml');
+  const summary = summarize(suites);
+
+  assert.equal(format, 'junit');
+  assert.deepEqual(counts(summary), { total: 4, passed: 1, failed: 2, skipped: 1 });
+  assert.equal(summary.duration, 1254);
+  const [passed, failed, errored, skipped] = suites[0].cases;
+  assert.equal(passed.duration, 412);
+  assert.equal(failed.message, 'expected: <400> but was: <200>');
+  assert.match(failed.details, /^org\.opentest4j\.AssertionFailedError: .*\n\tat .*OrderServiceTest\.java:42\)$/);
+  assert.equal(errored.details, 'java.net.ConnectException: Connection refused');
+  assert.equal(skipped.message, 'Refunds are disabled');
+});
+
+test('rejects a truncated or misnested JUnit report', () => {
+  assert.throws(() => parseFixture('surefire-truncated.xml'), { message: 'Truncated JUnit report: <failure> on line 6 is never closed' });
+  assert.throws(() => parseFixture('misnested.xml'), { message: 'Malformed JUnit report: unexpected </testcase> on line 4' });
+});
+
+test('parses node:test TAP with subtests, diagnostics and skips', () => {
+  const { format, suites } = parseFixture('node-test.tap');
+
+  assert.equal(format, 'tap');
+  assert.deepEqual(suites.map(suite => suite.name), ['OrderService', 'node-test.tap']);
+  assert.deepEqual(counts(summarize(suites)), { total: 3, passed: 1, failed: 1, skipped: 1 });
+  const [created, rejected] = suites[0].cases;
+  assert.equal(created.duration, 5);
+  assert.equal(rejected.message, 'Expected values to be strictly equal');
+  assert.equal(suites[1].cases[0].message, 'currency table missing');
+});
+
+test('fails TAP output that bails out or stops short of its plan', () => {
+  const bailOut = parseFixture('bail-out.tap').suites[0].cases;
+  const truncated = parseFixture('truncated.tap').suites[0].cases;
+
+  assert.deepEqual(bailOut.map(c => [c.name, c.status]), [['connects', 'passed'], ['migrates', 'failed'], ['Bail out!', 'failed']]);
+  assert.equal(bailOut[2].message, 'Database unreachable');
+  assert.deepEqual(truncated.at(-1), {
+    name: 'Missing test points', classname: null, status: 'failed', duration: 0, message: 'Planned 4 tests, 2 reported', details: null
+  });
+  assert.throws(() => parseFixture('unclosed-yaml.tap'), { message: 'Malformed TAP report: YAML block on line 3 is never closed' });
+});
+
+test('parses a Jest report, including a file that failed to run', () => {
+  const { format, suites } = parseFixture('jest.json');
+
+  assert.equal(format, 'jest');
+  assert.deepEqual(counts(summarize(suites)), { total: 4, passed: 1, failed: 2, skipped: 1 });
+  const [, discount, todo] = suites[0].cases;
+  assert.equal(discount.classname, 'Cart › totals');
+  assert.equal(discount.message, 'Error: expect(received).toBe(expected)');
+  assert.equal(discount.duration, 8);
+  assert.equal(todo.status, 'skipped');
+  assert.equal(suites[0].duration, 850);
+  assert.equal(suites[1].cases[0].name, 'Test file failed to run');
+  assert.match(suites[1].cases[0].details, /Cannot find module '\.\/payments'/);
+});
+
+test('rejects a truncated or malformed Jest report but ignores other JSON', () => {
+  assert.throws(() => parseFixture('jest-truncated.json'), /^Error: Malformed Jest report: Unterminated string/);
+  assert.throws(() => parseFixture('jest-malformed.json'), { message: 'Malformed Jest report: testResults[0].assertionResults is not a list' });
+  assert.equal(parseReport('package.json', '{"name": "app1"}'), null);
+  assert.equal(parseReport('coverage.json', '{"total": '), null);
+});
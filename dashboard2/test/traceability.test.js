@@ -0,0 +1,119 @@
+// Traceability (traceability.js) over recorded run-history records and live
+// runs (fixtures/traceability/runs.json), with a fake Octokit answering the
+// artifacts and reviews APIs from recorded responses
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTraceability } = require('../traceability');
+const { fakeOctokit } = require('../../collector/test/fake-octokit');
+
+const fixture = name => structuredClone(require(`./fixtures/traceability/${name}.json`));
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function setup() {
+  const { history, live } = fixture('runs');
+  const { octokit, calls } = fakeOctokit({
+    'actions.listWorkflowRunArtifacts': () => ({ data: fixture('list-workflow-run-artifacts') }),
+    'actions.getReviewsForRun': params => {
+      if (params.run_id === 9203577342) throw Object.assign(new Error('Not Found'), { status: 404 });
+      return { data: params.run_id === 9203590021 ? fixture('get-reviews-for-run') : [] };
+    }
+  });
+  const scans = [];
+  const traceability = createTraceability({
+    octokit,
+    owner: 'dpdeepankar',
+    history: {
+      scan: ({ from, to, match }) => {
+        scans.push(to - from);
+        return history.filter(match);
+      }
+    },
+    getRuns: async () => live,
+    approvalJobs: ['deploy']
+  });
+  return { traceability, calls, scans };
+}
+
+const summary = release => [release.environment, release.runId, release.status, release.approvedAt, release.completedAt];
+
+test('traces a commit from its build to each environment it was released to', async () => {
+  const { traceability, scans } = setup();
+
+  const [trace, ...others] = await traceability.trace({ appName: 'app1', commit: '4f7c2a9d81b3e6f0' });
+
+  assert.deepEqual(others, []);
+  assert.equal(trace.build.runId, 9203344718);
+  assert.equal(trace.build.completedAt, '2026-10-18T09:16:41Z');
+  assert.equal(trace.image, 'app1:9203344718');
+  assert.deepEqual(trace.artifacts.map(a => [a.name, a.sizeInBytes, a.expiresAt]), [
+    ['app1-image-9203344718', 48213561, '2027-01-16T09:16:30Z'],
+    ['test-results', 18244, '2027-01-16T09:15:02Z']
+  ]);
+  // The live prod run (completed) replaces the in-progress one in history
+  assert.deepEqual(trace.releases.map(summary), [
+    ['dev', 9203577342, 'completed', '2026-10-18T09:20:30Z', '2026-10-18T09:24:00Z'],
+    ['dlv', 9203580000, 'completed', '2026-10-18T09:40:00Z', '2026-10-18T09:45:00Z'],
+    ['prod', 9203590021, 'completed', '2026-10-18T10:18:00Z', '2026-10-18T10:21:00Z']
+  ]);
+  assert.deepEqual(trace.releases[2].approvals, [{ user: 'lena.lead', state: 'approved', comment: 'Verified in dlv', environments: ['prod'] }]);
+  assert.deepEqual(scans, [90 * DAY_MS]);
+});
+
+test('keeps the rest of a trace when a GitHub call fails', async () => {
+  const { traceability } = setup();
+
+  const [trace] = await traceability.trace({ appName: 'app1', commit: '4f7c2a9' });
+
+  assert.deepEqual(trace.releases[0].approvals, []);
+  assert.equal(trace.releases[0].approvalsError, 'Not Found');
+  assert.equal(trace.releases[1].approvalsError, undefined);
+  assert.equal(trace.artifacts.length, 2);
+});
+
+test('fetches artifacts and approvals of completed runs once', async () => {
+  const { traceability, calls } = setup();
+
+  await traceability.trace({ appName: 'app1', commit: '4f7c2a9' });
+  await traceability.trace({ appName: 'app1', commit: '4f7c2a9' });
+  await traceability.trace({ appName: 'app2', commit: '9e8d7c6' });
+  await traceability.trace({ appName: 'app2', commit: '9e8d7c6' });
+
+  assert.deepEqual(calls.listWorkflowRunArtifacts.map(params => params.run_id), [9203344718, 9203344800]);
+  // The failed lookup is retried, and so is the release still running
+  const count = runId => calls.getReviewsForRun.filter(params => params.run_id === runId).length;
+  assert.deepEqual([9203577342, 9203580000, 9203590021, 9203600000, 9203610000].map(count), [2, 1, 1, 1, 2]);
+});
+
+test('looks a build up by run id, with only the releases that shipped it', async () => {
+  const { traceability, calls, scans } = setup();
+
+  const traces = await traceability.lookup({ appName: 'app1', runId: '9203000001', days: 30 });
+
+  assert.deepEqual(traces.map(t => [t.build.runId, t.build.commitSha, t.releases.map(r => r.runId)]), [[9203000001, '0aa11bb', [9203100000]]]);
+  assert.deepEqual(await traceability.lookup({ appName: 'app2', commit: '4f7c2a9' }), []);
+  assert.equal(calls.listWorkflowRunArtifacts.length, 0);
+  assert.deepEqual(scans, [30 * DAY_MS, 90 * DAY_MS]);
+});
+
+test('shows which build of each app runs in each environment', async () => {
+  const { traceability, scans } = setup();
+
+  const [app1, app2] = await traceability.matrix({ apps: ['app1', 'app2'] });
+  const row = ({ environments }) => Object.fromEntries(Object.entries(environments).map(([name, cell]) => [
+    name, [cell.current?.runId ?? null, cell.inProgress?.runId ?? null, cell.sameAsPrevious]
+  ]));
+
+  assert.deepEqual(row(app1), {
+    dev: [9203577342, null, false],
+    dlv: [9203580000, null, true],
+    prod: [9203590021, null, true]
+  });
+  assert.deepEqual(row(app2), {
+    dev: [9203600000, null, false],
+    dlv: [null, null, false],
+    prod: [null, 9203610000, false]
+  });
+  assert.equal(app1.environments.prod.current.version, '9203344718');
+  assert.deepEqual(scans, [180 * DAY_MS]);
+});
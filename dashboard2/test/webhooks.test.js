@@ -0,0 +1,191 @@
+// Webhook receiver replaying recorded deliveries (fixtures/webhooks, in the
+// format recordDir writes) against a fake refresher and collector
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createWebhookReceiver, verifySignature } = require('../webhooks');
+const { toRunModel } = require('../../collector');
+
+const SECRET = 'webhook-test-secret';
+const OWNER = 'dpdeepankar';
+const APP_REPOS = [{ name: 'app1', repo: 'githubActionsBuildRepo', buildWorkflow: 'app1-build.yml' }];
+const RELEASE_REPOS = [{ appName: 'app1', repo: 'githubActionsReleaseRepo', releaseWorkflow: 'app-release.yml' }];
+
+const delivery = name => structuredClone(require(`./fixtures/webhooks/${name}.json`));
+const sign = (body, secret = SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// Receiver over a snapshot of `builds`; collectRun models runs without jobs
+function setup({ builds = [], secret = SECRET } = {}) {
+  let snapshot = { builds, releases: [] };
+  const changes = [];
+  const dispatches = [];
+  const recordedJobs = [];
+
+  const refresher = {
+    current: async () => ({ data: snapshot }),
+    update: change => {
+      snapshot = change(snapshot);
+      return true;
+    }
+  };
+  const collector = {
+    collectRun: async (repo, workflowFile, run, configAppName, isRelease) => toRunModel(run, { repo, configAppName, isRelease }),
+    recordJob: (runId, job) => recordedJobs.push({ runId, job })
+  };
+  const receiver = createWebhookReceiver({ secret }, {
+    owner: OWNER,
+    appRepos: APP_REPOS,
+    releaseRepos: RELEASE_REPOS,
+    collector,
+    refresher,
+    resolveApps: ({ repo }) => (repo === 'githubActionsReleaseRepo' ? ['app1', 'app2'] : []),
+    onChange: (type, data) => changes.push({ type, data }),
+    onDispatch: dispatch => {
+      dispatches.push(dispatch);
+      return true;
+    }
+  });
+
+  return { receiver, changes, dispatches, recordedJobs, snapshot: () => snapshot };
+}
+
+// Applies a recorded delivery the way receive() would after verifying it
+const replay = (receiver, name) => {
+  const { event, payload } = delivery(name);
+  return receiver.handleEvent(event, payload);
+};
+
+test('verifySignature accepts only the HMAC of the body with the secret', () => {
+  const body = Buffer.from(JSON.stringify(delivery('ping').payload));
+
+  assert.equal(verifySignature(SECRET, body, sign(body)), true);
+  assert.equal(verifySignature(SECRET, body, sign(body, 'another-secret')), false);
+  assert.equal(verifySignature(SECRET, Buffer.from('{}'), sign(body)), false);
+  assert.equal(verifySignature(SECRET, body, sign(body).replace('sha256=', 'sha1=')), false);
+  assert.equal(verifySignature(SECRET, body, 'sha256=abc'), false);
+  assert.equal(verifySignature(SECRET, body, undefined), false);
+  assert.equal(verifySignature('', body, sign(body, '')), false);
+});
+
+test('receive rejects unsigned, mis-signed and non-JSON deliveries', () => {
+  const { receiver } = setup();
+  const body = Buffer.from(JSON.stringify(delivery('workflow_run.completed').payload));
+
+  assert.equal(receiver.receive({ event: 'workflow_run', body }).status, 401);
+  assert.equal(receiver.receive({ event: 'workflow_run', body, signature: sign(body, 'wrong') }).status, 401);
+  assert.equal(receiver.receive({ event: 'workflow_run', body: body.toString(), signature: sign(body) }).status, 401);
+  const notJson = Buffer.from('payload=%7B%7D');
+  assert.equal(receiver.receive({ event: 'workflow_run', body: notJson, signature: sign(notJson) }).status, 400);
+});
+
+test('receive answers pings and ignores unhandled events', () => {
+  const { receiver } = setup();
+  const ping = Buffer.from(JSON.stringify(delivery('ping').payload));
+  const push = Buffer.from(JSON.stringify({ ref: 'refs/heads/main' }));
+
+  assert.deepEqual(receiver.receive({ event: 'ping', body: ping, signature: sign(ping) }), {
+    status: 200, body: { ok: true, zen: 'Keep it logically awesome.' }
+  });
+  assert.deepEqual(receiver.receive({ event: 'push', body: push, signature: sign(push) }), { status: 202, body: { ignored: 'push' } });
+  assert.equal(receiver.isReceiving(60000), true);
+});
+
+test('receive is disabled without a secret', () => {
+  const { receiver } = setup({ secret: null });
+  const body = Buffer.from('{}');
+
+  assert.equal(receiver.enabled, false);
+  assert.equal(receiver.receive({ event: 'ping', body, signature: sign(body) }).status, 404);
+});
+
+test('receive applies a signed delivery in the background', async () => {
+  const { receiver, changes, snapshot } = setup();
+  const { event, deliveryId, payload } = delivery('workflow_run.completed');
+  const body = Buffer.from(JSON.stringify(payload));
+
+  assert.deepEqual(receiver.receive({ event, deliveryId, signature: sign(body), body }), { status: 202, body: { accepted: 'workflow_run' } });
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  assert.deepEqual(snapshot().builds.map(run => [run.runId, run.status]), [[9203344718, 'completed']]);
+  assert.equal(changes[0].type, 'workflow_update');
+});
+
+test('workflow_run replaces the run and ignores older deliveries that arrive late', async () => {
+  const older = toRunModel({ ...delivery('workflow_run.completed').payload.workflow_run, id: 9202000001, created_at: '2026-10-17T09:00:00Z' }, {
+    repo: 'githubActionsBuildRepo', configAppName: 'app1'
+  });
+  const { receiver, changes, snapshot } = setup({ builds: [older] });
+
+  assert.equal(await replay(receiver, 'workflow_run.completed'), true);
+  assert.equal(await replay(receiver, 'workflow_run.in_progress'), false);
+
+  const builds = snapshot().builds;
+  assert.deepEqual(builds.map(run => run.runId), [9203344718, 9202000001]);
+  assert.equal(builds[0].status, 'completed');
+  assert.equal(builds[0].branch, 'dev01');
+  assert.equal(changes.length, 1);
+});
+
+test('workflow_run ignores workflows no app is configured with and other owners', async () => {
+  const { receiver, snapshot } = setup();
+  const { payload } = delivery('workflow_run.completed');
+
+  assert.equal(await receiver.handleEvent('workflow_run', { ...payload, workflow_run: { ...payload.workflow_run, path: '.github/workflows/lint.yml' } }), false);
+  assert.equal(await receiver.handleEvent('workflow_run', { ...payload, repository: { ...payload.repository, owner: { login: 'someone-else' } } }), false);
+  assert.deepEqual(snapshot().builds, []);
+});
+
+test('workflow_job updates the job in place and never moves it back', async () => {
+  const run = toRunModel(delivery('workflow_run.in_progress').payload.workflow_run, { repo: 'githubActionsBuildRepo', configAppName: 'app1' });
+  const { receiver, changes, recordedJobs, snapshot } = setup({ builds: [run] });
+
+  assert.equal(await replay(receiver, 'workflow_job.completed'), true);
+  assert.equal(await replay(receiver, 'workflow_job.in_progress'), false);
+
+  const [job] = snapshot().builds[0].jobs;
+  assert.equal(job.status, 'completed');
+  assert.equal(job.duration, '2m 6s');
+  assert.deepEqual(recordedJobs.map(entry => [entry.runId, entry.job.status]), [[9203344718, 'completed']]);
+  assert.deepEqual(changes.map(change => [change.type, change.data.apps]), [['workflow_job_update', ['app1']]]);
+});
+
+test('workflow_job of a run not in the snapshot changes nothing', async () => {
+  const { receiver, changes } = setup();
+
+  assert.equal(await replay(receiver, 'workflow_job.completed'), false);
+  assert.deepEqual(changes, []);
+});
+
+test('deployment statuses update the latest deployment of the environment', async () => {
+  const { receiver, changes } = setup();
+
+  assert.equal(await replay(receiver, 'deployment'), true);
+  assert.equal(await replay(receiver, 'deployment_status'), true);
+  assert.equal(await replay(receiver, 'deployment_status.older'), false);
+
+  assert.deepEqual(receiver.listDeployments(), [{
+    id: 2301456789,
+    repo: 'githubActionsReleaseRepo',
+    apps: ['app1'],
+    environment: 'prod',
+    ref: 'main',
+    sha: 'e3d2c1b',
+    state: 'success',
+    description: 'Deployment finished successfully.',
+    creator: 'github-actions[bot]',
+    url: 'https://app1.example.com',
+    createdAt: '2026-10-18T10:05:00Z',
+    updatedAt: '2026-10-18T10:21:00Z'
+  }]);
+  assert.deepEqual(changes.map(change => change.data.state), ['pending', 'success']);
+});
+
+test('repository_dispatch to a release repo is handed to onDispatch', async () => {
+  const { receiver, dispatches } = setup();
+  const { payload } = delivery('repository_dispatch');
+
+  assert.equal(await replay(receiver, 'repository_dispatch'), true);
+  assert.equal(await receiver.handleEvent('repository_dispatch', { ...payload, repository: { ...payload.repository, name: 'githubActionsBuildRepo' } }), false);
+  assert.deepEqual(dispatches, [{ repo: 'githubActionsReleaseRepo', eventType: 'app1', payload: payload.client_payload }]);
+});
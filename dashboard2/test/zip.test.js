@@ -0,0 +1,164 @@
+// Zip reader (test-results/zip.js) over a recorded artifact, ZIP64 and
+// corrupt archives, and artifact parsing end to end in createTestResults
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { readZipEntries } = require('../test-results/zip');
+const { createTestResults } = require('../test-results');
+const { fakeOctokit } = require('../../collector/test/fake-octokit');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'test-results');
+const RECORDED = fs.readFileSync(path.join(FIXTURES, 'test-reports.zip'));
+const MAX_UINT32 = 0xffffffff;
+
+// Minimal zip writer; with zip64 every size and offset goes through the
+// ZIP64 records, as streaming zippers write them
+function buildZip(files, { zip64 = false, encrypted = false } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, text } of files) {
+    const raw = Buffer.from(text);
+    const data = zlib.deflateRawSync(raw);
+    const fileName = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    locals.push(local, fileName, data);
+
+    const extra = Buffer.alloc(zip64 ? 28 : 0);
+    if (zip64) {
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(24, 2);
+      extra.writeBigUInt64LE(BigInt(raw.length), 4);
+      extra.writeBigUInt64LE(BigInt(data.length), 12);
+      extra.writeBigUInt64LE(BigInt(offset), 20);
+    }
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(encrypted ? 1 : 0, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(zip64 ? MAX_UINT32 : data.length, 20);
+    central.writeUInt32LE(zip64 ? MAX_UINT32 : raw.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt16LE(extra.length, 30);
+    central.writeUInt32LE(zip64 ? MAX_UINT32 : offset, 42);
+    centrals.push(central, fileName, extra);
+    offset += local.length + fileName.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const zip64Records = [];
+  if (zip64) {
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4);
+    record.writeBigUInt64LE(BigInt(files.length), 24);
+    record.writeBigUInt64LE(BigInt(files.length), 32);
+    record.writeBigUInt64LE(BigInt(directory.length), 40);
+    record.writeBigUInt64LE(BigInt(offset), 48);
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(offset + directory.length), 8);
+    locator.writeUInt32LE(1, 16);
+    zip64Records.push(record, locator);
+  }
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(zip64 ? 0xffff : files.length, 8);
+  eocd.writeUInt16LE(zip64 ? 0xffff : files.length, 10);
+  eocd.writeUInt32LE(zip64 ? MAX_UINT32 : directory.length, 12);
+  eocd.writeUInt32LE(zip64 ? MAX_UINT32 : offset, 16);
+  return Buffer.concat([...locals, directory, ...zip64Records, eocd]);
+}
+
+const FILES = [
+  { name: 'junit/api.xml', text: '<testsuite name="api"><testcase name="lists users"/></testsuite>' },
+  { name: 'tap/cli.tap', text: 'TAP version 13\nok 1 - prints help\n1..1\n' }
+];
+
+test('reads the files of a recorded artifact, skipping directories', () => {
+  const entries = readZipEntries(RECORDED);
+
+  assert.deepEqual(entries.map(entry => entry.name), ['reports/surefire.xml', 'reports/jest.json', 'reports/node-test.tap']);
+  for (const entry of entries) {
+    const text = fs.readFileSync(path.join(FIXTURES, path.basename(entry.name)), 'utf8');
+    assert.equal(entry.size, Buffer.byteLength(text));
+    assert.equal(entry.read().toString('utf8'), text);
+  }
+});
+
+test('reads ZIP64 archives through the ZIP64 records', () => {
+  const entries = readZipEntries(buildZip(FILES, { zip64: true }));
+
+  assert.deepEqual(entries.map(entry => [entry.name, entry.size]), FILES.map(file => [file.name, file.text.length]));
+  assert.deepEqual(entries.map(entry => entry.read().toString('utf8')), FILES.map(file => file.text));
+});
+
+test('rejects truncated and corrupt archives with a descriptive error', () => {
+  const zip = buildZip(FILES);
+  const zip64 = buildZip(FILES, { zip64: true });
+  const corrupt = (buffer, patch) => {
+    const copy = Buffer.from(buffer);
+    patch(copy);
+    return copy;
+  };
+
+  assert.throws(() => readZipEntries(Buffer.alloc(0)), { message: 'Not a zip archive' });
+  assert.throws(() => readZipEntries(RECORDED.subarray(0, RECORDED.length / 2)), { message: 'Not a zip archive' });
+  assert.throws(
+    () => readZipEntries(corrupt(zip, copy => copy.writeUInt32LE(zip.length, zip.length - 6))),
+    { message: 'Corrupt zip: central directory is outside the archive' }
+  );
+  assert.throws(
+    () => readZipEntries(corrupt(zip64, copy => copy.writeUInt32LE(0, zip64.length - 42))),
+    { message: 'Corrupt zip: ZIP64 end of central directory locator is missing' }
+  );
+
+  // Central directory claiming more data than the archive holds
+  const directory = zip.readUInt32LE(zip.length - 6);
+  const [api] = readZipEntries(corrupt(zip, copy => copy.writeUInt32LE(zip.length, directory + 20)));
+  assert.throws(() => api.read(), { message: 'Corrupt zip: data of junit/api.xml is outside the archive' });
+});
+
+test('refuses encrypted and oversized entries', () => {
+  const [encrypted] = readZipEntries(buildZip(FILES, { encrypted: true }));
+  const [oversized] = readZipEntries(buildZip(FILES), { maxEntryBytes: 10 });
+
+  assert.throws(() => encrypted.read(), { message: 'junit/api.xml is encrypted' });
+  assert.throws(() => oversized.read(), { message: 'junit/api.xml is larger than 10 bytes' });
+});
+
+test('reports broken artifacts and reports alongside the parsed results', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-results-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const archives = {
+    1: RECORDED,
+    2: buildZip([{ name: 'cut.xml', text: '<testsuite name="cut"><testcase name="a">' }], { zip64: true }),
+    3: RECORDED.subarray(0, 100)
+  };
+  const { octokit } = fakeOctokit({
+    'actions.listWorkflowRunArtifacts': () => ({
+      data: { artifacts: [{ id: 1, name: 'test-reports' }, { id: 2, name: 'junit-report' }, { id: 3, name: 'test-logs' }] }
+    }),
+    'actions.downloadArtifact': ({ artifact_id }) => ({ data: archives[artifact_id] })
+  });
+  const testResults = createTestResults({ octokit, owner: 'dpdeepankar', cacheFile: path.join(dir, 'results.json') });
+
+  const results = await testResults.getRunResults('githubActionsBuildRepo', 9203120055, { run: { status: 'completed' } });
+
+  assert.deepEqual([results.total, results.passed, results.failed, results.skipped], [11, 3, 5, 3]);
+  assert.deepEqual(results.formats.sort(), ['jest', 'junit', 'tap']);
+  assert.deepEqual(results.errors, [
+    'junit-report/cut.xml: Truncated JUnit report: <testcase> on line 1 is never closed',
+    'test-logs: Not a zip archive'
+  ]);
+});
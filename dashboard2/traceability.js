@@ -0,0 +1,112 @@
+// ═══════════════════════════════════════════════════════════════════════
+// TRACEABILITY
+// Answers "where did this commit go?" and "what runs where?" from the run
+// history plus the runs the refresher holds (newer, so they win). The
+// joins live in collector/traceability.js; this adds what only GitHub
+// knows: the build's artifacts and who approved each release.
+//
+// Artifacts and approvals of completed runs don't change, so they are
+// kept in memory (the last MAX_CACHED runs).
+// ═══════════════════════════════════════════════════════════════════════
+
+const { traceCommit, environmentMatrix } = require('../collector');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CACHED = 500;
+
+function createTraceability({ octokit, owner, history, getRuns, approvalJobs = [] }) {
+  // `${kind}:${repo}/${runId}` -> result, for completed runs
+  const cache = new Map();
+
+  async function cached(kind, run, fetch) {
+    const key = `${kind}:${run.repo}/${run.runId}`;
+    if (cache.has(key)) return cache.get(key);
+    const value = await fetch();
+    if (run.status === 'completed') {
+      cache.set(key, value);
+      if (cache.size > MAX_CACHED) cache.delete(cache.keys().next().value);
+    }
+    return value;
+  }
+
+  // History records of the last `days` days overlaid with the live runs
+  async function runsOf(apps, days) {
+    const to = new Date();
+    const from = new Date(to.getTime() - days * DAY_MS);
+    const byKey = new Map();
+    const add = run => byKey.set(`${run.type}:${run.repo}/${run.runId}`, run);
+
+    history.scan({ from, to, match: run => apps.includes(run.appName) }).forEach(add);
+    const { builds, releases } = await getRuns();
+    [...builds, ...releases].filter(run => run.runId && apps.includes(run.appName)).forEach(add);
+
+    const runs = [...byKey.values()];
+    return { builds: runs.filter(run => run.type === 'Build'), releases: runs.filter(run => run.type === 'Release') };
+  }
+
+  function artifacts(build) {
+    return cached('artifacts', build, async () => {
+      const { data } = await octokit.actions.listWorkflowRunArtifacts({ owner, repo: build.repo, run_id: build.runId, per_page: 100 });
+      return data.artifacts.map(artifact => ({
+        name: artifact.name,
+        sizeInBytes: artifact.size_in_bytes,
+        expired: artifact.expired,
+        createdAt: artifact.created_at,
+        expiresAt: artifact.expires_at
+      }));
+    });
+  }
+
+  // Reviews of the release's environment gate (the API has no timestamps;
+  // the gated job's start is in approvedAt)
+  function approvals(release) {
+    return cached('approvals', release, async () => {
+      const { data } = await octokit.actions.getReviewsForRun({ owner, repo: release.repo, run_id: release.runId });
+      return data.map(review => ({
+        user: review.user?.login || 'unknown',
+        state: review.state,
+        comment: review.comment || '',
+        environments: (review.environments || []).map(environment => environment.name)
+      }));
+    });
+  }
+
+  // A GitHub call that fails leaves its part of the trace with an error
+  async function settle(promise) {
+    try {
+      return { value: await promise };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  // Builds of appName for commit (or build runId) with their releases,
+  // from the runs alone
+  async function lookup({ appName, commit, runId, days = 90 }) {
+    const { builds, releases } = await runsOf([appName], days);
+    return traceCommit({ appName, commit, runId, builds, releases, approvalJobs });
+  }
+
+  // lookup() plus the builds' artifacts and the releases' approvals
+  async function trace(query) {
+    const traces = await lookup(query);
+
+    return Promise.all(traces.map(async entry => {
+      const artifactResult = await settle(artifacts(entry.build));
+      const withApprovals = await Promise.all(entry.releases.map(async release => {
+        const result = await settle(approvals(release));
+        return { ...release, approvals: result.value || [], approvalsError: result.error };
+      }));
+      return { ...entry, artifacts: artifactResult.value || [], artifactsError: artifactResult.error, releases: withApprovals };
+    }));
+  }
+
+  async function matrix({ apps, days = 180 }) {
+    const { releases } = await runsOf(apps, days);
+    return environmentMatrix({ apps, releases, approvalJobs });
+  }
+
+  return { lookup, trace, matrix };
+}
+
+module.exports = { createTraceability };
@@ -0,0 +1,236 @@
+// ═══════════════════════════════════════════════════════════════════════
+// GITHUB WEBHOOKS
+// Receives the organisation's (or repos') webhook deliveries on
+// /webhooks/github. Every delivery must carry a valid X-Hub-Signature-256
+// for the configured secret; unsigned or mis-signed ones are rejected.
+//
+//   workflow_run          the run is re-modelled and replaces its rows in
+//                         the refresher's snapshot
+//   workflow_job          the job is updated in place on its run
+//   deployment(_status)   the latest deployment per repo and environment
+//   repository_dispatch   a release dispatch to a release repo, handed to
+//                         onDispatch (promotions resend its payload)
+//
+// Every change is handed to onChange(type, data) for broadcasting. Polling
+// keeps running as a fallback for missed deliveries. Verified deliveries
+// can be written to recordDir and sent again with bin/webhooks.js; the
+// tests replay recordings kept in test/fixtures/webhooks.
+// ═══════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { toJobModel } = require('../../collector');
+
+const HANDLED_EVENTS = ['workflow_run', 'workflow_job', 'deployment', 'deployment_status', 'repository_dispatch'];
+const JOB_STATUS_ORDER = ['queued', 'waiting', 'in_progress', 'completed'];
+
+// Deployments remembered for the dashboard (latest per repo/environment)
+const MAX_DEPLOYMENTS = 200;
+
+// True when signature is the sha256 HMAC of body (a Buffer) with secret
+function verifySignature(secret, body, signature) {
+  if (!secret || typeof signature !== 'string' || !signature.startsWith('sha256=')) return false;
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`);
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Deliveries can arrive out of order: true when runs already hold a newer
+// state of the run
+function hasNewerRun(runs, runId, updatedAt) {
+  return runs.some(run => run.runId === runId && new Date(run.updatedAt) > new Date(updatedAt));
+}
+
+// A run's rows in the snapshot replaced by `models`; null when the
+// snapshot already holds a newer state of the run
+function replaceRuns(runs, models) {
+  const runId = models[0].runId;
+  if (hasNewerRun(runs, runId, models[0].updatedAt)) return null;
+  return [...runs.filter(run => run.runId !== runId), ...models]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// `job` on every row of its run; a job never goes back to an earlier status
+function replaceJob(runs, runId, job) {
+  let changed = false;
+  const next = runs.map(run => {
+    if (run.runId !== runId) return run;
+    const current = run.jobs.find(j => j.id === job.id);
+    if (current && JOB_STATUS_ORDER.indexOf(current.status) > JOB_STATUS_ORDER.indexOf(job.status)) return run;
+    changed = true;
+    const jobs = current ? run.jobs.map(j => (j.id === job.id ? job : j)) : [...run.jobs, job];
+    return { ...run, jobs };
+  });
+  return changed ? next : null;
+}
+
+// config: { secret, recordDir } (config.webhooks). resolveApps({ repo,
+// workflowId }) returns the configured apps of a repo/workflow.
+function createWebhookReceiver(options, { owner, appRepos = [], releaseRepos = [], collector, refresher, resolveApps, onChange = () => {}, onDispatch = () => false }) {
+  const { secret, recordDir } = options;
+  const deployments = new Map();
+  let lastDeliveryAt = 0;
+
+  // Configured entries a workflow file belongs to
+  function targetsFor(repo, workflowFile) {
+    return [
+      ...appRepos
+        .filter(a => a.repo === repo && a.buildWorkflow === workflowFile)
+        .map(a => ({ configAppName: a.name, isRelease: false })),
+      ...releaseRepos
+        .filter(r => r.repo === repo && r.releaseWorkflow === workflowFile)
+        .map(r => ({ configAppName: r.appName, isRelease: true }))
+    ];
+  }
+
+  async function handleWorkflowRun(repo, run) {
+    const workflowFile = path.basename(run.path || '');
+    const targets = targetsFor(repo, workflowFile);
+    if (!targets.length) return false;
+
+    const key = targets[0].isRelease ? 'releases' : 'builds';
+    const { data } = await refresher.current();
+    if (data && hasNewerRun(data[key], run.id, run.updated_at)) return false;
+
+    const models = (await Promise.all(targets.map(target =>
+      collector.collectRun(repo, workflowFile, run, target.configAppName, target.isRelease)
+    ))).filter(Boolean);
+    if (!models.length) return false;
+
+    let applied = false;
+    refresher.update(current => {
+      const runs = replaceRuns(current[key], models);
+      if (!runs) return current;
+      applied = true;
+      return { ...current, [key]: runs };
+    });
+    if (applied) onChange('workflow_update', { builds: key === 'builds' ? models : [], releases: key === 'releases' ? models : [] });
+    return applied;
+  }
+
+  function handleWorkflowJob(repo, job) {
+    const jobModel = toJobModel(job);
+    let apps = [];
+    refresher.update(data => {
+      const builds = replaceJob(data.builds, job.run_id, jobModel);
+      const releases = replaceJob(data.releases, job.run_id, jobModel);
+      apps = [...builds || [], ...releases || []]
+        .filter(run => run.runId === job.run_id)
+        .map(run => run.appName);
+      return { ...data, builds: builds || data.builds, releases: releases || data.releases };
+    });
+    if (!apps.length) return false;
+
+    collector.recordJob(job.run_id, jobModel);
+    onChange('workflow_job_update', { repo, runId: job.run_id, apps: [...new Set(apps)], job: jobModel });
+    return true;
+  }
+
+  function handleDeployment(repo, deployment, status) {
+    const requestedApp = deployment.payload?.app;
+    const repoApps = resolveApps({ repo }) || [];
+    const apps = repoApps.includes(requestedApp) ? [requestedApp] : repoApps;
+    if (!apps.length) return false;
+
+    const entry = {
+      id: deployment.id,
+      repo,
+      apps,
+      environment: deployment.environment,
+      ref: deployment.ref,
+      sha: deployment.sha?.substring(0, 7),
+      state: status ? status.state : 'pending',
+      description: status?.description || deployment.description || null,
+      creator: (status || deployment).creator?.login || null,
+      url: status?.environment_url || status?.log_url || status?.target_url || null,
+      createdAt: deployment.created_at,
+      updatedAt: status?.updated_at || deployment.updated_at
+    };
+
+    // A status of an older deployment doesn't replace a newer deployment
+    const key = `${repo}/${entry.environment}`;
+    const current = deployments.get(key);
+    if (current && current.id > entry.id) return false;
+
+    deployments.delete(key);
+    deployments.set(key, entry);
+    if (deployments.size > MAX_DEPLOYMENTS) deployments.delete(deployments.keys().next().value);
+
+    onChange('deployment_update', entry);
+    return true;
+  }
+
+  // Applies one event; resolves to true when it changed anything
+  async function handleEvent(event, payload) {
+    const repository = payload.repository;
+    if (!repository || repository.owner?.login?.toLowerCase() !== String(owner).toLowerCase()) return false;
+    const repo = repository.name;
+
+    switch (event) {
+      case 'workflow_run':
+        return handleWorkflowRun(repo, payload.workflow_run);
+      case 'workflow_job':
+        return handleWorkflowJob(repo, payload.workflow_job);
+      case 'deployment':
+        return handleDeployment(repo, payload.deployment, null);
+      case 'deployment_status':
+        return handleDeployment(repo, payload.deployment, payload.deployment_status);
+      case 'repository_dispatch':
+        if (!releaseRepos.some(entry => entry.repo === repo)) return false;
+        return onDispatch({ repo, eventType: payload.action, payload: payload.client_payload });
+      default:
+        return false;
+    }
+  }
+
+  function record(event, deliveryId, payload) {
+    try {
+      fs.mkdirSync(recordDir, { recursive: true });
+      const file = path.join(recordDir, `${Date.now()}-${event}-${deliveryId || 'unknown'}.json`);
+      fs.writeFileSync(file, JSON.stringify({ event, deliveryId, payload }, null, 2));
+    } catch (err) {
+      console.warn('Recording webhook delivery failed:', err.message);
+    }
+  }
+
+  // { status, body } for one delivery; the event itself is applied in the
+  // background so GitHub gets its answer within the delivery timeout
+  function receive({ event, deliveryId, signature, body }) {
+    if (!secret) return { status: 404, body: { error: 'Webhooks are not configured' } };
+    if (!Buffer.isBuffer(body) || !verifySignature(secret, body, signature)) {
+      console.warn(`⚠ Rejected webhook delivery ${deliveryId || ''} with an invalid signature`);
+      return { status: 401, body: { error: 'Invalid signature' } };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch (err) {
+      return { status: 400, body: { error: 'Payload must be JSON (content type application/json)' } };
+    }
+
+    lastDeliveryAt = Date.now();
+    if (event === 'ping') return { status: 200, body: { ok: true, zen: payload.zen } };
+    if (!HANDLED_EVENTS.includes(event)) return { status: 202, body: { ignored: event } };
+    if (recordDir) record(event, deliveryId, payload);
+
+    handleEvent(event, payload).catch(err => {
+      console.error(`Webhook ${event} (${deliveryId}) failed:`, err);
+    });
+    return { status: 202, body: { accepted: event } };
+  }
+
+  function listDeployments() {
+    return [...deployments.values()];
+  }
+
+  // Whether a delivery arrived within the last withinMs
+  function isReceiving(withinMs) {
+    return Boolean(secret) && Date.now() - lastDeliveryAt < withinMs;
+  }
+
+  return { receive, handleEvent, listDeployments, isReceiving, enabled: Boolean(secret) };
+}
+
+module.exports = { createWebhookReceiver, verifySignature, HANDLED_EVENTS };